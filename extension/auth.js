@@ -0,0 +1,56 @@
+// Verify.IQ V3 — Extension Auth
+// Shared by the background worker (importScripts) and the popup (<script>).
+// Uses the user's own API key when one is configured; otherwise exchanges
+// this install's ID for a short-lived signed token from the API.
+
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+async function getInstallId() {
+    const { installId } = await chrome.storage.local.get(['installId']);
+    if (installId) return installId;
+
+    const id = crypto.randomUUID();
+    await chrome.storage.local.set({ installId: id });
+    return id;
+}
+
+async function getExtensionToken(apiUrl, forceRefresh = false) {
+    const { extToken, extTokenExpires, extTokenApi } = await chrome.storage.local.get(['extToken', 'extTokenExpires', 'extTokenApi']);
+    const fresh = extToken && extTokenApi === apiUrl &&
+        Date.parse(extTokenExpires) - Date.now() > TOKEN_REFRESH_MARGIN_MS;
+    if (fresh && !forceRefresh) return extToken;
+
+    const response = await fetch(`${apiUrl}/api/v2/extension/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ install_id: await getInstallId() }),
+    });
+    if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.message || `Token request failed: ${response.status}`);
+    }
+
+    const { token, expires_at } = await response.json();
+    await chrome.storage.local.set({ extToken: token, extTokenExpires: expires_at, extTokenApi: apiUrl });
+    return token;
+}
+
+async function buildAuthHeaders(apiUrl, apiKey, forceRefresh = false) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['X-Api-Key'] = apiKey;
+    else headers['X-Extension-Token'] = await getExtensionToken(apiUrl, forceRefresh);
+    return headers;
+}
+
+// POST to the API, refreshing the extension token once if the server rejects it
+async function authorizedFetch(apiUrl, apiKey, endpoint, body) {
+    const send = async (forceRefresh) => fetch(`${apiUrl}${endpoint}`, {
+        method: 'POST',
+        headers: await buildAuthHeaders(apiUrl, apiKey, forceRefresh),
+        body: JSON.stringify(body),
+    });
+
+    const response = await send(false);
+    if (response.status === 401 && !apiKey) return send(true);
+    return response;
+}
@@ -1,6 +1,8 @@
 // Verify.IQ V3 — Background Service Worker
 // Handles context menus, URL scanning, and all module routing
 
+importScripts('auth.js');
+
 const DEFAULT_API_URL = 'http://localhost:3000';
 
 // ===== SETTINGS =====
@@ -75,19 +77,12 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     const apiUrl = await getApiUrl();
     const apiKey = await getApiKey();
 
-    const headers = { 'Content-Type': 'application/json', 'X-Source': 'extension' };
-    if (apiKey) headers['X-Api-Key'] = apiKey;
-
     try {
         if (info.menuItemId === 'verifyiq-scan-link') {
             const url = info.linkUrl;
             await sendToTab(tab.id, { type: 'SCAN_LOADING', url });
 
-            const response = await fetch(`${apiUrl}/api/scan-url`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({ url }),
-            });
+            const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/scan-url', { url });
 
             const result = await response.json();
             await sendToTab(tab.id, { type: 'SCAN_RESULT', data: result });
@@ -97,11 +92,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
             const url = tab.url;
             await sendToTab(tab.id, { type: 'SCAN_LOADING', url });
 
-            const response = await fetch(`${apiUrl}/api/scan-url`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({ url }),
-            });
+            const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/scan-url', { url });
 
             const result = await response.json();
             await sendToTab(tab.id, { type: 'SCAN_RESULT', data: result });
@@ -116,11 +107,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 
             await sendToTab(tab.id, { type: 'AI_LOADING' });
 
-            const response = await fetch(`${apiUrl}/api/detect-ai`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({ text }),
-            });
+            const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/detect-ai', { text });
 
             const result = await response.json();
             await sendToTab(tab.id, { type: 'AI_RESULT', data: result });
@@ -135,11 +122,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 
             await sendToTab(tab.id, { type: 'EMAIL_LOADING' });
 
-            const response = await fetch(`${apiUrl}/api/verify-email`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({ email }),
-            });
+            const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/verify-email', { email });
 
             const result = await response.json();
             await sendToTab(tab.id, { type: 'EMAIL_RESULT', data: result });
@@ -153,16 +136,12 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
             const productResp = await chrome.tabs.sendMessage(tab.id, { type: 'CHECK_DROPSHIP' });
 
             if (productResp?.success && productResp.product) {
-                const response = await fetch(`${apiUrl}/api/dropship-check`, {
-                    method: 'POST',
-                    headers,
-                    body: JSON.stringify({
-                        product_title: productResp.product.title,
-                        price: productResp.product.price,
-                        image_url: info.srcUrl || productResp.product.imageUrl,
-                        store_url: productResp.product.storeUrl,
-                        currency: productResp.product.currency
-                    }),
+                const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/dropship-check', {
+                    product_title: productResp.product.title,
+                    price: productResp.product.price,
+                    image_url: info.srcUrl || productResp.product.imageUrl,
+                    store_url: productResp.product.storeUrl,
+                    currency: productResp.product.currency
                 });
 
                 const result = await response.json();
@@ -184,11 +163,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 
             await sendToTab(tab.id, { type: 'SCAN_LOADING', url: `Checking contract ${ethMatch[0].slice(0, 10)}...` });
 
-            const response = await fetch(`${apiUrl}/api/rug-pull-check`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({ address: ethMatch[0], chain: 'ethereum' }),
-            });
+            const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/rug-pull-check', { address: ethMatch[0], chain: 'ethereum' });
 
             const result = await response.json();
             await sendToTab(tab.id, { type: 'RUG_PULL_RESULT', data: result });
@@ -198,13 +173,9 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         else if (info.menuItemId === 'verifyiq-deepfake-check') {
             await sendToTab(tab.id, { type: 'SCAN_LOADING', url: 'Analyzing face for AI patterns...' });
 
-            const response = await fetch(`${apiUrl}/api/deepfake-check`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({
-                    image_url: info.srcUrl,
-                    platform: detectPlatformFromUrl(tab.url)
-                }),
+            const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/deepfake-check', {
+                image_url: info.srcUrl,
+                platform: detectPlatformFromUrl(tab.url)
             });
 
             const result = await response.json();
@@ -235,15 +206,9 @@ async function handleDropshipCheck(productData, tabId) {
     if (!tabId) return;
     const apiUrl = await getApiUrl();
     const apiKey = await getApiKey();
-    const headers = { 'Content-Type': 'application/json', 'X-Source': 'extension' };
-    if (apiKey) headers['X-Api-Key'] = apiKey;
 
     try {
-        const response = await fetch(`${apiUrl}/api/dropship-check`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(productData),
-        });
+        const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/dropship-check', productData);
         const result = await response.json();
         await sendToTab(tabId, { type: 'DROPSHIP_RESULT', data: result });
     } catch (e) {
@@ -255,15 +220,9 @@ async function handleRugPullAutoCheck(address, chain, tabId) {
     if (!tabId) return;
     const apiUrl = await getApiUrl();
     const apiKey = await getApiKey();
-    const headers = { 'Content-Type': 'application/json', 'X-Source': 'extension' };
-    if (apiKey) headers['X-Api-Key'] = apiKey;
 
     try {
-        const response = await fetch(`${apiUrl}/api/rug-pull-check`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({ address, chain: chain || 'ethereum' }),
-        });
+        const response = await authorizedFetch(apiUrl, apiKey, '/api/v2/rug-pull-check', { address, chain: chain || 'ethereum' });
         const result = await response.json();
         await sendToTab(tabId, { type: 'RUG_PULL_RESULT', data: result });
     } catch (e) {
@@ -122,14 +122,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 // ===== API HELPER =====
 async function apiCall(endpoint, body) {
-    const headers = { 'Content-Type': 'application/json', 'X-Source': 'extension' };
-    if (settings.apiKey) headers['X-Api-Key'] = settings.apiKey;
-
-    const response = await fetch(`${settings.apiUrl}${endpoint}`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(body),
-    });
+    const response = await authorizedFetch(settings.apiUrl, settings.apiKey, endpoint, body);
 
     if (!response.ok) {
         const errData = await response.json().catch(() => ({}));
@@ -252,7 +245,7 @@ async function runDropshipCheck() {
             storeUrl = tab?.url || '';
         } catch (e) { }
 
-        const result = await apiCall('/api/dropship-check', {
+        const result = await apiCall('/api/v2/dropship-check', {
             product_title: productTitle,
             price,
             store_url: storeUrl
@@ -320,7 +313,7 @@ async function runRugPullCheck() {
     resultContainer.innerHTML = '<div class="loading-pulse">Scanning contract on-chain...</div>';
 
     try {
-        const result = await apiCall('/api/rug-pull-check', {
+        const result = await apiCall('/api/v2/rug-pull-check', {
             address,
             chain: selectedChain
         });
@@ -410,7 +403,7 @@ async function runDeepfakeCheck() {
     resultContainer.innerHTML = '<div class="loading-pulse">Analyzing face patterns...</div>';
 
     try {
-        const result = await apiCall('/api/deepfake-check', {
+        const result = await apiCall('/api/v2/deepfake-check', {
             image_url: imageUrl,
             platform: 'unknown'
         });
@@ -475,7 +468,7 @@ async function runAgentAnalysis() {
     resultContainer.innerHTML = '<div class="loading-pulse">Consulting AI Agent...</div>';
 
     try {
-        const result = await apiCall('/api/agent-scan', {
+        const result = await apiCall('/api/v2/agent-scan', {
             context: selectedContext,
             data: { input }
         });
@@ -556,7 +549,7 @@ async function runAdTransparencyCheck() {
             }
         } catch (e) { }
 
-        const result = await apiCall('/api/ad-transparency', {
+        const result = await apiCall('/api/v2/ad-transparency', {
             username,
             platform,
             bio,
@@ -632,23 +625,108 @@ function updateProUI() {
     // Logic to hide/show pro features if gating them
 }
 
+// Labels and one-line summaries for the checks streamed by /api/v2/scan-url/stream
+const SCAN_CHECKS = {
+    ssl: { label: 'SSL', summary: c => (c.valid ? `Valid (${c.issuer})` : c.error || 'Invalid') },
+    dns: { label: 'DNS', summary: c => (c.has_records ? `${c.a_count} A / ${c.mx_count} MX` : c.error || 'No records') },
+    whois: { label: 'WHOIS', summary: c => (c.registered ? c.registrar || 'Registered' : c.error || 'Not registered') },
+    domain_age: { label: 'Domain Age', summary: c => (c.error ? c.error : `${c.estimated ? '~' : ''}${c.age_days} days`) },
+    safe_browsing: { label: 'Safe Browsing', summary: c => (c.safe ? 'No threats' : (c.threats || []).join(', ') || 'Flagged') },
+    reputation: { label: 'Reputation', summary: c => `${c.score}/100` },
+};
+
+/**
+ * Read a Server-Sent Events response, calling onEvent(event, data) for each message
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value;
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const message = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const event = message.match(/^event: (.*)$/m)?.[1] || 'message';
+            const data = message.match(/^data: (.*)$/m)?.[1];
+            if (data) onEvent(event, JSON.parse(data));
+        }
+    }
+}
+
+/**
+ * A label / value row of a result card. Values come from scanned sites
+ * (certificate issuers, registrars, error messages), so they are set as
+ * text, never as HTML.
+ */
+function resultRow(label, value) {
+    const row = document.createElement('div');
+    row.className = 'result-row';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'result-label';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.className = 'result-value';
+    valueEl.textContent = value ?? '';
+    row.append(labelEl, valueEl);
+    return row;
+}
+
 async function scanUrl() {
     const urlInput = document.getElementById('urlInput');
     const url = urlInput?.value.trim();
     if (!url) return;
 
     const trustScore = document.getElementById('trustScore');
+    const resultContainer = document.getElementById('scanResult');
     trustScore.textContent = '...';
+    resultContainer.style.display = 'block';
+    resultContainer.innerHTML = '<div class="loading-pulse">Running checks...</div>';
+
+    // Checks are shown as they finish, with a provisional score
+    const card = document.createElement('div');
+    card.className = 'result-card';
+    const heading = document.createElement('h4');
+    heading.textContent = 'URL Checks';
+    const footer = document.createElement('div');
+    card.append(heading, footer);
 
     try {
-        const result = await apiCall('/api/scan-url', { url });
-        if (result.trust_score !== undefined) {
-            trustScore.textContent = result.trust_score;
-            addToHistory('scan', url, result.trust_score, result.trust_score + '/100');
+        const response = await authorizedFetch(settings.apiUrl, settings.apiKey, '/api/v2/scan-url/stream', { url });
+        if (!response.ok) {
+            const errData = await response.json().catch(() => ({}));
+            throw new Error(errData.message || `API error: ${response.status}`);
         }
+
+        await readEventStream(response, (event, data) => {
+            if (event === 'check') {
+                const check = SCAN_CHECKS[data.check];
+                footer.before(resultRow(check?.label || String(data.check), check ? check.summary(data.result) : ''));
+                trustScore.textContent = data.provisional_score;
+                footer.className = 'loading-pulse';
+                footer.textContent = `${data.completed}/${data.total} checks done...`;
+                resultContainer.replaceChildren(card);
+            } else if (event === 'result') {
+                trustScore.textContent = data.iq_score;
+                footer.replaceWith(resultRow('Verdict', data.verdict));
+                resultContainer.replaceChildren(card);
+                addToHistory('scan', url, data.iq_score, data.iq_score + '/100');
+            } else if (event === 'failed') {
+                throw new Error(data.message);
+            }
+        });
     } catch (e) {
         console.error('Scan failed:', e);
         trustScore.textContent = '??';
+        const alert = document.createElement('div');
+        alert.className = 'risk-alert danger';
+        const icon = document.createElement('span');
+        icon.textContent = '🚨';
+        alert.append(icon, ` Scan failed: ${e.message}`);
+        resultContainer.replaceChildren(alert);
     }
 }
 
@@ -658,7 +736,7 @@ async function scanDarkWeb() {
     if (!query) return;
 
     try {
-        const result = await apiCall('/api/darkweb-scan', { query });
+        const result = await apiCall('/api/v2/darkweb-scan', { query });
         console.log('Dark web result:', result);
     } catch (e) {
         console.error('Dark web scan failed:', e);
@@ -389,6 +389,7 @@ const config: VerifyIqConfig = {
     PORT: "3000",
     ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS || "https://verifyiq.io,chrome-extension://YOUR_EXTENSION_ID",
     VERIFYIQ_ADMIN_TOKEN: process.env.VERIFYIQ_ADMIN_TOKEN || "change-me-in-production",
+    EXTENSION_TOKEN_SECRET: process.env.EXTENSION_TOKEN_SECRET || "change-me-in-production",
   },
 };
 
@@ -133,7 +133,7 @@ scanBtn.addEventListener('click', async () => {
 
     // Try real API call, fallback to demo data
     try {
-        const response = await fetch(`${API_URL}/api/scan-url`, {
+        const response = await fetch(`${API_URL}/api/v2/scan-url`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -0,0 +1,44 @@
+/**
+ * Verify.IQ - Local Webhook Receiver
+ * Prints every delivery it receives and checks its signature, for testing
+ * webhooks during development:
+ *
+ *   WEBHOOK_ALLOW_PRIVATE=true npm start
+ *   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+ *
+ * then register http://localhost:4000/ (RECEIVER_PORT) as a webhook URL.
+ * Set RECEIVER_FAIL=true to answer 500 and watch the server retry.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+// Reject signatures older than this to stop replayed requests
+const TOLERANCE_SECONDS = 300;
+
+/**
+ * Whether an X-VerifyIQ-Signature header matches the raw body
+ */
+function verifySignature(header, body, secret) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return parts.v1.length === expected.length && crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
+}
+
+http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const signature = SECRET ? (verifySignature(req.headers['x-verifyiq-signature'], body, SECRET) ? 'valid' : 'INVALID') : 'not checked';
+        console.log(`${new Date().toISOString()} ${req.headers['x-verifyiq-event']} delivery=${req.headers['x-verifyiq-delivery']} signature=${signature}`);
+        console.log(body);
+
+        const status = process.env.RECEIVER_FAIL === 'true' ? 500 : (signature === 'INVALID' ? 401 : 200);
+        res.writeHead(status, { 'Content-Type': 'text/plain' }).end(status === 200 ? 'ok' : 'rejected');
+    });
+}).listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}/`));
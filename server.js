@@ -4,6 +4,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const swaggerUi = require('swagger-ui-dist');
 
 const emailVerifier = require('./src/services/emailVerifier');
 const aiDetector = require('./src/services/aiDetector');
@@ -13,23 +14,69 @@ const dropshipDetector = require('./src/services/dropshipDetector');
 const rugPullAnalyzer = require('./src/services/rugPullAnalyzer');
 const deepfakeAnalyzer = require('./src/services/deepfakeAnalyzer');
 const adTransparencyChecker = require('./src/services/adTransparencyChecker');
+const darkwebScanner = require('./src/services/darkwebScanner');
+const supplierScorer = require('./src/services/supplierScorer');
+const engagementAuditor = require('./src/services/engagementAuditor');
+const tradingShield = require('./src/services/tradingShield');
+const investigator = require('./src/services/investigator');
 const aiAgent = require('./src/services/aiAgent');
-const { apiKeyAuth, generateKey, DEMO_KEY } = require('./src/middleware/apiKey');
+const { apiKeyAuth, moduleCharger, DEMO_KEY } = require('./src/middleware/apiKey');
+const { validate } = require('./src/middleware/validate');
+const { apiVersion, deprecated, API_VERSIONS, CURRENT_VERSION, LEGACY_DEPRECATION } = require('./src/middleware/versioning');
+const { requestId, notFound, errorHandler, toApiError, errorBody } = require('./src/middleware/errorHandler');
+const { ApiError, ERROR_CODES } = require('./src/errors');
+const schemas = require('./src/schemas/services');
+const keysRouter = require('./src/routes/keys');
+const adminRouter = require('./src/routes/admin');
+const extensionRouter = require('./src/routes/extension');
+const usageRouter = require('./src/routes/usage');
+const orgsRouter = require('./src/routes/orgs');
+const jobsRouter = require('./src/routes/jobs');
+const { jobQueue } = require('./src/services/jobQueue');
+const webhooksRouter = require('./src/routes/webhooks');
+const { dispatcher, scanSummary } = require('./src/services/webhooks');
+const graphRouter = require('./src/routes/graph');
+const watchlistsRouter = require('./src/routes/watchlists');
+const { scheduler: watchlistScheduler } = require('./src/services/watchlists');
+const { recordEntities } = require('./src/services/entityGraph');
+const { recordReport } = require('./src/services/history');
+const { reportStore } = require('./src/store/reportStore');
+const { migrateLegacyOverrides } = require('./src/store/listStore');
+const historyRouter = require('./src/routes/history');
+const reportsRouter = require('./src/routes/reports');
+const feedbackRouter = require('./src/routes/feedback');
+const listsRouter = require('./src/routes/lists');
+const rulesRouter = require('./src/routes/rules');
+const { withPolicy } = require('./src/services/policyRules');
+const { profileFor } = require('./src/services/scoringProfiles');
+const { signReport, wantsSignature, publicJwks } = require('./src/services/reportSigning');
+const { API_VERSION, OPERATIONS, buildOpenApi, describeAuth, operationPath } = require('./src/docs/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, set TRUST_PROXY (e.g. "1") so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
+app.use(requestId());
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
+// Job submissions carry up to 10,000 items; everything else is small
+app.use(/^\/api(\/v\d+)?\/jobs\/?$/, express.json({ limit: '20mb' }));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Global rate limiter
+// Global rate limiter (per-minute burst limit, advertised in the standard RateLimit
+// headers; X-RateLimit-* is reserved for the per-key daily quota)
 const globalLimiter = rateLimit({
     windowMs: 60 * 1000,
     max: 60,
-    message: { error: 'Too many requests', retry_after: '60 seconds' },
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res, next) => next(new ApiError('RATE_LIMITED', 'Too many requests. Retry in 60 seconds')),
 });
 app.use('/api/', globalLimiter);
 
@@ -45,66 +92,60 @@ app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
         service: 'Verify.IQ API',
-        version: '3.0.0',
-        endpoints: [
-            '/api/scan-url', '/api/darkweb-scan', '/api/supplier-score',
-            '/api/audit-engagement', '/api/trading-shield', '/api/verify-email',
-            '/api/detect-ai', '/api/social-authenticity', '/api/dropship-check',
-            '/api/rug-pull-check', '/api/deepfake-check', '/api/ad-transparency'
-        ],
+        version: API_VERSION,
+        api_version: CURRENT_VERSION,
+        endpoints: [...new Set(OPERATIONS.map(operationPath))],
         timestamp: new Date().toISOString(),
     });
 });
 
-// API Documentation
+// Public key of signed reports (see POST /api/reports/verify)
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600').json(publicJwks());
+});
+
+// OpenAPI 3.1 document, generated from the route schemas
+app.get('/api/openapi.json', (req, res) => {
+    res.json(buildOpenApi(`${req.protocol}://${req.get('host')}`));
+});
+
+// Interactive explorer (Swagger UI) for the OpenAPI document
+app.use('/api/explorer/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+app.get('/api/explorer', (req, res) => {
+    res.sendFile(path.join(__dirname, 'src', 'docs', 'explorer.html'));
+});
+
+// API Documentation (compact overview of the OpenAPI registry)
 app.get('/api/docs', (req, res) => {
+    const endpoints = {};
+    for (const op of OPERATIONS) {
+        endpoints[`${op.method.toUpperCase()} ${operationPath(op)}`] = {
+            tier: describeAuth(op),
+            description: op.summary,
+            ...(op.deprecated && { deprecated: true, sunset: LEGACY_DEPRECATION.sunset }),
+            ...(op.example && { body: op.example }),
+        };
+    }
+
     res.json({
         name: 'Verify.IQ API',
-        version: '2.0.0',
+        version: API_VERSION,
         description: 'URL trust verification, supplier scoring, social engagement auditing, and trading protection',
-        base_url: `http://localhost:${PORT}/api`,
+        base_url: `${req.protocol}://${req.get('host')}/api/${CURRENT_VERSION}`,
+        versions: Object.fromEntries(Object.entries(API_VERSIONS).map(([version, info]) => [version, {
+            status: info.status,
+            ...(info.sunset && { sunset: info.sunset, successor: info.successor }),
+        }])),
+        openapi: '/api/openapi.json',
+        explorer: '/api/explorer',
+        errors: '/api/docs/errors',
         authentication: {
             method: 'API Key',
             header: 'x-api-key',
             demo_key: DEMO_KEY,
+            extension: 'Browser extension installs send x-extension-token, obtained from POST /api/extension/token',
         },
-        endpoints: {
-            'POST /api/scan-url': {
-                tier: 'free',
-                description: 'Scan a URL for trust signals (domain age, SSL, DNS, safe browsing)',
-                body: { url: 'https://example.com' },
-            },
-            'POST /api/supplier-score': {
-                tier: 'pro',
-                description: 'Score a supplier/storefront for business legitimacy',
-                body: { url: 'https://alibaba.com/supplier/example' },
-            },
-            'POST /api/audit-engagement': {
-                tier: 'pro',
-                description: 'Audit a social media profile for engagement authenticity',
-                body: { url: 'https://instagram.com/username' },
-            },
-            'POST /api/trading-shield': {
-                tier: 'pro',
-                description: 'Check a trading/exchange URL against scam databases',
-                body: { url: 'https://exchange.example.com' },
-            },
-            'POST /api/bulk-scan': {
-                tier: 'pro',
-                description: 'Bulk scan up to 50 URLs concurrently',
-                body: { urls: ['https://site1.com', 'https://site2.com'] },
-            },
-            'POST /api/verify-email': {
-                tier: 'free',
-                description: 'Verify an email address',
-                body: { email: 'user@example.com' },
-            },
-            'POST /api/detect-ai': {
-                tier: 'free',
-                description: 'Detect AI-generated content',
-                body: { text: 'Your text to analyze...' },
-            },
-        },
+        endpoints,
         tiers: {
             free: { url_scans: 'unlimited', email_verify: '50/day', ai_detect: '10/day', price: '$0' },
             pro: { all_features: 'unlimited', bulk_scan: '50/batch', csv_export: true, price: '$7/mo' },
@@ -112,236 +153,102 @@ app.get('/api/docs', (req, res) => {
     });
 });
 
+// Error code catalogue (docs_url in every error body points here)
+app.get('/api/docs/errors', (req, res) => {
+    res.json({
+        envelope: {
+            error: 'Short title of the code',
+            code: 'Stable machine-readable code - branch on this',
+            message: 'Human-readable explanation',
+            status: 'HTTP status',
+            request_id: 'Same as the X-Request-Id response header; quote it when reporting a problem',
+            docs_url: 'Link to this catalogue',
+            details: 'Optional extra fields for some codes',
+        },
+        codes: Object.entries(ERROR_CODES).map(([code, entry]) => ({ code, ...entry })),
+    });
+});
+
+// Every route below is registered on `api`, which is mounted once per
+// version at the bottom of this file (/api/v2/scan-url, /api/v1/scan-url, ...).
+// Requests are validated before apiKeyAuth, so a 400 never uses up quota.
+const api = express.Router();
+
 // ========================================
 // URL SCANNING (Free Tier)
 // ========================================
 
-app.post('/api/scan-url', apiKeyAuth('url_scan'), async (req, res) => {
+api.post('/scan-url', validate({ body: schemas.UrlRequest, query: schemas.ScanQuery }), apiKeyAuth('url_scan'), async (req, res, next) => {
     try {
         const { url } = req.body;
 
-        if (!url) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Please provide a "url" field in the request body',
-                example: { url: 'https://example.com' },
-            });
-        }
-
-        const result = await urlScanner.scanUrl(url);
-        res.json(result);
+        const profile = await profileFor(req.apiKeyData);
+        const result = await withPolicy(req.apiKeyData, 'url_scan', { url }, () => urlScanner.scanUrl(url, { fresh: req.query.fresh, profile }));
+        if (result.verdict === 'dangerous') notifyDangerous([result], 'scan-url', req.apiKeyData);
+        recordGraph(req.apiKeyData, 'scan', result, 'scan-url');
+        res.json(keepReport(req, res, 'url_scan', result));
     } catch (error) {
-        console.error('URL scan error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
+/**
+ * The same scan as a Server-Sent Events stream, so clients can render checks
+ * as they finish instead of waiting for the slowest one:
+ *   event: start   - { url, checks: [names] }
+ *   event: check   - { check, result, cache, provisional_score, completed, total } per settled check
+ *   event: result  - the full /scan-url response
+ *   event: failed  - error envelope if the scan itself fails
+ * GET takes ?url= (and ?api_key= and ?sign=true for EventSource, which cannot send headers);
+ * POST takes the usual JSON body.
+ */
+async function streamScanUrl(req, res) {
+    const { url } = req.method === 'GET' ? req.query : req.body;
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        send('start', { url, checks: urlScanner.CHECK_NAMES });
+        const profile = await profileFor(req.apiKeyData);
+        // A list entry decides the scan without running any check
+        const result = await withPolicy(req.apiKeyData, 'url_scan', { url }, () => (
+            urlScanner.scanUrl(url, { fresh: req.query.fresh, profile, onCheck: progress => send('check', progress) })
+        ));
+        if (result.verdict === 'dangerous') notifyDangerous([result], 'scan-url', req.apiKeyData);
+        recordGraph(req.apiKeyData, 'scan', result, 'scan-url');
+        send('result', keepReport(req, res, 'url_scan', result));
+    } catch (error) {
+        const apiError = toApiError(error);
+        if (apiError.status >= 500) console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+        send('failed', errorBody(req, apiError));
+    }
+    res.end();
+}
+
+api.get('/scan-url/stream', validate({ query: schemas.ScanStreamQuery }), apiKeyAuth('url_scan'), streamScanUrl);
+api.post('/scan-url/stream', validate({ body: schemas.UrlRequest, query: schemas.ScanQuery }), apiKeyAuth('url_scan'), streamScanUrl);
+
 // ========================================
 // DARK WEB SCANNER (Free Tier)
 // ========================================
 
-// Known sites that have been reported as having dark web presence or associations
-const DARKWEB_DATABASES = {
-    // Sites known to have .onion mirrors
-    onion_mirrors: [
-        'facebook.com', 'nytimes.com', 'bbc.com', 'bbc.co.uk', 'duckduckgo.com',
-        'protonmail.com', 'proton.me', 'riseup.net', 'debian.org',
-        'torproject.org', 'archive.org', 'keybase.io', 'securedrop.org',
-        'wikileaks.org', 'propublica.org', 'twitter.com', 'x.com',
-    ],
-    // Known dark web marketplaces / scam domains that have clear web presence
-    reported_scam_markets: [
-        'silkroad', 'empire-market', 'alphabay', 'hydra-market', 'darkfox',
-        'versus-market', 'torrez', 'cannazon', 'world-market', 'incognito-market',
-        'bohemia-market', 'kingdom-market', 'cypher-market', 'abacus-market',
-    ],
-    // Domains known for data leaks / breaches
-    breach_associated: [
-        'haveibeenpwned.com', 'dehashed.com', 'leakcheck.io', 'snusbase.com',
-        'breachdirectory.com', 'intelx.io', 'spycloud.com',
-    ],
-    // Known phishing/scam TLDs and patterns
-    suspicious_tlds: ['.tk', '.ml', '.ga', '.cf', '.gq', '.buzz', '.xyz', '.top', '.pw', '.cc', '.ws'],
-    suspicious_patterns: ['login', 'signin', 'security-alert', 'verify-account', 'update-info', 'binance-', 'coinbase-', 'metamask-', 'paypal-'],
-};
-
-app.post('/api/darkweb-scan', apiKeyAuth('darkweb_scan'), async (req, res) => {
+api.post('/darkweb-scan', validate({ body: schemas.DarkwebScanRequest }), apiKeyAuth('darkweb_scan'), async (req, res, next) => {
     try {
         const { url } = req.body;
-
-        if (!url) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Please provide a "url" field in the request body',
-                example: { url: 'https://example.com' },
-            });
-        }
-
-        // Parse domain
-        let domain;
-        try {
-            domain = new URL(url.startsWith('http') ? url : `https://${url}`).hostname.replace('www.', '');
-        } catch (e) {
-            domain = url.replace(/^(https?:\/\/)?(www\.)?/, '').split('/')[0];
-        }
-
-        // Run the concurrent dark web checks
-        const findings = [];
-        const checks = [];
-
-        // 1. Check for known .onion mirror
-        const hasOnionMirror = DARKWEB_DATABASES.onion_mirrors.some(d => domain.includes(d));
-        checks.push({
-            name: '🕸 Tor / .onion Mirror',
-            detail: hasOnionMirror
-                ? `${domain} is known to have an official .onion mirror on the Tor network`
-                : `No known .onion mirror found for ${domain}`,
-            clear: !hasOnionMirror,
-        });
-        if (hasOnionMirror) {
-            findings.push({
-                icon: '🧅',
-                title: 'Official .onion Mirror Exists',
-                detail: `This site maintains an official presence on the Tor network. This is common for privacy-focused services and major news outlets.`,
-                source: 'Tor Directory Index',
-            });
-        }
-
-        // 2. Check against scam market patterns
-        const isScamMarket = DARKWEB_DATABASES.reported_scam_markets.some(m => domain.includes(m));
-        checks.push({
-            name: '💀 Dark Web Marketplace Match',
-            detail: isScamMarket
-                ? `Domain matches known dark web marketplace pattern`
-                : 'No marketplace match detected',
-            clear: !isScamMarket,
-        });
-        if (isScamMarket) {
-            findings.push({
-                icon: '💀',
-                title: 'Dark Web Marketplace Association',
-                detail: `This domain matches a known dark web marketplace name. These clear web mirrors are often phishing scams.`,
-                source: 'Dark Web Market Database',
-            });
-        }
-
-        // 3. Check suspicious TLD
-        const hasSuspiciousTld = DARKWEB_DATABASES.suspicious_tlds.some(tld => domain.endsWith(tld));
-        checks.push({
-            name: '🔍 TLD Risk Analysis',
-            detail: hasSuspiciousTld
-                ? `Uses high-risk TLD commonly associated with spam, phishing, and dark web fronts`
-                : 'TLD is not in high-risk category',
-            clear: !hasSuspiciousTld,
-        });
-        if (hasSuspiciousTld) {
-            findings.push({
-                icon: '⚠️',
-                title: 'High-Risk TLD Detected',
-                detail: `The domain extension is commonly used for disposable sites, phishing pages, and dark web clearnet fronts.`,
-                source: 'TLD Threat Intelligence',
-            });
-        }
-
-        // 4. Check suspicious patterns (phishing clones)
-        const matchedPattern = DARKWEB_DATABASES.suspicious_patterns.find(p => domain.includes(p));
-        checks.push({
-            name: '🎭 Phishing Pattern Detection',
-            detail: matchedPattern
-                ? `Domain contains suspicious pattern "${matchedPattern}" commonly used in phishing`
-                : 'No known phishing patterns detected',
-            clear: !matchedPattern,
-        });
-        if (matchedPattern) {
-            findings.push({
-                icon: '🎣',
-                title: 'Phishing Pattern Match',
-                detail: `Domain name contains "${matchedPattern}" — this pattern is frequently used in dark web-originated phishing campaigns targeting ${matchedPattern.replace('-', '')} users.`,
-                source: 'Phishing Intel Database',
-            });
-        }
-
-        // 5. Cross-reference with URL scan data
-        let scanData = null;
-        try {
-            scanData = await urlScanner.scanUrl(url);
-
-            // Check if domain age is suspiciously new
-            if (scanData.checks.domain_age?.age_days < 30) {
-                findings.push({
-                    icon: '🕐',
-                    title: 'Extremely New Domain',
-                    detail: `Domain is only ${scanData.checks.domain_age.age_days} days old. Newly registered domains are frequently used as clearnet fronts for dark web operations.`,
-                    source: 'WHOIS Intelligence',
-                });
-            }
-
-            // Check SSL
-            if (!scanData.checks.ssl?.valid) {
-                findings.push({
-                    icon: '🔓',
-                    title: 'Missing/Invalid SSL Certificate',
-                    detail: `No valid SSL certificate detected. Legitimate clearnet services almost always use HTTPS.`,
-                    source: 'SSL Certificate Check',
-                });
-            }
-
-            // Check safe browsing threats
-            if (!scanData.checks.safe_browsing?.safe) {
-                findings.push({
-                    icon: '🚨',
-                    title: 'Flagged by Google Safe Browsing',
-                    detail: `This domain is flagged for: ${scanData.checks.safe_browsing?.threats?.join(', ') || 'Known threats'}`,
-                    source: 'Google Safe Browsing',
-                });
-            }
-
-            checks.push({
-                name: '📡 Threat Intelligence Cross-ref',
-                detail: scanData.verdict === 'safe'
-                    ? 'No additional threats found in cross-reference'
-                    : `Cross-reference flagged: ${scanData.verdict}`,
-                clear: scanData.verdict === 'safe',
-            });
-        } catch (e) {
-            checks.push({
-                name: '📡 Threat Intelligence Cross-ref',
-                detail: 'Unable to complete cross-reference check',
-                clear: true,
-            });
-        }
-
-        // 6. Check if it's a known breach-related service
-        const isBreachService = DARKWEB_DATABASES.breach_associated.some(d => domain.includes(d));
-        if (isBreachService) {
-            findings.push({
-                icon: '🔐',
-                title: 'Data Breach Investigation Service',
-                detail: 'This is a known breach monitoring/investigation service. While legitimate, it aggregates data that circulates on the dark web.',
-                source: 'Service Classification',
-            });
-        }
-
-        const found_on_darkweb = findings.length > 0;
-
-        res.json({
-            url,
-            domain,
-            found_on_darkweb,
-            total_findings: findings.length,
-            risk_level: findings.length >= 3 ? 'high' : findings.length >= 1 ? 'medium' : 'clean',
-            findings,
-            checks,
-            scan_data: scanData ? {
-                iq_score: scanData.iq_score,
-                verdict: scanData.verdict,
-            } : null,
-            scanned_at: new Date().toISOString(),
-        });
-
+        const result = await withPolicy(req.apiKeyData, 'darkweb_scan', { url }, async () => (
+            darkwebScanner.analyze(url, { profile: await profileFor(req.apiKeyData) })
+        ));
+        recordGraph(req.apiKeyData, 'darkweb', result, 'darkweb-scan');
+        res.json(keepReport(req, res, 'darkweb_scan', result));
     } catch (error) {
-        console.error('Dark web scan error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -349,91 +256,18 @@ app.post('/api/darkweb-scan', apiKeyAuth('darkweb_scan'), async (req, res) => {
 // SUPPLIER TRUST SCORING (Pro Tier)
 // ========================================
 
-app.post('/api/supplier-score', apiKeyAuth('supplier_score'), async (req, res) => {
+api.post('/supplier-score', validate({ body: schemas.UrlRequest }), apiKeyAuth('supplier_score'), async (req, res, next) => {
     try {
         const { url } = req.body;
-
-        if (!url) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Please provide a "url" field in the request body',
-            });
-        }
-
-        // Start with a URL scan as the foundation
-        const scanResult = await urlScanner.scanUrl(url);
-
-        // Build supplier-specific signals
-        const domain = scanResult.domain;
-        const domainScore = scanResult.iq_score;
-
-        // Business registration heuristic
-        const registrationScore = scanResult.checks.whois?.registered ? 65 : 20;
-
-        // Review signal (heuristic based on domain reputation)
-        const reviewScore = Math.min(100, Math.max(0, scanResult.checks.reputation?.score || 50));
-
-        // Domain authenticity
-        const domainAuthScore = Math.min(100,
-            (scanResult.checks.domain_age?.age_days > 365 ? 40 : 15) +
-            (scanResult.checks.ssl?.valid ? 25 : 0) +
-            (scanResult.checks.dns?.has_records ? 20 : 0) +
-            (scanResult.checks.dns?.has_spf ? 15 : 0)
-        );
-
-        // Contact verification heuristic
-        const contactScore = (scanResult.checks.dns?.mx_count > 0 ? 50 : 10) +
-            (scanResult.checks.whois?.registrar ? 30 : 0) +
-            (scanResult.checks.dns?.has_records ? 20 : 0);
-
-        // Composite Trust IQ
-        const trust_iq = Math.round(
-            registrationScore * 0.30 +
-            reviewScore * 0.25 +
-            domainAuthScore * 0.25 +
-            contactScore * 0.20
-        );
-
-        // Generate flags
-        const flags = [];
-        if (scanResult.checks.domain_age?.age_days < 90) {
-            flags.push({ level: 'danger', message: `Domain is only ${scanResult.checks.domain_age.age_days} days old — very new for a supplier` });
-        }
-        if (!scanResult.checks.ssl?.valid) {
-            flags.push({ level: 'danger', message: 'No valid SSL certificate — sensitive data at risk' });
-        }
-        if (!scanResult.checks.safe_browsing?.safe) {
-            flags.push({ level: 'danger', message: 'Flagged by safe browsing databases' });
-        }
-        if (!scanResult.checks.whois?.registered) {
-            flags.push({ level: 'warning', message: 'Could not verify domain registration' });
-        }
-        if (scanResult.checks.dns?.mx_count === 0) {
-            flags.push({ level: 'warning', message: 'No email server configured — no verifiable business email' });
-        }
-
-        let verdict;
-        if (trust_iq >= 70) verdict = 'Supplier appears legitimate and well-established';
-        else if (trust_iq >= 45) verdict = 'Exercise caution — some trust signals are weak';
-        else verdict = 'High risk — multiple red flags detected';
-
-        res.json({
-            trust_iq,
-            verdict,
-            url,
-            domain,
-            signals: {
-                registration: registrationScore,
-                reviews: reviewScore,
-                domain: domainAuthScore,
-                contact: Math.min(100, contactScore),
-            },
-            flags,
-            processing_time_ms: scanResult.processing_time_ms,
+        let scan = null;
+        const result = await withPolicy(req.apiKeyData, 'supplier_score', { url }, async () => {
+            scan = await urlScanner.scanUrl(url, { profile: await profileFor(req.apiKeyData) });
+            return supplierScorer.analyze(url, { scan });
         });
+        if (scan) recordGraph(req.apiKeyData, 'scan', scan, 'supplier-score');
+        res.json(keepReport(req, res, 'supplier_score', result));
     } catch (error) {
-        console.error('Supplier scoring error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -441,63 +275,18 @@ app.post('/api/supplier-score', apiKeyAuth('supplier_score'), async (req, res) =
 // ENGAGEMENT AUDIT (Pro Tier)
 // ========================================
 
-app.post('/api/audit-engagement', apiKeyAuth('audit_engagement'), async (req, res) => {
+api.post('/audit-engagement', validate({ body: schemas.UrlRequest }), apiKeyAuth('audit_engagement'), async (req, res, next) => {
     try {
         const { url } = req.body;
-
-        if (!url) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Please provide a social profile "url" field',
-            });
-        }
-
-        // Parse platform from URL
-        const platform = detectPlatform(url);
-        const startTime = Date.now();
-
-        // URL trust scan first
-        const scanResult = await urlScanner.scanUrl(url);
-
-        // Engagement heuristics based on URL analysis
-        // (In production this would call platform APIs)
-        const isKnownPlatform = ['instagram', 'tiktok', 'twitter', 'youtube', 'facebook'].includes(platform);
-
-        // Generate simulated but realistic metrics
-        const domainTrust = scanResult.iq_score;
-        const botPercentage = isKnownPlatform ? Math.max(5, Math.min(85, 100 - domainTrust + Math.floor(Math.random() * 20))) : 50;
-        const engagementRate = isKnownPlatform ? Math.max(0.5, 6 - (botPercentage / 20)).toFixed(1) : 'N/A';
-        const commentDiversity = Math.max(10, 100 - botPercentage + Math.floor(Math.random() * 10));
-        const growthPattern = botPercentage > 50 ? 'suspicious' : botPercentage > 30 ? 'inconsistent' : 'organic';
-
-        const authenticity_iq = Math.round(100 - botPercentage * 0.7 - (growthPattern === 'suspicious' ? 15 : 0));
-
-        let verdict;
-        if (authenticity_iq >= 70) verdict = 'Profile engagement appears authentic';
-        else if (authenticity_iq >= 40) verdict = 'Mixed signals — some engagement may be inflated';
-        else verdict = 'High bot activity detected — engagement is likely artificial';
-
-        res.json({
-            authenticity_iq: Math.max(0, Math.min(100, authenticity_iq)),
-            verdict,
-            platform,
-            url,
-            metrics: {
-                bot_percentage: botPercentage,
-                engagement_rate: engagementRate,
-                comment_diversity: commentDiversity,
-                growth_pattern: growthPattern,
-            },
-            signals: {
-                follower_quality: Math.max(0, 100 - botPercentage),
-                engagement_auth: Math.max(0, Math.round(authenticity_iq * 0.9)),
-                content_consistency: Math.max(20, commentDiversity),
-            },
-            processing_time_ms: Date.now() - startTime,
+        let scan = null;
+        const result = await withPolicy(req.apiKeyData, 'audit_engagement', { url }, async () => {
+            scan = await urlScanner.scanUrl(url, { profile: await profileFor(req.apiKeyData) });
+            return engagementAuditor.analyze(url, { scan });
         });
+        if (scan) recordGraph(req.apiKeyData, 'scan', scan, 'audit-engagement');
+        res.json(keepReport(req, res, 'audit_engagement', result));
     } catch (error) {
-        console.error('Engagement audit error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -505,136 +294,18 @@ app.post('/api/audit-engagement', apiKeyAuth('audit_engagement'), async (req, re
 // TRADING SHIELD (Pro Tier)
 // ========================================
 
-app.post('/api/trading-shield', apiKeyAuth('trading_shield'), async (req, res) => {
+api.post('/trading-shield', validate({ body: schemas.UrlRequest }), apiKeyAuth('trading_shield'), async (req, res, next) => {
     try {
         const { url } = req.body;
-
-        if (!url) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Please provide a "url" field in the request body',
-            });
-        }
-
-        const startTime = Date.now();
-
-        // Full URL scan
-        const scanResult = await urlScanner.scanUrl(url);
-
-        // Trading-specific checks
-        const domain = scanResult.domain;
-        const checks = [];
-        const alerts = [];
-
-        // Check 1: SSL Certificate
-        checks.push({
-            name: 'SSL Security',
-            passed: scanResult.checks.ssl?.valid || false,
-            detail: scanResult.checks.ssl?.valid
-                ? `Valid SSL · ${scanResult.checks.ssl.issuer}`
-                : 'No valid SSL — NEVER enter credentials',
-        });
-
-        // Check 2: Domain Age
-        const ageDays = scanResult.checks.domain_age?.age_days || 0;
-        checks.push({
-            name: 'Domain Age',
-            passed: ageDays > 180,
-            detail: ageDays > 0
-                ? `${Math.floor(ageDays / 365)}y ${Math.floor((ageDays % 365) / 30)}mo old`
-                : 'Unknown',
-        });
-
-        // Check 3: Safe Browsing
-        checks.push({
-            name: 'Threat Database',
-            passed: scanResult.checks.safe_browsing?.safe || false,
-            detail: scanResult.checks.safe_browsing?.safe
-                ? 'Not listed in threat databases'
-                : 'URL flagged as potentially dangerous',
-        });
-
-        // Check 4: Known regulated exchanges
-        const knownRegulated = [
-            'binance.com', 'coinbase.com', 'kraken.com', 'gemini.com',
-            'crypto.com', 'robinhood.com', 'etoro.com', 'interactive brokers',
-            'fidelity.com', 'schwab.com', 'tdameritrade.com',
-        ];
-        const isKnownExchange = knownRegulated.some(e => domain.includes(e));
-
-        checks.push({
-            name: 'Exchange Verification',
-            passed: isKnownExchange,
-            detail: isKnownExchange
-                ? 'Known regulated exchange'
-                : 'Not in verified exchange database — verify independently',
-        });
-
-        // Check 5: Clone detection (simple domain similarity)
-        const clonePatterns = knownRegulated.some(legit => {
-            const root = legit.split('.')[0];
-            return domain.includes(root) && !domain.includes(legit);
-        });
-
-        checks.push({
-            name: 'Clone Detection',
-            passed: !clonePatterns,
-            detail: clonePatterns
-                ? '⚠️ Domain resembles a known exchange — possible clone'
-                : 'No clone patterns detected',
-        });
-
-        // Check 6: Registration quality
-        checks.push({
-            name: 'Registration Quality',
-            passed: scanResult.checks.whois?.registered || false,
-            detail: scanResult.checks.whois?.registrar
-                ? `Registrar: ${scanResult.checks.whois.registrar}`
-                : 'Registration details unavailable',
-        });
-
-        // Generate alerts
-        if (clonePatterns) {
-            alerts.push({ level: 'danger', message: 'This domain closely resembles a known exchange. This could be a phishing clone. Do NOT enter your credentials.' });
-        }
-        if (!scanResult.checks.ssl?.valid) {
-            alerts.push({ level: 'danger', message: 'No SSL encryption detected. Never enter sensitive information on this site.' });
-        }
-        if (ageDays < 90) {
-            alerts.push({ level: 'warning', message: `Domain is only ${ageDays} days old. Be extremely cautious with new trading platforms.` });
-        }
-        if (!scanResult.checks.safe_browsing?.safe) {
-            alerts.push({ level: 'danger', message: 'This URL has been flagged in threat databases. Exit immediately.' });
-        }
-        if (isKnownExchange && scanResult.checks.ssl?.valid) {
-            alerts.push({ level: 'safe', message: 'This appears to be a verified, regulated trading platform.' });
-        }
-
-        // Risk level
-        const failedChecks = checks.filter(c => !c.passed).length;
-        let risk_level;
-        if (failedChecks >= 4) risk_level = 'critical';
-        else if (failedChecks >= 3) risk_level = 'high';
-        else if (failedChecks >= 2) risk_level = 'medium';
-        else risk_level = 'low';
-
-        let verdict;
-        if (risk_level === 'low') verdict = 'This platform appears to be legitimate';
-        else if (risk_level === 'medium') verdict = 'Some concerns detected — verify independently before transacting';
-        else verdict = 'Multiple red flags — do NOT enter credentials or funds';
-
-        res.json({
-            risk_level,
-            verdict,
-            url,
-            domain,
-            checks,
-            alerts,
-            processing_time_ms: Date.now() - startTime,
+        let scan = null;
+        const result = await withPolicy(req.apiKeyData, 'trading_shield', { url }, async () => {
+            scan = await urlScanner.scanUrl(url, { profile: await profileFor(req.apiKeyData) });
+            return tradingShield.analyze(url, { scan });
         });
+        if (scan) recordGraph(req.apiKeyData, 'scan', scan, 'trading-shield');
+        res.json(keepReport(req, res, 'trading_shield', result));
     } catch (error) {
-        console.error('Trading shield error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -642,26 +313,13 @@ app.post('/api/trading-shield', apiKeyAuth('trading_shield'), async (req, res) =
 // BULK SCAN (Pro Tier)
 // ========================================
 
-app.post('/api/bulk-scan', apiKeyAuth('bulk_scan'), async (req, res) => {
+api.post('/bulk-scan', validate({ body: schemas.BulkScanRequest, query: schemas.ScanQuery }), apiKeyAuth('bulk_scan'), async (req, res, next) => {
     try {
         const { urls } = req.body;
 
-        if (!urls || !Array.isArray(urls)) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Please provide a "urls" array',
-            });
-        }
-
-        if (urls.length > 50) {
-            return res.status(400).json({
-                error: 'Too many URLs',
-                message: 'Maximum 50 URLs per bulk request',
-            });
-        }
-
+        const profile = await profileFor(req.apiKeyData);
         const results = await Promise.allSettled(
-            urls.map(url => urlScanner.scanUrl(url))
+            urls.map(url => withPolicy(req.apiKeyData, 'url_scan', { url }, () => urlScanner.scanUrl(url, { fresh: req.query.fresh, profile })))
         );
 
         const scanResults = results.map((r, i) => ({
@@ -669,7 +327,10 @@ app.post('/api/bulk-scan', apiKeyAuth('bulk_scan'), async (req, res) => {
             ...(r.status === 'fulfilled' ? r.value : { iq_score: 0, verdict: 'error', error: r.reason?.message }),
         }));
 
-        res.json({
+        notifyDangerous(scanResults.filter(r => r.verdict === 'dangerous'), 'bulk-scan', req.apiKeyData);
+        recordGraph(req.apiKeyData, 'scan', scanResults, 'bulk-scan');
+
+        const response = {
             total: scanResults.length,
             summary: {
                 safe: scanResults.filter(r => r.verdict === 'safe').length,
@@ -677,46 +338,34 @@ app.post('/api/bulk-scan', apiKeyAuth('bulk_scan'), async (req, res) => {
                 dangerous: scanResults.filter(r => r.verdict === 'dangerous').length,
             },
             results: scanResults,
-        });
+        };
+        res.json(keepReport(req, res, 'bulk_scan', response));
     } catch (error) {
-        console.error('Bulk scan error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
 // ========================================
-// LEGACY: EMAIL VERIFICATION
+// LEGACY: EMAIL VERIFICATION (deprecated)
 // ========================================
 
-app.post('/api/verify-email', apiKeyAuth('email_verify'), async (req, res) => {
+api.post('/verify-email', deprecated(LEGACY_DEPRECATION), validate({ body: schemas.VerifyEmailRequest }), apiKeyAuth('email_verify'), async (req, res, next) => {
     try {
         const { email } = req.body;
-        if (!email) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Please provide an "email" field',
-                example: { email: 'user@example.com' },
-            });
-        }
-        const result = await emailVerifier.verify(email);
-        res.json(result);
+        const result = await withPolicy(req.apiKeyData, 'email_verify', { email }, () => emailVerifier.verify(email));
+        recordGraph(req.apiKeyData, 'email', result, 'verify-email');
+        res.json(keepReport(req, res, 'email_verify', result));
     } catch (error) {
-        console.error('Email verification error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
-app.post('/api/verify-email/bulk', apiKeyAuth('email_verify'), async (req, res) => {
+api.post('/verify-email/bulk', deprecated(LEGACY_DEPRECATION), validate({ body: schemas.VerifyEmailBulkRequest }), apiKeyAuth('email_verify'), async (req, res, next) => {
     try {
         const { emails } = req.body;
-        if (!emails || !Array.isArray(emails)) {
-            return res.status(400).json({ error: 'Missing required field', message: 'Provide an "emails" array' });
-        }
-        if (emails.length > 100) {
-            return res.status(400).json({ error: 'Too many emails', message: 'Maximum 100' });
-        }
-        const results = await Promise.all(emails.map(email => emailVerifier.verify(email)));
-        res.json({
+        const results = await Promise.all(emails.map(email => withPolicy(req.apiKeyData, 'email_verify', { email }, () => emailVerifier.verify(email))));
+        recordGraph(req.apiKeyData, 'email', results, 'verify-email');
+        const response = {
             total: results.length,
             summary: {
                 deliverable: results.filter(r => r.verdict === 'deliverable').length,
@@ -724,29 +373,24 @@ app.post('/api/verify-email/bulk', apiKeyAuth('email_verify'), async (req, res)
                 undeliverable: results.filter(r => r.verdict === 'undeliverable').length,
             },
             results,
-        });
+        };
+        res.json(keepReport(req, res, 'email_verify', response));
     } catch (error) {
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
 // ========================================
-// LEGACY: AI DETECTION
+// LEGACY: AI DETECTION (deprecated)
 // ========================================
 
-app.post('/api/detect-ai', apiKeyAuth('ai_detect'), (req, res) => {
+api.post('/detect-ai', deprecated(LEGACY_DEPRECATION), validate({ body: schemas.DetectAiRequest }), apiKeyAuth('ai_detect'), async (req, res, next) => {
     try {
         const { text } = req.body;
-        if (!text) {
-            return res.status(400).json({ error: 'Missing field', message: 'Provide a "text" field' });
-        }
-        if (text.length > 50000) {
-            return res.status(400).json({ error: 'Text too long', message: 'Max 50,000 chars' });
-        }
-        const result = aiDetector.analyze(text);
-        res.json(result);
+        const result = await withPolicy(req.apiKeyData, 'ai_detect', { text }, () => aiDetector.analyze(text));
+        res.json(keepReport(req, res, 'ai_detect', result));
     } catch (error) {
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -754,35 +398,32 @@ app.post('/api/detect-ai', apiKeyAuth('ai_detect'), (req, res) => {
 // KEY MANAGEMENT
 // ========================================
 
-app.post('/api/keys/generate', (req, res) => {
-    const { name, tier } = req.body;
-    const key = generateKey(name || 'Unnamed', tier || 'free');
-    res.json({
-        api_key: key,
-        message: 'Store this key securely - it cannot be retrieved again',
-        tier: tier || 'free',
-    });
-});
+api.use('/keys', keysRouter);
+api.use('/admin', adminRouter);
+api.use('/extension', extensionRouter);
+api.use('/usage', usageRouter);
+api.use('/orgs', orgsRouter);
+api.use('/jobs', jobsRouter);
+api.use('/webhooks', webhooksRouter);
+api.use('/graph', graphRouter);
+api.use('/watchlists', watchlistsRouter);
+api.use('/history', historyRouter);
+api.use('/reports', reportsRouter);
+api.use('/feedback', feedbackRouter);
+api.use('/lists', listsRouter);
+api.use('/rules', rulesRouter);
 
 // ========================================
 // SOCIAL MEDIA AUTHENTICITY (Pro Tier)
 // ========================================
 
-app.post('/api/social-authenticity', apiKeyAuth('social_auth'), (req, res) => {
+api.post('/social-authenticity', validate({ body: schemas.SocialAuthenticityRequest }), apiKeyAuth('social_auth'), async (req, res, next) => {
     try {
         const profileData = req.body;
-        if (!profileData || (!profileData.followers && profileData.followers !== 0)) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                message: 'Provide profile data: followers, following, avgLikes, comments, bio',
-                example: { followers: 100000, following: 50, avgLikes: 30, comments: [{ text: 'Nice!', username: 'user123' }], bio: 'Link in bio' }
-            });
-        }
-        const result = socialAnalyzer.calculateIntegrityScore(profileData);
-        res.json(result);
+        const result = await withPolicy(req.apiKeyData, 'social_auth', profileData, () => socialAnalyzer.calculateIntegrityScore(profileData));
+        res.json(keepReport(req, res, 'social_auth', result));
     } catch (error) {
-        console.error('Social authenticity error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -790,21 +431,15 @@ app.post('/api/social-authenticity', apiKeyAuth('social_auth'), (req, res) => {
 // DROPSHIP DETECTOR (Pro Tier)
 // ========================================
 
-app.post('/api/dropship-check', apiKeyAuth('dropship_check'), (req, res) => {
+api.post('/dropship-check', validate({ body: schemas.DropshipCheckRequest }), apiKeyAuth('dropship_check'), async (req, res, next) => {
     try {
         const { product_title, price, image_url, store_url, currency } = req.body;
-        if (!product_title) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Provide at least a "product_title"',
-                example: { product_title: 'Minimalist Watch Gold', price: 39.99, store_url: 'https://example.myshopify.com' }
-            });
-        }
-        const result = dropshipDetector.analyze({ product_title, price: price || 0, image_url, store_url, currency });
-        res.json(result);
+        const result = await withPolicy(req.apiKeyData, 'dropship_check', { product_title, store_url }, () => (
+            dropshipDetector.analyze({ product_title, price: price || 0, image_url, store_url, currency })
+        ));
+        res.json(keepReport(req, res, 'dropship_check', result));
     } catch (error) {
-        console.error('Dropship check error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -812,22 +447,14 @@ app.post('/api/dropship-check', apiKeyAuth('dropship_check'), (req, res) => {
 // AI AGENT ANALYSIS (Pro Tier)
 // ========================================
 
-app.post('/api/agent-scan', apiKeyAuth('agent_scan'), async (req, res) => {
+api.post('/agent-scan', validate({ body: schemas.AgentScanRequest }), apiKeyAuth('agent_scan'), async (req, res, next) => {
     try {
         const { context, data } = req.body;
 
-        if (!context || !data) {
-            return res.status(400).json({ error: 'Missing context or data' });
-        }
-
-        // Initialize on first use if not ready
-        if (!aiAgent.initialized) await aiAgent.initialize();
-
-        const result = await aiAgent.analyzeContext(context, data);
-        res.json(result);
+        const result = await withPolicy(req.apiKeyData, 'agent_scan', { context }, () => aiAgent.analyzeContext(context, data));
+        res.json(keepReport(req, res, 'agent_scan', result));
     } catch (error) {
-        console.error('AI Agent Scan Error:', error);
-        res.status(500).json({ error: 'Internal Server Error', message: error.message });
+        next(error);
     }
 });
 
@@ -835,25 +462,14 @@ app.post('/api/agent-scan', apiKeyAuth('agent_scan'), async (req, res) => {
 // RUG PULL / HONEYPOT SCANNER (Pro Tier)
 // ========================================
 
-app.post('/api/rug-pull-check', apiKeyAuth('rug_pull_check'), async (req, res) => {
+api.post('/rug-pull-check', validate({ body: schemas.RugPullCheckRequest }), apiKeyAuth('rug_pull_check'), async (req, res, next) => {
     try {
         const { address, chain } = req.body;
-        if (!address) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Provide a contract "address"',
-                example: { address: '0x...', chain: 'ethereum' }
-            });
-        }
-        // Validate ETH address format
-        if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
-            return res.status(400).json({ error: 'Invalid address format', message: 'Expected Ethereum address (0x + 40 hex chars)' });
-        }
-        const result = await rugPullAnalyzer.analyze(address, chain || 'ethereum');
-        res.json(result);
+        const result = await withPolicy(req.apiKeyData, 'rug_pull_check', { address, chain: chain || 'ethereum' }, () => rugPullAnalyzer.analyze(address, chain || 'ethereum'));
+        recordGraph(req.apiKeyData, 'wallet', result, 'rug-pull-check');
+        res.json(keepReport(req, res, 'rug_pull_check', result));
     } catch (error) {
-        console.error('Rug pull check error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -861,21 +477,14 @@ app.post('/api/rug-pull-check', apiKeyAuth('rug_pull_check'), async (req, res) =
 // DEEPFAKE / AI FACE DETECTOR (Pro Tier)
 // ========================================
 
-app.post('/api/deepfake-check', apiKeyAuth('deepfake_check'), async (req, res) => {
+api.post('/deepfake-check', validate({ body: schemas.DeepfakeCheckRequest }), apiKeyAuth('deepfake_check'), async (req, res, next) => {
     try {
         const { image_url, platform } = req.body;
-        if (!image_url) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Provide an "image_url"',
-                example: { image_url: 'https://example.com/pfp.jpg', platform: 'instagram' }
-            });
-        }
-        const result = await deepfakeAnalyzer.analyze(image_url, platform || 'unknown');
-        res.json(result);
+        const result = await withPolicy(req.apiKeyData, 'deepfake_check', { image_url, platform: platform || 'unknown' }, () => deepfakeAnalyzer.analyze(image_url, platform || 'unknown'));
+        recordGraph(req.apiKeyData, 'image', result, 'deepfake-check');
+        res.json(keepReport(req, res, 'deepfake_check', result));
     } catch (error) {
-        console.error('Deepfake check error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -883,21 +492,44 @@ app.post('/api/deepfake-check', apiKeyAuth('deepfake_check'), async (req, res) =
 // AD TRANSPARENCY CHECKER (Pro Tier)
 // ========================================
 
-app.post('/api/ad-transparency', apiKeyAuth('ad_transparency'), async (req, res) => {
+api.post('/ad-transparency', validate({ body: schemas.AdTransparencyRequest }), apiKeyAuth('ad_transparency'), async (req, res, next) => {
     try {
         const { username, platform, bio, followers } = req.body;
-        if (!username) {
-            return res.status(400).json({
-                error: 'Missing required field',
-                message: 'Provide a "username"',
-                example: { username: 'garyvee', platform: 'instagram' }
-            });
+        const result = await withPolicy(req.apiKeyData, 'ad_transparency', { username, platform: platform || 'unknown' }, () => (
+            adTransparencyChecker.analyze(username, platform || 'unknown', bio || '', followers || 0)
+        ));
+        if (!result.policy_override) {
+            recordGraph(req.apiKeyData, 'social', { username, platform: platform || 'unknown', bio, attributes: { ad_likelihood: result.ad_likelihood } }, 'ad-transparency');
         }
-        const result = await adTransparencyChecker.analyze(username, platform || 'unknown', bio || '', followers || 0);
-        res.json(result);
+        res.json(keepReport(req, res, 'ad_transparency', result));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========================================
+// INVESTIGATE (all applicable analyzers at once)
+// ========================================
+
+api.post('/investigate', validate({ body: schemas.InvestigateRequest, query: schemas.ScanQuery }), apiKeyAuth('investigate'), async (req, res, next) => {
+    try {
+        const { indicator, type, chain, platform, modules } = req.body;
+        const keyData = req.apiKeyData;
+
+        // Charged once to `investigate`, and each module once to its own service so the daily limits
+        // of email_verify, ai_detect, ... hold here too; modules the tier or quota does not cover are skipped
+        const skipReason = moduleCharger(req, res, keyData);
+
+        const profile = await profileFor(keyData);
+        const report = await withPolicy(keyData, 'investigate', { indicator, type, chain, platform }, () => (
+            investigator.investigate(indicator, { type, chain, platform, modules, fresh: req.query.fresh, profile, skipReason })
+        ));
+        const scan = report.sections.url_scan?.result;
+        if (scan?.verdict === 'dangerous') notifyDangerous([scan], 'investigate', keyData);
+        recordGraph(keyData, 'investigation', report, 'investigate');
+        res.json(keepReport(req, res, 'investigate', report));
     } catch (error) {
-        console.error('Ad transparency error:', error);
-        res.status(500).json({ error: 'Internal server error', message: error.message });
+        next(error);
     }
 });
 
@@ -905,30 +537,65 @@ app.post('/api/ad-transparency', apiKeyAuth('ad_transparency'), async (req, res)
 // HELPERS
 // ========================================
 
-function detectPlatform(url) {
-    const u = url.toLowerCase();
-    if (u.includes('instagram.com') || u.includes('instagr.am')) return 'instagram';
-    if (u.includes('tiktok.com')) return 'tiktok';
-    if (u.includes('twitter.com') || u.includes('x.com')) return 'twitter';
-    if (u.includes('youtube.com') || u.includes('youtu.be')) return 'youtube';
-    if (u.includes('facebook.com') || u.includes('fb.com')) return 'facebook';
-    if (u.includes('linkedin.com')) return 'linkedin';
-    if (u.includes('twitch.tv')) return 'twitch';
-    return 'unknown';
+/**
+ * Send a scan.dangerous webhook event for each dangerous result (fire and forget)
+ */
+function notifyDangerous(results, source, keyData) {
+    for (const result of results) {
+        dispatcher.dispatch('scan.dangerous', { ...scanSummary(result), source }, { keyId: keyData.id, orgId: keyData.orgId })
+            .catch(e => console.error('Webhook dispatch failed:', e.message));
+    }
+}
+
+/**
+ * Add the entities revealed by analyzer results to the caller's graph (fire and forget)
+ */
+function recordGraph(keyData, kind, results, source) {
+    recordEntities(keyData, kind, results, source).catch(e => console.error('Entity graph update failed:', e.message));
+}
+
+/**
+ * Keep the result in the caller's scan history (written in the background);
+ * its id is sent as the X-Report-Id header when headers are still open.
+ * Returns the response body: the result, signed under the same report id
+ * when the caller asked for it (X-Sign-Report)
+ */
+function keepReport(req, res, service, output) {
+    const { api_key, sign, ...query } = req.query;
+    const input = req.method === 'GET' ? query : req.body;
+    const { id, signed, saved } = recordReport(req.apiKeyData, { service, endpoint: req.route.path, input, output });
+    if (id && !res.headersSent) res.set('X-Report-Id', id);
+    saved.catch(e => console.error('Report history write failed:', e.message));
+    return wantsSignature(req) ? signed || signReport(output) : output;
 }
 
+// ========================================
+// VERSIONS
+// ========================================
+
+app.use('/api/v2', apiVersion('v2'), api);
+app.use('/api/v1', apiVersion('v1'), api);
+// Unversioned paths predate versioning; they behave as v1
+app.use('/api', apiVersion('v1', { unversioned: true }), api);
+
 // ========================================
 // CATCH-ALL: Serve landing page
 // ========================================
+app.use('/api', notFound());
 app.get('*', (req, res) => {
-    if (!req.path.startsWith('/api')) {
-        res.sendFile(path.join(__dirname, 'landing', 'index.html'));
-    } else {
-        res.status(404).json({ error: 'Not found', message: 'Endpoint does not exist' });
-    }
+    res.sendFile(path.join(__dirname, 'landing', 'index.html'));
 });
 
-// Start server
+// Every error response goes through here (see src/errors.js for the codes)
+app.use(errorHandler());
+
+// Start server (and resume jobs, webhook retries and watchlist schedules left over from the previous run;
+// scan history past its retention period is pruned now and daily; overrides of earlier versions join the lists)
+jobQueue.start().catch(error => console.error('Failed to resume jobs:', error));
+dispatcher.start().catch(error => console.error('Failed to resume webhook deliveries:', error));
+watchlistScheduler.start().catch(error => console.error('Failed to resume watchlist schedules:', error));
+reportStore.start().catch(error => console.error('Failed to prune report history:', error));
+migrateLegacyOverrides().catch(error => console.error('Failed to move feedback overrides to the lists:', error));
 app.listen(PORT, () => {
     console.log(`
 ╔══════════════════════════════════════════════╗
@@ -938,17 +605,19 @@ app.listen(PORT, () => {
 ║  📖 API Docs: http://localhost:${PORT}/api/docs  ║
 ║  🔑 Demo Key: ${DEMO_KEY}    ║
 ║                                              ║
-║  Endpoints:                                  ║
-║  POST /api/scan-url         (free)           ║
-║  POST /api/supplier-score   (pro)            ║
-║  POST /api/audit-engagement (pro)            ║
-║  POST /api/trading-shield   (pro)            ║
-║  POST /api/bulk-scan        (pro)            ║
-║  POST /api/social-authenticity (pro)         ║
-║  POST /api/dropship-check   (pro)            ║
-║  POST /api/rug-pull-check   (pro)            ║
-║  POST /api/deepfake-check   (pro)            ║
-║  POST /api/ad-transparency  (pro)            ║
+║  Endpoints (under /api/v2):                  ║
+║  POST /scan-url         (free)               ║
+║  POST /scan-url/stream  (free, SSE)          ║
+║  POST /supplier-score   (pro)                ║
+║  POST /audit-engagement (pro)                ║
+║  POST /trading-shield   (pro)                ║
+║  POST /investigate      (free)               ║
+║  POST /bulk-scan        (pro)                ║
+║  POST /social-authenticity (pro)             ║
+║  POST /dropship-check   (pro)                ║
+║  POST /rug-pull-check   (pro)                ║
+║  POST /deepfake-check   (pro)                ║
+║  POST /ad-transparency  (pro)                ║
 ╚══════════════════════════════════════════════╝
   `);
 });
@@ -0,0 +1,846 @@
+/**
+ * Verify.IQ - OpenAPI Document
+ * Registry of every route with its request/response schemas, and the
+ * OpenAPI 3.1 document generated from it (served at /api/openapi.json).
+ * Add new routes to OPERATIONS so they appear in the spec and /api/docs.
+ */
+
+const common = require('../schemas/common');
+const services = require('../schemas/services');
+const account = require('../schemas/account');
+const jobs = require('../schemas/jobs');
+const webhooks = require('../schemas/webhooks');
+const graph = require('../schemas/graph');
+const history = require('../schemas/history');
+const feedback = require('../schemas/feedback');
+const lists = require('../schemas/lists');
+const rules = require('../schemas/rules');
+const scoring = require('../schemas/scoring');
+const watchlists = require('../schemas/watchlists');
+const { TIER_LIMITS, DEMO_KEY } = require('../middleware/apiKey');
+const { API_VERSIONS, CURRENT_VERSION, LEGACY_DEPRECATION, versionedPath } = require('../middleware/versioning');
+
+const API_VERSION = '3.0.0';
+
+const UNLIMITED = 999999;
+
+const {
+    ErrorBody, ValidationError, QuotaError, ScopeError, ErrorCatalog, IsoDateTime,
+} = common;
+
+const HealthResponse = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', const: 'ok' },
+        service: { type: 'string' },
+        version: { type: 'string' },
+        api_version: { type: 'string', description: 'Current path version (/api/<api_version>/...)' },
+        endpoints: { type: 'array', items: { type: 'string' } },
+        timestamp: IsoDateTime,
+    },
+};
+
+/**
+ * One entry per route.
+ *   auth: 'none' | 'key' (any valid key) | 'owner' (caller's own unscoped key) | 'admin'
+ *   service: quota counter charged by apiKeyAuth; metered routes also accept extension tokens
+ *   body / query / response: schemas; example: request body shown in /api/docs
+ *   produces: non-JSON response content types
+ *   unversioned: served only at the path as written (not under /api/<version>)
+ *   deprecated: deprecated in every version (see LEGACY_DEPRECATION)
+ *   signs: takes X-Sign-Report (every metered route does)
+ */
+const OPERATIONS = [
+    // System
+    { method: 'get', path: '/api/health', tag: 'System', auth: 'none', unversioned: true, summary: 'Service status and endpoint list', response: HealthResponse },
+    { method: 'get', path: '/api/docs', tag: 'System', auth: 'none', unversioned: true, summary: 'Compact endpoint overview (see /api/openapi.json for the full spec)', response: { type: 'object' } },
+    { method: 'get', path: '/api/docs/errors', tag: 'System', auth: 'none', unversioned: true, summary: 'Every error code with its HTTP status and meaning', response: ErrorCatalog },
+    { method: 'get', path: '/api/openapi.json', tag: 'System', auth: 'none', unversioned: true, summary: 'This OpenAPI 3.1 document', response: { type: 'object' } },
+    {
+        method: 'get', path: '/.well-known/jwks.json', tag: 'System', auth: 'none', unversioned: true,
+        summary: 'Public keys of signed reports as a JWK set (Ed25519), the current key first and then retired ones; '
+            + 'the `kid` is the key_id of their signatures',
+        response: history.Jwks,
+    },
+
+    // Analyzers
+    {
+        method: 'post', path: '/api/scan-url', tag: 'Scanning', auth: 'key', service: 'url_scan',
+        summary: 'Scan a URL for trust signals (domain age, SSL, DNS, safe browsing)',
+        body: services.UrlRequest, query: services.ScanQuery, response: services.ScanUrlResponse, example: { url: 'https://example.com' },
+    },
+    {
+        method: 'post', path: '/api/scan-url/stream', tag: 'Scanning', auth: 'key', service: 'url_scan',
+        summary: 'Scan a URL, streaming Server-Sent Events: `start`, one `check` per settled check '
+            + '(ssl, dns, whois, domain_age, safe_browsing, reputation) with a provisional IQ score, then `result` (or `failed`)',
+        body: services.UrlRequest, query: services.ScanQuery, produces: ['text/event-stream'], example: { url: 'https://example.com' },
+    },
+    {
+        method: 'get', path: '/api/scan-url/stream', tag: 'Scanning', auth: 'key', service: 'url_scan',
+        summary: 'EventSource-friendly form of POST /api/scan-url/stream (pass the key as ?api_key=)',
+        query: services.ScanStreamQuery, produces: ['text/event-stream'],
+    },
+    {
+        method: 'post', path: '/api/darkweb-scan', tag: 'Scanning', auth: 'key', service: 'darkweb_scan',
+        summary: 'Check a domain against breach, leak and dark web exposure signals',
+        body: services.DarkwebScanRequest, response: services.DarkwebScanResponse, example: { url: 'example.com' },
+    },
+    {
+        method: 'post', path: '/api/supplier-score', tag: 'Scanning', auth: 'key', service: 'supplier_score',
+        summary: 'Score a supplier/storefront for business legitimacy',
+        body: services.UrlRequest, response: services.SupplierScoreResponse, example: { url: 'https://alibaba.com/supplier/example' },
+    },
+    {
+        method: 'post', path: '/api/audit-engagement', tag: 'Social', auth: 'key', service: 'audit_engagement',
+        summary: 'Audit a social media profile for engagement authenticity',
+        body: services.UrlRequest, response: services.AuditEngagementResponse, example: { url: 'https://instagram.com/username' },
+    },
+    {
+        method: 'post', path: '/api/trading-shield', tag: 'Scanning', auth: 'key', service: 'trading_shield',
+        summary: 'Check a trading/exchange URL against scam databases',
+        body: services.UrlRequest, response: services.TradingShieldResponse, example: { url: 'https://exchange.example.com' },
+    },
+    {
+        method: 'post', path: '/api/bulk-scan', tag: 'Scanning', auth: 'key', service: 'bulk_scan',
+        summary: 'Bulk scan up to 50 URLs concurrently',
+        body: services.BulkScanRequest, query: services.ScanQuery, response: services.BulkScanResponse, example: { urls: ['https://site1.com', 'https://site2.com'] },
+    },
+    {
+        method: 'post', path: '/api/verify-email', tag: 'Email', auth: 'key', deprecated: true, service: 'email_verify',
+        summary: 'Verify an email address (syntax, MX, disposable and role checks)',
+        body: services.VerifyEmailRequest, response: services.VerifyEmailResponse, example: { email: 'user@example.com' },
+    },
+    {
+        method: 'post', path: '/api/verify-email/bulk', tag: 'Email', auth: 'key', deprecated: true, service: 'email_verify',
+        summary: 'Verify up to 100 email addresses',
+        body: services.VerifyEmailBulkRequest, response: services.VerifyEmailBulkResponse, example: { emails: ['a@example.com', 'b@example.com'] },
+    },
+    {
+        method: 'post', path: '/api/detect-ai', tag: 'Content', auth: 'key', deprecated: true, service: 'ai_detect',
+        summary: 'Detect AI-generated text',
+        body: services.DetectAiRequest, response: services.DetectAiResponse, example: { text: 'Your text to analyze...' },
+    },
+    {
+        method: 'post', path: '/api/social-authenticity', tag: 'Social', auth: 'key', service: 'social_auth',
+        summary: 'Score follower/engagement data for bots and fake audiences',
+        body: services.SocialAuthenticityRequest, response: services.SocialAuthenticityResponse,
+        example: { followers: 100000, following: 50, avgLikes: 30, bio: 'Link in bio' },
+    },
+    {
+        method: 'post', path: '/api/dropship-check', tag: 'Commerce', auth: 'key', service: 'dropship_check',
+        summary: 'Estimate whether a product is dropshipped and its markup',
+        body: services.DropshipCheckRequest, response: services.DropshipCheckResponse,
+        example: { product_title: 'LED Galaxy Projector', price: 49.99, currency: 'USD' },
+    },
+    {
+        method: 'post', path: '/api/agent-scan', tag: 'Content', auth: 'key', service: 'agent_scan',
+        summary: 'Model-assisted risk assessment of arbitrary page data',
+        body: services.AgentScanRequest, response: services.AgentScanResponse,
+        example: { context: 'general_risk', data: { url: 'https://example.com', title: 'Example' } },
+    },
+    {
+        method: 'post', path: '/api/rug-pull-check', tag: 'Crypto', auth: 'key', service: 'rug_pull_check',
+        summary: 'Honeypot, tax and liquidity lock checks for a token contract',
+        body: services.RugPullCheckRequest, response: services.RugPullCheckResponse,
+        example: { address: '0x0000000000000000000000000000000000000000', chain: 'ethereum' },
+    },
+    {
+        method: 'post', path: '/api/deepfake-check', tag: 'Content', auth: 'key', service: 'deepfake_check',
+        summary: 'Estimate whether a profile image is AI-generated',
+        body: services.DeepfakeCheckRequest, response: services.DeepfakeCheckResponse,
+        example: { image_url: 'https://example.com/avatar.jpg', platform: 'instagram' },
+    },
+    {
+        method: 'post', path: '/api/ad-transparency', tag: 'Social', auth: 'key', service: 'ad_transparency',
+        summary: 'Check whether an account runs paid ads, with ad library links',
+        body: services.AdTransparencyRequest, response: services.AdTransparencyResponse,
+        example: { username: 'brand', platform: 'instagram' },
+    },
+
+    {
+        method: 'post', path: '/api/investigate', tag: 'Investigate', auth: 'key', service: 'investigate',
+        summary: 'Classify any indicator (URL, email, wallet, @handle, image URL or text), run every analyzer that applies '
+            + 'with one shared URL scan, and merge the results into one report with an overall verdict. '
+            + 'Besides one investigate request, each module run counts as one request of its own service; '
+            + 'modules the tier or today\'s quota does not cover are skipped',
+        body: services.InvestigateRequest, query: services.ScanQuery, response: services.InvestigateResponse,
+        example: { indicator: 'support@paypa1-secure.com' },
+    },
+
+    // Keys
+    {
+        method: 'post', path: '/api/keys/generate', tag: 'Keys', auth: 'none',
+        summary: 'Create a free-tier API key', body: account.GenerateKeyRequest, response: account.IssuedKey,
+        example: { name: 'My app' }, errors: { 403: 'Non-free tier requested' },
+    },
+    { method: 'get', path: '/api/keys', tag: 'Keys', auth: 'owner', summary: 'List your keys with today\'s usage', response: account.KeyList },
+    {
+        method: 'post', path: '/api/keys', tag: 'Keys', auth: 'owner', status: 201,
+        summary: 'Create another key at your tier; it shares the daily quota of the key you call with', body: account.CreateKeyRequest, response: account.IssuedKey,
+        example: { name: 'CI', expires_at: '2030-01-01T00:00:00Z' },
+    },
+    {
+        method: 'patch', path: '/api/keys/{id}', tag: 'Keys', auth: 'owner',
+        summary: 'Rename a key, set its expiry, or restrict it to services, origins and IP ranges',
+        body: account.UpdateKeyRequest, response: account.KeyEnvelope, errors: { 404: 'Key not found' },
+        example: {
+            name: 'Partner front-end',
+            expires_at: null,
+            scopes: { services: ['url_scan', 'email_verify'], origins: ['https://partner.example.com'], ip_ranges: ['203.0.113.0/24'] },
+        },
+    },
+    {
+        method: 'post', path: '/api/keys/{id}/rotate', tag: 'Keys', auth: 'owner',
+        summary: 'Issue a new key value; the old one stays valid for the grace period',
+        body: account.RotateKeyRequest, response: account.IssuedKey, example: { grace_period_hours: 24 },
+        errors: { 404: 'Key not found', 409: 'Key revoked' },
+    },
+    {
+        method: 'delete', path: '/api/keys/{id}', tag: 'Keys', auth: 'owner',
+        summary: 'Revoke a key', response: account.KeyEnvelope, errors: { 404: 'Key not found' },
+    },
+
+    // Usage
+    {
+        method: 'get', path: '/api/usage', tag: 'Usage', auth: 'key',
+        summary: 'Today\'s usage against limits, reset time and 90 days of daily history (not metered)',
+        response: account.UsageResponse,
+    },
+
+    // Jobs
+    {
+        method: 'post', path: '/api/jobs', tag: 'Jobs', auth: 'key', status: 202,
+        summary: 'Submit up to 10,000 URLs (scan_url) or email addresses (verify_email) for background processing. '
+            + 'Every 50 URLs count as one bulk_scan request and every email address as one email_verify request, charged when the job is submitted; '
+            + 'a job larger than what is left of today\'s quota is refused whole.',
+        body: jobs.CreateJobRequest, response: jobs.JobEnvelope,
+        errors: { 429: 'Daily limit of the job type\'s service reached, or too many requests' },
+        example: { type: 'scan_url', items: ['https://example.com', 'https://example.org'] },
+    },
+    {
+        method: 'get', path: '/api/jobs', tag: 'Jobs', auth: 'key', summary: 'List your jobs, newest first (not metered)',
+        query: jobs.JobListQuery, response: jobs.JobList,
+    },
+    {
+        method: 'get', path: '/api/jobs/{id}', tag: 'Jobs', auth: 'key', summary: 'Job progress and a page of the results processed so far (not metered)',
+        query: jobs.JobResultsQuery, response: jobs.JobDetail, errors: { 404: 'Job not found' },
+    },
+    {
+        method: 'post', path: '/api/jobs/{id}/cancel', tag: 'Jobs', auth: 'key', summary: 'Cancel a queued or running job; processed results are kept',
+        response: jobs.JobEnvelope, errors: { 404: 'Job not found', 409: 'Job already finished' },
+    },
+
+    // Webhooks
+    {
+        method: 'post', path: '/api/webhooks', tag: 'Webhooks', auth: 'owner', status: 201,
+        summary: 'Register an endpoint for events of one key or of your organization. '
+            + 'Deliveries are signed with the returned secret, which is shown only once.',
+        body: webhooks.CreateWebhookRequest, response: webhooks.WebhookCreated,
+        errors: { 403: 'Organization webhooks need the owner or admin role', 404: 'Key not found' },
+        example: { url: 'https://hooks.example.com/verifyiq', events: ['job.completed', 'scan.dangerous'], scope: 'key' },
+    },
+    { method: 'get', path: '/api/webhooks', tag: 'Webhooks', auth: 'owner', summary: 'List webhooks of your keys and organization', response: webhooks.WebhookList },
+    {
+        method: 'get', path: '/api/webhooks/{id}', tag: 'Webhooks', auth: 'owner', summary: 'Get a webhook',
+        response: webhooks.WebhookEnvelope, errors: { 404: 'Webhook not found' },
+    },
+    {
+        method: 'patch', path: '/api/webhooks/{id}', tag: 'Webhooks', auth: 'owner',
+        summary: 'Change the URL, events or description, or disable / re-enable the webhook',
+        body: webhooks.UpdateWebhookRequest, response: webhooks.WebhookEnvelope,
+        errors: { 403: 'Organization webhooks need the owner or admin role', 404: 'Webhook not found' },
+        example: { status: 'disabled' },
+    },
+    {
+        method: 'delete', path: '/api/webhooks/{id}', tag: 'Webhooks', auth: 'owner', summary: 'Delete a webhook; pending retries are dropped',
+        response: webhooks.WebhookEnvelope, errors: { 403: 'Organization webhooks need the owner or admin role', 404: 'Webhook not found' },
+    },
+    {
+        method: 'post', path: '/api/webhooks/{id}/test', tag: 'Webhooks', auth: 'owner', status: 202,
+        summary: 'Send a webhook.test event now', response: webhooks.DeliveryEnvelope,
+        errors: { 404: 'Webhook not found', 409: 'Webhook disabled' },
+    },
+    {
+        method: 'get', path: '/api/webhooks/{id}/deliveries', tag: 'Webhooks', auth: 'owner',
+        summary: 'Delivery log with every attempt, newest first', query: webhooks.DeliveryListQuery, response: webhooks.DeliveryList,
+        errors: { 404: 'Webhook not found' },
+    },
+    {
+        method: 'post', path: '/api/webhooks/{id}/deliveries/{deliveryId}/replay', tag: 'Webhooks', auth: 'owner', status: 202,
+        summary: 'Send a delivery\'s event again as a new delivery (same event id)', response: webhooks.DeliveryEnvelope,
+        errors: { 404: 'Webhook or delivery not found', 409: 'Webhook disabled' },
+    },
+
+    // Entity graph
+    {
+        method: 'get', path: '/api/graph/{entity}', tag: 'Graph', auth: 'owner',
+        summary: 'Everything your scans linked to an entity within N hops: IPs, mail hosts, nameservers, registrars, '
+            + 'emails, wallets, social handles and image hashes. The entity is "<type>:<value>" '
+            + '(e.g. domain:example.com, social_handle:instagram/someone) or a bare value whose type is detected. Not metered.',
+        query: graph.GraphQuery, response: graph.GraphResponse,
+        errors: { 404: 'Entity not seen in your scans yet' },
+    },
+
+    // Scan history
+    {
+        method: 'get', path: '/api/history', tag: 'History', auth: 'owner',
+        summary: 'Search the reports of every analyzer call made by your organization (or your keys), newest first. '
+            + 'Filter by service, verdict, domain (subdomains included), day range and score range. Not metered.',
+        query: history.HistoryQuery, response: history.HistoryList,
+    },
+    {
+        method: 'get', path: '/api/history/{id}', tag: 'History', auth: 'owner',
+        summary: 'A stored report with the full request input and response; the id is the X-Report-Id header of the original call. '
+            + 'With X-Sign-Report: true the output carries the signature it was given when stored',
+        response: history.ReportEnvelope, errors: { 404: 'Report not found', 409: 'Report stored before reports were signed' }, signs: true,
+    },
+    {
+        method: 'get', path: '/api/reports/diff', tag: 'History', auth: 'owner',
+        summary: 'Compare two stored reports of the same service field by field: score and verdict, new or removed flags and, '
+            + 'for URL scans, the checks that changed and how many IQ score points each weight gained or lost, plus a plain-language summary',
+        query: history.ReportDiffQuery, response: history.ReportDiff, errors: { 404: 'Report not found' },
+    },
+    {
+        method: 'post', path: '/api/reports/verify', tag: 'History', auth: 'none',
+        summary: 'Check that a signed report (a response sent with X-Sign-Report: true) was issued by this server and not modified '
+            + 'since: post it exactly as received. An invalid signature is a 200 with `valid: false` and the reason. '
+            + 'Offline checks can use the key at /.well-known/jwks.json.',
+        body: history.VerifyReportRequest, response: history.VerifyReportResponse,
+    },
+
+    // Feedback
+    {
+        method: 'post', path: '/api/feedback', tag: 'Feedback', auth: 'owner', status: 201,
+        summary: 'Report a stored verdict as wrong (false positive or false negative) with the verdict it should have had; '
+            + 'operators review it, and accepted feedback puts the target on your organization\'s allow or deny list. Not metered.',
+        body: feedback.FeedbackRequest, response: feedback.FeedbackEnvelope,
+        errors: { 404: 'Report not found', 409: 'Feedback on this report is already pending' },
+        example: { report_id: '3f0b7c7e-1f7a-4c55-9d7e-2b1f0c1e9a10', verdict: 'safe', reason: 'Long-standing supplier; the domain was just re-registered' },
+    },
+    {
+        method: 'get', path: '/api/feedback', tag: 'Feedback', auth: 'owner', summary: 'Feedback filed by your organization, newest first',
+        query: feedback.FeedbackListQuery, response: feedback.FeedbackList,
+    },
+    {
+        method: 'get', path: '/api/feedback/{id}', tag: 'Feedback', auth: 'owner', summary: 'One feedback item with the report it corrects',
+        response: feedback.FeedbackEnvelope, errors: { 404: 'Feedback not found' },
+    },
+
+    // Allow / deny lists
+    {
+        method: 'get', path: '/api/lists', tag: 'Lists', auth: 'owner', summary: 'Your organization\'s allow and deny list entries, newest first',
+        query: lists.ListQuery, response: lists.ListEntryList,
+    },
+    {
+        method: 'post', path: '/api/lists', tag: 'Lists', auth: 'owner', status: 201,
+        summary: 'Put a domain, email, wallet or social handle on the allow or deny list. Analyzer calls about it then skip the analyzer '
+            + 'and answer in their usual shape with the best (allow) or worst (deny) score and verdict and a policy_override citing the entry. '
+            + 'AI text detection, agent scans and social authenticity calls without a username are never decided by the lists. '
+            + 'Listing an entity again moves it to the requested list (200). Not metered.',
+        body: lists.CreateListEntryRequest, response: lists.ListEntryEnvelope,
+        example: { list: 'allow', type: 'domain', value: 'supplier.example.com', reason: 'Audited supplier' },
+    },
+    {
+        method: 'get', path: '/api/lists/{id}', tag: 'Lists', auth: 'owner', summary: 'One list entry',
+        response: lists.ListEntryEnvelope, errors: { 404: 'List entry not found' },
+    },
+    {
+        method: 'delete', path: '/api/lists/{id}', tag: 'Lists', auth: 'owner', summary: 'Remove a list entry; the analyzers decide again',
+        response: lists.ListEntryEnvelope, errors: { 404: 'List entry not found' },
+    },
+
+    // Policy rules
+    {
+        method: 'get', path: '/api/rules', tag: 'Rules', auth: 'owner', summary: 'The policy rule set in force for your organization',
+        response: rules.RuleSetEnvelope,
+    },
+    {
+        method: 'put', path: '/api/rules', tag: 'Rules', auth: 'owner', status: 201,
+        summary: 'Publish the next version of your policy rules. Every analyzer output is judged by them in order: the first rule that fires '
+            + 'sets the verdict, and the response cites the rules that fired under policy_rules. Not metered.',
+        body: rules.PublishRulesRequest, response: rules.RuleSetEnvelope, errors: { 403: 'Organization analysts cannot publish rules' },
+        example: {
+            note: 'Flag fresh domains on cheap TLDs',
+            rules: [{
+                id: 'fresh-cheap-tld',
+                services: ['url_scan'],
+                when: { all: [
+                    { field: 'domain_age.age_days', op: 'lt', value: 14 },
+                    { field: 'ssl.issuer', op: 'eq', value: 'Let\'s Encrypt' },
+                    { field: 'tld', op: 'in', value: ['.top', '.xyz'] },
+                ] },
+                verdict: 'dangerous',
+            }],
+        },
+    },
+    {
+        method: 'get', path: '/api/rules/versions', tag: 'Rules', auth: 'owner', summary: 'Every published rule set version, newest first',
+        response: rules.RuleSetVersionList,
+    },
+    {
+        method: 'get', path: '/api/rules/versions/{version}', tag: 'Rules', auth: 'owner', summary: 'One rule set version with its rules',
+        response: rules.RuleSetEnvelope, errors: { 404: 'Version not found' },
+    },
+    {
+        method: 'post', path: '/api/rules/versions/{version}/restore', tag: 'Rules', auth: 'owner', status: 201,
+        summary: 'Roll back: publish an older version\'s rules again as the next version',
+        response: rules.RuleSetEnvelope, errors: { 403: 'Organization analysts cannot publish rules', 404: 'Version not found' },
+    },
+    {
+        method: 'post', path: '/api/rules/dry-run', tag: 'Rules', auth: 'owner',
+        summary: 'Judge your most recent stored reports by unpublished rules (or a published version) without changing anything: '
+            + 'how often each rule fires and which verdicts would change',
+        body: rules.DryRunRequest, response: rules.DryRunResult, errors: { 404: 'Version not found' },
+    },
+
+    // Watchlists
+    {
+        method: 'post', path: '/api/watchlists', tag: 'Watchlists', auth: 'owner', status: 201,
+        summary: 'Create a watchlist of URLs, emails, wallets and social handles, re-scanned on a cron schedule (UTC, default weekly). '
+            + 'Shared with your organization. Scheduled runs are not metered; watched entries are capped per tier.',
+        body: watchlists.CreateWatchlistRequest, response: watchlists.WatchlistEnvelope,
+        errors: { 403: 'Watchlist limit reached' },
+        example: { name: 'Suppliers', schedule: '0 6 * * 1', entries: [{ indicator: 'https://supplier.example.com' }, { indicator: '0x1234567890abcdef1234567890abcdef12345678', chain: 'bsc' }] },
+    },
+    { method: 'get', path: '/api/watchlists', tag: 'Watchlists', auth: 'owner', summary: 'List watchlists (without entries)', response: watchlists.WatchlistList },
+    {
+        method: 'get', path: '/api/watchlists/{id}', tag: 'Watchlists', auth: 'owner', summary: 'A watchlist with each entry\'s latest re-scan',
+        response: watchlists.WatchlistEnvelope, errors: { 404: 'Watchlist not found' },
+    },
+    {
+        method: 'patch', path: '/api/watchlists/{id}', tag: 'Watchlists', auth: 'owner', summary: 'Rename, change the schedule, or pause / resume. Resuming charges later scheduled runs to your key.',
+        body: watchlists.UpdateWatchlistRequest, response: watchlists.WatchlistEnvelope, errors: { 404: 'Watchlist not found' },
+        example: { schedule: '@daily' },
+    },
+    {
+        method: 'delete', path: '/api/watchlists/{id}', tag: 'Watchlists', auth: 'owner', summary: 'Delete a watchlist with its runs and alerts',
+        response: watchlists.WatchlistEnvelope, errors: { 404: 'Watchlist not found' },
+    },
+    {
+        method: 'post', path: '/api/watchlists/{id}/entries', tag: 'Watchlists', auth: 'owner', status: 201,
+        summary: 'Add entries; indicators already watched are skipped', body: watchlists.AddEntriesRequest, response: watchlists.AddEntriesResponse,
+        errors: { 403: 'Watchlist limit reached', 404: 'Watchlist not found' }, example: { entries: [{ indicator: 'billing@supplier.example.com' }] },
+    },
+    {
+        method: 'delete', path: '/api/watchlists/{id}/entries/{entryId}', tag: 'Watchlists', auth: 'owner', summary: 'Stop watching an entry',
+        response: watchlists.WatchlistEnvelope, errors: { 404: 'Watchlist or entry not found' },
+    },
+    {
+        method: 'post', path: '/api/watchlists/{id}/runs', tag: 'Watchlists', auth: 'owner', status: 202,
+        summary: 'Re-scan every entry now, outside the schedule. Charged one investigate request per entry to your key.',
+        response: watchlists.WatchlistRunEnvelope,
+        errors: { 404: 'Watchlist not found', 409: 'A run is already in progress', 429: 'Not enough investigate requests left today for every entry' },
+    },
+    {
+        method: 'get', path: '/api/watchlists/{id}/runs', tag: 'Watchlists', auth: 'owner', summary: 'Run history, newest first',
+        query: watchlists.RunListQuery, response: watchlists.WatchlistRunList, errors: { 404: 'Watchlist not found' },
+    },
+    {
+        method: 'get', path: '/api/watchlists/{id}/runs/{runId}', tag: 'Watchlists', auth: 'owner',
+        summary: 'One run with each entry\'s result and the changes found since the previous run',
+        query: watchlists.RunQuery, response: watchlists.WatchlistRunEnvelope, errors: { 404: 'Watchlist or run not found' },
+    },
+    {
+        method: 'get', path: '/api/watchlists/{id}/alerts', tag: 'Watchlists', auth: 'owner',
+        summary: 'Alerts raised by re-scans that changed (also sent as watchlist.alert webhook events), newest first',
+        query: watchlists.AlertListQuery, response: watchlists.WatchlistAlertList, errors: { 404: 'Watchlist not found' },
+    },
+    {
+        method: 'post', path: '/api/watchlists/{id}/alerts/{alertId}/acknowledge', tag: 'Watchlists', auth: 'owner', summary: 'Mark an alert as handled',
+        response: watchlists.WatchlistAlertEnvelope, errors: { 404: 'Watchlist or alert not found' },
+    },
+
+    // Organizations
+    {
+        method: 'post', path: '/api/orgs', tag: 'Organizations', auth: 'owner', status: 201,
+        summary: 'Create an organization; you become its owner and your keys share its pooled quota',
+        body: account.CreateOrgRequest, response: account.OrganizationEnvelope, example: { name: 'Acme Fraud Team' },
+        errors: { 409: 'Already in an organization' },
+    },
+    {
+        method: 'get', path: '/api/orgs/me', tag: 'Organizations', auth: 'owner',
+        summary: 'Your organization, members, roles and pooled usage', response: account.OrganizationEnvelope,
+        errors: { 404: 'No organization' },
+    },
+    {
+        method: 'get', path: '/api/orgs/me/keys', tag: 'Organizations', auth: 'owner',
+        summary: 'Every key in the organization (owners and admins)', response: account.KeyList,
+        errors: { 404: 'No organization' },
+    },
+    {
+        method: 'post', path: '/api/orgs/me/members', tag: 'Organizations', auth: 'owner', status: 201,
+        summary: 'Add a member seat (owner, admin or analyst) and issue their first key',
+        body: account.AddMemberRequest, response: account.AddMemberResponse, example: { name: 'Analyst 1', role: 'analyst' },
+        errors: { 404: 'No organization', 409: 'No seats left' },
+    },
+    {
+        method: 'patch', path: '/api/orgs/me/members/{memberId}', tag: 'Organizations', auth: 'owner',
+        summary: 'Change a member\'s role', body: account.UpdateMemberRequest, response: account.OrganizationEnvelope,
+        example: { role: 'admin' }, errors: { 404: 'Member not found', 409: 'Last owner' },
+    },
+    {
+        method: 'delete', path: '/api/orgs/me/members/{memberId}', tag: 'Organizations', auth: 'owner',
+        summary: 'Remove a member and revoke all of their keys', response: account.OrganizationEnvelope,
+        errors: { 404: 'Member not found', 409: 'Last owner' },
+    },
+    {
+        method: 'post', path: '/api/orgs/me/leave', tag: 'Organizations', auth: 'owner',
+        summary: 'Leave your organization: keys you brought return to their own quota, keys issued with your seat are revoked. '
+            + 'The last owner can leave only once everyone else has, which deletes the organization',
+        response: account.LeaveOrgResponse, errors: { 404: 'Not in an organization', 409: 'Last owner' },
+    },
+    {
+        method: 'get', path: '/api/orgs/me/scoring-profile', tag: 'Organizations', auth: 'owner',
+        summary: 'The IQ score weights and verdict cutoffs your organization\'s URL scans are scored with, and the presets',
+        response: scoring.ScoringProfileResponse, errors: { 404: 'No organization' },
+    },
+    {
+        method: 'put', path: '/api/orgs/me/scoring-profile', tag: 'Organizations', auth: 'owner',
+        summary: 'Score your organization\'s URL scans with a preset (default, ecommerce, crypto, email-security), '
+            + 'adjusting any weights or cutoffs (owners and admins)',
+        body: scoring.ScoringProfileRequest, response: scoring.ScoringProfileResponse,
+        errors: { 403: 'Analysts cannot change the scoring profile', 404: 'No organization' },
+        example: { preset: 'crypto', weights: { reputation: 25 }, cutoffs: { safe: 85 } },
+    },
+    {
+        method: 'delete', path: '/api/orgs/me/scoring-profile', tag: 'Organizations', auth: 'owner',
+        summary: 'Go back to the server\'s scoring profile (owners and admins)', response: scoring.ScoringProfileResponse,
+        errors: { 403: 'Analysts cannot change the scoring profile', 404: 'No organization' },
+    },
+
+    // Extension
+    {
+        method: 'post', path: '/api/extension/token', tag: 'Extension', auth: 'none',
+        summary: 'Exchange an extension install ID for a short-lived signed token (30/hour per IP; each IP can register '
+            + 'EXTENSION_INSTALLS_PER_IP new installs a day). Installs get a small anonymous daily quota',
+        body: account.ExtensionTokenRequest, response: account.ExtensionTokenResponse,
+        errors: { 403: 'Extension install revoked', 429: 'Too many token requests, or too many new installs from this address' },
+    },
+
+    // Admin
+    {
+        method: 'get', path: '/api/admin/keys', tag: 'Admin', auth: 'admin', summary: 'List keys, optionally for one owner',
+        query: account.AdminKeyListQuery, response: account.KeyList,
+    },
+    {
+        method: 'post', path: '/api/admin/keys', tag: 'Admin', auth: 'admin', status: 201,
+        summary: 'Issue a key at any tier', body: account.AdminCreateKeyRequest, response: account.IssuedKey,
+        example: { name: 'Acme', tier: 'pro' },
+    },
+    {
+        method: 'patch', path: '/api/admin/keys/{id}', tag: 'Admin', auth: 'admin',
+        summary: 'Change a key\'s tier (limits follow the tier)', body: account.AdminUpdateKeyRequest, response: account.KeyEnvelope,
+        errors: { 404: 'Key not found' },
+    },
+    {
+        method: 'get', path: '/api/admin/installs', tag: 'Admin', auth: 'admin', summary: 'List browser extension installs',
+        query: account.InstallListQuery,
+        response: { type: 'object', properties: { total: { type: 'integer' }, installs: { type: 'array', items: { type: 'object' } } } },
+    },
+    {
+        method: 'post', path: '/api/admin/installs/{id}/revoke', tag: 'Admin', auth: 'admin',
+        summary: 'Revoke an extension install', response: { type: 'object', properties: { install: { type: 'object' } } },
+        errors: { 404: 'Install not found' },
+    },
+    {
+        method: 'get', path: '/api/admin/orgs', tag: 'Admin', auth: 'admin', summary: 'List organizations',
+        response: { type: 'object', properties: { total: { type: 'integer' }, organizations: { type: 'array', items: { type: 'object' } } } },
+    },
+    {
+        method: 'patch', path: '/api/admin/orgs/{id}', tag: 'Admin', auth: 'admin',
+        summary: 'Change an organization\'s tier and/or seat limit', body: account.AdminUpdateOrgRequest,
+        response: { type: 'object', properties: { organization: { type: 'object' } } }, errors: { 404: 'Organization not found' },
+    },
+    {
+        method: 'get', path: '/api/admin/metering/export', tag: 'Admin', auth: 'admin',
+        summary: 'Export the metering ledger for a date range, raw or aggregated by key, org or key owner',
+        query: account.MeteringExportQuery, produces: ['application/x-ndjson', 'text/csv'],
+    },
+    {
+        method: 'get', path: '/api/admin/deprecations', tag: 'Admin', auth: 'admin',
+        summary: 'Keys still calling deprecated versions or endpoints, with call counts',
+        query: account.DeprecationListQuery, response: account.DeprecationList,
+    },
+    {
+        method: 'get', path: '/api/admin/feedback', tag: 'Admin', auth: 'admin',
+        summary: 'Feedback review queue (pending by default), oldest first, with a copy of each corrected report',
+        query: feedback.ReviewQueueQuery, response: feedback.FeedbackList,
+    },
+    {
+        method: 'post', path: '/api/admin/feedback/{id}/accept', tag: 'Admin', auth: 'admin',
+        summary: 'Accept a correction: it joins the labeled dataset and, unless list is "none", puts the report\'s domain, email, wallet or handle '
+            + 'on the organization\'s allow list (clearly benign corrected verdict) or deny list (clearly harmful one, escalating the original)',
+        body: feedback.AcceptFeedbackRequest, response: feedback.ReviewResponse,
+        errors: { 400: 'The corrected verdict does not support the requested list', 404: 'Feedback not found', 409: 'Already reviewed' }, example: { list: 'allow', note: 'Verified supplier' },
+    },
+    {
+        method: 'post', path: '/api/admin/feedback/{id}/reject', tag: 'Admin', auth: 'admin', summary: 'Reject a correction',
+        body: feedback.RejectFeedbackRequest, response: feedback.ReviewResponse, errors: { 404: 'Feedback not found', 409: 'Already reviewed' },
+    },
+    {
+        method: 'get', path: '/api/admin/feedback/export', tag: 'Admin', auth: 'admin',
+        summary: 'Accepted feedback as a labeled dataset (corrected verdict, original verdict and score, per-check IQ score points, full input and output)',
+        query: feedback.DatasetExportQuery, produces: ['application/x-ndjson', 'text/csv'],
+    },
+];
+
+// Schemas published under components.schemas; nested uses become $refs
+const NAMED_SCHEMAS = {
+    ErrorBody, ValidationError, QuotaError, ScopeError,
+    Url: common.Url,
+    ...pickSchemas(services),
+    ...pickSchemas(account),
+    ...pickSchemas(jobs),
+    ...pickSchemas(webhooks),
+    ...pickSchemas(graph),
+    ...pickSchemas(history),
+    ...pickSchemas(feedback),
+    ...pickSchemas(lists),
+    ...pickSchemas(rules),
+    ...pickSchemas(scoring),
+    ...pickSchemas(watchlists),
+    HealthResponse,
+};
+
+function pickSchemas(module) {
+    return Object.fromEntries(Object.entries(module).filter(([, value]) => value && !Array.isArray(value) && typeof value === 'object'));
+}
+
+const SCHEMA_NAMES = new Map(Object.entries(NAMED_SCHEMAS).map(([name, schema]) => [schema, name]));
+
+/**
+ * Copy a schema, replacing nested named schemas with $refs
+ */
+function withRefs(schema, root = true) {
+    if (Array.isArray(schema)) return schema.map(s => withRefs(s, false));
+    if (!schema || typeof schema !== 'object') return schema;
+    if (!root && SCHEMA_NAMES.has(schema)) return { $ref: `#/components/schemas/${SCHEMA_NAMES.get(schema)}` };
+
+    const copy = {};
+    for (const [key, value] of Object.entries(schema)) {
+        // Literal values, not subschemas
+        copy[key] = ['enum', 'examples', 'default', 'const'].includes(key) ? value : withRefs(value, false);
+    }
+    return copy;
+}
+
+/**
+ * Lowest tier that can call a service, and the per-tier daily limits
+ */
+function tierInfo(service) {
+    const limits = {};
+    for (const [tier, tierLimits] of Object.entries(TIER_LIMITS)) {
+        const limit = tierLimits[service] ?? UNLIMITED;
+        limits[tier] = limit >= UNLIMITED ? 'unlimited' : limit;
+    }
+    const minTier = Object.keys(limits).find(tier => limits[tier] !== 0) || 'business';
+    return { minTier, limits };
+}
+
+function describeAuth(op) {
+    if (op.auth === 'none') return 'public';
+    if (op.auth === 'admin') return 'admin';
+    if (op.auth === 'owner') return 'owner';
+    return op.service ? tierInfo(op.service).minTier : 'any key';
+}
+
+const SECURITY = {
+    none: [],
+    metered: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }, { ExtensionToken: [] }],
+    key: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+    owner: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+    admin: [{ AdminToken: [] }],
+};
+
+const RATE_LIMIT_HEADERS = {
+    'X-RateLimit-Limit': { description: 'Daily limit for this service', schema: { type: 'integer' } },
+    'X-RateLimit-Remaining': { description: 'Calls left today', schema: { type: 'integer' } },
+    'X-RateLimit-Reset': { description: 'Unix time when the daily quota resets (00:00 UTC)', schema: { type: 'integer' } },
+    'X-RateLimit-Resource': { description: 'Service the quota applies to', schema: { type: 'string' } },
+};
+
+// Sent by authenticated routes that draw from no daily quota
+const BURST_RATE_LIMIT_HEADERS = {
+    'X-RateLimit-Limit': { description: 'Requests allowed per minute (the daily limit instead when a job submission is charged)', schema: { type: 'integer' } },
+    'X-RateLimit-Remaining': { description: 'Requests left in the current window', schema: { type: 'integer' } },
+    'X-RateLimit-Reset': { description: 'Unix time when the window resets', schema: { type: 'integer' } },
+    'X-RateLimit-Resource': { description: '`requests_per_minute`, or the charged service', schema: { type: 'string' } },
+};
+
+const REPORT_HEADERS = {
+    'X-Report-Id': { description: 'Id of the stored report (GET /api/history/{id}); not sent for the demo key', schema: { type: 'string' } },
+};
+
+const SIGN_HEADER = {
+    name: 'X-Sign-Report', in: 'header', required: false, schema: { type: 'boolean', default: false },
+    description: 'Add a `signature` block (see ReportSignature) that anyone can check with POST /api/reports/verify',
+};
+
+const DEPRECATION_HEADERS = {
+    Deprecation: { description: 'When the endpoint was deprecated (RFC 9745, e.g. @1792368000)', schema: { type: 'string' } },
+    Sunset: { description: 'HTTP date after which the endpoint may stop working (RFC 8594)', schema: { type: 'string' } },
+    Link: { description: 'rel="deprecation" (and rel="successor-version" when there is one)', schema: { type: 'string' } },
+};
+
+/**
+ * Path an operation is served at in the current version
+ */
+function operationPath(op) {
+    return op.unversioned ? op.path : versionedPath(op.path, CURRENT_VERSION);
+}
+
+function jsonContent(schema) {
+    return { 'application/json': { schema } };
+}
+
+function errorResponse(description) {
+    return { description, content: jsonContent({ $ref: '#/components/schemas/ErrorBody' }) };
+}
+
+/**
+ * Build the OpenAPI operation object for a registry entry
+ */
+function buildOperation(op) {
+    const operation = {
+        operationId: `${op.method}${op.path.replace(/[{}]/g, '').split(/[/.-]/).map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('')}`,
+        summary: op.summary,
+        tags: [op.tag],
+        security: SECURITY[op.service ? 'metered' : op.auth],
+        responses: {},
+    };
+
+    if (op.service) {
+        const { minTier, limits } = tierInfo(op.service);
+        operation.description = `Requires tier: ${minTier}. Daily limits — ${Object.entries(limits).map(([t, l]) => `${t}: ${l}`).join(', ')}.`;
+        operation['x-service'] = op.service;
+        operation['x-tier'] = minTier;
+        operation['x-tier-limits'] = limits;
+    } else {
+        operation['x-tier'] = describeAuth(op);
+    }
+
+    const params = [...op.path.matchAll(/{(\w+)}/g)].map(([, name]) => ({
+        name, in: 'path', required: true, schema: { type: 'string' },
+    }));
+    for (const [name, schema] of Object.entries(op.query?.properties || {})) {
+        params.push({ name, in: 'query', required: (op.query.required || []).includes(name), schema: withRefs(schema, false) });
+    }
+    if (op.service || op.signs) params.push(SIGN_HEADER);
+    if (params.length) operation.parameters = params;
+
+    if (op.body) {
+        const content = jsonContent(withRefs(op.body, false));
+        if (op.example) content['application/json'].example = op.example;
+        operation.requestBody = { required: true, content };
+    }
+
+    const success = { description: 'Success' };
+    if (op.produces) {
+        success.content = Object.fromEntries(op.produces.map(type => [type, { schema: { type: 'string' } }]));
+    } else if (op.response) {
+        success.content = jsonContent(withRefs(op.response, false));
+    }
+    if (op.service) success.headers = op.produces ? RATE_LIMIT_HEADERS : { ...RATE_LIMIT_HEADERS, ...REPORT_HEADERS };
+    else if (op.auth === 'key' || op.auth === 'owner') success.headers = BURST_RATE_LIMIT_HEADERS;
+    if (op.deprecated) {
+        operation.deprecated = true;
+        operation.description = `Deprecated; sunset ${LEGACY_DEPRECATION.sunset}. ${operation.description || ''}`.trim();
+        success.headers = { ...success.headers, ...DEPRECATION_HEADERS };
+    }
+    operation.responses[op.status || 200] = success;
+
+    if (op.body || op.query) {
+        operation.responses[400] = {
+            description: 'Invalid or missing fields',
+            content: jsonContent({ oneOf: [{ $ref: '#/components/schemas/ValidationError' }, { $ref: '#/components/schemas/ErrorBody' }] }),
+        };
+    }
+    if (op.auth === 'key' || op.auth === 'owner') {
+        operation.responses[401] = errorResponse('No API key (or extension token) supplied');
+    }
+    if (op.service) {
+        operation.responses[403] = {
+            description: 'Invalid, revoked or expired key; service outside the key\'s scopes; or a Pro feature on the free tier',
+            content: jsonContent({
+                oneOf: [
+                    { $ref: '#/components/schemas/ErrorBody' },
+                    { $ref: '#/components/schemas/ScopeError' },
+                    { $ref: '#/components/schemas/QuotaError' },
+                ],
+            }),
+        };
+    } else if (op.auth === 'owner') {
+        operation.responses[403] = {
+            description: 'Invalid, revoked or expired key; the demo key; a scoped key; or an insufficient org role',
+            content: jsonContent({ oneOf: [{ $ref: '#/components/schemas/ErrorBody' }, { $ref: '#/components/schemas/ScopeError' }] }),
+        };
+    } else if (op.auth === 'admin') {
+        operation.responses[403] = errorResponse('Wrong admin token');
+        operation.responses[503] = errorResponse('Admin API disabled (VERIFYIQ_ADMIN_TOKEN not set)');
+    } else if (op.auth === 'key') {
+        operation.responses[403] = errorResponse('Invalid, revoked or expired key');
+    }
+    for (const [status, description] of Object.entries(op.errors || {})) {
+        if (!operation.responses[status]) operation.responses[status] = errorResponse(description);
+    }
+    if (op.service) {
+        operation.responses[429] = {
+            description: 'Daily limit reached',
+            headers: { ...RATE_LIMIT_HEADERS, 'Retry-After': { description: 'Seconds until the quota resets', schema: { type: 'integer' } } },
+            content: jsonContent({ $ref: '#/components/schemas/QuotaError' }),
+        };
+    } else if (!operation.responses[429]) {
+        operation.responses[429] = errorResponse('Too many requests (per-minute burst limit)');
+    }
+    operation.responses[500] = errorResponse('Internal server error');
+
+    return operation;
+}
+
+/**
+ * Generate the OpenAPI 3.1 document
+ * @param {string} [serverUrl] - Absolute origin the API is served from
+ */
+function buildOpenApi(serverUrl) {
+    const paths = {};
+    for (const op of OPERATIONS) {
+        const path = operationPath(op);
+        paths[path] = paths[path] || {};
+        paths[path][op.method] = buildOperation(op);
+    }
+    const deprecatedVersions = Object.entries(API_VERSIONS).filter(([, info]) => info.status === 'deprecated');
+
+    const schemas = {};
+    for (const [name, schema] of Object.entries(NAMED_SCHEMAS)) schemas[name] = withRefs(schema);
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Verify.IQ API',
+            version: API_VERSION,
+            description: 'URL trust verification, supplier scoring, social engagement auditing, and trading protection. '
+                + `Every call needs an API key; try the demo key \`${DEMO_KEY}\`. Metered responses carry X-RateLimit-* headers `
+                + 'for the per-key (or per-organization) daily quota. '
+                + `Paths are shown for the current version (${CURRENT_VERSION}).`
+                + deprecatedVersions.map(([version, info]) => ` ${version} (and unversioned /api/... paths) is deprecated and sunsets on ${info.sunset}; `
+                    + 'its responses carry Deprecation and Sunset headers.').join(''),
+        },
+        servers: serverUrl ? [{ url: serverUrl }] : [],
+        tags: [...new Set(OPERATIONS.map(op => op.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            schemas,
+            securitySchemes: {
+                ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+                ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+                ExtensionToken: {
+                    type: 'apiKey', in: 'header', name: 'x-extension-token',
+                    description: 'Browser extension installs only; obtained from POST /api/extension/token',
+                },
+                AdminToken: { type: 'apiKey', in: 'header', name: 'x-admin-token', description: 'Value of VERIFYIQ_ADMIN_TOKEN' },
+            },
+        },
+    };
+}
+
+module.exports = { API_VERSION, OPERATIONS, buildOpenApi, describeAuth, operationPath };
@@ -0,0 +1,106 @@
+/**
+ * Verify.IQ - Error Codes
+ * Catalogue of every error the API returns. Codes are stable: clients may
+ * branch on them, so never rename one — add a new code instead.
+ * Served at /api/docs/errors and listed in /api/openapi.json.
+ */
+
+const ERROR_CODES = {
+    // 400 - the request itself is wrong
+    VALIDATION_FAILED: { status: 400, title: 'Validation failed', description: 'One or more fields are missing or invalid. details.errors lists each field with its JSON path.' },
+    INVALID_URL: { status: 400, title: 'Invalid URL', description: 'A URL field is not an absolute http(s) URL.' },
+    INVALID_ADDRESS: { status: 400, title: 'Invalid address', description: 'The contract address is not 0x followed by 40 hex characters.' },
+    INVALID_INDICATOR: { status: 400, title: 'Invalid indicator', description: 'The indicator does not match the type given for it.' },
+    INVALID_JSON: { status: 400, title: 'Malformed JSON', description: 'The request body could not be parsed as JSON.' },
+    INVALID_FIELD: { status: 400, title: 'Invalid field', description: 'A field is well-formed but not acceptable (e.g. an expiry date in the past, an unparseable CIDR range).' },
+    INVALID_DATE_RANGE: { status: 400, title: 'Invalid date range', description: 'The requested date range is reversed or too long.' },
+    INVALID_ENTITY: { status: 400, title: 'Invalid entity', description: 'The graph entity has no known type prefix and its type could not be detected.' },
+    REPORTS_NOT_COMPARABLE: { status: 400, title: 'Reports not comparable', description: 'Only two reports of the same service can be compared.' },
+    INVALID_SCORING_PROFILE: { status: 400, title: 'Invalid scoring profile', description: 'The scoring profile names an unknown preset or signal, has no positive weight, or its suspicious cutoff is not below its safe cutoff. details.problems lists each issue.' },
+    INVALID_RULES: { status: 400, title: 'Invalid rules', description: 'A policy rule is malformed (unknown operator, wrong value type, bad regular expression, nested too deep) or reuses an id. details.errors lists each problem with its path.' },
+    INVALID_SCHEDULE: { status: 400, title: 'Invalid schedule', description: 'The cron schedule cannot be parsed, never fires, or fires more often than the minimum interval.' },
+    INVALID_WEBHOOK_URL: { status: 400, title: 'Invalid webhook URL', description: 'The webhook URL cannot receive deliveries (not http(s), does not resolve, or points to a private address).' },
+    LIST_CONFLICTS_WITH_VERDICT: { status: 400, title: 'List conflicts with verdict', description: 'The corrected verdict does not support the requested allow / deny list. details.supported_list names the one it does.' },
+    NOTHING_TO_UPDATE: { status: 400, title: 'Nothing to update', description: 'An update request contained no updatable fields.' },
+
+    // 401 / 403 - authentication and authorization
+    API_KEY_REQUIRED: { status: 401, title: 'API key required', description: 'No API key was sent in the x-api-key header or api_key query parameter.' },
+    INVALID_EXTENSION_TOKEN: { status: 401, title: 'Invalid extension token', description: 'The extension token is malformed, forged or expired. Request a new one from /api/extension/token.' },
+    INVALID_API_KEY: { status: 403, title: 'Invalid API key', description: 'The API key does not exist.' },
+    API_KEY_REVOKED: { status: 403, title: 'API key revoked', description: 'The API key was revoked by its owner or an administrator.' },
+    API_KEY_EXPIRED: { status: 403, title: 'API key expired', description: 'The API key is past its expires_at date.' },
+    EXTENSION_REVOKED: { status: 403, title: 'Extension install revoked', description: 'This browser extension install was revoked by an administrator.' },
+    DEMO_KEY_NOT_ALLOWED: { status: 403, title: 'Not allowed for demo key', description: 'The shared demo key cannot manage keys or organizations.' },
+    INSUFFICIENT_SCOPE: { status: 403, title: 'Insufficient scope', description: 'The key is scoped and the request falls outside its services, origins or IP ranges. details.missing_scope names the scope.' },
+    INSUFFICIENT_ROLE: { status: 403, title: 'Insufficient role', description: 'Your organization role does not allow this action.' },
+    TIER_REQUIRES_ADMIN: { status: 403, title: 'Tier assignment requires admin', description: 'Self-service keys are always free; paid tiers are assigned by an administrator.' },
+    WATCHLIST_LIMIT_REACHED: { status: 403, title: 'Watchlist limit reached', description: 'Your tier allows no more watched entries. details.limit gives the maximum.' },
+    PRO_FEATURE: { status: 403, title: 'Pro feature', description: 'The service is not included in your tier. details.upgrade_url links to pricing.' },
+    ADMIN_TOKEN_REQUIRED: { status: 403, title: 'Admin token required', description: 'Admin endpoints need a valid x-admin-token header.' },
+
+    // 404 / 409 - resources
+    NOT_FOUND: { status: 404, title: 'Not found', description: 'The endpoint does not exist.' },
+    KEY_NOT_FOUND: { status: 404, title: 'Key not found', description: 'No key with this id exists (or it belongs to someone else).' },
+    ORG_NOT_FOUND: { status: 404, title: 'Organization not found', description: 'No organization with this id exists.' },
+    NO_ORGANIZATION: { status: 404, title: 'No organization', description: 'Your key does not belong to an organization.' },
+    MEMBER_NOT_FOUND: { status: 404, title: 'Member not found', description: 'No member with this id exists in your organization.' },
+    INSTALL_NOT_FOUND: { status: 404, title: 'Install not found', description: 'No extension install with this id exists.' },
+    WEBHOOK_NOT_FOUND: { status: 404, title: 'Webhook not found', description: 'No webhook with this id is visible to your key.' },
+    DELIVERY_NOT_FOUND: { status: 404, title: 'Delivery not found', description: 'No delivery with this id exists for the webhook.' },
+    ENTITY_NOT_FOUND: { status: 404, title: 'Entity not found', description: 'The entity has not been seen in any scan of your organization or keys.' },
+    WATCHLIST_NOT_FOUND: { status: 404, title: 'Watchlist not found', description: 'No watchlist with this id is visible to your key.' },
+    WATCHLIST_ENTRY_NOT_FOUND: { status: 404, title: 'Watchlist entry not found', description: 'No entry with this id exists in the watchlist.' },
+    WATCHLIST_RUN_NOT_FOUND: { status: 404, title: 'Watchlist run not found', description: 'No run with this id exists for the watchlist.' },
+    ALERT_NOT_FOUND: { status: 404, title: 'Alert not found', description: 'No alert with this id exists for the watchlist.' },
+    REPORT_NOT_FOUND: { status: 404, title: 'Report not found', description: 'No stored report with this id exists (or it belongs to someone else, or has passed the retention period).' },
+    FEEDBACK_NOT_FOUND: { status: 404, title: 'Feedback not found', description: 'No feedback with this id exists (or it belongs to someone else).' },
+    LIST_ENTRY_NOT_FOUND: { status: 404, title: 'List entry not found', description: 'No allow / deny list entry with this id exists (or it belongs to someone else).' },
+    RULE_SET_NOT_FOUND: { status: 404, title: 'Rule set not found', description: 'No policy rule set version with this number exists for your organization (or no rules were published yet).' },
+    JOB_NOT_FOUND: { status: 404, title: 'Job not found', description: 'No job with this id exists (or it belongs to someone else).' },
+    KEY_REVOKED: { status: 409, title: 'Key revoked', description: 'The key is revoked and cannot be changed.' },
+    ALREADY_IN_ORGANIZATION: { status: 409, title: 'Already in an organization', description: 'Your keys already belong to an organization.' },
+    NO_SEATS_LEFT: { status: 409, title: 'No seats left', description: 'The organization has reached its seat limit.' },
+    LAST_OWNER: { status: 409, title: 'Last owner', description: 'An organization needs at least one owner.' },
+    WEBHOOK_DISABLED: { status: 409, title: 'Webhook disabled', description: 'The webhook is disabled; re-enable it before sending or replaying deliveries.' },
+    WATCHLIST_RUNNING: { status: 409, title: 'Watchlist run in progress', description: 'The watchlist is being re-scanned; wait for the current run to finish.' },
+    JOB_FINISHED: { status: 409, title: 'Job finished', description: 'The job already completed, failed or was cancelled.' },
+    REPORT_NOT_SIGNED: { status: 409, title: 'Report not signed', description: 'The report was stored before reports were signed, so it has no signature to return.' },
+    FEEDBACK_EXISTS: { status: 409, title: 'Feedback already filed', description: 'Feedback on this report is already waiting for review.' },
+    FEEDBACK_ALREADY_REVIEWED: { status: 409, title: 'Feedback already reviewed', description: 'The feedback was already accepted or rejected.' },
+    PAYLOAD_TOO_LARGE: { status: 413, title: 'Payload too large', description: 'The request body exceeds 1 MB (20 MB for job submissions).' },
+
+    // 429 - limits
+    QUOTA_EXCEEDED: { status: 429, title: 'Daily limit reached', description: 'The daily quota for this service is used up. Retry-After gives the seconds until it resets.' },
+    RATE_LIMITED: { status: 429, title: 'Too many requests', description: 'Per-minute burst limit exceeded. Slow down and retry.' },
+    TOO_MANY_INSTALLS: { status: 429, title: 'Too many extension installs', description: 'This address registered the most new extension installs allowed per day. Reuse an existing install ID or add an API key in the extension settings.' },
+
+    // 5xx - our side or upstream
+    INTERNAL_ERROR: { status: 500, title: 'Internal server error', description: 'Something went wrong on our side. Quote the request_id when reporting it.' },
+    UPSTREAM_ERROR: { status: 502, title: 'Upstream error', description: 'A third-party service used for the check failed or returned an invalid response.' },
+    SERVICE_NOT_CONFIGURED: { status: 503, title: 'Service not configured', description: 'The feature needs server configuration (e.g. an API key for a provider) that is missing.' },
+    ADMIN_DISABLED: { status: 503, title: 'Admin API disabled', description: 'VERIFYIQ_ADMIN_TOKEN is not set on the server.' },
+    UPSTREAM_TIMEOUT: { status: 504, title: 'Upstream timeout', description: 'A third-party service used for the check did not answer in time.' },
+};
+
+/**
+ * Error carrying a catalogue code. Thrown (or passed to next()) anywhere in
+ * a request and rendered by the central error handler.
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} code - Key of ERROR_CODES
+     * @param {string} [message] - Human-readable detail (defaults to the code's description)
+     * @param {Object} [details] - Extra machine-readable fields, returned as `details`
+     */
+    constructor(code, message, details) {
+        const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+        super(message || entry.description);
+        this.name = 'ApiError';
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = entry.status;
+        this.title = entry.title;
+        this.details = details;
+    }
+}
+
+module.exports = { ERROR_CODES, ApiError };
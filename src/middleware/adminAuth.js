@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { ApiError } = require('../errors');
+
+/**
+ * Admin authentication middleware
+ * Requires the x-admin-token header to match VERIFYIQ_ADMIN_TOKEN.
+ * Admin routes are disabled entirely when the variable is not set.
+ */
+function adminAuth() {
+    return (req, res, next) => {
+        const expected = process.env.VERIFYIQ_ADMIN_TOKEN;
+        if (!expected) {
+            return next(new ApiError('ADMIN_DISABLED', 'Set VERIFYIQ_ADMIN_TOKEN to enable admin endpoints'));
+        }
+
+        const provided = String(req.headers['x-admin-token'] || '');
+        const a = crypto.createHash('sha256').update(provided).digest();
+        const b = crypto.createHash('sha256').update(expected).digest();
+        if (!provided || !crypto.timingSafeEqual(a, b)) {
+            return next(new ApiError('ADMIN_TOKEN_REQUIRED', 'Include a valid admin token in the x-admin-token header'));
+        }
+
+        next();
+    };
+}
+
+module.exports = { adminAuth };
@@ -1,123 +1,430 @@
 const { v4: uuidv4 } = require('uuid');
-
-// In-memory API key store (in production, use a database)
-const API_KEYS = new Map();
+const { getKeyStore, hashKey } = require('../store/keyStore');
+const { checkScopes } = require('./scopes');
+const { verifyToken, installs } = require('./extensionToken');
+const { ledger } = require('../store/ledger');
+const { consumeOrgUsage } = require('../store/orgStore');
+const { ApiError } = require('../errors');
 
 // Default usage counters
 const DEFAULT_USAGE = {
     email_verify: 0, ai_detect: 0, url_scan: 0, darkweb_scan: 0,
-    supplier_score: 0, audit_engagement: 0, trading_shield: 0, bulk_scan: 0,
+    supplier_score: 0, audit_engagement: 0, trading_shield: 0, bulk_scan: 0, investigate: 0,
 };
 
 // Tier limits
 const TIER_LIMITS = {
     free: {
         email_verify: 50, ai_detect: 10, url_scan: 999999, darkweb_scan: 999999,
-        supplier_score: 0, audit_engagement: 0, trading_shield: 0, bulk_scan: 0,
+        supplier_score: 0, audit_engagement: 0, trading_shield: 0, bulk_scan: 0, investigate: 10,
     },
     pro: {
         email_verify: 1000, ai_detect: 100, url_scan: 999999, darkweb_scan: 999999,
-        supplier_score: 500, audit_engagement: 500, trading_shield: 500, bulk_scan: 100,
+        supplier_score: 500, audit_engagement: 500, trading_shield: 500, bulk_scan: 100, investigate: 500,
     },
     business: {
         email_verify: 10000, ai_detect: 1000, url_scan: 999999, darkweb_scan: 999999,
-        supplier_score: 5000, audit_engagement: 5000, trading_shield: 5000, bulk_scan: 1000,
+        supplier_score: 5000, audit_engagement: 5000, trading_shield: 5000, bulk_scan: 1000, investigate: 5000,
     },
 };
 
-// Create a demo key
+// Per-install daily quota for the browser extension. Installs are anonymous, so
+// it stays small; services not listed are closed to them. Users who need more
+// add their own API key in the extension settings.
+const EXTENSION_LIMITS = {
+    url_scan: 200, darkweb_scan: 20, email_verify: 20, ai_detect: 10,
+    social_auth: 10, dropship_check: 10, agent_scan: 5, rug_pull_check: 10, deepfake_check: 10, ad_transparency: 10,
+};
+
+// Every service name passed to apiKeyAuth (used to validate key scopes)
+const SERVICES = [
+    'url_scan', 'darkweb_scan', 'supplier_score', 'audit_engagement', 'trading_shield',
+    'bulk_scan', 'email_verify', 'ai_detect', 'social_auth', 'dropship_check',
+    'agent_scan', 'rug_pull_check', 'deepfake_check', 'ad_transparency', 'investigate',
+];
+
+// Demo key (seeded into the key store on startup)
 const DEMO_KEY = 'viq_demo_' + 'a1b2c3d4e5f6';
-API_KEYS.set(DEMO_KEY, {
-    id: 'demo',
-    name: 'Demo Key',
-    tier: 'free',
-    limits: { ...TIER_LIMITS.free },
-    usage: { ...DEFAULT_USAGE },
-    created: new Date().toISOString(),
-});
 
 /**
- * Generate a new API key
+ * Create a fresh raw key value for a tier
  */
-function generateKey(name = 'Unnamed', tier = 'free') {
-    const key = `viq_${tier}_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+function newKeyValue(tier) {
+    return `viq_${tier}_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+}
 
-    API_KEYS.set(key, {
-        id: uuidv4(),
+/**
+ * Short, non-secret prefix shown in key listings (e.g. "viq_pro_1a2b")
+ */
+function keyPrefix(key) {
+    return key.substring(0, key.lastIndexOf('_') + 5);
+}
+
+/**
+ * Build a stored key record. Only the hash and a short prefix of the key are kept.
+ */
+function buildKeyRecord(key, {
+    id = uuidv4(), ownerId, orgId = null, quotaKeyId = null, name = 'Unnamed', tier = 'free', expiresAt = null, scopes = null,
+} = {}) {
+    return {
+        id,
+        ownerId: ownerId || id,
+        orgId,
+        quotaKeyId,
         name,
         tier,
+        status: 'active',
+        keyHash: hashKey(key),
+        keyPrefix: keyPrefix(key),
+        graceKeys: [],
+        scopes,
         limits: { ...(TIER_LIMITS[tier] || TIER_LIMITS.free) },
         usage: { ...DEFAULT_USAGE },
+        lastReset: today(),
+        expiresAt,
         created: new Date().toISOString(),
+    };
+}
+
+const ready = (async () => {
+    const store = getKeyStore();
+    if (!(await store.findByKey(DEMO_KEY))) {
+        await store.insert(buildKeyRecord(DEMO_KEY, { id: 'demo', name: 'Demo Key', tier: 'free' }));
+    }
+})();
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * When today's counters reset (next UTC midnight)
+ */
+function nextReset() {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset;
+}
+
+/**
+ * Advertise the daily quota of the service being called so clients can back off early
+ */
+function setRateLimitHeaders(res, service, limit, used) {
+    const reset = nextReset();
+    res.set({
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(Math.max(0, limit - used)),
+        'X-RateLimit-Reset': String(Math.floor(reset.getTime() / 1000)),
+        'X-RateLimit-Resource': service,
+    });
+    if (used >= limit) res.set('Retry-After', String(Math.ceil((reset.getTime() - Date.now()) / 1000)));
+}
+
+/**
+ * Routes that draw from no daily quota advertise the per-minute burst limit
+ * instead (req.rateLimit, set by the global express-rate-limit middleware),
+ * so every authenticated response carries X-RateLimit-* headers
+ */
+function setBurstRateLimitHeaders(req, res) {
+    const info = req.rateLimit;
+    if (!info) return;
+    const reset = info.resetTime || new Date(Date.now() + 60000);
+    res.set({
+        'X-RateLimit-Limit': String(info.limit),
+        'X-RateLimit-Remaining': String(info.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(reset.getTime() / 1000)),
+        'X-RateLimit-Resource': 'requests_per_minute',
     });
+}
 
-    return key;
+/**
+ * Validate a client-supplied expiry. Returns { value } (ISO string or null) or { error }.
+ */
+function parseExpiry(input) {
+    if (input === undefined || input === null || input === '') return { value: null };
+    const time = Date.parse(input);
+    if (Number.isNaN(time)) return { error: '"expires_at" must be an ISO 8601 date' };
+    if (time <= Date.now()) return { error: '"expires_at" must be in the future' };
+    return { value: new Date(time).toISOString() };
 }
 
 /**
- * API Key authentication middleware
+ * Public view of a key record for management endpoints (never includes hashes)
  */
-function apiKeyAuth(service) {
-    return (req, res, next) => {
-        const apiKey = req.headers['x-api-key'] || req.query.api_key;
-
-        // Allow requests from the extension (check origin/referer)
-        const origin = req.headers.origin || req.headers.referer || '';
-        const isExtension = origin.startsWith('chrome-extension://') ||
-            req.headers['x-source'] === 'extension';
-
-        if (isExtension) {
-            req.apiKeyData = {
-                tier: 'extension',
-                limits: { ...TIER_LIMITS.pro },
-                usage: { ...DEFAULT_USAGE },
-            };
-            return next();
-        }
+function describeKey(record) {
+    const current = record.lastReset === today();
+    const graceUntil = (record.graceKeys || [])
+        .map(g => g.expiresAt)
+        .filter(t => Date.parse(t) > Date.now())
+        .sort()
+        .pop() || null;
 
-        if (!apiKey) {
-            return res.status(401).json({
-                error: 'API key required',
-                message: 'Include your API key in the x-api-key header or api_key query parameter',
-                docs: '/api/docs',
-            });
-        }
+    return {
+        id: record.id,
+        name: record.name,
+        tier: record.tier,
+        org_id: record.orgId || null,
+        quota_key_id: record.quotaKeyId || null,
+        status: record.expiresAt && Date.parse(record.expiresAt) <= Date.now() ? 'expired' : record.status,
+        key_prefix: record.keyPrefix,
+        created: record.created,
+        expires_at: record.expiresAt || null,
+        revoked_at: record.revokedAt || null,
+        rotated_at: record.rotatedAt || null,
+        previous_key_valid_until: graceUntil,
+        scopes: record.scopes || null,
+        usage: current ? record.usage : { ...DEFAULT_USAGE },
+        limits: record.limits,
+        usage_date: today(),
+    };
+}
 
-        const keyData = API_KEYS.get(apiKey);
-        if (!keyData) {
-            return res.status(403).json({
-                error: 'Invalid API key',
-                message: 'The provided API key is not valid',
-            });
-        }
+/**
+ * Generate a new API key
+ * @param {string} [name='Unnamed'] - Display name
+ * @param {string} [tier='free'] - Tier (callers must decide whether the requester may choose it)
+ * @param {Object} [options] - ownerId / orgId / quotaKeyId / expiresAt / scopes for the new record
+ * @returns {Promise<{key: string, record: Object}>} The raw key is only ever returned here
+ */
+async function generateKey(name = 'Unnamed', tier = 'free', options = {}) {
+    const key = newKeyValue(tier);
+
+    await ready;
+    const record = await getKeyStore().insert(buildKeyRecord(key, { ...options, name, tier }));
+
+    return { key, record };
+}
+
+/**
+ * Look up a presented key and make sure it is usable.
+ * @returns {Promise<Object>} The key record
+ * @throws {ApiError} API_KEY_REQUIRED, INVALID_API_KEY, API_KEY_REVOKED or API_KEY_EXPIRED
+ */
+async function resolveKey(apiKey) {
+    if (!apiKey) {
+        throw new ApiError('API_KEY_REQUIRED', 'Include your API key in the x-api-key header or api_key query parameter');
+    }
+
+    await ready;
+    const keyData = await getKeyStore().findByKey(apiKey);
+    if (!keyData) throw new ApiError('INVALID_API_KEY', 'The provided API key is not valid');
+    if (keyData.status === 'revoked') {
+        throw new ApiError('API_KEY_REVOKED', `This key was revoked on ${keyData.revokedAt}`);
+    }
+    if (keyData.expiresAt && Date.parse(keyData.expiresAt) <= Date.now()) {
+        throw new ApiError('API_KEY_EXPIRED', `This key expired on ${keyData.expiresAt}`);
+    }
+
+    return keyData;
+}
+
+/**
+ * Authenticate the key owner for management routes. Does not count usage.
+ */
+function keyOwnerAuth() {
+    return async (req, res, next) => {
+        try {
+            const keyData = await resolveKey(req.headers['x-api-key'] || req.query.api_key);
 
-        // Check rate limits (daily)
-        const today = new Date().toISOString().split('T')[0];
-        if (keyData.lastReset !== today) {
-            keyData.usage = { ...DEFAULT_USAGE };
-            keyData.lastReset = today;
+            if (keyData.id === 'demo') {
+                throw new ApiError('DEMO_KEY_NOT_ALLOWED', 'The shared demo key cannot manage keys. Generate your own key first.');
+            }
+
+            // A scoped key handed to a partner must not be able to mint unscoped ones
+            if (keyData.scopes) {
+                throw new ApiError('INSUFFICIENT_SCOPE', 'Scoped keys cannot manage keys. Use an unscoped key.', {
+                    missing_scope: { scope: 'key_management', value: null },
+                    allowed: keyData.scopes,
+                });
+            }
+
+            req.apiKeyData = keyData;
+            setBurstRateLimitHeaders(req, res);
+            next();
+        } catch (error) {
+            next(error);
         }
+    };
+}
+
+/**
+ * Append the outcome of a metered call to the billing ledger once the response is done
+ * @param {number} [units] - Quota units the call was charged (the requests a job counts as)
+ */
+function meterCall(req, res, service, keyData, units = 1) {
+    const startTime = Date.now();
+    res.on('close', () => {
+        let outcome;
+        if (!res.writableFinished) outcome = 'aborted';
+        else if (res.statusCode >= 500) outcome = 'server_error';
+        else if (res.statusCode >= 400) outcome = 'client_error';
+        else outcome = 'success';
+
+        ledger.append({
+            ts: new Date(startTime).toISOString(),
+            key_id: keyData.id,
+            org_id: keyData.orgId || null,
+            owner_id: keyData.ownerId || null,
+            tier: keyData.tier,
+            service,
+            units,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            outcome,
+            latency_ms: Date.now() - startTime,
+        });
+    });
+}
+
+function quotaError(res, service, used, limit, tier, count = 1) {
+    if (res) setRateLimitHeaders(res, service, limit, used);
+    if (limit === 0) {
+        return new ApiError('PRO_FEATURE', `${service} requires a Pro subscription. Upgrade at /pricing`, {
+            tier,
+            upgrade_url: '/pricing',
+        });
+    }
+    const message = count > 1
+        ? `This needs ${count} ${service} requests but only ${Math.max(0, limit - used)} of today's ${limit} are left`
+        : `You've used ${used}/${limit} ${service} requests today`;
+    return new ApiError('QUOTA_EXCEEDED', message, {
+        tier,
+        upgrade_url: '/pricing',
+    });
+}
+
+/**
+ * Check and count `count` calls of a service against today's quota, in one
+ * atomic step per counter so concurrent requests cannot overshoot the limit.
+ * Keys in an organization draw from the org's pooled quota, and keys an owner
+ * created for themselves from the quota of the key that created them (their
+ * quotaKeyId); their own counters still record what they used.
+ * @param {Object|null} res - Response that gets the X-RateLimit headers (null outside a request)
+ * @returns {Promise<Object>} The key record after counting, with `org` when pooled
+ * @throws {ApiError} QUOTA_EXCEEDED or PRO_FEATURE
+ */
+async function consumeQuota(keyData, service, res, count = 1) {
+    const day = today();
+    const store = getKeyStore();
+    const pooled = keyData.orgId ? await consumeOrgUsage(keyData.orgId, service, { day, usage: DEFAULT_USAGE, count }) : null;
+    if (pooled && !pooled.allowed) throw quotaError(res, service, pooled.used, pooled.limit, pooled.org.tier, count);
+
+    // Still shared when the key that created this one is revoked, so revoking it does not refill the quota
+    const quotaKey = !pooled && keyData.quotaKeyId ? await store.findById(keyData.quotaKeyId) : null;
+    const shared = quotaKey && await store.consumeUsage(quotaKey.id, service, {
+        day, usage: DEFAULT_USAGE, limit: quotaKey.limits[service] ?? 999999, count,
+    });
+    if (shared && !shared.allowed) throw quotaError(res, service, shared.used, quotaKey.limits[service] ?? 999999, quotaKey.tier, count);
+
+    // If this service isn't in limits, default to unlimited
+    let limit = keyData.limits[service] ?? 999999;
+    if (pooled) limit = pooled.limit;
+    else if (shared) limit = quotaKey.limits[service] ?? 999999;
+    const charged = await store.consumeUsage(keyData.id, service, {
+        day, usage: DEFAULT_USAGE, limit: pooled || shared ? Infinity : limit, count,
+    });
+    if (!charged) throw new ApiError('INVALID_API_KEY', 'The provided API key is not valid');
+    if (!charged.allowed) throw quotaError(res, service, charged.used, limit, keyData.tier, count);
 
-        // If this service isn't in limits, default to unlimited
-        const limit = keyData.limits[service] ?? 999999;
-        const used = keyData.usage[service] ?? 0;
-
-        if (used >= limit) {
-            const isProFeature = limit === 0;
-            return res.status(isProFeature ? 403 : 429).json({
-                error: isProFeature ? 'Pro feature' : 'Daily limit reached',
-                message: isProFeature
-                    ? `${service} requires a Pro subscription. Upgrade at /pricing`
-                    : `You've used ${used}/${limit} ${service} requests today`,
-                tier: keyData.tier,
-                upgrade_url: '/pricing',
-            });
+    const record = charged.record;
+    if (pooled) record.org = { id: pooled.org.id, name: pooled.org.name, tier: pooled.org.tier };
+    if (res) setRateLimitHeaders(res, service, limit, (pooled || shared || charged).used);
+    return record;
+}
+
+/**
+ * For a call that runs other services on the caller's behalf (/investigate):
+ * service => null once one call of it is charged and metered, or the reason
+ * it cannot run (not in the tier, or today's quota used up)
+ */
+function moduleCharger(req, res, keyData) {
+    return async service => {
+        try {
+            meterCall(req, res, service, await consumeQuota(keyData, service, null));
+            return null;
+        } catch (error) {
+            if (!['QUOTA_EXCEEDED', 'PRO_FEATURE'].includes(error.code)) throw error;
+            return error.message;
         }
+    };
+}
 
-        keyData.usage[service] = (keyData.usage[service] || 0) + 1;
-        req.apiKeyData = keyData;
-        next();
+/**
+ * Authenticate a signed extension token and apply the install's daily quota
+ */
+async function extensionAuth(token, service, req, res) {
+    const payload = verifyToken(token);
+    if (!payload) {
+        throw new ApiError('INVALID_EXTENSION_TOKEN', 'The extension token is invalid or expired. Request a new one from /api/extension/token');
+    }
+
+    const install = await installs.get(payload.iid);
+    if (!install || install.status !== 'active') {
+        throw new ApiError('EXTENSION_REVOKED', 'This extension install is no longer allowed to use the API');
+    }
+
+    const day = today();
+    const limit = EXTENSION_LIMITS[service] ?? 0;
+    let used = 0;
+    let allowed = false;
+    // Checked and counted in one update so concurrent calls cannot overshoot
+    const updated = await installs.update(install.id, current => {
+        const usage = current.lastReset === day ? current.usage : {};
+        used = usage[service] || 0;
+        allowed = used < limit;
+        if (!allowed) return {};
+        used += 1;
+        return {
+            usage: { ...usage, [service]: used },
+            lastReset: day,
+            lastSeen: new Date().toISOString(),
+        };
+    });
+    if (!allowed) throw quotaError(res, service, used, limit, 'extension');
+
+    setRateLimitHeaders(res, service, limit, used);
+    req.apiKeyData = {
+        id: `install:${install.id}`,
+        installId: install.id,
+        tier: 'extension',
+        limits: { ...EXTENSION_LIMITS },
+        usage: { ...DEFAULT_USAGE, ...updated.usage },
     };
+    meterCall(req, res, service, req.apiKeyData);
 }
 
-module.exports = { apiKeyAuth, generateKey, API_KEYS, DEMO_KEY };
+/**
+ * API Key authentication middleware
+ */
+function apiKeyAuth(service) {
+    return async (req, res, next) => {
+        try {
+            const apiKey = req.headers['x-api-key'] || req.query.api_key;
+
+            // Browser extension: signed per-install token instead of an API key
+            const extensionToken = req.headers['x-extension-token'];
+            if (extensionToken && !apiKey) {
+                await extensionAuth(extensionToken, service, req, res);
+                return next();
+            }
+
+            const resolved = await resolveKey(apiKey);
+
+            const scopeError = checkScopes(resolved.scopes, service, req);
+            if (scopeError) throw scopeError;
+
+            req.apiKeyData = await consumeQuota(resolved, service, res);
+            meterCall(req, res, service, req.apiKeyData);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    apiKeyAuth, keyOwnerAuth, consumeQuota, meterCall, moduleCharger, resolveKey, generateKey, newKeyValue, keyPrefix, buildKeyRecord, describeKey,
+    parseExpiry, today, nextReset, setBurstRateLimitHeaders,
+    DEMO_KEY, TIER_LIMITS, EXTENSION_LIMITS, DEFAULT_USAGE, SERVICES,
+};
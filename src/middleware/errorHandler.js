@@ -0,0 +1,96 @@
+/**
+ * Verify.IQ - Error Handling
+ * Every error response uses one envelope:
+ *
+ *   { error, code, message, status, request_id, docs_url, details? }
+ *
+ * Routes throw (or next()) an ApiError; anything else is mapped to a
+ * catalogue code here so internal messages never reach the client.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('../errors');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Network failures while talking to third-party services (DNS, TLS, HTTP APIs)
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+const UPSTREAM_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'CERT_HAS_EXPIRED', 'DEPTH_ZERO_SELF_SIGNED_CERT'];
+
+/**
+ * Tag each request with an id (the caller's X-Request-Id if it looks sane)
+ * and echo it back so logs and support tickets can be correlated.
+ */
+function requestId() {
+    return (req, res, next) => {
+        const incoming = req.headers['x-request-id'];
+        req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+        res.set('X-Request-Id', req.id);
+        next();
+    };
+}
+
+/**
+ * Map any thrown value to an ApiError
+ */
+function toApiError(error) {
+    if (error instanceof ApiError) return error;
+
+    // body-parser
+    if (error.type === 'entity.parse.failed') return new ApiError('INVALID_JSON', 'The request body is not valid JSON');
+    if (error.type === 'entity.too.large') return new ApiError('PAYLOAD_TOO_LARGE');
+
+    const cause = error.cause || {};
+    if (error.name === 'TimeoutError' || error.name === 'AbortError'
+        || TIMEOUT_CODES.includes(error.code) || TIMEOUT_CODES.includes(cause.code)) {
+        return new ApiError('UPSTREAM_TIMEOUT');
+    }
+    if (UPSTREAM_CODES.includes(error.code) || UPSTREAM_CODES.includes(cause.code)) {
+        return new ApiError('UPSTREAM_ERROR');
+    }
+
+    return new ApiError('INTERNAL_ERROR');
+}
+
+/**
+ * Build the error envelope for a request
+ */
+function errorBody(req, error) {
+    return {
+        error: error.title,
+        code: error.code,
+        message: error.message,
+        status: error.status,
+        request_id: req.id || null,
+        docs_url: `/api/docs/errors#${error.code}`,
+        ...(error.details && { details: error.details }),
+    };
+}
+
+/**
+ * 404 for unknown /api routes
+ */
+function notFound() {
+    return (req, res, next) => {
+        next(new ApiError('NOT_FOUND', `${req.method} ${req.baseUrl}${req.path} does not exist. See /api/docs for the list of endpoints`));
+    };
+}
+
+/**
+ * Central Express error handler (register after all routes)
+ */
+function errorHandler() {
+    return (error, req, res, next) => {
+        const apiError = toApiError(error);
+        if (apiError.status >= 500) {
+            console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+        }
+
+        // Streaming responses (e.g. exports) cannot switch to an error body mid-way
+        if (res.headersSent) return next(error);
+
+        res.status(apiError.status).json(errorBody(req, apiError));
+    };
+}
+
+module.exports = { requestId, notFound, errorHandler, toApiError, errorBody };
@@ -0,0 +1,92 @@
+/**
+ * Verify.IQ - Extension Tokens
+ * The browser extension cannot keep a secret, so instead of trusting an
+ * Origin or x-source header it exchanges its install ID for a short-lived
+ * HMAC-signed token. Each install has its own quota and can be revoked.
+ * Install IDs are made up by the client, so nothing proves an install is
+ * real: anonymous installs get a small quota, and each client address can
+ * register only EXTENSION_INSTALLS_PER_IP new installs a day.
+ *
+ * Token format: vxt.<base64url(JSON payload)>.<base64url(HMAC-SHA256)>
+ * Payload: { iid: installId, iat, exp } (seconds since epoch)
+ */
+
+const crypto = require('crypto');
+const { Collection } = require('../store/collection');
+const { ApiError } = require('../errors');
+
+const TOKEN_TTL_SECONDS = Number(process.env.EXTENSION_TOKEN_TTL) || 3600;
+const INSTALLS_PER_IP = Number(process.env.EXTENSION_INSTALLS_PER_IP) || 3;
+
+let secret = process.env.EXTENSION_TOKEN_SECRET;
+if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('EXTENSION_TOKEN_SECRET not set — using a random secret; extension tokens will not survive restarts.');
+}
+
+const installs = new Collection('installs');
+
+function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a token for an install
+ * @param {string} installId
+ * @returns {{token: string, expires_at: string}}
+ */
+function issueToken(installId) {
+    const iat = Math.floor(Date.now() / 1000);
+    const payload = Buffer.from(JSON.stringify({ iid: installId, iat, exp: iat + TOKEN_TTL_SECONDS })).toString('base64url');
+    return {
+        token: `vxt.${payload}.${sign(payload)}`,
+        expires_at: new Date((iat + TOKEN_TTL_SECONDS) * 1000).toISOString(),
+    };
+}
+
+/**
+ * Verify signature and expiry of a token
+ * @returns {Object|null} Decoded payload, or null if invalid/expired
+ */
+function verifyToken(token) {
+    const [prefix, payload, signature] = String(token).split('.');
+    if (prefix !== 'vxt' || !payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!data.iid || !data.exp || data.exp * 1000 <= Date.now()) return null;
+        return data;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get an install, registering it on first contact
+ * @throws {ApiError} TOO_MANY_INSTALLS when the address registered INSTALLS_PER_IP installs in the last day
+ */
+async function registerInstall(installId, ip) {
+    const existing = await installs.get(installId);
+    if (existing) return existing;
+
+    const since = new Date(Date.now() - 86400000).toISOString();
+    const recent = await installs.list(install => install.firstIp === (ip || null) && install.created > since);
+    if (recent.length >= INSTALLS_PER_IP) {
+        throw new ApiError('TOO_MANY_INSTALLS', `This address registered ${recent.length} extension installs in the last 24 hours; reuse one of them`);
+    }
+
+    return installs.insert({
+        id: installId,
+        status: 'active',
+        usage: {},
+        lastReset: null,
+        firstIp: ip || null,
+        created: new Date().toISOString(),
+    });
+}
+
+module.exports = { issueToken, verifyToken, registerInstall, installs, TOKEN_TTL_SECONDS, INSTALLS_PER_IP };
@@ -0,0 +1,124 @@
+/**
+ * Verify.IQ - API Key Scopes
+ * Optional per-key restrictions checked by apiKeyAuth:
+ *   services  - service names the key may call (e.g. ['url_scan', 'email_verify'])
+ *   origins   - allowed Origin headers; "https://*.example.com" matches subdomains
+ *   ip_ranges - allowed client CIDR ranges (IPv4 or IPv6)
+ * A missing or null list means "no restriction".
+ */
+
+const net = require('net');
+const { ApiError } = require('../errors');
+
+const SCOPE_FIELDS = ['services', 'origins', 'ip_ranges'];
+
+/**
+ * Validate client-supplied scopes. Returns { value } (scopes object or null) or { error }.
+ * @param {Object|null} input - Scopes from the request body
+ * @param {string[]} knownServices - Service names that can be scoped
+ */
+function normalizeScopes(input, knownServices) {
+    if (input === undefined || input === null) return { value: null };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: '"scopes" must be an object with services, origins and/or ip_ranges' };
+    }
+
+    const unknownField = Object.keys(input).find(f => !SCOPE_FIELDS.includes(f));
+    if (unknownField) return { error: `Unknown scope "${unknownField}". Allowed: ${SCOPE_FIELDS.join(', ')}` };
+
+    const scopes = {};
+    for (const field of SCOPE_FIELDS) {
+        const list = input[field];
+        if (list === undefined || list === null) continue;
+        if (!Array.isArray(list) || list.length === 0 || list.some(v => typeof v !== 'string' || !v)) {
+            return { error: `"scopes.${field}" must be a non-empty array of strings` };
+        }
+        scopes[field] = [...new Set(list.map(v => v.trim()))];
+    }
+
+    const badService = (scopes.services || []).find(s => !knownServices.includes(s));
+    if (badService) return { error: `Unknown service "${badService}" in scopes.services` };
+
+    const badOrigin = (scopes.origins || []).find(o => !/^[a-z][a-z0-9+.-]*:\/\/(\*\.)?[^/*]+$/i.test(o));
+    if (badOrigin) return { error: `Invalid origin "${badOrigin}" — expected e.g. "https://app.example.com"` };
+
+    for (const range of scopes.ip_ranges || []) {
+        if (!parseCidr(range)) return { error: `Invalid CIDR range "${range}"` };
+    }
+
+    return { value: Object.keys(scopes).length ? scopes : null };
+}
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a bare address into { address, prefix, type }
+ */
+function parseCidr(range) {
+    const [address, bits] = range.split('/');
+    const version = net.isIP(address);
+    if (!version) return null;
+
+    const max = version === 4 ? 32 : 128;
+    const prefix = bits === undefined ? max : Number(bits);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) return null;
+
+    return { address, prefix, type: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+function ipAllowed(ip, ranges) {
+    if (!ip) return false;
+    // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+
+    const list = new net.BlockList();
+    for (const range of ranges) {
+        const cidr = parseCidr(range);
+        if (cidr) list.addSubnet(cidr.address, cidr.prefix, cidr.type);
+    }
+    return list.check(address, type);
+}
+
+function originAllowed(origin, patterns) {
+    if (!origin) return false;
+    const value = origin.toLowerCase();
+    return patterns.some(pattern => {
+        const p = pattern.toLowerCase();
+        if (!p.includes('://*.')) return value === p;
+        const [scheme, host] = p.split('://*.');
+        return value.startsWith(`${scheme}://`) && value.endsWith(`.${host}`);
+    });
+}
+
+/**
+ * Check a request against a key's scopes.
+ * @returns {ApiError|null} INSUFFICIENT_SCOPE error naming the missing scope, or null if allowed
+ */
+function checkScopes(scopes, service, req) {
+    if (!scopes) return null;
+
+    if (scopes.services && !scopes.services.includes(service)) {
+        return scopeError('services', service, scopes.services,
+            `This key is not scoped for ${service}`);
+    }
+
+    if (scopes.origins) {
+        const origin = req.headers.origin;
+        if (!originAllowed(origin, scopes.origins)) {
+            return scopeError('origins', origin || null, scopes.origins,
+                origin ? `Origin ${origin} is not allowed for this key` : 'This key requires an allowed Origin header');
+        }
+    }
+
+    if (scopes.ip_ranges && !ipAllowed(req.ip, scopes.ip_ranges)) {
+        return scopeError('ip_ranges', req.ip, scopes.ip_ranges,
+            `Client IP ${req.ip} is outside the key's allowed ranges`);
+    }
+
+    return null;
+}
+
+function scopeError(scope, value, allowed, message) {
+    return new ApiError('INSUFFICIENT_SCOPE', message, { missing_scope: { scope, value }, allowed });
+}
+
+module.exports = { normalizeScopes, checkScopes, parseCidr };
@@ -0,0 +1,177 @@
+/**
+ * Verify.IQ - Request Validation
+ * Checks request bodies and query strings against the JSON Schemas in
+ * src/schemas (the same ones published in /api/openapi.json) and rejects
+ * bad input with a single 400 listing every invalid field.
+ *
+ * Supported keywords: type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, format (uri, email, date, date-time, uuid), minimum, maximum.
+ * Annotations (description, examples, default) are ignored. A schema may
+ * name the error code reported when it fails with `x-error-code`.
+ */
+
+const { ApiError } = require('../errors');
+
+const FORMATS = {
+    uri: value => {
+        try {
+            return Boolean(new URL(value).protocol);
+        } catch (e) {
+            return false;
+        }
+    },
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value)),
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * "$.comments[0].text" style path for a property or index under `path`
+ */
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {Array<{path: string, message: string, code?: string}>} Every problem found (empty when valid)
+ */
+function validateSchema(schema, value, path = '$', errors = []) {
+    if (!schema || typeof schema !== 'object') return errors;
+    // x-error-code: catalogue code to report when this schema is the one that fails
+    const fail = message => errors.push({ path, message, ...(schema['x-error-code'] && { code: schema['x-error-code'] }) });
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.map(t => (/^[aeiou]/.test(t) ? `an ${t}` : `a ${t}`)).join(' or ')}`);
+            return errors;
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            fail(`must be a valid ${schema.format}`);
+        } else if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match the pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must contain at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) value.forEach((item, i) => validateSchema(schema.items, item, childPath(path, i), errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) errors.push({ path: childPath(path, field), message: 'is required' });
+        }
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            if (child === undefined) continue;
+            if (properties[key]) {
+                validateSchema(properties[key], child, childPath(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(path, key), message: 'is not an allowed field' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateSchema(schema.additionalProperties, child, childPath(path, key), errors);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Query strings only carry strings; convert fields the schema declares as
+ * numbers or booleans so they can be checked (and used) as such.
+ */
+function coerceQuery(schema, query) {
+    const coerced = { ...query };
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+        const types = [].concat(child.type || []);
+        const raw = coerced[key];
+        if (typeof raw !== 'string') continue;
+        if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !Number.isNaN(Number(raw))) {
+            coerced[key] = Number(raw);
+        } else if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+            coerced[key] = raw === 'true';
+        }
+    }
+    return coerced;
+}
+
+/**
+ * Request validation middleware
+ * @param {Object} schemas
+ * @param {Object} [schemas.body] - Schema for req.body
+ * @param {Object} [schemas.query] - Schema for req.query
+ */
+function validate({ body, query } = {}) {
+    return (req, res, next) => {
+        const errors = [];
+        if (query) {
+            req.query = coerceQuery(query, req.query);
+            errors.push(...validateSchema(query, req.query).map(e => ({ location: 'query', ...e })));
+        }
+        if (body) {
+            errors.push(...validateSchema(body, req.body ?? {}).map(e => ({ location: 'body', ...e })));
+        }
+        if (errors.length === 0) return next();
+        next(validationError(errors));
+    };
+}
+
+/**
+ * The 400 for a list of validation problems
+ * @param {Array<{location: string, path: string, message: string, code?: string}>} errors
+ * @returns {ApiError}
+ */
+function validationError(errors) {
+    // A single kind of problem (e.g. a bad URL) gets its specific code
+    const codes = new Set(errors.map(e => e.code));
+    const code = codes.size === 1 && !codes.has(undefined) ? [...codes][0] : 'VALIDATION_FAILED';
+    const fields = new Set(errors.map(e => `${e.location}:${e.path}`)).size;
+    return new ApiError(code, errors.length === 1
+        ? `${errors[0].path} ${errors[0].message}`
+        : `${fields} field(s) are invalid`, { errors });
+}
+
+module.exports = { validate, validateSchema, validationError };
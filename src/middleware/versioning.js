@@ -0,0 +1,112 @@
+/**
+ * Verify.IQ - API Versions
+ * Every API route is served under /api/<version>/. Handlers can branch on
+ * req.apiVersion when a response shape changes between versions.
+ *
+ * Deprecated versions and endpoints still work until their sunset date but
+ * answer with Deprecation (RFC 9745), Sunset (RFC 8594) and Link headers,
+ * and calls made with an API key are counted in the deprecation log.
+ * Unversioned /api/... paths predate versioning and behave as v1.
+ */
+
+const { recordDeprecatedCall } = require('../store/deprecationLog');
+
+// v1 and v2 answer alike for now, so v1 is not deprecated yet. Once a v2
+// response shape differs (e.g. a scan's `checks`), v1 becomes
+// { status: 'deprecated', deprecatedAt, sunset, successor: 'v2' }.
+const API_VERSIONS = {
+    v1: { status: 'supported' },
+    v2: { status: 'current' },
+};
+
+const CURRENT_VERSION = 'v2';
+
+// Endpoints labelled LEGACY (email verification, AI text detection), in every version
+const LEGACY_DEPRECATION = { deprecatedAt: '2026-10-19', sunset: '2027-04-30' };
+
+const VERSIONED_PATH = /^\/v\d+(\/|$)/;
+
+/**
+ * "/api/scan-url" -> "/api/v2/scan-url"
+ */
+function versionedPath(path, version = CURRENT_VERSION) {
+    return path.replace(/^\/api(?=\/|$)/, `/api/${version}`);
+}
+
+/**
+ * Route pattern of a finished request ("/api/v1/keys/:id") so calls with
+ * different ids count as one endpoint. Errors leave the routers before the
+ * response is sent (resetting req.baseUrl); those fall back to the actual path.
+ */
+function endpointPath(req) {
+    const path = req.originalUrl.split('?')[0];
+    if (!req.route || !req.baseUrl || !path.startsWith(req.baseUrl)) return path;
+    return req.route.path === '/' ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+}
+
+/**
+ * Announce a deprecation on the response and log the call once it is done.
+ * When both the version and the endpoint are deprecated, the earlier sunset wins.
+ */
+function markDeprecated(req, res, { deprecatedAt, sunset, successor }) {
+    const current = req.deprecation;
+    if (current && current.sunset <= sunset) return;
+    req.deprecation = { deprecatedAt, sunset, successor: successor || current?.successor || null };
+
+    const links = [];
+    if (req.deprecation.successor) links.push(`<${req.deprecation.successor}>; rel="successor-version"`);
+    links.push('</api/docs>; rel="deprecation"');
+    res.set({
+        Deprecation: `@${Math.floor(Date.parse(deprecatedAt) / 1000)}`,
+        Sunset: new Date(sunset).toUTCString(),
+        Link: links.join(', '),
+    });
+
+    if (current) return;
+    res.on('finish', () => {
+        // Only keyed calls are attributable; anonymous and admin calls are not logged
+        if (!req.apiKeyData) return;
+        recordDeprecatedCall(req.apiKeyData, `${req.method} ${endpointPath(req)}`, req.deprecation.sunset)
+            .catch(e => console.error('Deprecation log write failed:', e.message));
+    });
+}
+
+/**
+ * Mount middleware for a version's router
+ * @param {string} version - Key of API_VERSIONS
+ * @param {Object} [options]
+ * @param {boolean} [options.unversioned] - Mounted at bare /api (alias of this version)
+ */
+function apiVersion(version, { unversioned = false } = {}) {
+    const info = API_VERSIONS[version];
+    return (req, res, next) => {
+        // /api/vN/... paths that the versioned mounts did not match end up here too
+        if (unversioned && VERSIONED_PATH.test(req.path)) return next();
+
+        req.apiVersion = version;
+        res.set('API-Version', version);
+        if (info.status === 'deprecated') {
+            markDeprecated(req, res, {
+                ...info,
+                successor: `/api/${info.successor}${req.path === '/' ? '' : req.path}`,
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Route middleware marking a single endpoint as deprecated in every version
+ * @param {Object} notice - { deprecatedAt, sunset, successor? } (dates as YYYY-MM-DD)
+ */
+function deprecated(notice) {
+    return (req, res, next) => {
+        markDeprecated(req, res, notice);
+        next();
+    };
+}
+
+module.exports = {
+    apiVersion, deprecated, versionedPath,
+    API_VERSIONS, CURRENT_VERSION, LEGACY_DEPRECATION,
+};
@@ -0,0 +1,309 @@
+/**
+ * Verify.IQ - Admin Routes
+ * Operator-only endpoints guarded by VERIFYIQ_ADMIN_TOKEN.
+ * This is the only place a paid tier can be assigned to a key, and where
+ * browser extension installs are revoked, where the metering ledger is
+ * exported for invoicing, where callers of deprecated endpoints are listed,
+ * and where analyst feedback is reviewed and exported as a labeled dataset.
+ */
+
+const express = require('express');
+const { adminAuth } = require('../middleware/adminAuth');
+const { generateKey, describeKey, parseExpiry, TIER_LIMITS, SERVICES } = require('../middleware/apiKey');
+const { normalizeScopes } = require('../middleware/scopes');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/account');
+const { ApiError } = require('../errors');
+const { getKeyStore } = require('../store/keyStore');
+const { installs } = require('../middleware/extensionToken');
+const { ledger } = require('../store/ledger');
+const { orgs } = require('../store/orgStore');
+const { deprecations, describeDeprecations } = require('../store/deprecationLog');
+const feedbackSchemas = require('../schemas/feedback');
+const { feedback } = require('../store/feedbackStore');
+const { reviewFeedback, describeFeedback, datasetRow, DATASET_COLUMNS } = require('../services/feedback');
+const { describeListEntry } = require('../services/policyLists');
+
+const MAX_EXPORT_DAYS = 366;
+const GROUPINGS = {
+    none: null,
+    key: ['key_id', 'org_id', 'owner_id', 'tier', 'service'],
+    org: ['org_id', 'service'],
+    owner: ['owner_id', 'org_id', 'service'],
+};
+const RAW_COLUMNS = ['ts', 'key_id', 'org_id', 'owner_id', 'tier', 'service', 'units', 'method', 'path', 'status', 'outcome', 'latency_ms'];
+const OUTCOMES = ['success', 'client_error', 'server_error', 'aborted'];
+
+const router = express.Router();
+
+router.use(adminAuth());
+
+// List keys, optionally for a single owner
+router.get('/keys', validate({ query: schemas.AdminKeyListQuery }), async (req, res, next) => {
+    try {
+        const filter = req.query.owner_id ? { ownerId: req.query.owner_id } : {};
+        const keys = await getKeyStore().list(filter);
+        res.json({
+            total: keys.length,
+            keys: keys.map(k => ({ ...describeKey(k), owner_id: k.ownerId })),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Issue a key at any tier, optionally for an existing owner
+router.post('/keys', validate({ body: schemas.AdminCreateKeyRequest }), async (req, res, next) => {
+    try {
+        const { name, tier = 'free', owner_id } = req.body;
+        const expiry = parseExpiry(req.body.expires_at);
+        if (expiry.error) throw new ApiError('INVALID_FIELD', expiry.error);
+        const scopes = normalizeScopes(req.body.scopes, SERVICES);
+        if (scopes.error) throw new ApiError('INVALID_FIELD', scopes.error);
+
+        // A key for an existing owner joins their organization (and its pooled quota)
+        const [ownerKey] = owner_id ? await getKeyStore().list({ ownerId: owner_id }) : [];
+        const { key, record } = await generateKey(name || 'Unnamed', tier, {
+            ownerId: owner_id,
+            orgId: ownerKey?.orgId || null,
+            expiresAt: expiry.value,
+            scopes: scopes.value,
+        });
+        res.status(201).json({
+            api_key: key,
+            message: 'Store this key securely - it cannot be retrieved again',
+            key: { ...describeKey(record), owner_id: record.ownerId },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Change a key's tier (limits follow the tier)
+router.patch('/keys/:id', validate({ body: schemas.AdminUpdateKeyRequest }), async (req, res, next) => {
+    try {
+        const { tier } = req.body;
+        const updated = await getKeyStore().update(req.params.id, { tier, limits: { ...TIER_LIMITS[tier] } });
+        if (!updated) {
+            throw new ApiError('KEY_NOT_FOUND', `No key with id "${req.params.id}"`);
+        }
+        res.json({ key: { ...describeKey(updated), owner_id: updated.ownerId } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// List browser extension installs with today's usage
+router.get('/installs', validate({ query: schemas.InstallListQuery }), async (req, res, next) => {
+    try {
+        const filter = req.query.status ? { status: req.query.status } : {};
+        const list = await installs.list(filter);
+        res.json({ total: list.length, installs: list });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Revoke an extension install: its tokens stop working and it cannot get new ones
+router.post('/installs/:id/revoke', async (req, res, next) => {
+    try {
+        const updated = await installs.update(req.params.id, {
+            status: 'revoked',
+            revokedAt: new Date().toISOString(),
+        });
+        if (!updated) {
+            throw new ApiError('INSTALL_NOT_FOUND', `No install with id "${req.params.id}"`);
+        }
+        res.json({ install: updated });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// List organizations
+router.get('/orgs', async (req, res, next) => {
+    try {
+        const list = await orgs.list();
+        res.json({ total: list.length, organizations: list });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Change an organization's tier and/or seat limit. Member keys follow the org tier.
+router.patch('/orgs/:id', validate({ body: schemas.AdminUpdateOrgRequest }), async (req, res, next) => {
+    try {
+        const { tier, seat_limit } = req.body;
+        const patch = {};
+        if (tier) Object.assign(patch, { tier, limits: { ...TIER_LIMITS[tier] } });
+        if (seat_limit) patch.seatLimit = seat_limit;
+
+        const updated = await orgs.update(req.params.id, patch);
+        if (!updated) {
+            throw new ApiError('ORG_NOT_FOUND', `No organization with id "${req.params.id}"`);
+        }
+
+        if (tier) {
+            const store = getKeyStore();
+            for (const key of await store.list({ orgId: updated.id })) {
+                await store.update(key.id, { tier, limits: { ...TIER_LIMITS[tier] } });
+            }
+        }
+        res.json({ organization: updated });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Entries written before owner_id was recorded carry the owner's id as
+ * org_id for keys outside an organization; split it back out
+ * @param {Map} owners - key id -> owner id cache for one export
+ */
+async function withOwner(entry, owners) {
+    if ('owner_id' in entry) return entry;
+    if (!owners.has(entry.key_id)) owners.set(entry.key_id, (await getKeyStore().findById(entry.key_id))?.ownerId ?? null);
+    const ownerId = owners.get(entry.key_id);
+    return { ...entry, org_id: entry.org_id === ownerId ? null : entry.org_id, owner_id: ownerId };
+}
+
+// Export the metering ledger for a date range as CSV or NDJSON, raw or aggregated
+router.get('/metering/export', validate({ query: schemas.MeteringExportQuery }), async (req, res, next) => {
+    try {
+        const { from, format = 'ndjson', group_by = 'none' } = req.query;
+        const to = req.query.to || from;
+
+        if (to < from) {
+            throw new ApiError('INVALID_DATE_RANGE', '"to" must not be before "from"');
+        }
+        if ((Date.parse(to) - Date.parse(from)) / 86400000 >= MAX_EXPORT_DAYS) {
+            throw new ApiError('INVALID_DATE_RANGE', `Maximum ${MAX_EXPORT_DAYS} days per export`);
+        }
+
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+        res.set('Content-Disposition', `attachment; filename="metering_${from}_${to}_${group_by}.${format}"`);
+
+        const groupFields = GROUPINGS[group_by];
+        const owners = new Map();
+        if (!groupFields) {
+            if (format === 'csv') res.write(RAW_COLUMNS.join(',') + '\n');
+            for await (const logged of ledger.read({ from, to })) {
+                const entry = await withOwner(logged, owners);
+                res.write(format === 'csv' ? toCsvRow(RAW_COLUMNS, entry) : JSON.stringify(entry) + '\n');
+            }
+            return res.end();
+        }
+
+        const groups = new Map();
+        for await (const logged of ledger.read({ from, to })) {
+            const entry = await withOwner(logged, owners);
+            const id = groupFields.map(f => entry[f]).join('\u0000');
+            if (!groups.has(id)) {
+                const group = { from, to };
+                for (const f of groupFields) group[f] = entry[f];
+                Object.assign(group, { calls: 0, units: 0, ...Object.fromEntries(OUTCOMES.map(o => [o, 0])), total_latency_ms: 0 });
+                groups.set(id, group);
+            }
+            const group = groups.get(id);
+            group.calls++;
+            group.units += entry.units ?? 1;
+            group[entry.outcome] = (group[entry.outcome] || 0) + 1;
+            group.total_latency_ms += entry.latency_ms || 0;
+        }
+
+        const columns = ['from', 'to', ...groupFields, 'calls', 'units', ...OUTCOMES, 'avg_latency_ms'];
+        if (format === 'csv') res.write(columns.join(',') + '\n');
+        for (const group of groups.values()) {
+            const { total_latency_ms, ...row } = group;
+            row.avg_latency_ms = Math.round(total_latency_ms / group.calls);
+            res.write(format === 'csv' ? toCsvRow(columns, row) : JSON.stringify(row) + '\n');
+        }
+        res.end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Keys still calling deprecated versions or endpoints, most recent first
+router.get('/deprecations', validate({ query: schemas.DeprecationListQuery }), async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.key_id) filter.keyId = req.query.key_id;
+        if (req.query.org_id) filter.orgId = req.query.org_id;
+        const keys = (await deprecations.list(filter))
+            .map(describeDeprecations)
+            .sort((a, b) => (b.last_seen || '').localeCompare(a.last_seen || ''));
+        res.json({ total: keys.length, keys });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Feedback review queue, oldest first
+router.get('/feedback', validate({ query: feedbackSchemas.ReviewQueueQuery }), async (req, res, next) => {
+    try {
+        const { status = 'pending', service, org_id, limit = 50 } = req.query;
+        const list = (await feedback.list(f => f.status === status && (!service || f.service === service) && (!org_id || f.orgId === org_id)))
+            .sort((a, b) => a.created.localeCompare(b.created));
+        res.json({ total: list.length, feedback: list.slice(0, limit).map(f => describeFeedback(f, { report: true })) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Labeled dataset of accepted feedback, for recalibrating the heuristics
+router.get('/feedback/export', validate({ query: feedbackSchemas.DatasetExportQuery }), async (req, res, next) => {
+    try {
+        const { service, label, from, to, format = 'ndjson' } = req.query;
+        if (from && to && to < from) {
+            throw new ApiError('INVALID_DATE_RANGE', '"to" must not be before "from"');
+        }
+
+        const accepted = (await feedback.list(f => f.status === 'accepted'
+            && (!service || f.service === service)
+            && (!label || f.label === label)
+            && (!from || f.reviewedAt.slice(0, 10) >= from)
+            && (!to || f.reviewedAt.slice(0, 10) <= to)))
+            .sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt));
+
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+        res.set('Content-Disposition', `attachment; filename="feedback_${from || 'all'}_${to || 'all'}.${format}"`);
+        if (format === 'csv') res.write(DATASET_COLUMNS.join(',') + '\n');
+        for (const item of accepted) {
+            const row = datasetRow(item);
+            res.write(format === 'csv' ? toCsvRow(DATASET_COLUMNS, row) : JSON.stringify(row) + '\n');
+        }
+        res.end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Accept a correction; by default its target goes on the tenant's allow or deny list
+router.post('/feedback/:id/accept', validate({ body: feedbackSchemas.AcceptFeedbackRequest }), async (req, res, next) => {
+    try {
+        const { feedback: item, entry } = await reviewFeedback(req.params.id, 'accepted', req.body);
+        res.json({ feedback: describeFeedback(item), list_entry: entry && describeListEntry(entry) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/feedback/:id/reject', validate({ body: feedbackSchemas.RejectFeedbackRequest }), async (req, res, next) => {
+    try {
+        const { feedback: item } = await reviewFeedback(req.params.id, 'rejected', req.body);
+        res.json({ feedback: describeFeedback(item), list_entry: null });
+    } catch (error) {
+        next(error);
+    }
+});
+
+function toCsvRow(columns, row) {
+    return columns.map(c => {
+        const value = row[c] ?? '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\n';
+}
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Verify.IQ - Extension Token Route
+ * Exchanges an extension install ID for a short-lived signed token.
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { issueToken, registerInstall } = require('../middleware/extensionToken');
+const { validate } = require('../middleware/validate');
+const { ExtensionTokenRequest } = require('../schemas/account');
+const { ApiError } = require('../errors');
+
+const router = express.Router();
+
+// Cap how fast one client can mint tokens (new installs are capped per address per day as well)
+const tokenLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 30,
+    handler: (req, res, next) => next(new ApiError('RATE_LIMITED', 'Too many token requests from this address. Retry in an hour')),
+});
+
+router.post('/token', tokenLimiter, validate({ body: ExtensionTokenRequest }), async (req, res, next) => {
+    try {
+        const { install_id } = req.body;
+
+        const install = await registerInstall(install_id, req.ip);
+        if (install.status !== 'active') {
+            throw new ApiError('EXTENSION_REVOKED', 'This extension install is no longer allowed to use the API');
+        }
+
+        res.json(issueToken(install_id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
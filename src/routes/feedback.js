@@ -0,0 +1,56 @@
+/**
+ * Verify.IQ - Feedback Routes
+ * Report a stored verdict as wrong, with the verdict it should have had.
+ * Operators review submissions (see /api/admin/feedback); accepted ones put
+ * the target on the organization's (or the owner's keys') allow or deny list.
+ * Not metered.
+ */
+
+const express = require('express');
+const { keyOwnerAuth } = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/feedback');
+const { ApiError } = require('../errors');
+const { feedback } = require('../store/feedbackStore');
+const { submitFeedback, describeFeedback } = require('../services/feedback');
+const { tenantOf } = require('../services/entityGraph');
+
+const router = express.Router();
+
+router.use(keyOwnerAuth());
+
+router.post('/', validate({ body: schemas.FeedbackRequest }), async (req, res, next) => {
+    try {
+        const item = await submitFeedback(req.apiKeyData, req.body);
+        res.status(201).json({ feedback: describeFeedback(item) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// My organization's feedback, newest first
+router.get('/', validate({ query: schemas.FeedbackListQuery }), async (req, res, next) => {
+    try {
+        const { status, service, limit = 50 } = req.query;
+        const tenant = tenantOf(req.apiKeyData);
+        const list = (await feedback.list(f => f.tenant === tenant && (!status || f.status === status) && (!service || f.service === service)))
+            .sort((a, b) => b.created.localeCompare(a.created));
+        res.json({ total: list.length, feedback: list.slice(0, limit).map(f => describeFeedback(f)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/:id', async (req, res, next) => {
+    try {
+        const item = await feedback.get(req.params.id);
+        if (!item || item.tenant !== tenantOf(req.apiKeyData)) {
+            throw new ApiError('FEEDBACK_NOT_FOUND', `No feedback with id "${req.params.id}"`);
+        }
+        res.json({ feedback: describeFeedback(item, { report: true }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/**
+ * Verify.IQ - Entity Graph Routes
+ * Explore what earlier scans revealed about an entity: everything linked to
+ * it within a few hops (shared IPs, mail hosts, nameservers, registrars,
+ * emails, wallets, social profiles, images). The graph is shared by every
+ * key of an organization (or of one owner). Not metered.
+ */
+
+const express = require('express');
+const net = require('net');
+const { keyOwnerAuth } = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/graph');
+const { ApiError } = require('../errors');
+const { graphStore } = require('../store/graphStore');
+const { tenantOf, normalizeEntity, ENTITY_TYPES, MENTION_PATTERNS } = require('../services/entityGraph');
+
+const router = express.Router();
+
+router.use(keyOwnerAuth());
+
+const SHA256_PATTERN = /^(sha256:)?[a-f0-9]{64}$/i;
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}\.?$/i;
+
+/**
+ * Type and value of an entity given as "<type>:<value>", or detected from a bare value
+ * @throws {ApiError} INVALID_ENTITY
+ */
+function parseEntity(raw) {
+    const value = raw.trim();
+    const prefix = value.slice(0, value.indexOf(':'));
+    if (ENTITY_TYPES.includes(prefix)) return { type: prefix, value: value.slice(prefix.length + 1) };
+
+    const whole = pattern => new RegExp(`^${pattern.source}$`, 'i').test(value);
+    if (whole(MENTION_PATTERNS.email)) return { type: 'email', value };
+    if (whole(MENTION_PATTERNS.wallet)) return { type: 'wallet', value };
+    if (net.isIP(value)) return { type: 'ip', value };
+    if (SHA256_PATTERN.test(value)) return { type: 'image_hash', value };
+    if (/^https?:\/\//i.test(value)) {
+        try {
+            return { type: 'domain', value: new URL(value).hostname };
+        } catch (e) {
+            // Fall through to the error below
+        }
+    }
+    if (DOMAIN_PATTERN.test(value)) return { type: 'domain', value };
+    throw new ApiError('INVALID_ENTITY', `Cannot tell what "${value.slice(0, 100)}" is; prefix it with its type (${ENTITY_TYPES.join(', ')}), e.g. "domain:example.com"`);
+}
+
+/**
+ * Public view of a node; ids drop the tenant prefix
+ */
+function describeNode(node, tenant) {
+    return {
+        id: node.id.slice(tenant.length + 1),
+        type: node.type,
+        value: node.value,
+        distance: node.distance,
+        attributes: node.attributes,
+        sources: node.sources,
+        sightings: node.sightings,
+        first_seen: node.firstSeen,
+        last_seen: node.lastSeen,
+    };
+}
+
+function describeEdge(edge, tenant) {
+    return {
+        from: edge.from.slice(tenant.length + 1),
+        to: edge.to.slice(tenant.length + 1),
+        relation: edge.relation,
+        sources: edge.sources,
+        sightings: edge.sightings,
+        first_seen: edge.firstSeen,
+        last_seen: edge.lastSeen,
+    };
+}
+
+// Everything connected to an entity within `hops` edges.
+// The entity may contain slashes (social handles, URLs), so it takes the rest of the path.
+router.get('/:entity(*)', validate({ query: schemas.GraphQuery }), async (req, res, next) => {
+    try {
+        const { type, value } = parseEntity(req.params.entity);
+        const { hops = 2, limit = 200 } = req.query;
+        const tenant = tenantOf(req.apiKeyData);
+
+        const root = await graphStore.getNode(tenant, type, normalizeEntity(type, value));
+        if (!root) {
+            throw new ApiError('ENTITY_NOT_FOUND', `No ${type} "${normalizeEntity(type, value)}" has been seen in your scans yet`);
+        }
+
+        const { nodes, edges, truncated } = await graphStore.neighborhood(root, { hops, limit });
+        res.json({
+            entity: describeNode({ ...root, distance: 0 }, tenant),
+            hops,
+            total_nodes: nodes.length,
+            total_edges: edges.length,
+            truncated,
+            nodes: nodes.map(node => describeNode(node, tenant)),
+            edges: edges.map(edge => describeEdge(edge, tenant)),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Verify.IQ - Scan History Routes
+ * Search every stored analyzer report of the caller's organization (or of
+ * all keys of one owner without one) and fetch any of them in full.
+ * Not metered.
+ */
+
+const express = require('express');
+const { keyOwnerAuth } = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/history');
+const { ApiError } = require('../errors');
+const { reportStore } = require('../store/reportStore');
+const { loadReport, signedOutput, describeReport } = require('../services/history');
+const { tenantOf } = require('../services/entityGraph');
+const { wantsSignature } = require('../services/reportSigning');
+
+const router = express.Router();
+
+router.use(keyOwnerAuth());
+
+// Search, newest first
+router.get('/', validate({ query: schemas.HistoryQuery }), async (req, res, next) => {
+    try {
+        const { service, verdict, from, to, min_score, max_score, key_id, limit = 50, offset = 0 } = req.query;
+        if (from && to && to < from) {
+            throw new ApiError('INVALID_DATE_RANGE', '"to" must not be before "from"');
+        }
+        if (min_score !== undefined && max_score !== undefined && max_score < min_score) {
+            throw new ApiError('INVALID_FIELD', '"max_score" must not be below "min_score"');
+        }
+        const domain = req.query.domain?.toLowerCase().replace(/\.$/, '');
+        const tenant = tenantOf(req.apiKeyData);
+
+        const matches = (await reportStore.list(r => r.tenant === tenant
+            && (!service || r.service === service)
+            && (!verdict || r.verdict === verdict.toLowerCase())
+            && (!domain || (r.domain && (r.domain === domain || r.domain.endsWith(`.${domain}`))))
+            && (!from || r.day >= from)
+            && (!to || r.day <= to)
+            && (min_score === undefined || (r.score !== null && r.score >= min_score))
+            && (max_score === undefined || (r.score !== null && r.score <= max_score))
+            && (!key_id || r.keyId === key_id)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        res.json({ total: matches.length, offset, limit, reports: matches.slice(offset, offset + limit).map(r => describeReport(r)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// One report with its full input and output
+// With X-Sign-Report: true the output carries the signature it was given when stored, to pass on later
+router.get('/:id', async (req, res, next) => {
+    try {
+        const { record, document } = await loadReport(req.apiKeyData, req.params.id);
+        const output = wantsSignature(req) ? signedOutput(document) : document.output;
+        res.json({ report: describeReport(record, { ...document, output }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+/**
+ * Verify.IQ - Job Routes
+ * Submit long batches (up to 10,000 URLs or email addresses) without holding
+ * the connection open, then poll for progress and partial results.
+ * Submitting a job charges the job type's service up front: one bulk_scan
+ * request per 50 URLs (a /bulk-scan call's worth), one email_verify request
+ * per address; reading or cancelling it is not metered. Jobs are visible to
+ * every key of the same owner.
+ */
+
+const express = require('express');
+const { consumeQuota, meterCall, resolveKey, setBurstRateLimitHeaders } = require('../middleware/apiKey');
+const { checkScopes } = require('../middleware/scopes');
+const { validate, validateSchema, validationError } = require('../middleware/validate');
+const schemas = require('../schemas/jobs');
+const { ApiError } = require('../errors');
+const { jobQueue, JOB_TYPES } = require('../services/jobQueue');
+const { jobStore } = require('../store/jobStore');
+
+const router = express.Router();
+
+/**
+ * Public view of a job record
+ */
+function describeJob(job, base) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        total: job.total,
+        processed: job.processed,
+        succeeded: job.succeeded,
+        failed: job.failed,
+        progress: job.total ? Math.round((job.processed / job.total) * 1000) / 1000 : 1,
+        created_at: job.createdAt,
+        started_at: job.startedAt,
+        finished_at: job.finishedAt,
+        cancelled_at: job.cancelledAt,
+        error: job.error,
+        links: { self: `${base}/${job.id}`, cancel: `${base}/${job.id}/cancel` },
+    };
+}
+
+/**
+ * Authenticate any valid key without charging a quota
+ */
+function keyAuth() {
+    return async (req, res, next) => {
+        try {
+            req.apiKeyData = await resolveKey(req.headers['x-api-key'] || req.query.api_key);
+            setBurstRateLimitHeaders(req, res);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Load a job belonging to the caller's owner
+ * @throws {ApiError} JOB_NOT_FOUND
+ */
+async function loadOwnJob(req) {
+    const job = await jobStore.jobs.get(req.params.id);
+    if (!job || job.ownerId !== (req.apiKeyData.ownerId || req.apiKeyData.id)) {
+        throw new ApiError('JOB_NOT_FOUND', `No job with id "${req.params.id}" belongs to you`);
+    }
+    return job;
+}
+
+/**
+ * Charge the items to the job type's service before the job is queued, so a
+ * job that would not fit in what is left of today's quota is refused whole
+ */
+function chargeJob() {
+    return async (req, res, next) => {
+        try {
+            const { service, itemsPerUnit } = JOB_TYPES[req.body.type];
+            const scopeError = checkScopes(req.apiKeyData.scopes, service, req);
+            if (scopeError) throw scopeError;
+
+            const units = Math.ceil(req.body.items.length / itemsPerUnit);
+            req.apiKeyData = await consumeQuota(req.apiKeyData, service, res, units);
+            meterCall(req, res, service, req.apiKeyData, units);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Check each item against its job type's schema (before the quota is charged)
+ */
+function validateItems() {
+    return (req, res, next) => {
+        const { type, items } = req.body;
+        const errors = validateSchema({ type: 'array', items: JOB_TYPES[type].item }, items, '$.items')
+            .map(e => ({ location: 'body', ...e }));
+        if (errors.length === 0) return next();
+        next(validationError(errors));
+    };
+}
+
+// Jobs belong to API key owners; extension tokens cannot submit or read them
+router.use(keyAuth());
+
+// Submit a job; it starts as soon as a worker is free
+router.post('/', validate({ body: schemas.CreateJobRequest }), validateItems(), chargeJob(), async (req, res, next) => {
+    try {
+        const { type, items } = req.body;
+        const job = await jobQueue.submit({ type, items, keyData: req.apiKeyData });
+        const body = { job: describeJob(job, req.baseUrl) };
+        res.status(202).location(body.job.links.self).json(body);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// My jobs, newest first
+router.get('/', validate({ query: schemas.JobListQuery }), async (req, res, next) => {
+    try {
+        const ownerId = req.apiKeyData.ownerId || req.apiKeyData.id;
+        const jobs = (await jobStore.jobs.list(job => job.ownerId === ownerId && (!req.query.status || job.status === req.query.status)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        res.json({ total: jobs.length, jobs: jobs.map(job => describeJob(job, req.baseUrl)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Progress and a page of the results processed so far
+router.get('/:id', validate({ query: schemas.JobResultsQuery }), async (req, res, next) => {
+    try {
+        const job = await loadOwnJob(req);
+        const { offset = 0, limit = 100 } = req.query;
+        const results = await jobStore.readResults(job.id, { offset, limit });
+
+        res.json({
+            job: describeJob(job, req.baseUrl),
+            results,
+            offset,
+            next_offset: offset + results.length < job.processed ? offset + results.length : null,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Cancel: queued items are dropped, results already processed are kept
+router.post('/:id/cancel', async (req, res, next) => {
+    try {
+        await loadOwnJob(req);
+        const job = await jobQueue.cancel(req.params.id);
+        res.json({ job: describeJob(job, req.baseUrl) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+/**
+ * Verify.IQ - Key Management Routes
+ * Self-service lifecycle for API keys: list, create, rename, expire, scope,
+ * rotate (with a grace period for the old key) and revoke.
+ * All routes except /generate are authenticated with one of the owner's keys.
+ */
+
+const express = require('express');
+const {
+    keyOwnerAuth, generateKey, newKeyValue, keyPrefix, describeKey, parseExpiry, SERVICES,
+} = require('../middleware/apiKey');
+const { normalizeScopes } = require('../middleware/scopes');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/account');
+const { ApiError } = require('../errors');
+const { getKeyStore, hashKey } = require('../store/keyStore');
+
+const router = express.Router();
+
+// Public signup: always issues a free key. Paid tiers are assigned via /api/admin/keys.
+router.post('/generate', validate({ body: schemas.GenerateKeyRequest }), async (req, res, next) => {
+    try {
+        const { name, tier } = req.body;
+        if (tier && tier !== 'free') {
+            throw new ApiError('TIER_REQUIRES_ADMIN', 'Self-service keys are always "free". Paid tiers are assigned by an administrator.');
+        }
+
+        const { key, record } = await generateKey(name || 'Unnamed', 'free');
+        res.json({
+            api_key: key,
+            message: 'Store this key securely - it cannot be retrieved again',
+            tier: 'free',
+            key: describeKey(record),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.use(keyOwnerAuth());
+
+/**
+ * Load a key owned by the caller
+ * @throws {ApiError} KEY_NOT_FOUND
+ */
+async function loadOwnedKey(req) {
+    const record = await getKeyStore().findById(req.params.id);
+    if (!record || record.ownerId !== req.apiKeyData.ownerId) {
+        throw new ApiError('KEY_NOT_FOUND', `No key with id "${req.params.id}" belongs to you`);
+    }
+    return record;
+}
+
+// List my keys with their usage
+router.get('/', async (req, res, next) => {
+    try {
+        const keys = await getKeyStore().list({ ownerId: req.apiKeyData.ownerId });
+        res.json({
+            total: keys.length,
+            keys: keys.map(describeKey),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create an additional key at the caller's tier, optionally scoped. It draws
+// from the daily quota of the caller's key (or of the key that one draws
+// from), so extra keys never add to what an owner can use in a day.
+router.post('/', validate({ body: schemas.CreateKeyRequest }), async (req, res, next) => {
+    try {
+        const { name } = req.body;
+        const expiry = parseExpiry(req.body.expires_at);
+        if (expiry.error) throw new ApiError('INVALID_FIELD', expiry.error);
+        const scopes = normalizeScopes(req.body.scopes, SERVICES);
+        if (scopes.error) throw new ApiError('INVALID_FIELD', scopes.error);
+
+        const { key, record } = await generateKey(name || 'Unnamed', req.apiKeyData.tier, {
+            ownerId: req.apiKeyData.ownerId,
+            orgId: req.apiKeyData.orgId || null,
+            quotaKeyId: req.apiKeyData.quotaKeyId || req.apiKeyData.id,
+            expiresAt: expiry.value,
+            scopes: scopes.value,
+        });
+        res.status(201).json({
+            api_key: key,
+            message: 'Store this key securely - it cannot be retrieved again',
+            key: describeKey(record),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Rename a key, set its expiry date and/or replace its scopes (null clears them)
+router.patch('/:id', validate({ body: schemas.UpdateKeyRequest }), async (req, res, next) => {
+    try {
+        const record = await loadOwnedKey(req);
+
+        const patch = {};
+        if (req.body.name !== undefined) patch.name = req.body.name.trim();
+        if (req.body.expires_at !== undefined) {
+            const expiry = parseExpiry(req.body.expires_at);
+            if (expiry.error) throw new ApiError('INVALID_FIELD', expiry.error);
+            patch.expiresAt = expiry.value;
+        }
+        if (req.body.scopes !== undefined) {
+            const scopes = normalizeScopes(req.body.scopes, SERVICES);
+            if (scopes.error) throw new ApiError('INVALID_FIELD', scopes.error);
+            patch.scopes = scopes.value;
+        }
+        if (Object.keys(patch).length === 0) {
+            throw new ApiError('NOTHING_TO_UPDATE', 'Provide "name", "expires_at" and/or "scopes"');
+        }
+
+        const updated = await getKeyStore().update(record.id, patch);
+        res.json({ key: describeKey(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Rotate a key. The old value keeps working for grace_period_hours (default 24).
+router.post('/:id/rotate', validate({ body: schemas.RotateKeyRequest }), async (req, res, next) => {
+    try {
+        const record = await loadOwnedKey(req);
+
+        if (record.status === 'revoked') {
+            throw new ApiError('KEY_REVOKED', 'Revoked keys cannot be rotated');
+        }
+
+        const graceHours = req.body.grace_period_hours ?? 24;
+
+        const now = Date.now();
+        const graceKeys = (record.graceKeys || []).filter(g => Date.parse(g.expiresAt) > now);
+        if (graceHours > 0) {
+            graceKeys.push({ keyHash: record.keyHash, expiresAt: new Date(now + graceHours * 3600000).toISOString() });
+        }
+
+        const key = newKeyValue(record.tier);
+        const updated = await getKeyStore().update(record.id, {
+            keyHash: hashKey(key),
+            keyPrefix: keyPrefix(key),
+            graceKeys,
+            rotatedAt: new Date(now).toISOString(),
+        });
+
+        res.json({
+            api_key: key,
+            message: graceHours > 0
+                ? `Old key remains valid for ${graceHours} hour(s). Store this key securely - it cannot be retrieved again`
+                : 'Old key is no longer valid. Store this key securely - it cannot be retrieved again',
+            key: describeKey(updated),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Revoke a key (and any old values still in their grace period)
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const record = await loadOwnedKey(req);
+
+        const updated = record.status === 'revoked' ? record : await getKeyStore().update(record.id, {
+            status: 'revoked',
+            revokedAt: new Date().toISOString(),
+            graceKeys: [],
+        });
+        res.json({ key: describeKey(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
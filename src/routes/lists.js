@@ -0,0 +1,87 @@
+/**
+ * Verify.IQ - Policy List Routes
+ * Allow and deny lists of domains, emails, wallet addresses and social
+ * handles, shared by the organization (or all keys of one owner). Analyzer
+ * calls about a listed entity return a policy override citing the entry
+ * instead of running (see src/services/policyLists.js). Not metered.
+ */
+
+const express = require('express');
+const { keyOwnerAuth } = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/lists');
+const { ApiError } = require('../errors');
+const { listEntries, setListEntry } = require('../store/listStore');
+const { normalizeListValue, describeListEntry } = require('../services/policyLists');
+const { tenantOf } = require('../services/entityGraph');
+
+const router = express.Router();
+
+router.use(keyOwnerAuth());
+
+/**
+ * Load a list entry of the caller's tenant
+ * @throws {ApiError} LIST_ENTRY_NOT_FOUND
+ */
+async function loadEntry(req) {
+    const entry = await listEntries.get(req.params.id);
+    if (!entry || entry.tenant !== tenantOf(req.apiKeyData)) {
+        throw new ApiError('LIST_ENTRY_NOT_FOUND', `No list entry with id "${req.params.id}"`);
+    }
+    return entry;
+}
+
+// Entries, newest first
+router.get('/', validate({ query: schemas.ListQuery }), async (req, res, next) => {
+    try {
+        const { list, type } = req.query;
+        const q = req.query.q?.toLowerCase();
+        const tenant = tenantOf(req.apiKeyData);
+        const entries = (await listEntries.list(e => e.tenant === tenant
+            && (!list || e.list === list)
+            && (!type || e.type === type)
+            && (!q || e.value.includes(q))))
+            .sort((a, b) => b.created.localeCompare(a.created));
+        res.json({ total: entries.length, entries: entries.map(describeListEntry) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add an entry; an entity already listed moves to the requested list
+router.post('/', validate({ body: schemas.CreateListEntryRequest }), async (req, res, next) => {
+    try {
+        const { list, type, reason = null } = req.body;
+        const { entry, created } = await setListEntry(tenantOf(req.apiKeyData), {
+            list,
+            type,
+            value: normalizeListValue(type, req.body.value),
+            reason,
+            source: 'api',
+            keyId: req.apiKeyData.id,
+        });
+        res.status(created ? 201 : 200).json({ entry: describeListEntry(entry) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/:id', async (req, res, next) => {
+    try {
+        res.json({ entry: describeListEntry(await loadEntry(req)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const entry = await loadEntry(req);
+        await listEntries.remove(entry.id);
+        res.json({ deleted: true, entry: describeListEntry(entry) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
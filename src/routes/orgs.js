@@ -0,0 +1,290 @@
+/**
+ * Verify.IQ - Organization Routes
+ * Team accounts: an organization owns the tier and a pooled daily quota;
+ * members (owner, admin, analyst) each hold their own keys.
+ * Authenticated with any of the caller's own (unscoped) keys.
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { keyOwnerAuth, generateKey, describeKey, today, DEFAULT_USAGE, TIER_LIMITS } = require('../middleware/apiKey');
+const { getKeyStore } = require('../store/keyStore');
+const { orgs, memberRole, canManageRole, SEAT_LIMITS } = require('../store/orgStore');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/account');
+const { ApiError } = require('../errors');
+const scoringSchemas = require('../schemas/scoring');
+const { resolveProfile, serverProfile, describePresets } = require('../services/scoringProfiles');
+
+const router = express.Router();
+
+router.use(keyOwnerAuth());
+
+/**
+ * Public view of an organization
+ */
+function describeOrg(org) {
+    return {
+        id: org.id,
+        name: org.name,
+        tier: org.tier,
+        seat_limit: org.seatLimit,
+        seats_used: org.members.length,
+        members: org.members,
+        usage: org.lastReset === today() ? org.usage : { ...DEFAULT_USAGE },
+        limits: org.limits,
+        created: org.created,
+    };
+}
+
+/**
+ * Load the caller's organization and role
+ * @throws {ApiError} NO_ORGANIZATION
+ */
+async function loadMyOrg(req) {
+    const org = req.apiKeyData.orgId ? await orgs.get(req.apiKeyData.orgId) : null;
+    if (!org) throw new ApiError('NO_ORGANIZATION', 'Your key does not belong to an organization');
+    return { org, role: memberRole(org, req.apiKeyData.ownerId) };
+}
+
+// Create an organization. The caller becomes its owner and their keys join it.
+router.post('/', validate({ body: schemas.CreateOrgRequest }), async (req, res, next) => {
+    try {
+        const { name } = req.body;
+        if (req.apiKeyData.orgId) {
+            throw new ApiError('ALREADY_IN_ORGANIZATION', 'Leave your current organization first (POST /api/orgs/me/leave)');
+        }
+
+        const tier = TIER_LIMITS[req.apiKeyData.tier] ? req.apiKeyData.tier : 'free';
+        const org = await orgs.insert({
+            id: uuidv4(),
+            name: name.trim(),
+            tier,
+            limits: { ...TIER_LIMITS[tier] },
+            usage: { ...DEFAULT_USAGE },
+            lastReset: today(),
+            history: {},
+            seatLimit: SEAT_LIMITS[tier],
+            members: [{ id: req.apiKeyData.ownerId, name: req.body.owner_name || 'Owner', role: 'owner', joined: new Date().toISOString() }],
+            created: new Date().toISOString(),
+        });
+
+        const store = getKeyStore();
+        for (const key of await store.list({ ownerId: req.apiKeyData.ownerId })) {
+            await store.update(key.id, { orgId: org.id });
+        }
+
+        res.status(201).json({ organization: describeOrg(org) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// My organization, its members and pooled usage
+router.get('/me', async (req, res, next) => {
+    try {
+        const { org, role } = await loadMyOrg(req);
+        res.json({ organization: describeOrg(org), my_role: role });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Every key in the organization (owners and admins)
+router.get('/me/keys', async (req, res, next) => {
+    try {
+        const { org, role } = await loadMyOrg(req);
+        if (role === 'analyst') {
+            throw new ApiError('INSUFFICIENT_ROLE', 'Only owners and admins can list all organization keys');
+        }
+
+        const keys = await getKeyStore().list({ orgId: org.id });
+        res.json({
+            total: keys.length,
+            keys: keys.map(k => ({ ...describeKey(k), member_id: k.ownerId })),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add a member (seat). Returns the member's first key — it is only shown once.
+router.post('/me/members', validate({ body: schemas.AddMemberRequest }), async (req, res, next) => {
+    try {
+        const { org, role } = await loadMyOrg(req);
+
+        const { name, role: newRole = 'analyst' } = req.body;
+        if (!canManageRole(role, newRole)) {
+            throw new ApiError('INSUFFICIENT_ROLE', `Your role (${role}) cannot add members with role ${newRole}`);
+        }
+        if (org.members.length >= org.seatLimit) {
+            throw new ApiError('NO_SEATS_LEFT', `This organization is limited to ${org.seatLimit} members`);
+        }
+
+        const member = { id: uuidv4(), name: typeof name === 'string' && name.trim() ? name.trim() : 'Member', role: newRole, joined: new Date().toISOString() };
+        await orgs.update(org.id, current => ({ members: [...current.members, member] }));
+        const { key, record } = await generateKey(`${member.name} key`, org.tier, { ownerId: member.id, orgId: org.id });
+
+        res.status(201).json({
+            member,
+            api_key: key,
+            message: 'Hand this key to the member. Store it securely - it cannot be retrieved again',
+            key: describeKey(record),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Change a member's role
+router.patch('/me/members/:memberId', validate({ body: schemas.UpdateMemberRequest }), async (req, res, next) => {
+    try {
+        const { org, role } = await loadMyOrg(req);
+
+        const target = org.members.find(m => m.id === req.params.memberId);
+        if (!target) throw new ApiError('MEMBER_NOT_FOUND', `No member with id "${req.params.memberId}"`);
+
+        const newRole = req.body.role;
+        if (!canManageRole(role, target.role) || !canManageRole(role, newRole)) {
+            throw new ApiError('INSUFFICIENT_ROLE', `Your role (${role}) cannot change a ${target.role} to ${newRole}`);
+        }
+        if (target.role === 'owner' && newRole !== 'owner' && org.members.filter(m => m.role === 'owner').length === 1) {
+            throw new ApiError('LAST_OWNER', 'An organization needs at least one owner');
+        }
+
+        const updated = await orgs.update(org.id, current => ({
+            members: current.members.map(m => (m.id === target.id ? { ...m, role: newRole } : m)),
+        }));
+        res.json({ organization: describeOrg(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Remove a member and revoke all of their keys
+router.delete('/me/members/:memberId', async (req, res, next) => {
+    try {
+        const { org, role } = await loadMyOrg(req);
+
+        const target = org.members.find(m => m.id === req.params.memberId);
+        if (!target) throw new ApiError('MEMBER_NOT_FOUND', `No member with id "${req.params.memberId}"`);
+        if (!canManageRole(role, target.role)) {
+            throw new ApiError('INSUFFICIENT_ROLE', `Your role (${role}) cannot remove members with role ${target.role}`);
+        }
+        if (target.role === 'owner' && org.members.filter(m => m.role === 'owner').length === 1) {
+            throw new ApiError('LAST_OWNER', 'An organization needs at least one owner');
+        }
+
+        const store = getKeyStore();
+        for (const key of await store.list({ ownerId: target.id, orgId: org.id })) {
+            if (key.status !== 'revoked') {
+                await store.update(key.id, { status: 'revoked', revokedAt: new Date().toISOString(), graceKeys: [] });
+            }
+        }
+        const updated = await orgs.update(org.id, current => ({
+            members: current.members.filter(m => m.id !== target.id),
+        }));
+        res.json({ organization: describeOrg(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Leave the organization. Members who brought their own keys (the founder, or anyone whose
+// keys an administrator issued) keep them, back on their own quota; keys issued with a seat
+// are revoked. The last owner can only leave an organization with no other members, which
+// dissolves it.
+router.post('/me/leave', async (req, res, next) => {
+    try {
+        const { org, role } = await loadMyOrg(req);
+        const ownerId = req.apiKeyData.ownerId;
+        if (role === 'owner' && org.members.length > 1 && org.members.filter(m => m.role === 'owner').length === 1) {
+            throw new ApiError('LAST_OWNER', 'Make another member an owner before leaving, or remove the other members first');
+        }
+
+        const store = getKeyStore();
+        // A key whose id is its owner id was created outside any seat (self-service or by an administrator)
+        const ownKeys = (await store.list({ ownerId })).some(key => key.id === ownerId);
+        let detached = 0;
+        let revoked = 0;
+        for (const key of await store.list({ ownerId, orgId: org.id })) {
+            if (ownKeys) {
+                await store.update(key.id, { orgId: null });
+                detached++;
+            } else if (key.status !== 'revoked') {
+                await store.update(key.id, { status: 'revoked', revokedAt: new Date().toISOString(), graceKeys: [] });
+                revoked++;
+            }
+        }
+
+        const remaining = org.members.filter(m => m.id !== ownerId);
+        if (remaining.length) {
+            await orgs.update(org.id, current => ({ members: current.members.filter(m => m.id !== ownerId) }));
+        } else {
+            await orgs.remove(org.id);
+        }
+        res.json({ left: true, organization_id: org.id, dissolved: !remaining.length, keys_detached: detached, keys_revoked: revoked });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * The scoring profile response for an organization
+ */
+function describeScoring(org) {
+    return {
+        scoring_profile: org.scoringProfile ? resolveProfile(org.scoringProfile) : serverProfile(),
+        source: org.scoringProfile ? 'organization' : 'server',
+        presets: describePresets(),
+    };
+}
+
+/**
+ * @throws {ApiError} INSUFFICIENT_ROLE
+ */
+function assertCanSetScoring(role) {
+    if (role === 'analyst') {
+        throw new ApiError('INSUFFICIENT_ROLE', 'Only owners and admins can change the scoring profile');
+    }
+}
+
+// Weights and verdict cutoffs the organization's URL scans are scored with, and the presets
+router.get('/me/scoring-profile', async (req, res, next) => {
+    try {
+        const { org } = await loadMyOrg(req);
+        res.json(describeScoring(org));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Score the organization's scans with a preset, optionally adjusted
+router.put('/me/scoring-profile', validate({ body: scoringSchemas.ScoringProfileRequest }), async (req, res, next) => {
+    try {
+        const { org, role } = await loadMyOrg(req);
+        assertCanSetScoring(role);
+
+        const { preset = 'default', weights, cutoffs, name } = req.body;
+        const spec = { preset, ...(weights && { weights }), ...(cutoffs && { cutoffs }), ...(name && { name: name.trim() }) };
+        resolveProfile(spec);
+        const updated = await orgs.update(org.id, { scoringProfile: spec });
+        res.json(describeScoring(updated));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Back to the server's scoring profile
+router.delete('/me/scoring-profile', async (req, res, next) => {
+    try {
+        const { org, role } = await loadMyOrg(req);
+        assertCanSetScoring(role);
+        const updated = await orgs.update(org.id, { scoringProfile: null });
+        res.json(describeScoring(updated));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Verify.IQ - Report Routes
+ * Work with stored reports (see GET /api/history): compare two results of
+ * the same service to see why a score or verdict moved, and let anyone
+ * check a signed report (see src/services/reportSigning.js). Not metered.
+ */
+
+const express = require('express');
+const { keyOwnerAuth } = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/history');
+const { loadReport } = require('../services/history');
+const { diffReports } = require('../services/reportDiff');
+const { verifyReport } = require('../services/reportSigning');
+
+const router = express.Router();
+
+// Whether a signed report is authentic and unmodified; public, so whoever was handed one can check it
+router.post('/verify', validate({ body: schemas.VerifyReportRequest }), async (req, res, next) => {
+    try {
+        res.json(verifyReport(req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.use(keyOwnerAuth());
+
+// What changed between report `a` (the baseline) and report `b`
+router.get('/diff', validate({ query: schemas.ReportDiffQuery }), async (req, res, next) => {
+    try {
+        const a = await loadReport(req.apiKeyData, req.query.a);
+        const b = await loadReport(req.apiKeyData, req.query.b);
+        res.json(diffReports(a, b));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
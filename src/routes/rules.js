@@ -0,0 +1,114 @@
+/**
+ * Verify.IQ - Policy Rule Routes
+ * Publish and browse the versioned rule set analyzer verdicts are judged by
+ * (see src/services/policyRules.js), shared by the organization (or all keys
+ * of one owner without one), and dry-run rules against stored reports.
+ * Organization analysts can read and dry-run but not publish. Not metered.
+ */
+
+const express = require('express');
+const { keyOwnerAuth } = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/rules');
+const { ApiError } = require('../errors');
+const { orgs, memberRole } = require('../store/orgStore');
+const { ruleSets, activeRuleSet, publishRuleSet } = require('../store/ruleStore');
+const { checkRules, dryRun, describeRuleSet, loadRuleSet } = require('../services/policyRules');
+const { tenantOf } = require('../services/entityGraph');
+
+const router = express.Router();
+
+router.use(keyOwnerAuth());
+
+/**
+ * @throws {ApiError} INSUFFICIENT_ROLE
+ */
+async function assertCanPublish(req) {
+    const org = req.apiKeyData.orgId ? await orgs.get(req.apiKeyData.orgId) : null;
+    if (org && memberRole(org, req.apiKeyData.ownerId) === 'analyst') {
+        throw new ApiError('INSUFFICIENT_ROLE', 'Only owners and admins can publish organization rules');
+    }
+}
+
+// The rule set in force
+router.get('/', async (req, res, next) => {
+    try {
+        const set = await activeRuleSet(tenantOf(req.apiKeyData));
+        res.json({ rule_set: set && describeRuleSet(set) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Publish the next version; it applies to every call from now on
+router.put('/', validate({ body: schemas.PublishRulesRequest }), async (req, res, next) => {
+    try {
+        await assertCanPublish(req);
+        const { rules, note = null } = req.body;
+        checkRules(rules);
+        const set = await publishRuleSet(tenantOf(req.apiKeyData), { rules, note, keyId: req.apiKeyData.id });
+        res.status(201).json({ rule_set: describeRuleSet(set) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Every version, newest first
+router.get('/versions', async (req, res, next) => {
+    try {
+        const versions = (await ruleSets.list({ tenant: tenantOf(req.apiKeyData) })).sort((a, b) => b.version - a.version);
+        res.json({ active: versions[0]?.version ?? null, versions: versions.map(set => describeRuleSet(set, { rules: false })) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/versions/:version', async (req, res, next) => {
+    try {
+        res.json({ rule_set: describeRuleSet(await loadRuleSet(req.apiKeyData, req.params.version)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Roll back: publish an older version's rules again as the next version
+router.post('/versions/:version/restore', async (req, res, next) => {
+    try {
+        await assertCanPublish(req);
+        const old = await loadRuleSet(req.apiKeyData, req.params.version);
+        const set = await publishRuleSet(tenantOf(req.apiKeyData), {
+            rules: old.rules,
+            note: `Restored version ${old.version}`,
+            keyId: req.apiKeyData.id,
+            restoredFrom: old.version,
+        });
+        res.status(201).json({ rule_set: describeRuleSet(set) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// What the given rules (or a version, or the active set) would have decided on stored reports
+router.post('/dry-run', validate({ body: schemas.DryRunRequest }), async (req, res, next) => {
+    try {
+        const { rules, version, service, from, to, limit = 100 } = req.body;
+        if (from && to && to < from) {
+            throw new ApiError('INVALID_DATE_RANGE', '"to" must not be before "from"');
+        }
+
+        let set;
+        if (rules) {
+            checkRules(rules);
+            set = { version: null, rules };
+        } else {
+            set = version ? await loadRuleSet(req.apiKeyData, version) : await activeRuleSet(tenantOf(req.apiKeyData));
+            if (!set) throw new ApiError('RULE_SET_NOT_FOUND', 'No rules published yet; send "rules" to try some');
+        }
+
+        res.json(await dryRun(req.apiKeyData, set, { service, from, to, limit }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * Verify.IQ - Usage Introspection
+ * Lets a key holder see today's usage against their limits and the daily
+ * history, instead of discovering the quota by hitting a 429.
+ * Keys in an organization report the org's pooled quota.
+ * Reading usage does not count against any quota. Deprecated endpoints the
+ * key still calls are listed so the owner can migrate before they sunset.
+ */
+
+const express = require('express');
+const { resolveKey, today, nextReset, setBurstRateLimitHeaders, TIER_LIMITS, DEFAULT_USAGE } = require('../middleware/apiKey');
+const { USAGE_HISTORY_DAYS } = require('../store/keyStore');
+const { orgs } = require('../store/orgStore');
+const { deprecations, describeDeprecations } = require('../store/deprecationLog');
+
+const UNLIMITED = 999999;
+
+const router = express.Router();
+
+router.get('/', async (req, res, next) => {
+    try {
+        const keyData = await resolveKey(req.headers['x-api-key'] || req.query.api_key);
+        setBurstRateLimitHeaders(req, res);
+
+        const day = today();
+        const org = keyData.orgId ? await orgs.get(keyData.orgId) : null;
+        const quota = org || keyData;
+
+        const history = { ...(quota.history || {}) };
+        // Counters from an earlier day that have not been rolled over yet still belong in history
+        if (quota.lastReset && quota.lastReset !== day) history[quota.lastReset] = quota.usage;
+        const usageToday = quota.lastReset === day ? quota.usage : DEFAULT_USAGE;
+
+        const services = {};
+        for (const service of Object.keys(TIER_LIMITS.free)) {
+            const limit = quota.limits[service] ?? UNLIMITED;
+            const used = usageToday[service] || 0;
+            services[service] = limit >= UNLIMITED
+                ? { used, limit: null, remaining: null, unlimited: true }
+                : { used, limit, remaining: Math.max(0, limit - used), unlimited: false };
+        }
+
+        const days = [];
+        for (let i = 0; i < USAGE_HISTORY_DAYS; i++) {
+            const date = new Date(Date.parse(day) - i * 86400000).toISOString().split('T')[0];
+            const usage = i === 0 ? usageToday : history[date];
+            days.push({
+                date,
+                total: Object.values(usage || {}).reduce((sum, n) => sum + n, 0),
+                usage: { ...DEFAULT_USAGE, ...(usage || {}) },
+            });
+        }
+
+        const deprecationRecord = await deprecations.get(keyData.id);
+
+        res.json({
+            key: { id: keyData.id, name: keyData.name, tier: keyData.tier, key_prefix: keyData.keyPrefix },
+            organization: org ? { id: org.id, name: org.name, tier: org.tier } : null,
+            quota_scope: org ? 'organization' : 'key',
+            key_usage_today: keyData.lastReset === day ? keyData.usage : { ...DEFAULT_USAGE },
+            date: day,
+            resets_at: nextReset().toISOString(),
+            services,
+            history: days,
+            deprecated_endpoints: deprecationRecord ? describeDeprecations(deprecationRecord).endpoints : [],
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
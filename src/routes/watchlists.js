@@ -0,0 +1,294 @@
+/**
+ * Verify.IQ - Watchlist Routes
+ * Named sets of URLs, emails, wallets and social handles that are re-scanned
+ * on a cron schedule; each run is compared with the previous one and changes
+ * raise alerts (see src/services/watchlists.js).
+ * Watchlists of a key in an organization are shared by the whole
+ * organization; otherwise by every key of the same owner. Every run, manual
+ * or scheduled, is charged one investigate request per entry; the number of
+ * watched entries is capped per tier.
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { keyOwnerAuth } = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/watchlists');
+const { ApiError } = require('../errors');
+const { watchlists, runs, alerts, removeWatchlist } = require('../store/watchlistStore');
+const {
+    scheduler, validateSchedule, buildEntry, assertCapacity, describeAlert, DEFAULT_SCHEDULE,
+} = require('../services/watchlists');
+
+const router = express.Router();
+
+router.use(keyOwnerAuth());
+
+function describeEntry(entry) {
+    return {
+        id: entry.id,
+        indicator: entry.indicator,
+        type: entry.type,
+        chain: entry.chain,
+        platform: entry.platform,
+        label: entry.label,
+        added_at: entry.addedAt,
+        last_checked_at: entry.lastCheckedAt,
+        last: entry.snapshot,
+    };
+}
+
+function describeWatchlist(watchlist, { entries = true } = {}) {
+    return {
+        id: watchlist.id,
+        name: watchlist.name,
+        schedule: watchlist.schedule,
+        status: watchlist.status,
+        paused_reason: watchlist.pausedReason || null,
+        org_id: watchlist.orgId,
+        entry_count: watchlist.entries.length,
+        ...(entries && { entries: watchlist.entries.map(describeEntry) }),
+        running: scheduler.running.has(watchlist.id),
+        last_run_at: watchlist.lastRunAt,
+        next_run_at: watchlist.nextRunAt,
+        created: watchlist.created,
+        updated: watchlist.updated,
+    };
+}
+
+function describeRun(run, { results = false } = {}) {
+    return {
+        id: run.id,
+        watchlist_id: run.watchlistId,
+        trigger: run.trigger,
+        status: run.status,
+        total: run.total,
+        processed: run.processed,
+        failed: run.failed,
+        alerts: run.alerts,
+        error: run.error || null,
+        ...(results && { results: run.results }),
+        started_at: run.startedAt,
+        finished_at: run.finishedAt,
+    };
+}
+
+function canSee(req, watchlist) {
+    if (watchlist.orgId) return watchlist.orgId === req.apiKeyData.orgId;
+    return watchlist.ownerId === req.apiKeyData.ownerId;
+}
+
+/**
+ * Load a watchlist visible to the caller
+ * @throws {ApiError} WATCHLIST_NOT_FOUND
+ */
+async function loadWatchlist(req) {
+    const watchlist = await watchlists.get(req.params.id);
+    if (!watchlist || !canSee(req, watchlist)) {
+        throw new ApiError('WATCHLIST_NOT_FOUND', `No watchlist with id "${req.params.id}"`);
+    }
+    return watchlist;
+}
+
+/**
+ * Classify requested entries, dropping indicators already in the watchlist
+ * @throws {ApiError} INVALID_INDICATOR, WATCHLIST_LIMIT_REACHED
+ */
+async function newEntries(req, inputs, existing = []) {
+    const seen = new Set(existing.map(e => `${e.type}:${e.indicator.toLowerCase()}`));
+    const entries = [];
+    for (const input of inputs) {
+        const entry = buildEntry(input);
+        const key = `${entry.type}:${entry.indicator.toLowerCase()}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        entries.push(entry);
+    }
+    await assertCapacity(req.apiKeyData, entries.length);
+    return entries;
+}
+
+// Create a watchlist; its first scheduled run records the baseline
+router.post('/', validate({ body: schemas.CreateWatchlistRequest }), async (req, res, next) => {
+    try {
+        const { name, schedule = DEFAULT_SCHEDULE, entries = [] } = req.body;
+        const nextRunAt = validateSchedule(schedule);
+
+        const watchlist = await watchlists.insert({
+            id: uuidv4(),
+            name,
+            ownerId: req.apiKeyData.ownerId,
+            orgId: req.apiKeyData.orgId || null,
+            keyId: req.apiKeyData.id,
+            schedule,
+            status: 'active',
+            pausedReason: null,
+            entries: await newEntries(req, entries),
+            lastRunAt: null,
+            nextRunAt: nextRunAt.toISOString(),
+            created: new Date().toISOString(),
+            updated: null,
+        });
+        scheduler.schedule(watchlist);
+
+        res.status(201).json({ watchlist: describeWatchlist(watchlist) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Watchlists of my organization (or my keys), without their entries
+router.get('/', async (req, res, next) => {
+    try {
+        const list = (await watchlists.list(w => canSee(req, w))).sort((a, b) => b.created.localeCompare(a.created));
+        res.json({ total: list.length, watchlists: list.map(w => describeWatchlist(w, { entries: false })) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/:id', async (req, res, next) => {
+    try {
+        res.json({ watchlist: describeWatchlist(await loadWatchlist(req)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Rename, change the schedule, or pause / resume
+router.patch('/:id', validate({ body: schemas.UpdateWatchlistRequest }), async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        const { name, schedule, status } = req.body;
+
+        const patch = {};
+        if (name !== undefined) patch.name = name;
+        if (schedule !== undefined) patch.schedule = schedule;
+        if (status !== undefined) Object.assign(patch, { status, pausedReason: null });
+        // Resuming hands the schedule (and what it is charged to) to the caller's key
+        if (status === 'active') patch.keyId = req.apiKeyData.id;
+        if (Object.keys(patch).length === 0) {
+            throw new ApiError('NOTHING_TO_UPDATE', 'Provide name, schedule or status');
+        }
+
+        const nextRunAt = validateSchedule(patch.schedule || watchlist.schedule);
+        if (schedule !== undefined || status !== undefined) {
+            patch.nextRunAt = (patch.status || watchlist.status) === 'active' ? nextRunAt.toISOString() : null;
+        }
+
+        const updated = await watchlists.update(watchlist.id, { ...patch, updated: new Date().toISOString() });
+        scheduler.schedule(updated);
+        res.json({ watchlist: describeWatchlist(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete a watchlist with its runs and alerts
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        scheduler.unschedule(watchlist.id);
+        await removeWatchlist(watchlist.id);
+        res.json({ deleted: true, watchlist: describeWatchlist(watchlist, { entries: false }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add entries (indicators already watched are skipped)
+router.post('/:id/entries', validate({ body: schemas.AddEntriesRequest }), async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        const added = await newEntries(req, req.body.entries, watchlist.entries);
+        const updated = await watchlists.update(watchlist.id, w => ({ entries: [...w.entries, ...added], updated: new Date().toISOString() }));
+        res.status(201).json({ added: added.length, skipped: req.body.entries.length - added.length, watchlist: describeWatchlist(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/:id/entries/:entryId', async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        const entry = watchlist.entries.find(e => e.id === req.params.entryId);
+        if (!entry) {
+            throw new ApiError('WATCHLIST_ENTRY_NOT_FOUND', `No entry with id "${req.params.entryId}" in this watchlist`);
+        }
+        const updated = await watchlists.update(watchlist.id, w => ({
+            entries: w.entries.filter(e => e.id !== entry.id),
+            updated: new Date().toISOString(),
+        }));
+        res.json({ deleted: true, entry: describeEntry(entry), watchlist: describeWatchlist(updated, { entries: false }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Re-scan every entry now, outside the schedule (charged to the caller's key)
+router.post('/:id/runs', async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        const run = await scheduler.run(watchlist, 'manual', req.apiKeyData);
+        res.status(202).json({ run: describeRun(run) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Run history, newest first
+router.get('/:id/runs', validate({ query: schemas.RunListQuery }), async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        const list = (await runs.list({ watchlistId: watchlist.id })).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+        res.json({ total: list.length, runs: list.slice(0, req.query.limit || 20).map(run => describeRun(run)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// One run with every entry's result and the changes found
+router.get('/:id/runs/:runId', validate({ query: schemas.RunQuery }), async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        const run = await runs.get(req.params.runId);
+        if (!run || run.watchlistId !== watchlist.id) {
+            throw new ApiError('WATCHLIST_RUN_NOT_FOUND', `No run with id "${req.params.runId}" for this watchlist`);
+        }
+        const results = req.query.changed ? run.results.filter(r => r.changes.length) : run.results;
+        res.json({ run: describeRun({ ...run, results }, { results: true }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Alerts, newest first
+router.get('/:id/alerts', validate({ query: schemas.AlertListQuery }), async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        const { acknowledged, severity, limit = 50 } = req.query;
+        const list = (await alerts.list(a => a.watchlistId === watchlist.id
+            && (acknowledged === undefined || Boolean(a.acknowledgedAt) === acknowledged)
+            && (!severity || a.severity === severity)))
+            .sort((a, b) => b.created.localeCompare(a.created));
+        res.json({ total: list.length, alerts: list.slice(0, limit).map(describeAlert) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/:id/alerts/:alertId/acknowledge', async (req, res, next) => {
+    try {
+        const watchlist = await loadWatchlist(req);
+        const alert = await alerts.get(req.params.alertId);
+        if (!alert || alert.watchlistId !== watchlist.id) {
+            throw new ApiError('ALERT_NOT_FOUND', `No alert with id "${req.params.alertId}" for this watchlist`);
+        }
+        const updated = await alerts.update(alert.id, a => ({ acknowledgedAt: a.acknowledgedAt || new Date().toISOString() }));
+        res.json({ alert: describeAlert(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+/**
+ * Verify.IQ - Webhook Routes
+ * Register endpoints that receive signed event deliveries instead of polling,
+ * inspect the delivery log and replay deliveries.
+ * A webhook belongs to one key (scope "key") or to the caller's organization
+ * (scope "org", managed by owners and admins, visible to every member).
+ * Authenticated with any of the caller's own (unscoped) keys.
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { keyOwnerAuth } = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/webhooks');
+const { ApiError } = require('../errors');
+const { getKeyStore } = require('../store/keyStore');
+const { orgs, memberRole } = require('../store/orgStore');
+const { webhooks, deliveries } = require('../store/webhookStore');
+const { dispatcher, newSecret, urlProblem } = require('../services/webhooks');
+
+const router = express.Router();
+
+router.use(keyOwnerAuth());
+
+/**
+ * Public view of a webhook (never includes the secret)
+ */
+function describeWebhook(hook) {
+    return {
+        id: hook.id,
+        scope: hook.scope,
+        key_id: hook.keyId,
+        org_id: hook.orgId,
+        url: hook.url,
+        events: hook.events,
+        description: hook.description,
+        status: hook.status,
+        created: hook.created,
+        updated: hook.updated,
+    };
+}
+
+function describeDelivery(delivery) {
+    return {
+        id: delivery.id,
+        webhook_id: delivery.webhookId,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        next_attempt_at: delivery.nextAttemptAt,
+        replay_of: delivery.replayOf,
+        created: delivery.created,
+    };
+}
+
+/**
+ * Caller's role in their organization (null without one)
+ */
+async function orgRole(req) {
+    const org = req.apiKeyData.orgId ? await orgs.get(req.apiKeyData.orgId) : null;
+    return org ? memberRole(org, req.apiKeyData.ownerId) : null;
+}
+
+function canSee(req, hook) {
+    if (hook.scope === 'org') return Boolean(req.apiKeyData.orgId) && hook.orgId === req.apiKeyData.orgId;
+    return hook.ownerId === req.apiKeyData.ownerId;
+}
+
+/**
+ * Load a webhook visible to the caller; with `manage`, also require the right to change it
+ * @throws {ApiError} WEBHOOK_NOT_FOUND or INSUFFICIENT_ROLE
+ */
+async function loadWebhook(req, { manage = false } = {}) {
+    const hook = await webhooks.get(req.params.id);
+    if (!hook || !canSee(req, hook)) {
+        throw new ApiError('WEBHOOK_NOT_FOUND', `No webhook with id "${req.params.id}"`);
+    }
+    if (manage && hook.scope === 'org' && (await orgRole(req)) === 'analyst') {
+        throw new ApiError('INSUFFICIENT_ROLE', 'Only owners and admins can manage organization webhooks');
+    }
+    return hook;
+}
+
+/**
+ * @throws {ApiError} WEBHOOK_DISABLED
+ */
+function assertActive(hook) {
+    if (hook.status !== 'active') {
+        throw new ApiError('WEBHOOK_DISABLED', 'Re-enable the webhook (PATCH status "active") first');
+    }
+}
+
+/**
+ * @throws {ApiError} INVALID_WEBHOOK_URL
+ */
+async function checkUrl(url) {
+    const problem = await urlProblem(url);
+    if (problem) throw new ApiError('INVALID_WEBHOOK_URL', `The webhook URL ${problem}`);
+}
+
+// Register a webhook. The signing secret is only returned here.
+router.post('/', validate({ body: schemas.CreateWebhookRequest }), async (req, res, next) => {
+    try {
+        const { url, events, scope = 'key', description } = req.body;
+        await checkUrl(url);
+
+        let keyId = null;
+        let orgId = null;
+        if (scope === 'org') {
+            const role = await orgRole(req);
+            if (!role) throw new ApiError('NO_ORGANIZATION', 'Your key does not belong to an organization');
+            if (role === 'analyst') {
+                throw new ApiError('INSUFFICIENT_ROLE', 'Only owners and admins can register organization webhooks');
+            }
+            orgId = req.apiKeyData.orgId;
+        } else {
+            keyId = req.body.key_id || req.apiKeyData.id;
+            const key = await getKeyStore().findById(keyId);
+            if (!key || key.ownerId !== req.apiKeyData.ownerId) {
+                throw new ApiError('KEY_NOT_FOUND', `No key with id "${keyId}" belongs to you`);
+            }
+        }
+
+        const secret = newSecret();
+        const hook = await webhooks.insert({
+            id: uuidv4(),
+            scope,
+            keyId,
+            orgId,
+            ownerId: req.apiKeyData.ownerId,
+            url,
+            events: [...new Set(events)],
+            description: description || null,
+            secret,
+            status: 'active',
+            created: new Date().toISOString(),
+            updated: null,
+        });
+
+        res.status(201).json({ webhook: describeWebhook(hook), secret });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Webhooks of my keys and of my organization
+router.get('/', async (req, res, next) => {
+    try {
+        const list = await webhooks.list(hook => canSee(req, hook));
+        res.json({ total: list.length, webhooks: list.map(describeWebhook) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/:id', async (req, res, next) => {
+    try {
+        res.json({ webhook: describeWebhook(await loadWebhook(req)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Change the URL, events, description, or disable/re-enable
+router.patch('/:id', validate({ body: schemas.UpdateWebhookRequest }), async (req, res, next) => {
+    try {
+        const hook = await loadWebhook(req, { manage: true });
+        const { url, events, description, status } = req.body;
+
+        const patch = {};
+        if (url !== undefined) {
+            await checkUrl(url);
+            patch.url = url;
+        }
+        if (events !== undefined) patch.events = [...new Set(events)];
+        if (description !== undefined) patch.description = description;
+        if (status !== undefined) patch.status = status;
+        if (Object.keys(patch).length === 0) {
+            throw new ApiError('NOTHING_TO_UPDATE', 'Provide url, events, description or status');
+        }
+
+        const updated = await webhooks.update(hook.id, { ...patch, updated: new Date().toISOString() });
+        res.json({ webhook: describeWebhook(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete a webhook. Pending retries are dropped.
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const hook = await loadWebhook(req, { manage: true });
+        await webhooks.remove(hook.id);
+        res.json({ deleted: true, webhook: describeWebhook(hook) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Send a webhook.test event now (e.g. to check a local receiver)
+router.post('/:id/test', async (req, res, next) => {
+    try {
+        const hook = await loadWebhook(req, { manage: true });
+        assertActive(hook);
+        const delivery = await dispatcher.test(hook);
+        res.status(202).json({ delivery: describeDelivery(delivery) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delivery log, newest first
+router.get('/:id/deliveries', validate({ query: schemas.DeliveryListQuery }), async (req, res, next) => {
+    try {
+        const hook = await loadWebhook(req);
+        const { status, limit = 50 } = req.query;
+        const list = (await deliveries.list(d => d.webhookId === hook.id && (!status || d.status === status)))
+            .sort((a, b) => b.created.localeCompare(a.created));
+        res.json({ total: list.length, deliveries: list.slice(0, limit).map(describeDelivery) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Send an earlier delivery's event again (same event id, new delivery id)
+router.post('/:id/deliveries/:deliveryId/replay', async (req, res, next) => {
+    try {
+        const hook = await loadWebhook(req, { manage: true });
+        const delivery = await deliveries.get(req.params.deliveryId);
+        if (!delivery || delivery.webhookId !== hook.id) {
+            throw new ApiError('DELIVERY_NOT_FOUND', `No delivery with id "${req.params.deliveryId}" for this webhook`);
+        }
+        assertActive(hook);
+
+        const replay = await dispatcher.replay(delivery, hook);
+        res.status(202).json({ delivery: describeDelivery(replay) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+/**
+ * Verify.IQ - Account Schemas
+ * Request and response schemas for keys, usage, organizations, extension
+ * tokens and admin endpoints.
+ */
+
+const { IsoDate, IsoDateTime, NullableDateTime, ServiceCounters } = require('./common');
+const { TIER_LIMITS, SERVICES } = require('../middleware/apiKey');
+const { ROLES } = require('../store/orgStore');
+
+const TIERS = Object.keys(TIER_LIMITS);
+
+// Parsed leniently by parseExpiry, which also rejects dates in the past
+const Expiry = {
+    type: ['string', 'null'],
+    maxLength: 64,
+    description: 'ISO 8601 date or date-time in the future; null for no expiry',
+    examples: ['2030-01-01T00:00:00Z'],
+};
+
+const Scopes = {
+    type: ['object', 'null'],
+    description: 'Restrictions on where and for what a key may be used. null clears them.',
+    additionalProperties: false,
+    properties: {
+        services: { type: 'array', minItems: 1, items: { type: 'string', enum: SERVICES } },
+        origins: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 }, examples: [['https://*.example.com']] },
+        ip_ranges: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 }, examples: [['10.0.0.0/8']] },
+    },
+};
+
+const Key = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        name: { type: 'string' },
+        tier: { type: 'string', enum: TIERS },
+        org_id: { type: ['string', 'null'] },
+        quota_key_id: { type: ['string', 'null'], description: 'Key whose daily quota this one draws from (keys created with POST /api/keys); null when it has its own' },
+        status: { type: 'string', enum: ['active', 'revoked', 'expired'] },
+        key_prefix: { type: 'string' },
+        created: IsoDateTime,
+        expires_at: NullableDateTime,
+        revoked_at: NullableDateTime,
+        rotated_at: NullableDateTime,
+        previous_key_valid_until: NullableDateTime,
+        scopes: Scopes,
+        usage: ServiceCounters,
+        limits: ServiceCounters,
+        usage_date: IsoDate,
+        owner_id: { type: 'string', description: 'Admin and organization listings only' },
+        member_id: { type: 'string', description: 'Organization listings only' },
+    },
+};
+
+const IssuedKey = {
+    type: 'object',
+    required: ['api_key', 'key'],
+    properties: {
+        api_key: { type: 'string', description: 'Full key value. Shown only once.' },
+        message: { type: 'string' },
+        tier: { type: 'string' },
+        key: Key,
+    },
+};
+
+const KeyList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        keys: { type: 'array', items: Key },
+    },
+};
+
+const KeyEnvelope = { type: 'object', properties: { key: Key } };
+
+const GenerateKeyRequest = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        tier: { type: 'string', description: 'Self-service keys are always free; any other tier is refused with 403' },
+    },
+};
+
+const CreateKeyRequest = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        expires_at: Expiry,
+        scopes: Scopes,
+    },
+};
+
+const UpdateKeyRequest = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', pattern: '\\S', maxLength: 100 },
+        expires_at: Expiry,
+        scopes: Scopes,
+    },
+};
+
+const RotateKeyRequest = {
+    type: 'object',
+    properties: {
+        grace_period_hours: { type: 'number', minimum: 0, maximum: 168, default: 24 },
+    },
+};
+
+const ServiceQuota = {
+    type: 'object',
+    properties: {
+        used: { type: 'integer' },
+        limit: { type: ['integer', 'null'] },
+        remaining: { type: ['integer', 'null'] },
+        unlimited: { type: 'boolean' },
+    },
+};
+
+const DeprecatedEndpoint = {
+    type: 'object',
+    properties: {
+        endpoint: { type: 'string', examples: ['POST /api/v1/scan-url'] },
+        calls: { type: 'integer' },
+        first_seen: IsoDateTime,
+        last_seen: IsoDateTime,
+        sunset: { ...IsoDate, description: 'The endpoint may stop working after this date' },
+    },
+};
+
+const UsageResponse = {
+    type: 'object',
+    properties: {
+        key: {
+            type: 'object',
+            properties: { id: { type: 'string' }, name: { type: 'string' }, tier: { type: 'string' }, key_prefix: { type: 'string' } },
+        },
+        organization: {
+            type: ['object', 'null'],
+            properties: { id: { type: 'string' }, name: { type: 'string' }, tier: { type: 'string' } },
+        },
+        quota_scope: { type: 'string', enum: ['key', 'organization'] },
+        key_usage_today: ServiceCounters,
+        date: IsoDate,
+        resets_at: IsoDateTime,
+        services: { type: 'object', additionalProperties: ServiceQuota },
+        history: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { date: IsoDate, total: { type: 'integer' }, usage: ServiceCounters },
+            },
+        },
+        deprecated_endpoints: {
+            type: 'array',
+            description: 'Deprecated endpoints this key has called; migrate before their sunset date',
+            items: DeprecatedEndpoint,
+        },
+    },
+};
+
+const Member = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        role: { type: 'string', enum: ROLES },
+        joined: IsoDateTime,
+    },
+};
+
+const Organization = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        tier: { type: 'string', enum: TIERS },
+        seat_limit: { type: 'integer' },
+        seats_used: { type: 'integer' },
+        members: { type: 'array', items: Member },
+        usage: ServiceCounters,
+        limits: ServiceCounters,
+        created: IsoDateTime,
+    },
+};
+
+const OrganizationEnvelope = {
+    type: 'object',
+    properties: { organization: Organization, my_role: { type: 'string', enum: ROLES } },
+};
+
+const CreateOrgRequest = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', pattern: '\\S', maxLength: 200 },
+        owner_name: { type: 'string', maxLength: 100 },
+    },
+};
+
+const AddMemberRequest = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        role: { type: 'string', enum: ROLES, default: 'analyst' },
+    },
+};
+
+const AddMemberResponse = {
+    type: 'object',
+    properties: { member: Member, ...IssuedKey.properties },
+};
+
+const UpdateMemberRequest = {
+    type: 'object',
+    required: ['role'],
+    properties: { role: { type: 'string', enum: ROLES } },
+};
+
+const LeaveOrgResponse = {
+    type: 'object',
+    properties: {
+        left: { type: 'boolean', const: true },
+        organization_id: { type: 'string' },
+        dissolved: { type: 'boolean', description: 'You were the last member, so the organization was deleted' },
+        keys_detached: { type: 'integer', description: 'Your own keys, back on their own quota' },
+        keys_revoked: { type: 'integer', description: 'Keys issued with your seat' },
+    },
+};
+
+const ExtensionTokenRequest = {
+    type: 'object',
+    required: ['install_id'],
+    properties: {
+        install_id: { type: 'string', format: 'uuid', description: 'Generated by the extension on install' },
+    },
+};
+
+const ExtensionTokenResponse = {
+    type: 'object',
+    properties: {
+        token: { type: 'string', pattern: '^vxt\\.' },
+        expires_at: IsoDateTime,
+    },
+};
+
+const AdminCreateKeyRequest = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        tier: { type: 'string', enum: TIERS, default: 'free' },
+        owner_id: { type: 'string', description: 'Existing owner; the key joins their organization, if any' },
+        expires_at: Expiry,
+        scopes: Scopes,
+    },
+};
+
+const AdminKeyListQuery = {
+    type: 'object',
+    properties: { owner_id: { type: 'string' } },
+};
+
+const InstallListQuery = {
+    type: 'object',
+    properties: { status: { type: 'string', enum: ['active', 'revoked'] } },
+};
+
+const AdminUpdateKeyRequest = {
+    type: 'object',
+    required: ['tier'],
+    properties: { tier: { type: 'string', enum: TIERS } },
+};
+
+const AdminUpdateOrgRequest = {
+    type: 'object',
+    properties: {
+        tier: { type: 'string', enum: TIERS },
+        seat_limit: { type: 'integer', minimum: 1 },
+    },
+};
+
+const DeprecationListQuery = {
+    type: 'object',
+    properties: {
+        key_id: { type: 'string' },
+        org_id: { type: 'string' },
+    },
+};
+
+const DeprecationList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        keys: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    key_id: { type: 'string' },
+                    key_name: { type: ['string', 'null'] },
+                    owner_id: { type: ['string', 'null'] },
+                    org_id: { type: ['string', 'null'] },
+                    last_seen: NullableDateTime,
+                    endpoints: { type: 'array', items: DeprecatedEndpoint },
+                },
+            },
+        },
+    },
+};
+
+const MeteringExportQuery = {
+    type: 'object',
+    required: ['from'],
+    properties: {
+        from: IsoDate,
+        to: { ...IsoDate, description: 'Defaults to "from". At most 366 days after it.' },
+        format: { type: 'string', enum: ['ndjson', 'csv'], default: 'ndjson' },
+        group_by: { type: 'string', enum: ['none', 'key', 'org', 'owner'], default: 'none', description: 'Calls outside an organization have a null org_id' },
+    },
+};
+
+module.exports = {
+    TIERS, ROLES, Expiry, Scopes, Key, IssuedKey, KeyList, KeyEnvelope,
+    GenerateKeyRequest, CreateKeyRequest, UpdateKeyRequest, RotateKeyRequest,
+    DeprecatedEndpoint, UsageResponse, Member, Organization, OrganizationEnvelope,
+    CreateOrgRequest, AddMemberRequest, AddMemberResponse, UpdateMemberRequest, LeaveOrgResponse,
+    ExtensionTokenRequest, ExtensionTokenResponse,
+    AdminCreateKeyRequest, AdminKeyListQuery, InstallListQuery, AdminUpdateKeyRequest, AdminUpdateOrgRequest, MeteringExportQuery,
+    DeprecationListQuery, DeprecationList,
+};
@@ -0,0 +1,137 @@
+/**
+ * Verify.IQ - Shared Schemas
+ * JSON Schema (2020-12) building blocks reused by the request/response
+ * schemas of every route and by the generated OpenAPI document.
+ */
+
+const { ERROR_CODES } = require('../errors');
+
+const PLATFORMS = ['instagram', 'tiktok', 'x', 'twitter', 'youtube', 'facebook', 'linkedin', 'twitch', 'unknown'];
+const CHAINS = ['ethereum', 'bsc', 'polygon', 'arbitrum', 'base', 'avalanche'];
+
+const Url = {
+    type: 'string',
+    format: 'uri',
+    pattern: '^https?://',
+    maxLength: 2048,
+    description: 'Absolute http(s) URL',
+    examples: ['https://example.com'],
+    'x-error-code': 'INVALID_URL',
+};
+
+const UrlOrDomain = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 2048,
+    description: 'URL or bare domain name',
+    examples: ['example.com'],
+};
+
+const Email = {
+    type: 'string',
+    format: 'email',
+    maxLength: 254,
+    examples: ['user@example.com'],
+};
+
+const IsoDate = { type: 'string', format: 'date', examples: ['2026-01-31'] };
+const IsoDateTime = { type: 'string', format: 'date-time' };
+const NullableDateTime = { type: ['string', 'null'], format: 'date-time' };
+
+const ServiceCounters = {
+    type: 'object',
+    description: 'Calls per service',
+    additionalProperties: { type: 'integer', minimum: 0 },
+};
+
+/**
+ * Error envelope schema, optionally narrowed to some codes and with a
+ * schema for `details`
+ */
+function errorEnvelope(codes = Object.keys(ERROR_CODES), details) {
+    return {
+        type: 'object',
+        required: ['error', 'code', 'message', 'status', 'request_id', 'docs_url'],
+        properties: {
+            error: { type: 'string', description: 'Short title of the error code' },
+            code: {
+                type: 'string',
+                enum: codes,
+                description: codes.map(c => `- \`${c}\` (${ERROR_CODES[c].status}): ${ERROR_CODES[c].description}`).join('\n'),
+            },
+            message: { type: 'string', description: 'Human-readable explanation' },
+            status: { type: 'integer', description: 'HTTP status, repeated for convenience' },
+            request_id: { type: ['string', 'null'], description: 'Also sent as the X-Request-Id header' },
+            docs_url: { type: 'string', examples: ['/api/docs/errors#QUOTA_EXCEEDED'] },
+            details: details || { type: 'object', description: 'Extra machine-readable fields for some codes' },
+        },
+    };
+}
+
+const ErrorBody = errorEnvelope();
+
+const ValidationError = errorEnvelope(['VALIDATION_FAILED', 'INVALID_URL', 'INVALID_ADDRESS'], {
+    type: 'object',
+    properties: {
+        errors: {
+            type: 'array',
+            description: 'Every invalid field',
+            items: {
+                type: 'object',
+                required: ['location', 'path', 'message'],
+                properties: {
+                    location: { type: 'string', enum: ['body', 'query'] },
+                    path: { type: 'string', description: 'JSON path of the field', examples: ['$.comments[0].text'] },
+                    message: { type: 'string', examples: ['must be a string'] },
+                    code: { type: 'string', description: 'Specific code for this field, when it has one' },
+                },
+            },
+        },
+    },
+});
+
+const QuotaError = errorEnvelope(['PRO_FEATURE', 'QUOTA_EXCEEDED'], {
+    type: 'object',
+    properties: {
+        tier: { type: 'string' },
+        upgrade_url: { type: 'string' },
+    },
+});
+
+const ScopeError = errorEnvelope(['INSUFFICIENT_SCOPE'], {
+    type: 'object',
+    properties: {
+        missing_scope: {
+            type: 'object',
+            properties: {
+                scope: { type: 'string', enum: ['services', 'origins', 'ip_ranges', 'key_management'] },
+                value: { type: ['string', 'null'] },
+            },
+        },
+        allowed: {},
+    },
+});
+
+const ErrorCatalog = {
+    type: 'object',
+    properties: {
+        envelope: { type: 'object', description: 'Field-by-field description of the error body' },
+        codes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string' },
+                    status: { type: 'integer' },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                },
+            },
+        },
+    },
+};
+
+module.exports = {
+    PLATFORMS, CHAINS, Url, UrlOrDomain, Email, IsoDate, IsoDateTime, NullableDateTime, ServiceCounters,
+    ErrorBody, ValidationError, QuotaError, ScopeError, ErrorCatalog,
+};
@@ -0,0 +1,120 @@
+/**
+ * Verify.IQ - Feedback Schemas
+ * Request and response schemas for analyst feedback, its review queue and
+ * the list entries and labeled dataset it produces.
+ */
+
+const { IsoDate, IsoDateTime, NullableDateTime } = require('./common');
+const { SERVICES } = require('../middleware/apiKey');
+const { ListEntry } = require('./lists');
+
+const STATUSES = ['pending', 'accepted', 'rejected'];
+const LABELS = ['false_positive', 'false_negative', 'other'];
+
+const FeedbackRequest = {
+    type: 'object',
+    required: ['report_id', 'verdict', 'reason'],
+    properties: {
+        report_id: { type: 'string', format: 'uuid', description: 'The X-Report-Id of the call being corrected' },
+        verdict: { type: 'string', minLength: 1, maxLength: 100, description: 'The verdict the report should have had, e.g. safe, dangerous, likely_real' },
+        reason: { type: 'string', minLength: 1, maxLength: 2000, description: 'Why the verdict was wrong' },
+    },
+};
+
+const Feedback = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        report_id: { type: 'string' },
+        service: { type: 'string', enum: SERVICES },
+        indicator: { type: ['string', 'null'] },
+        original_verdict: { type: ['string', 'null'] },
+        original_score: { type: ['integer', 'null'] },
+        verdict: { type: 'string', description: 'Corrected verdict' },
+        reason: { type: 'string' },
+        label: { type: 'string', enum: LABELS, description: 'false_positive: harmful verdict on a benign target; false_negative: the other way round' },
+        status: { type: 'string', enum: STATUSES },
+        list_entry_id: { type: ['string', 'null'], description: 'Allow / deny list entry added when the feedback was accepted' },
+        review_note: { type: ['string', 'null'] },
+        reviewed_at: NullableDateTime,
+        key_id: { type: 'string' },
+        org_id: { type: ['string', 'null'] },
+        created: IsoDateTime,
+        report: {
+            type: 'object',
+            description: 'Copy of the corrected report (review queue and GET /feedback/{id} only)',
+            properties: { endpoint: { type: 'string' }, input: { type: 'object' }, output: { type: 'object' }, created: IsoDateTime },
+        },
+    },
+};
+
+const FeedbackEnvelope = { type: 'object', properties: { feedback: Feedback } };
+
+const FeedbackList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        feedback: { type: 'array', items: Feedback },
+    },
+};
+
+const FeedbackListQuery = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: STATUSES },
+        service: { type: 'string', enum: SERVICES },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+    },
+};
+
+const ReviewQueueQuery = {
+    type: 'object',
+    properties: {
+        ...FeedbackListQuery.properties,
+        status: { type: 'string', enum: STATUSES, default: 'pending' },
+        org_id: { type: 'string' },
+    },
+};
+
+const AcceptFeedbackRequest = {
+    type: 'object',
+    properties: {
+        list: {
+            type: 'string',
+            enum: ['allow', 'deny', 'none'],
+            description: 'List to put the report\'s domain, email, wallet or handle on. Default: allow for a clearly benign corrected verdict, '
+                + 'deny for a clearly harmful one that escalates the original, otherwise none (suspicious, risky, downgrades). '
+                + 'Naming a list the corrected verdict does not support is refused.',
+        },
+        note: { type: 'string', maxLength: 2000 },
+    },
+};
+
+const RejectFeedbackRequest = {
+    type: 'object',
+    properties: { note: { type: 'string', maxLength: 2000 } },
+};
+
+const ReviewResponse = {
+    type: 'object',
+    properties: {
+        feedback: Feedback,
+        list_entry: { ...ListEntry, type: ['object', 'null'] },
+    },
+};
+
+const DatasetExportQuery = {
+    type: 'object',
+    properties: {
+        service: { type: 'string', enum: SERVICES },
+        label: { type: 'string', enum: LABELS },
+        from: { ...IsoDate, description: 'First review day (UTC), inclusive' },
+        to: { ...IsoDate, description: 'Last review day (UTC), inclusive' },
+        format: { type: 'string', enum: ['ndjson', 'csv'], default: 'ndjson', description: 'CSV rows leave out the full input and output' },
+    },
+};
+
+module.exports = {
+    FeedbackRequest, Feedback, FeedbackEnvelope, FeedbackList, FeedbackListQuery, ReviewQueueQuery,
+    AcceptFeedbackRequest, RejectFeedbackRequest, ReviewResponse, DatasetExportQuery,
+};
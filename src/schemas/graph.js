@@ -0,0 +1,63 @@
+/**
+ * Verify.IQ - Entity Graph Schemas
+ * Query and response schemas for the entity graph endpoint.
+ */
+
+const { IsoDateTime } = require('./common');
+const { ENTITY_TYPES } = require('../services/entityGraph');
+
+const MAX_HOPS = 3;
+
+const GraphQuery = {
+    type: 'object',
+    properties: {
+        hops: { type: 'integer', minimum: 1, maximum: MAX_HOPS, default: 2, description: 'How many edges away from the entity to follow' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 200, description: 'Maximum number of nodes returned (nearest first)' },
+    },
+};
+
+const GraphNode = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', description: '"<type>:<value>", usable as the :entity of another query' },
+        type: { type: 'string', enum: ENTITY_TYPES },
+        value: { type: 'string' },
+        distance: { type: 'integer', description: 'Hops from the queried entity' },
+        attributes: { type: 'object', description: 'Latest analyzer findings (e.g. iq_score and verdict of a domain, chain and risk_level of a wallet)' },
+        sources: { type: 'array', items: { type: 'string' }, description: 'Endpoints and jobs that saw this entity' },
+        sightings: { type: 'integer' },
+        first_seen: IsoDateTime,
+        last_seen: IsoDateTime,
+    },
+};
+
+const GraphEdge = {
+    type: 'object',
+    properties: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        relation: {
+            type: 'string',
+            enum: ['resolves_to', 'mail_host', 'nameserver', 'registered_with', 'subdomain_of', 'at_domain', 'mentions', 'mentioned_with', 'hosted_on', 'profile_on'],
+        },
+        sources: { type: 'array', items: { type: 'string' } },
+        sightings: { type: 'integer' },
+        first_seen: IsoDateTime,
+        last_seen: IsoDateTime,
+    },
+};
+
+const GraphResponse = {
+    type: 'object',
+    properties: {
+        entity: GraphNode,
+        hops: { type: 'integer' },
+        total_nodes: { type: 'integer' },
+        total_edges: { type: 'integer' },
+        truncated: { type: 'boolean', description: 'More nodes were reachable than `limit`' },
+        nodes: { type: 'array', items: GraphNode, description: 'Every entity within `hops`, the queried one included' },
+        edges: { type: 'array', items: GraphEdge },
+    },
+};
+
+module.exports = { GraphQuery, GraphNode, GraphEdge, GraphResponse, MAX_HOPS };
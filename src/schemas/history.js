@@ -0,0 +1,222 @@
+/**
+ * Verify.IQ - Scan History Schemas
+ * Query and response schemas for searching, comparing and verifying
+ * stored reports.
+ */
+
+const { IsoDate, IsoDateTime } = require('./common');
+const { SERVICES } = require('../middleware/apiKey');
+const { SCORE_WEIGHTS } = require('../services/urlScanner');
+
+const Score = { type: 'integer', minimum: 0, maximum: 100 };
+
+const HistoryQuery = {
+    type: 'object',
+    properties: {
+        service: { type: 'string', enum: SERVICES },
+        verdict: { type: 'string', maxLength: 200, description: 'Exact verdict, case-insensitive (e.g. dangerous, deliverable)' },
+        domain: { type: 'string', maxLength: 253, description: 'Reports about this domain or any of its subdomains' },
+        from: { ...IsoDate, description: 'First day (UTC), inclusive' },
+        to: { ...IsoDate, description: 'Last day (UTC), inclusive' },
+        min_score: { ...Score, description: 'Lowest headline trust score (iq_score, trust_iq, authenticity_iq or score)' },
+        max_score: { ...Score, description: 'Highest headline trust score; reports without one are excluded by either bound' },
+        key_id: { type: 'string', description: 'Only reports made with this key' },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+        offset: { type: 'integer', minimum: 0, default: 0 },
+    },
+};
+
+const ReportSummary = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid', description: 'Also sent as the X-Report-Id header of the call that made it' },
+        service: { type: 'string', enum: SERVICES },
+        endpoint: { type: 'string', examples: ['/scan-url'] },
+        indicator: { type: ['string', 'null'], description: 'What was analyzed (URL, email, address, ...), truncated to 500 characters' },
+        domain: { type: ['string', 'null'] },
+        verdict: { type: ['string', 'null'], description: 'Lowercased' },
+        score: { type: ['integer', 'null'] },
+        key_id: { type: 'string' },
+        org_id: { type: ['string', 'null'] },
+        created: IsoDateTime,
+    },
+};
+
+const HistoryList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer', description: 'Matching reports' },
+        offset: { type: 'integer' },
+        limit: { type: 'integer' },
+        reports: { type: 'array', items: ReportSummary, description: 'Newest first' },
+    },
+};
+
+const Report = {
+    type: 'object',
+    properties: {
+        ...ReportSummary.properties,
+        input: { type: 'object', description: 'The request body (query parameters for GET calls)' },
+        output: { type: 'object', description: 'The full response' },
+    },
+};
+
+const ReportEnvelope = { type: 'object', properties: { report: Report } };
+
+const ReportDiffQuery = {
+    type: 'object',
+    required: ['a', 'b'],
+    properties: {
+        a: { type: 'string', format: 'uuid', description: 'Baseline report' },
+        b: { type: 'string', format: 'uuid', description: 'Report compared with the baseline' },
+    },
+};
+
+const Value = { description: 'Any JSON value' };
+
+const FieldChange = {
+    type: 'object',
+    properties: {
+        path: { type: 'string', examples: ['signals.reviews'] },
+        before: Value,
+        after: Value,
+    },
+};
+
+const SetChange = {
+    type: 'object',
+    description: 'An array of plain values (flags, alerts, threats, ...) compared as a set',
+    properties: {
+        path: { type: 'string', examples: ['flags'] },
+        added: { type: 'array', items: Value },
+        removed: { type: 'array', items: Value },
+    },
+};
+
+const CheckDiff = {
+    type: 'object',
+    properties: {
+        check: { type: 'string', enum: Object.keys(SCORE_WEIGHTS) },
+        changes: {
+            type: 'array',
+            description: 'Changed fields of the check ({ field, before, after }; { field, added, removed } for arrays)',
+            items: { type: 'object', properties: { field: { type: 'string' }, before: Value, after: Value, added: { type: 'array', items: Value }, removed: { type: 'array', items: Value } } },
+        },
+    },
+};
+
+const Contribution = {
+    type: 'object',
+    properties: {
+        weight: { type: 'integer', description: 'Most points the check can add' },
+        before: { type: ['number', 'null'], description: 'IQ score points the check added to report a' },
+        after: { type: ['number', 'null'] },
+        delta: { type: 'number' },
+    },
+};
+
+const ReportDiff = {
+    type: 'object',
+    properties: {
+        service: { type: 'string', enum: SERVICES },
+        same_target: { type: 'boolean', description: 'Both reports are about the same indicator' },
+        a: ReportSummary,
+        b: ReportSummary,
+        score: {
+            type: ['object', 'null'],
+            properties: { before: { type: ['integer', 'null'] }, after: { type: ['integer', 'null'] }, delta: { type: ['number', 'null'] } },
+        },
+        verdict: {
+            type: 'object',
+            properties: { before: { type: ['string', 'null'] }, after: { type: ['string', 'null'] }, changed: { type: 'boolean' } },
+        },
+        checks: { type: 'array', items: CheckDiff, description: 'URL scans only: checks whose results changed' },
+        score_contributions: {
+            type: 'object',
+            description: 'URL scans only: each IQ score weight\'s points before and after (before rounding)',
+            properties: Object.fromEntries(Object.keys(SCORE_WEIGHTS).map(name => [name, Contribution])),
+        },
+        flags: { type: 'array', items: SetChange },
+        fields: {
+            type: 'object',
+            description: 'Every other changed field, by dotted path (timings and cache details are ignored)',
+            properties: {
+                changed: { type: 'array', items: FieldChange },
+                added: { type: 'array', items: FieldChange },
+                removed: { type: 'array', items: FieldChange },
+            },
+        },
+        summary: { type: 'array', items: { type: 'string' }, description: 'The changes in plain sentences, biggest first' },
+    },
+};
+
+const ReportSignature = {
+    type: 'object',
+    description: 'Ed25519 signature over the RFC 8785 (JCS) canonical JSON of the whole response, this block included but without `value`. '
+        + 'Sent when the call has X-Sign-Report: true',
+    required: ['report_id', 'signed_at', 'key_id', 'algorithm', 'canonicalization', 'value'],
+    properties: {
+        report_id: { type: 'string', format: 'uuid', description: 'The X-Report-Id of the call (a fresh id when history is not kept)' },
+        signed_at: { ...IsoDateTime, description: 'When the report was stored (or, when it is not kept, sent)' },
+        key_id: { type: 'string', description: '`kid` of the public key in /.well-known/jwks.json' },
+        algorithm: { type: 'string', const: 'Ed25519' },
+        canonicalization: { type: 'string', const: 'JCS' },
+        value: { type: 'string', minLength: 1, description: 'Signature, base64url' },
+    },
+};
+
+const VerifyReportRequest = {
+    type: 'object',
+    description: 'A signed response exactly as it was received',
+    required: ['signature'],
+    properties: { signature: ReportSignature },
+    examples: [{
+        url: 'https://example.com',
+        iq_score: 88,
+        verdict: 'safe',
+        signature: {
+            report_id: '3f0b7c7e-1f7a-4c55-9d7e-2b1f0c1e9a10',
+            signed_at: '2026-10-19T09:30:00.000Z',
+            key_id: '5c1e0f7b2a9d4e63',
+            algorithm: 'Ed25519',
+            canonicalization: 'JCS',
+            value: 'q5v0...',
+        },
+    }],
+};
+
+const VerifyReportResponse = {
+    type: 'object',
+    properties: {
+        valid: { type: 'boolean', description: 'Signed by us and unmodified' },
+        reason: { type: ['string', 'null'], description: 'Why it is not valid' },
+        report_id: { type: ['string', 'null'] },
+        signed_at: { type: ['string', 'null'], format: 'date-time' },
+        key_id: { type: ['string', 'null'] },
+    },
+};
+
+const Jwks = {
+    type: 'object',
+    properties: {
+        keys: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    kty: { type: 'string', const: 'OKP' },
+                    crv: { type: 'string', const: 'Ed25519' },
+                    x: { type: 'string', description: 'Public key, base64url' },
+                    kid: { type: 'string', description: 'The key_id of signatures made with it' },
+                    use: { type: 'string', const: 'sig' },
+                    alg: { type: 'string', const: 'EdDSA' },
+                },
+            },
+        },
+    },
+};
+
+module.exports = {
+    HistoryQuery, ReportSummary, HistoryList, Report, ReportEnvelope, ReportDiffQuery, ReportDiff,
+    ReportSignature, VerifyReportRequest, VerifyReportResponse, Jwks,
+};
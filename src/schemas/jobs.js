@@ -0,0 +1,103 @@
+/**
+ * Verify.IQ - Job Schemas
+ * Request and response schemas for the asynchronous job API.
+ */
+
+const { IsoDateTime, NullableDateTime } = require('./common');
+const { JOB_STATUSES } = require('../store/jobStore');
+const { JOB_TYPES } = require('../services/jobQueue');
+
+const MAX_JOB_ITEMS = 10000;
+const JOB_TYPE_NAMES = Object.keys(JOB_TYPES);
+
+const CreateJobRequest = {
+    type: 'object',
+    required: ['type', 'items'],
+    properties: {
+        type: {
+            type: 'string',
+            enum: JOB_TYPE_NAMES,
+            description: 'scan_url: items are URLs (charged to bulk_scan); verify_email: items are email addresses (charged to email_verify)',
+        },
+        items: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_JOB_ITEMS,
+            description: 'One URL or email address per item',
+        },
+    },
+};
+
+const Job = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        type: { type: 'string', enum: JOB_TYPE_NAMES },
+        status: { type: 'string', enum: JOB_STATUSES },
+        total: { type: 'integer' },
+        processed: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer', description: 'Items that could not be processed (see their error)' },
+        progress: { type: 'number', minimum: 0, maximum: 1 },
+        created_at: IsoDateTime,
+        started_at: NullableDateTime,
+        finished_at: NullableDateTime,
+        cancelled_at: NullableDateTime,
+        error: { type: ['string', 'null'] },
+        links: {
+            type: 'object',
+            properties: { self: { type: 'string' }, cancel: { type: 'string' } },
+        },
+    },
+};
+
+const JobEnvelope = { type: 'object', properties: { job: Job } };
+
+const JobList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        jobs: { type: 'array', items: Job },
+    },
+};
+
+const JobListQuery = {
+    type: 'object',
+    properties: { status: { type: 'string', enum: JOB_STATUSES } },
+};
+
+const JobResultsQuery = {
+    type: 'object',
+    properties: {
+        offset: { type: 'integer', minimum: 0, default: 0 },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+    },
+};
+
+const JobResult = {
+    type: 'object',
+    properties: {
+        index: { type: 'integer', description: 'Position of the item in the submitted list' },
+        input: { type: 'string' },
+        result: { type: 'object', description: 'Same shape as the single-item endpoint (scan-url / verify-email)' },
+        error: {
+            type: 'object',
+            properties: { code: { type: 'string' }, message: { type: 'string' } },
+        },
+    },
+};
+
+const JobDetail = {
+    type: 'object',
+    properties: {
+        job: Job,
+        results: { type: 'array', items: JobResult, description: 'Processed items so far, in completion order' },
+        offset: { type: 'integer' },
+        next_offset: { type: ['integer', 'null'], description: 'Pass as offset for the next page; null when all processed items were returned' },
+    },
+};
+
+module.exports = {
+    MAX_JOB_ITEMS, JOB_TYPE_NAMES,
+    CreateJobRequest, Job, JobEnvelope, JobList, JobListQuery, JobResultsQuery, JobResult, JobDetail,
+};
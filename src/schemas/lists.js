@@ -0,0 +1,79 @@
+/**
+ * Verify.IQ - Policy List Schemas
+ * Request and response schemas for allow / deny list entries and the
+ * policy override they put on analyzer responses.
+ */
+
+const { IsoDateTime, NullableDateTime } = require('./common');
+const { LIST_TYPES } = require('../store/listStore');
+
+const LISTS = ['allow', 'deny'];
+
+const ListEntry = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        list: { type: 'string', enum: LISTS },
+        type: { type: 'string', enum: LIST_TYPES },
+        value: { type: 'string', description: 'Normalized: lowercase, hostnames without www., handles as "platform/username" or just "username"' },
+        reason: { type: ['string', 'null'] },
+        source: { type: 'string', enum: ['api', 'feedback'], description: 'Added through this API, or by accepted analyst feedback' },
+        feedback_id: { type: ['string', 'null'] },
+        key_id: { type: ['string', 'null'], description: 'Key that added it (null for feedback)' },
+        created: IsoDateTime,
+        updated: NullableDateTime,
+    },
+};
+
+const CreateListEntryRequest = {
+    type: 'object',
+    required: ['list', 'type', 'value'],
+    properties: {
+        list: { type: 'string', enum: LISTS },
+        type: { type: 'string', enum: LIST_TYPES },
+        value: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 253,
+            description: 'Domain (covers its subdomains and email addresses at it; a URL is reduced to its hostname), email address, '
+                + '0x wallet address, or handle ("instagram/someone", or "someone" for every platform)',
+        },
+        reason: { type: 'string', maxLength: 500 },
+    },
+};
+
+const ListEntryEnvelope = { type: 'object', properties: { entry: ListEntry } };
+
+const ListEntryList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        entries: { type: 'array', items: ListEntry },
+    },
+};
+
+const ListQuery = {
+    type: 'object',
+    properties: {
+        list: { type: 'string', enum: LISTS },
+        type: { type: 'string', enum: LIST_TYPES },
+        q: { type: 'string', maxLength: 253, description: 'Only values containing this text' },
+    },
+};
+
+const PolicyOverride = {
+    type: 'object',
+    description: 'Present when an allow / deny list entry decided the call instead of the analyzer (verdict safe or dangerous, IQ score 100 or 0)',
+    properties: {
+        list: { type: 'string', enum: LISTS },
+        matched: {
+            type: 'object',
+            description: 'The domain, email, wallet or handle the call was about',
+            properties: { type: { type: 'string', enum: LIST_TYPES }, value: { type: 'string' } },
+        },
+        entry: ListEntry,
+        message: { type: 'string' },
+    },
+};
+
+module.exports = { ListEntry, CreateListEntryRequest, ListEntryEnvelope, ListEntryList, ListQuery, PolicyOverride, LISTS };
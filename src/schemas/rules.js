@@ -0,0 +1,133 @@
+/**
+ * Verify.IQ - Policy Rule Schemas
+ * Request and response schemas for rule set versions, dry runs and the
+ * citation rules put on analyzer responses.
+ */
+
+const { IsoDate, IsoDateTime } = require('./common');
+const { SERVICES } = require('../middleware/apiKey');
+const { OPERATORS } = require('../services/policyRules');
+
+const MAX_RULES = 100;
+
+const Condition = {
+    type: 'object',
+    description: 'One of { "all": [conditions] }, { "any": [conditions] }, { "not": condition } or a comparison '
+        + `{ "field": "checks.domain_age.age_days", "op": one of ${Object.keys(OPERATORS).join(' / ')}, "value": ... }. `
+        + 'Fields are dotted paths of the analyzer output (also tried under its "checks"), plus service, score, tld and failed_checks.',
+    examples: [{ all: [{ field: 'domain_age.age_days', op: 'lt', value: 14 }, { field: 'tld', op: 'in', value: ['.top', '.xyz'] }] }],
+};
+
+const Rule = {
+    type: 'object',
+    required: ['id', 'when', 'verdict'],
+    properties: {
+        id: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$', description: 'Unique within the rule set; cited in responses' },
+        description: { type: 'string', maxLength: 500 },
+        services: { type: 'array', items: { type: 'string', enum: SERVICES }, maxItems: SERVICES.length, description: 'Services it applies to (all when omitted)' },
+        when: Condition,
+        verdict: { type: 'string', minLength: 1, maxLength: 100, description: 'Verdict the response gets when the rule fires first' },
+        enabled: { type: 'boolean', default: true },
+    },
+};
+
+const Rules = { type: 'array', items: Rule, maxItems: MAX_RULES, description: 'Evaluated in order; the first rule that fires sets the verdict' };
+
+const PublishRulesRequest = {
+    type: 'object',
+    required: ['rules'],
+    properties: {
+        rules: Rules,
+        note: { type: 'string', maxLength: 500, description: 'What changed in this version' },
+    },
+};
+
+const RuleSet = {
+    type: 'object',
+    properties: {
+        version: { type: 'integer', minimum: 1 },
+        rules: Rules,
+        rule_count: { type: 'integer' },
+        note: { type: ['string', 'null'] },
+        key_id: { type: ['string', 'null'], description: 'Key that published it' },
+        restored_from: { type: ['integer', 'null'], description: 'Version whose rules were restored' },
+        created: IsoDateTime,
+    },
+};
+
+const RuleSetEnvelope = {
+    type: 'object',
+    properties: { rule_set: { ...RuleSet, type: ['object', 'null'], description: 'null before the first publish' } },
+};
+
+const RuleSetVersionList = {
+    type: 'object',
+    properties: {
+        active: { type: ['integer', 'null'], description: 'Version analyzer calls are judged by' },
+        versions: { type: 'array', items: RuleSet, description: 'Newest first, without their rules' },
+    },
+};
+
+const DryRunRequest = {
+    type: 'object',
+    properties: {
+        rules: { ...Rules, description: 'Unpublished rules to try; defaults to `version`, else the active rule set' },
+        version: { type: 'integer', minimum: 1, description: 'A published version to try' },
+        service: { type: 'string', enum: SERVICES },
+        from: { ...IsoDate, description: 'First day (UTC) of stored reports, inclusive' },
+        to: { ...IsoDate, description: 'Last day (UTC), inclusive' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100, description: 'Most recent reports evaluated' },
+    },
+    examples: [{ rules: [{ id: 'new-domain', services: ['url_scan'], when: { field: 'domain_age.age_days', op: 'lt', value: 14 }, verdict: 'dangerous' }] }],
+};
+
+const DryRunResult = {
+    type: 'object',
+    properties: {
+        version: { type: ['integer', 'null'], description: 'null for unpublished rules' },
+        evaluated: { type: 'integer', description: 'Reports judged by the rules' },
+        skipped: { type: 'integer', description: 'Bulk reports, list overrides and reports past retention' },
+        matched: { type: 'integer', description: 'Reports at least one rule fired on' },
+        changed: { type: 'integer', description: 'Reports whose verdict would differ from the stored one' },
+        rules: {
+            type: 'array',
+            items: { type: 'object', properties: { id: { type: 'string' }, fired: { type: 'integer', description: 'Reports it fired on' } } },
+        },
+        reports: {
+            type: 'array',
+            description: 'Reports a rule fired on or whose verdict would change, newest first',
+            items: {
+                type: 'object',
+                properties: {
+                    report_id: { type: 'string', format: 'uuid' },
+                    service: { type: 'string', enum: SERVICES },
+                    indicator: { type: ['string', 'null'] },
+                    created: IsoDateTime,
+                    verdict: { type: ['string', 'null'], description: 'Stored verdict (after the rules in force then)' },
+                    analyzer_verdict: { type: ['string', 'null'], description: 'Verdict before any rule' },
+                    dry_run_verdict: { type: ['string', 'null'] },
+                    changed: { type: 'boolean' },
+                    fired: { type: 'array', items: { type: 'string' }, description: 'Rule ids, in order' },
+                },
+            },
+        },
+    },
+};
+
+const PolicyRules = {
+    type: 'object',
+    description: 'Present when a policy rule set the verdict of an analyzer call',
+    properties: {
+        version: { type: 'integer', description: 'Rule set version' },
+        verdict_before: { type: ['string', 'null'], description: 'The analyzer\'s own verdict' },
+        applied: { type: 'string', description: 'Id of the rule that set the verdict' },
+        fired: {
+            type: 'array',
+            items: { type: 'object', properties: { id: { type: 'string' }, description: { type: ['string', 'null'] }, verdict: { type: 'string' } } },
+        },
+    },
+};
+
+module.exports = {
+    Rule, PublishRulesRequest, RuleSet, RuleSetEnvelope, RuleSetVersionList, DryRunRequest, DryRunResult, PolicyRules,
+};
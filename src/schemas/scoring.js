@@ -0,0 +1,76 @@
+/**
+ * Verify.IQ - Scoring Profile Schemas
+ * Request and response schemas for IQ score weights and verdict cutoffs,
+ * and the per-signal breakdown URL scans carry.
+ */
+
+const { PRESETS, SIGNALS } = require('../services/scoringProfiles');
+
+const Weight = { type: 'number', minimum: 0, maximum: 100 };
+const Cutoff = { type: 'number', minimum: 0, maximum: 100 };
+
+const Weights = {
+    type: 'object',
+    description: 'Relative weight of each signal; the IQ score divides the points earned by the sum of the weights of the checks that ran',
+    properties: Object.fromEntries(SIGNALS.map(signal => [signal, Weight])),
+    additionalProperties: false,
+};
+
+const Cutoffs = {
+    type: 'object',
+    description: 'Lowest IQ score of the safe and suspicious verdicts; anything lower is dangerous',
+    properties: { safe: Cutoff, suspicious: Cutoff },
+    additionalProperties: false,
+};
+
+const ScoringProfile = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        preset: { type: 'string', enum: Object.keys(PRESETS) },
+        weights: { ...Weights, required: SIGNALS },
+        cutoffs: { ...Cutoffs, required: ['safe', 'suspicious'] },
+    },
+};
+
+const ScoringProfileRequest = {
+    type: 'object',
+    properties: {
+        preset: { type: 'string', enum: Object.keys(PRESETS), default: 'default', description: 'Starting point for the weights and cutoffs' },
+        weights: { ...Weights, description: 'Weights that differ from the preset' },
+        cutoffs: { ...Cutoffs, description: 'Cutoffs that differ from the preset' },
+        name: { type: 'string', maxLength: 100, description: 'Shown in score breakdowns (defaults to the preset name)' },
+    },
+    examples: [{ preset: 'ecommerce', weights: { reputation: 25 }, name: 'marketplace-sellers' }],
+};
+
+const ScoringProfileResponse = {
+    type: 'object',
+    properties: {
+        scoring_profile: ScoringProfile,
+        source: { type: 'string', enum: ['organization', 'server'], description: 'Set by your organization, or the server default' },
+        presets: { type: 'array', items: { ...ScoringProfile, properties: { ...ScoringProfile.properties, description: { type: 'string' } } } },
+    },
+};
+
+const ScoreBreakdown = {
+    type: 'object',
+    description: 'How the IQ score was reached: the scoring profile and what each signal added',
+    properties: {
+        profile: { type: 'string', examples: ['default'] },
+        cutoffs: Cutoffs,
+        signals: {
+            type: 'object',
+            properties: Object.fromEntries(SIGNALS.map(signal => [signal, {
+                type: 'object',
+                properties: {
+                    weight: Weight,
+                    points: { type: 'number', description: 'Points earned, from 0 to the weight (SSL adds a bonus for certificates with over 90 days left: 2 at the default weight of 15)' },
+                    contribution: { type: 'number', description: 'IQ score points the signal added (0-100 scale, before rounding)' },
+                },
+            }])),
+        },
+    },
+};
+
+module.exports = { ScoringProfile, ScoringProfileRequest, ScoringProfileResponse, ScoreBreakdown };
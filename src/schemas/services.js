@@ -0,0 +1,560 @@
+/**
+ * Verify.IQ - Analyzer Schemas
+ * Request and response schemas for the scanning / analysis endpoints.
+ */
+
+const { PLATFORMS, CHAINS, Url, UrlOrDomain, IsoDateTime, NullableDateTime } = require('./common');
+const { INDICATOR_TYPES, MODULES } = require('../services/investigator');
+const { ScoreBreakdown } = require('./scoring');
+
+// Body of scan-url, supplier-score, audit-engagement and trading-shield
+const UrlRequest = {
+    type: 'object',
+    required: ['url'],
+    properties: { url: Url },
+};
+
+const ScanQuery = {
+    type: 'object',
+    properties: {
+        fresh: { type: 'boolean', default: false, description: 'Re-run every check instead of using cached results' },
+    },
+};
+
+// GET form of the scan-url stream (EventSource cannot send a body)
+const ScanStreamQuery = {
+    type: 'object',
+    required: ['url'],
+    properties: {
+        url: Url,
+        ...ScanQuery.properties,
+        sign: { type: 'boolean', default: false, description: 'Sign the result event (what X-Sign-Report does on other calls)' },
+    },
+};
+
+const DarkwebScanRequest = {
+    type: 'object',
+    required: ['url'],
+    properties: { url: UrlOrDomain },
+};
+
+const BulkScanRequest = {
+    type: 'object',
+    required: ['urls'],
+    properties: {
+        urls: { type: 'array', items: Url, minItems: 1, maxItems: 50 },
+    },
+};
+
+const VerifyEmailRequest = {
+    type: 'object',
+    required: ['email'],
+    properties: {
+        // Syntax problems are reported by the verifier itself, not rejected up front
+        email: { type: 'string', minLength: 1, maxLength: 320, examples: ['user@example.com'] },
+    },
+};
+
+const VerifyEmailBulkRequest = {
+    type: 'object',
+    required: ['emails'],
+    properties: {
+        emails: { type: 'array', items: VerifyEmailRequest.properties.email, minItems: 1, maxItems: 100 },
+    },
+};
+
+const DetectAiRequest = {
+    type: 'object',
+    required: ['text'],
+    properties: {
+        text: { type: 'string', minLength: 1, maxLength: 50000 },
+    },
+};
+
+const SocialAuthenticityRequest = {
+    type: 'object',
+    required: ['followers'],
+    properties: {
+        followers: { type: 'integer', minimum: 0 },
+        following: { type: 'integer', minimum: 0 },
+        avgLikes: { type: 'number', minimum: 0 },
+        comments: {
+            type: 'array',
+            maxItems: 500,
+            items: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string', maxLength: 5000 },
+                    username: { type: 'string', maxLength: 100 },
+                },
+            },
+        },
+        bio: { type: 'string', maxLength: 5000 },
+        platform: { type: 'string', enum: PLATFORMS },
+        username: { type: 'string', maxLength: 100, description: 'Handle of the profile; lets your allow and deny lists decide the call' },
+    },
+    examples: [{ followers: 100000, following: 50, avgLikes: 30, comments: [{ text: 'Nice!', username: 'user123' }], bio: 'Link in bio' }],
+};
+
+const DropshipCheckRequest = {
+    type: 'object',
+    required: ['product_title'],
+    properties: {
+        product_title: { type: 'string', minLength: 1, maxLength: 500 },
+        price: { type: ['number', 'null'], minimum: 0 },
+        // Scraped from the page by the extension; may be empty
+        image_url: { type: 'string', maxLength: 2048 },
+        store_url: { type: 'string', maxLength: 2048 },
+        currency: { type: 'string', maxLength: 10, examples: ['USD'] },
+    },
+};
+
+const AgentScanRequest = {
+    type: 'object',
+    required: ['context', 'data'],
+    properties: {
+        context: { type: 'string', enum: ['general_risk', 'dropshipping', 'social_audit'] },
+        data: { type: ['object', 'string'] },
+    },
+};
+
+const RugPullCheckRequest = {
+    type: 'object',
+    required: ['address'],
+    properties: {
+        address: { type: 'string', pattern: '^0x[a-fA-F0-9]{40}$', description: 'EVM contract address', 'x-error-code': 'INVALID_ADDRESS' },
+        chain: { type: 'string', enum: CHAINS, default: 'ethereum' },
+    },
+};
+
+const DeepfakeCheckRequest = {
+    type: 'object',
+    required: ['image_url'],
+    properties: {
+        image_url: Url,
+        platform: { type: 'string', enum: PLATFORMS, default: 'unknown' },
+    },
+};
+
+const AdTransparencyRequest = {
+    type: 'object',
+    required: ['username'],
+    properties: {
+        username: { type: 'string', minLength: 1, maxLength: 100 },
+        platform: { type: 'string', enum: PLATFORMS, default: 'unknown' },
+        bio: { type: 'string', maxLength: 5000 },
+        followers: { type: 'integer', minimum: 0 },
+    },
+};
+
+const Verdict = { type: 'string', enum: ['safe', 'suspicious', 'dangerous'] };
+
+const CheckCacheStatus = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: ['hit', 'miss', 'bypass'] },
+        cached_at: { ...NullableDateTime, description: 'When the result used was stored (null if it was not cached)' },
+        expires_at: NullableDateTime,
+    },
+};
+
+const ScanCache = {
+    type: 'object',
+    description: 'Check results are cached per domain or URL: WHOIS and domain age for 24h, SSL and DNS for 1h, '
+        + 'reputation for 1h, safe browsing for 10 minutes. Pass ?fresh=true to bypass.',
+    properties: {
+        status: { type: 'string', enum: ['hit', 'partial', 'miss', 'bypass'] },
+        checks: { type: 'object', additionalProperties: CheckCacheStatus },
+    },
+};
+
+const ScanUrlResponse = {
+    type: 'object',
+    required: ['iq_score', 'verdict', 'url'],
+    properties: {
+        iq_score: { type: 'integer', minimum: 0, maximum: 100 },
+        verdict: Verdict,
+        url: { type: 'string' },
+        domain: { type: 'string' },
+        error: { type: 'string' },
+        checks: {
+            type: 'object',
+            properties: {
+                domain_age: {
+                    type: 'object',
+                    properties: {
+                        age_days: { type: 'integer' },
+                        created_date: { type: 'string' },
+                        estimated: { type: 'boolean' },
+                        nameservers: { type: 'array', items: { type: 'string' } },
+                        source: { type: 'string' },
+                    },
+                },
+                ssl: {
+                    type: 'object',
+                    properties: {
+                        valid: { type: 'boolean' },
+                        issuer: { type: 'string' },
+                        subject: { type: 'string' },
+                        valid_from: { type: 'string' },
+                        valid_to: { type: 'string' },
+                        days_remaining: { type: 'integer' },
+                        error: { type: 'string' },
+                    },
+                },
+                dns: {
+                    type: 'object',
+                    properties: {
+                        has_records: { type: 'boolean' },
+                        a_count: { type: 'integer' },
+                        mx_count: { type: 'integer' },
+                        ns_count: { type: 'integer' },
+                        mx_records: { type: 'array', items: { type: 'string' } },
+                        ns_records: { type: 'array', items: { type: 'string' } },
+                        has_spf: { type: 'boolean' },
+                        has_dmarc: { type: 'boolean' },
+                    },
+                },
+                safe_browsing: {
+                    type: 'object',
+                    properties: {
+                        safe: { type: 'boolean' },
+                        threats: { type: 'array', items: { type: 'string' } },
+                        source: { type: 'string' },
+                    },
+                },
+                whois: {
+                    type: 'object',
+                    properties: {
+                        registered: { type: 'boolean' },
+                        registrar: { type: 'string' },
+                        created_date: { type: 'string' },
+                        expires_date: { type: 'string' },
+                        country: { type: ['string', 'null'] },
+                        source: { type: 'string' },
+                    },
+                },
+                reputation: {
+                    type: 'object',
+                    properties: {
+                        score: { type: 'number' },
+                        source: { type: 'string' },
+                    },
+                },
+            },
+        },
+        score_breakdown: ScoreBreakdown,
+        cache: ScanCache,
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const Flag = {
+    type: 'object',
+    properties: {
+        level: { type: 'string', enum: ['danger', 'warning', 'safe'] },
+        message: { type: 'string' },
+    },
+};
+
+const DarkwebScanResponse = {
+    type: 'object',
+    properties: {
+        url: { type: 'string' },
+        domain: { type: 'string' },
+        found_on_darkweb: { type: 'boolean' },
+        total_findings: { type: 'integer' },
+        risk_level: { type: 'string', enum: ['clean', 'medium', 'high'] },
+        findings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    icon: { type: 'string' }, title: { type: 'string' }, detail: { type: 'string' }, source: { type: 'string' },
+                },
+            },
+        },
+        checks: {
+            type: 'array',
+            items: { type: 'object', properties: { name: { type: 'string' }, detail: { type: 'string' }, clear: { type: 'boolean' } } },
+        },
+        scan_data: {
+            type: ['object', 'null'],
+            properties: { iq_score: { type: 'integer' }, verdict: Verdict },
+        },
+        scanned_at: IsoDateTime,
+    },
+};
+
+const SupplierScoreResponse = {
+    type: 'object',
+    properties: {
+        trust_iq: { type: 'integer', minimum: 0, maximum: 100 },
+        verdict: { type: 'string' },
+        url: { type: 'string' },
+        domain: { type: 'string' },
+        signals: {
+            type: 'object',
+            properties: {
+                registration: { type: 'number' }, reviews: { type: 'number' }, domain: { type: 'number' }, contact: { type: 'number' },
+            },
+        },
+        flags: { type: 'array', items: Flag },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const AuditEngagementResponse = {
+    type: 'object',
+    properties: {
+        authenticity_iq: { type: 'integer', minimum: 0, maximum: 100 },
+        verdict: { type: 'string' },
+        platform: { type: 'string' },
+        url: { type: 'string' },
+        metrics: {
+            type: 'object',
+            properties: {
+                bot_percentage: { type: 'number' },
+                engagement_rate: { type: 'string' },
+                comment_diversity: { type: 'number' },
+                growth_pattern: { type: 'string', enum: ['organic', 'inconsistent', 'suspicious'] },
+            },
+        },
+        signals: { type: 'object', additionalProperties: { type: 'number' } },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const TradingShieldResponse = {
+    type: 'object',
+    properties: {
+        risk_level: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+        verdict: { type: 'string' },
+        url: { type: 'string' },
+        domain: { type: 'string' },
+        checks: {
+            type: 'array',
+            items: { type: 'object', properties: { name: { type: 'string' }, passed: { type: 'boolean' }, detail: { type: 'string' } } },
+        },
+        alerts: { type: 'array', items: Flag },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const BulkScanResponse = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        summary: {
+            type: 'object',
+            properties: { safe: { type: 'integer' }, suspicious: { type: 'integer' }, dangerous: { type: 'integer' } },
+        },
+        results: { type: 'array', items: ScanUrlResponse },
+    },
+};
+
+const VerifyEmailResponse = {
+    type: 'object',
+    properties: {
+        email: { type: 'string' },
+        timestamp: IsoDateTime,
+        checks: { type: 'object' },
+        score: { type: 'number' },
+        verdict: { type: 'string', enum: ['deliverable', 'risky', 'undeliverable', 'invalid', 'unknown'] },
+        risk_level: { type: 'string' },
+        risk_factors: { type: 'array', items: { type: 'string' } },
+        suggestions: { type: 'array', items: { type: 'string' } },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const VerifyEmailBulkResponse = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        summary: {
+            type: 'object',
+            properties: { deliverable: { type: 'integer' }, risky: { type: 'integer' }, undeliverable: { type: 'integer' } },
+        },
+        results: { type: 'array', items: VerifyEmailResponse },
+    },
+};
+
+const DetectAiResponse = {
+    type: 'object',
+    properties: {
+        text_length: { type: 'integer' },
+        word_count: { type: 'integer' },
+        sentence_count: { type: 'integer' },
+        paragraph_count: { type: 'integer' },
+        ai_probability: { type: ['number', 'null'] },
+        verdict: { type: 'string', enum: ['ai_generated', 'likely_ai', 'mixed', 'likely_human', 'human', 'insufficient_text'] },
+        confidence: { type: 'string' },
+        risk_level: { type: 'string' },
+        metrics: { type: 'object' },
+        signals: { type: 'array' },
+        timestamp: IsoDateTime,
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const SocialAuthenticityResponse = {
+    type: 'object',
+    properties: {
+        score: { type: 'number', minimum: 0, maximum: 100 },
+        verdict: { type: 'string', enum: ['Authentic', 'Plausible', 'Suspicious', 'Bot/Fake'] },
+        flags: { type: 'array', items: { type: 'string' } },
+        details: { type: 'object' },
+        analysis: { type: 'object' },
+    },
+};
+
+const DropshipCheckResponse = {
+    type: 'object',
+    properties: {
+        likelihood: { type: 'number', minimum: 0, maximum: 100 },
+        verdict: { type: 'string' },
+        product_title: { type: 'string' },
+        store_price: { type: 'number' },
+        currency: { type: 'string' },
+        estimated_source_price: { type: ['number', 'null'] },
+        markup_multiplier: { type: ['number', 'string', 'null'] },
+        category: { type: 'string' },
+        signals: { type: 'array' },
+        flags: { type: 'array' },
+        search_url: { type: 'string' },
+        alibaba_url: { type: 'string' },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const AgentScanResponse = {
+    type: 'object',
+    description: 'Model-generated JSON; fields depend on the requested context',
+};
+
+const RugPullCheckResponse = {
+    type: 'object',
+    properties: {
+        address: { type: 'string' },
+        chain: { type: 'string' },
+        isHoneypot: { type: 'boolean' },
+        buyTax: { type: 'number' },
+        sellTax: { type: 'number' },
+        verdict: { type: 'string' },
+        risk_level: { type: 'string', enum: ['safe', 'medium', 'high', 'critical', 'unknown'] },
+        liquidity: {},
+        lpLocked: { type: 'boolean' },
+        tokenName: { type: 'string' },
+        tokenSymbol: { type: 'string' },
+        signals: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, detail: { type: 'string' } } } },
+        manual_check_url: { type: 'string' },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const DeepfakeCheckResponse = {
+    type: 'object',
+    properties: {
+        ai_probability: { type: 'number', minimum: 0, maximum: 100 },
+        verdict: { type: 'string' },
+        platform: { type: 'string' },
+        indicators: { type: 'array' },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const AdTransparencyResponse = {
+    type: 'object',
+    properties: {
+        username: { type: 'string' },
+        platform: { type: 'string' },
+        is_running_ads: { type: 'boolean' },
+        ad_likelihood: { type: 'number' },
+        ad_count: { type: 'integer' },
+        ad_platforms: { type: 'array', items: { type: 'string' } },
+        verdict: { type: 'string' },
+        funnel_indicators: { type: 'array', items: { type: 'string' } },
+        signals: { type: 'array' },
+        ad_library_url: { type: 'string' },
+        tiktok_creative_url: { type: 'string' },
+        manual_check_urls: { type: 'object', additionalProperties: { type: 'string' } },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+const InvestigateRequest = {
+    type: 'object',
+    required: ['indicator'],
+    properties: {
+        indicator: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 50000,
+            description: 'A URL or domain, email address, 0x wallet / contract address, @handle, image URL or free text',
+        },
+        type: { type: 'string', enum: INDICATOR_TYPES, description: 'Skip detection and treat the indicator as this type' },
+        chain: { type: 'string', enum: CHAINS, default: 'ethereum', description: 'Chain of a wallet address' },
+        platform: { type: 'string', enum: PLATFORMS, default: 'unknown', description: 'Platform of a @handle' },
+        modules: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: Object.keys(MODULES) },
+            description: 'Only run these modules (of those that apply to the indicator)',
+        },
+    },
+};
+
+const InvestigateSection = {
+    type: 'object',
+    properties: {
+        service: { type: 'string' },
+        status: { type: 'string', enum: ['completed', 'skipped', 'failed'] },
+        verdict: { type: ['string', 'null'], enum: ['safe', 'suspicious', 'dangerous', null], description: 'null when the module is informational only' },
+        reason: { type: ['string', 'null'], description: 'Why the module was skipped or failed' },
+        result: { type: ['object', 'null'], description: 'The same body the module\'s own endpoint returns' },
+    },
+};
+
+const InvestigateResponse = {
+    type: 'object',
+    properties: {
+        indicator: { type: 'string' },
+        classification: {
+            type: 'object',
+            description: 'Detected type plus the normalized fields the modules ran on (url, domain, email, address, username, ...)',
+            properties: { type: { type: 'string', enum: INDICATOR_TYPES } },
+        },
+        verdict: { type: 'string', enum: ['safe', 'suspicious', 'dangerous', 'unknown'], description: 'Worst verdict of the completed modules' },
+        summary: {
+            type: 'object',
+            properties: {
+                modules_run: { type: 'integer' },
+                skipped: { type: 'integer' },
+                failed: { type: 'integer' },
+                safe: { type: 'integer' },
+                suspicious: { type: 'integer' },
+                dangerous: { type: 'integer' },
+            },
+        },
+        sections: { type: 'object', additionalProperties: InvestigateSection },
+        processing_time_ms: { type: 'integer' },
+    },
+};
+
+module.exports = {
+    UrlRequest, ScanQuery, ScanStreamQuery, ScanCache, ScanUrlResponse,
+    DarkwebScanRequest, DarkwebScanResponse,
+    SupplierScoreResponse, AuditEngagementResponse, TradingShieldResponse,
+    BulkScanRequest, BulkScanResponse,
+    VerifyEmailRequest, VerifyEmailResponse,
+    VerifyEmailBulkRequest, VerifyEmailBulkResponse,
+    DetectAiRequest, DetectAiResponse,
+    SocialAuthenticityRequest, SocialAuthenticityResponse,
+    DropshipCheckRequest, DropshipCheckResponse,
+    AgentScanRequest, AgentScanResponse,
+    RugPullCheckRequest, RugPullCheckResponse,
+    DeepfakeCheckRequest, DeepfakeCheckResponse,
+    AdTransparencyRequest, AdTransparencyResponse,
+    InvestigateRequest, InvestigateSection, InvestigateResponse,
+};
@@ -0,0 +1,231 @@
+/**
+ * Verify.IQ - Watchlist Schemas
+ * Request and response schemas for watchlists, their runs and alerts.
+ */
+
+const { PLATFORMS, CHAINS, IsoDateTime, NullableDateTime } = require('./common');
+const { DEFAULT_SCHEDULE } = require('../services/watchlists');
+
+const MAX_ENTRIES_PER_REQUEST = 1000;
+
+const WATCHED_TYPES = ['url', 'email', 'wallet', 'social_handle', 'image_url'];
+
+const EntryInput = {
+    type: 'object',
+    required: ['indicator'],
+    properties: {
+        indicator: { type: 'string', minLength: 1, maxLength: 2048, description: 'A URL or domain, email address, 0x wallet / contract address, @handle or image URL' },
+        type: { type: 'string', enum: WATCHED_TYPES, description: 'Skip detection and treat the indicator as this type' },
+        chain: { type: 'string', enum: CHAINS, default: 'ethereum', description: 'Chain of a wallet address' },
+        platform: { type: 'string', enum: PLATFORMS, description: 'Platform of a @handle' },
+        label: { type: 'string', maxLength: 200 },
+    },
+};
+
+const EntryList = { type: 'array', minItems: 1, maxItems: MAX_ENTRIES_PER_REQUEST, items: EntryInput };
+
+const Schedule = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 100,
+    description: 'Cron expression in UTC (minute hour day-of-month month day-of-week), or @hourly, @daily, @weekly, @monthly',
+};
+
+const CreateWatchlistRequest = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        schedule: { ...Schedule, default: DEFAULT_SCHEDULE },
+        entries: { ...EntryList, minItems: 0 },
+    },
+};
+
+const UpdateWatchlistRequest = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        schedule: Schedule,
+        status: { type: 'string', enum: ['active', 'paused'] },
+    },
+};
+
+const AddEntriesRequest = {
+    type: 'object',
+    required: ['entries'],
+    properties: { entries: EntryList },
+};
+
+const Snapshot = {
+    type: ['object', 'null'],
+    description: 'What the last re-scan found (compared with the next one)',
+    properties: {
+        verdict: { type: ['string', 'null'], enum: ['safe', 'suspicious', 'dangerous', null] },
+        iq_score: { type: ['integer', 'null'] },
+        ssl_valid: { type: ['boolean', 'null'] },
+        ssl_days_remaining: { type: ['integer', 'null'] },
+        threats: { type: 'array', items: { type: 'string' } },
+        is_honeypot: { type: ['boolean', 'null'] },
+        wallet_risk: { type: ['string', 'null'] },
+        email_verdict: { type: ['string', 'null'] },
+    },
+};
+
+const WatchlistEntry = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        indicator: { type: 'string' },
+        type: { type: 'string', enum: WATCHED_TYPES },
+        chain: { type: ['string', 'null'] },
+        platform: { type: ['string', 'null'] },
+        label: { type: ['string', 'null'] },
+        added_at: IsoDateTime,
+        last_checked_at: NullableDateTime,
+        last: Snapshot,
+    },
+};
+
+const Watchlist = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        name: { type: 'string' },
+        schedule: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'paused'] },
+        paused_reason: { type: ['string', 'null'], description: 'Set when the schedule was paused because its key can no longer run it' },
+        org_id: { type: ['string', 'null'] },
+        entry_count: { type: 'integer' },
+        entries: { type: 'array', items: WatchlistEntry, description: 'Omitted from listings' },
+        running: { type: 'boolean', description: 'A run is in progress' },
+        last_run_at: NullableDateTime,
+        next_run_at: { ...NullableDateTime, description: 'Next scheduled run (null while paused)' },
+        created: IsoDateTime,
+        updated: NullableDateTime,
+    },
+};
+
+const WatchlistEnvelope = { type: 'object', properties: { watchlist: Watchlist } };
+
+const AddEntriesResponse = {
+    type: 'object',
+    properties: {
+        added: { type: 'integer' },
+        skipped: { type: 'integer', description: 'Indicators already in the watchlist' },
+        watchlist: Watchlist,
+    },
+};
+
+const WatchlistList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        watchlists: { type: 'array', items: Watchlist },
+    },
+};
+
+const Change = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: ['verdict_changed', 'iq_score_drop', 'ssl_invalid', 'ssl_expiring', 'new_threat', 'honeypot_changed'] },
+        severity: { type: 'string', enum: ['info', 'warning', 'critical'] },
+        previous: {},
+        current: {},
+        message: { type: 'string' },
+    },
+};
+
+const RunResult = {
+    type: 'object',
+    properties: {
+        entry_id: { type: 'string' },
+        indicator: { type: 'string' },
+        status: { type: 'string', enum: ['completed', 'failed'] },
+        verdict: { type: ['string', 'null'] },
+        snapshot: Snapshot,
+        changes: { type: 'array', items: Change, description: 'Empty on an entry\'s first run (nothing to compare with)' },
+        error: { type: ['string', 'null'] },
+    },
+};
+
+const WatchlistRun = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        watchlist_id: { type: 'string' },
+        trigger: { type: 'string', enum: ['schedule', 'manual'] },
+        status: { type: 'string', enum: ['running', 'completed', 'interrupted', 'skipped'], description: 'skipped: a scheduled run the quota could not cover' },
+        total: { type: 'integer' },
+        processed: { type: 'integer' },
+        failed: { type: 'integer' },
+        alerts: { type: 'integer' },
+        error: { type: ['string', 'null'], description: 'Why a skipped run did not start' },
+        results: { type: 'array', items: RunResult, description: 'Only on GET /runs/{runId}, once the run completed' },
+        started_at: IsoDateTime,
+        finished_at: NullableDateTime,
+    },
+};
+
+const WatchlistRunEnvelope = { type: 'object', properties: { run: WatchlistRun } };
+
+const WatchlistRunList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        runs: { type: 'array', items: WatchlistRun },
+    },
+};
+
+const RunQuery = {
+    type: 'object',
+    properties: {
+        changed: { type: 'boolean', description: 'Only results with changes' },
+    },
+};
+
+const RunListQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 },
+    },
+};
+
+const WatchlistAlert = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        watchlist_id: { type: 'string' },
+        run_id: { type: 'string' },
+        entry_id: { type: 'string' },
+        indicator: { type: 'string' },
+        severity: { type: 'string', enum: ['info', 'warning', 'critical'], description: 'Highest severity of its changes' },
+        changes: { type: 'array', items: Change },
+        created: IsoDateTime,
+        acknowledged_at: NullableDateTime,
+    },
+};
+
+const WatchlistAlertEnvelope = { type: 'object', properties: { alert: WatchlistAlert } };
+
+const WatchlistAlertList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        alerts: { type: 'array', items: WatchlistAlert },
+    },
+};
+
+const AlertListQuery = {
+    type: 'object',
+    properties: {
+        acknowledged: { type: 'boolean' },
+        severity: { type: 'string', enum: ['info', 'warning', 'critical'] },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+    },
+};
+
+module.exports = {
+    CreateWatchlistRequest, UpdateWatchlistRequest, AddEntriesRequest, AddEntriesResponse, WatchlistEntry, Watchlist, WatchlistEnvelope, WatchlistList,
+    WatchlistRun, WatchlistRunEnvelope, WatchlistRunList, RunQuery, RunListQuery,
+    WatchlistAlert, WatchlistAlertEnvelope, WatchlistAlertList, AlertListQuery,
+};
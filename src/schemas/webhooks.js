@@ -0,0 +1,136 @@
+/**
+ * Verify.IQ - Webhook Schemas
+ * Request and response schemas for webhook endpoints and their delivery log.
+ */
+
+const { Url, IsoDateTime, NullableDateTime } = require('./common');
+const { EVENTS } = require('../services/webhooks');
+
+// webhook.test is sent on demand, not subscribed to
+const SUBSCRIBABLE_EVENTS = Object.keys(EVENTS).filter(event => event !== 'webhook.test');
+
+const Events = {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: SUBSCRIBABLE_EVENTS },
+    description: Object.entries(EVENTS).map(([event, description]) => `- \`${event}\`: ${description}`).join('\n'),
+};
+
+const CreateWebhookRequest = {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+        url: Url,
+        events: Events,
+        scope: {
+            type: 'string',
+            enum: ['key', 'org'],
+            default: 'key',
+            description: 'key: events caused by one key; org: events of every key in your organization (owners and admins)',
+        },
+        key_id: { type: 'string', description: 'For scope "key": which of your keys (defaults to the calling key)' },
+        description: { type: 'string', maxLength: 200 },
+    },
+};
+
+const UpdateWebhookRequest = {
+    type: 'object',
+    properties: {
+        url: Url,
+        events: Events,
+        description: { type: 'string', maxLength: 200 },
+        status: { type: 'string', enum: ['active', 'disabled'] },
+    },
+};
+
+const Webhook = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        scope: { type: 'string', enum: ['key', 'org'] },
+        key_id: { type: ['string', 'null'] },
+        org_id: { type: ['string', 'null'] },
+        url: { type: 'string' },
+        events: { type: 'array', items: { type: 'string' } },
+        description: { type: ['string', 'null'] },
+        status: { type: 'string', enum: ['active', 'disabled'] },
+        created: IsoDateTime,
+        updated: NullableDateTime,
+    },
+};
+
+const WebhookEnvelope = { type: 'object', properties: { webhook: Webhook } };
+
+const WebhookCreated = {
+    type: 'object',
+    properties: {
+        webhook: Webhook,
+        secret: { type: 'string', pattern: '^whsec_', description: 'HMAC key for X-VerifyIQ-Signature. Shown only once.' },
+    },
+};
+
+const WebhookList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        webhooks: { type: 'array', items: Webhook },
+    },
+};
+
+const Delivery = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        webhook_id: { type: 'string' },
+        event: {
+            type: 'object',
+            description: 'The body that was POSTed',
+            properties: {
+                id: { type: 'string' },
+                type: { type: 'string' },
+                created_at: IsoDateTime,
+                data: { type: 'object' },
+            },
+        },
+        status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+        attempts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    at: IsoDateTime,
+                    status_code: { type: ['integer', 'null'] },
+                    error: { type: ['string', 'null'] },
+                    duration_ms: { type: 'integer' },
+                },
+            },
+        },
+        next_attempt_at: NullableDateTime,
+        replay_of: { type: ['string', 'null'] },
+        created: IsoDateTime,
+    },
+};
+
+const DeliveryEnvelope = { type: 'object', properties: { delivery: Delivery } };
+
+const DeliveryList = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        deliveries: { type: 'array', items: Delivery },
+    },
+};
+
+const DeliveryListQuery = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+    },
+};
+
+module.exports = {
+    SUBSCRIBABLE_EVENTS,
+    CreateWebhookRequest, UpdateWebhookRequest, Webhook, WebhookEnvelope, WebhookCreated, WebhookList,
+    Delivery, DeliveryEnvelope, DeliveryList, DeliveryListQuery,
+};
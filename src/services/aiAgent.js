@@ -1,5 +1,6 @@
 
 const OpenAI = require('openai');
+const { ApiError } = require('../errors');
 
 class AiAgent {
     constructor() {
@@ -23,10 +24,7 @@ class AiAgent {
         if (!this.initialized) {
             this.initialize();
             if (!this.initialized) {
-                return {
-                    error: 'AI Agent not configured',
-                    message: 'Please add OPENAI_API_KEY to your .env file'
-                };
+                throw new ApiError('SERVICE_NOT_CONFIGURED', 'The AI agent is not configured on this server (OPENAI_API_KEY missing)');
             }
         }
 
@@ -52,7 +50,8 @@ class AiAgent {
             return JSON.parse(content);
         } catch (error) {
             console.error('AI Agent Error:', error);
-            throw new Error('Failed to analyze with AI Agent');
+            const timedOut = error.name === 'APIConnectionTimeoutError';
+            throw new ApiError(timedOut ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_ERROR', 'Failed to analyze with AI Agent');
         }
     }
 }
@@ -0,0 +1,154 @@
+/**
+ * Verify.IQ - Cron Schedules
+ * Parses standard 5-field cron expressions (minute hour day-of-month month
+ * day-of-week, evaluated in UTC) and finds their next occurrence.
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10);
+ * months and weekdays also accept names (jan, mon). @hourly, @daily, @weekly
+ * and @monthly are shorthands.
+ */
+
+const { ApiError } = require('../errors');
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Give up looking for an occurrence after this long (e.g. "0 0 30 2 *" never happens)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function invalid(expression, reason) {
+    return new ApiError('INVALID_SCHEDULE', `"${expression}" is not a valid cron schedule: ${reason}`);
+}
+
+function parseField(part, field, expression) {
+    const toNumber = (token) => {
+        const named = field.names?.indexOf(token.toLowerCase());
+        const value = named >= 0 ? named + field.offset : Number(token);
+        if (!Number.isInteger(value) || value < field.min || value > field.max) {
+            throw invalid(expression, `${field.name} "${token}" must be ${field.min}-${field.max}`);
+        }
+        return value;
+    };
+
+    const values = new Set();
+    for (const item of part.split(',')) {
+        const [range, stepText] = item.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw invalid(expression, `step "${stepText}" in the ${field.name} field`);
+
+        let from;
+        let to;
+        if (range === '*') {
+            [from, to] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [from, to] = range.split('-').map(toNumber);
+            if (from > to) throw invalid(expression, `range "${range}" in the ${field.name} field is reversed`);
+        } else {
+            from = toNumber(range);
+            to = stepText === undefined ? from : field.max;
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month, dayOfWeek (Sets), anyDayOfMonth, anyDayOfWeek }
+ * @throws {ApiError} INVALID_SCHEDULE
+ */
+function parseCron(input) {
+    const expression = String(input).trim();
+    const parts = (ALIASES[expression.toLowerCase()] || expression).split(/\s+/);
+    if (parts.length !== FIELDS.length) throw invalid(expression, 'expected 5 fields (minute hour day-of-month month day-of-week)');
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+    // 7 is another way to write Sunday
+    if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+    return {
+        expression,
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*',
+    };
+}
+
+/**
+ * Day matching follows cron: when both day fields are restricted, either may match
+ */
+function dayMatches(schedule, date) {
+    const dom = schedule.dayOfMonth.has(date.getUTCDate());
+    const dow = schedule.dayOfWeek.has(date.getUTCDay());
+    if (schedule.anyDayOfMonth && schedule.anyDayOfWeek) return true;
+    if (schedule.anyDayOfMonth) return dow;
+    if (schedule.anyDayOfWeek) return dom;
+    return dom || dow;
+}
+
+/**
+ * First occurrence strictly after `after`
+ * @param {Object|string} schedule - Parsed schedule or expression
+ * @param {Date} [after]
+ * @returns {Date|null} null if the schedule never fires
+ */
+function nextRun(schedule, after = new Date()) {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + MAX_LOOKAHEAD_MS;
+
+    while (date.getTime() <= limit) {
+        if (!parsed.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!dayMatches(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!parsed.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!parsed.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+/**
+ * Shortest gap between the next few occurrences, in milliseconds
+ */
+function shortestInterval(schedule, samples = 10) {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    let previous = nextRun(parsed);
+    let shortest = Infinity;
+    for (let i = 0; previous && i < samples; i++) {
+        const next = nextRun(parsed, previous);
+        if (!next) break;
+        shortest = Math.min(shortest, next - previous);
+        previous = next;
+    }
+    return shortest;
+}
+
+module.exports = { parseCron, nextRun, shortestInterval };
@@ -0,0 +1,81 @@
+/**
+ * Verify.IQ - Engagement Audit
+ * Estimates how authentic a social profile's engagement is from its URL scan
+ * and platform.
+ */
+
+const urlScanner = require('./urlScanner');
+
+/**
+ * Social platform a URL belongs to ('unknown' if none)
+ */
+function detectPlatform(url) {
+    const u = url.toLowerCase();
+    if (u.includes('instagram.com') || u.includes('instagr.am')) return 'instagram';
+    if (u.includes('tiktok.com')) return 'tiktok';
+    if (u.includes('twitter.com') || u.includes('x.com')) return 'twitter';
+    if (u.includes('youtube.com') || u.includes('youtu.be')) return 'youtube';
+    if (u.includes('facebook.com') || u.includes('fb.com')) return 'facebook';
+    if (u.includes('linkedin.com')) return 'linkedin';
+    if (u.includes('twitch.tv')) return 'twitch';
+    return 'unknown';
+}
+
+const EngagementAuditor = {
+    detectPlatform,
+
+    /**
+     * Audit the engagement of a social profile URL
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {Object} [options.scan] - urlScanner.scanUrl() result for the URL, to reuse instead of scanning again
+     * @returns {Promise<Object>} Analysis result
+     */
+    analyze: async (url, { scan } = {}) => {
+        // Parse platform from URL
+        const platform = detectPlatform(url);
+        const startTime = Date.now();
+
+        // URL trust scan first
+        const scanResult = scan || await urlScanner.scanUrl(url);
+
+        // Engagement heuristics based on URL analysis
+        // (In production this would call platform APIs)
+        const isKnownPlatform = ['instagram', 'tiktok', 'twitter', 'youtube', 'facebook'].includes(platform);
+
+        // Generate simulated but realistic metrics
+        const domainTrust = scanResult.iq_score;
+        const botPercentage = isKnownPlatform ? Math.max(5, Math.min(85, 100 - domainTrust + Math.floor(Math.random() * 20))) : 50;
+        const engagementRate = isKnownPlatform ? Math.max(0.5, 6 - (botPercentage / 20)).toFixed(1) : 'N/A';
+        const commentDiversity = Math.max(10, 100 - botPercentage + Math.floor(Math.random() * 10));
+        const growthPattern = botPercentage > 50 ? 'suspicious' : botPercentage > 30 ? 'inconsistent' : 'organic';
+
+        const authenticity_iq = Math.round(100 - botPercentage * 0.7 - (growthPattern === 'suspicious' ? 15 : 0));
+
+        let verdict;
+        if (authenticity_iq >= 70) verdict = 'Profile engagement appears authentic';
+        else if (authenticity_iq >= 40) verdict = 'Mixed signals — some engagement may be inflated';
+        else verdict = 'High bot activity detected — engagement is likely artificial';
+
+        return {
+            authenticity_iq: Math.max(0, Math.min(100, authenticity_iq)),
+            verdict,
+            platform,
+            url,
+            metrics: {
+                bot_percentage: botPercentage,
+                engagement_rate: engagementRate,
+                comment_diversity: commentDiversity,
+                growth_pattern: growthPattern,
+            },
+            signals: {
+                follower_quality: Math.max(0, 100 - botPercentage),
+                engagement_auth: Math.max(0, Math.round(authenticity_iq * 0.9)),
+                content_consistency: Math.max(20, commentDiversity),
+            },
+            processing_time_ms: Date.now() - startTime,
+        };
+    },
+};
+
+module.exports = EngagementAuditor;
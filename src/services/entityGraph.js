@@ -0,0 +1,275 @@
+/**
+ * Verify.IQ - Entity Graph
+ * Turns analyzer results into graph sightings so related infrastructure
+ * shows up together: a domain links to the IPs it resolves to, its mail
+ * hosts, nameservers and registrar; an email to its domain; a social profile
+ * to the wallets, emails and sites its bio mentions; an image to the
+ * hash of its content, shared by every URL serving the same file.
+ */
+
+const crypto = require('crypto');
+const { getRootDomain } = require('./urlScanner');
+const { graphStore } = require('../store/graphStore');
+const { urlProblem } = require('./webhooks');
+
+const ENTITY_TYPES = ['domain', 'ip', 'nameserver', 'registrar', 'email', 'wallet', 'social_handle', 'image_hash'];
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_TIMEOUT_MS = 8000;
+const MAX_IMAGE_REDIRECTS = 3;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Entities mentioned together in one text are linked pairwise, up to this many
+const MAX_MENTIONS = 20;
+
+const MENTION_PATTERNS = {
+    email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    wallet: /\b0x[a-fA-F0-9]{40}\b/g,
+    url: /\bhttps?:\/\/[^\s<>"')]+/gi,
+};
+
+/**
+ * Graph tenant of a key: its organization, or its owner
+ */
+function tenantOf(keyData) {
+    return keyData.orgId || keyData.ownerId || keyData.id;
+}
+
+/**
+ * Canonical value of an entity (hostnames lowercased without the trailing dot, ...)
+ */
+function normalizeEntity(type, value) {
+    const trimmed = String(value).trim();
+    if (['domain', 'nameserver'].includes(type)) return trimmed.toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+    if (type === 'image_hash') return trimmed.toLowerCase().replace(/^sha256:/, '');
+    if (type === 'social_handle') return trimmed.toLowerCase().replace('/@', '/');
+    return trimmed.toLowerCase();
+}
+
+/**
+ * Nodes and edges collected from one result before they are stored
+ */
+class Sightings {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = new Map();
+    }
+
+    node(type, value, attributes = {}) {
+        const entity = { type, value: normalizeEntity(type, value) };
+        const key = `${entity.type}:${entity.value}`;
+        const existing = this.nodes.get(key);
+        this.nodes.set(key, { ...entity, attributes: { ...existing?.attributes, ...attributes } });
+        return entity;
+    }
+
+    edge(from, relation, to) {
+        if (from.type === to.type && from.value === to.value) return;
+        this.edges.set(`${from.type}:${from.value}>${relation}>${to.type}:${to.value}`, { from, to, relation });
+    }
+
+    get empty() {
+        return this.nodes.size === 0;
+    }
+
+    toBatch() {
+        return { nodes: [...this.nodes.values()], edges: [...this.edges.values()] };
+    }
+}
+
+/**
+ * A domain node, linked to its registrable root when it is a subdomain
+ */
+function domainNode(sightings, hostname, attributes) {
+    const domain = sightings.node('domain', hostname, attributes);
+    const root = getRootDomain(domain.value);
+    if (root !== domain.value) sightings.edge(domain, 'subdomain_of', sightings.node('domain', root));
+    return domain;
+}
+
+/**
+ * URL scan: domain -> IPs, mail hosts, nameservers and registrar
+ */
+function fromScan(sightings, scan) {
+    if (!scan?.domain || scan.error) return null;
+    const checks = scan.checks || {};
+    const domain = domainNode(sightings, scan.domain, { iq_score: scan.iq_score, verdict: scan.verdict });
+
+    for (const ip of checks.dns?.a_records || []) {
+        sightings.edge(domain, 'resolves_to', sightings.node('ip', ip));
+    }
+    for (const host of checks.dns?.mx_records || []) {
+        sightings.edge(domain, 'mail_host', domainNode(sightings, host));
+    }
+    for (const ns of new Set([...(checks.dns?.ns_records || []), ...(checks.domain_age?.nameservers || [])])) {
+        sightings.edge(domain, 'nameserver', sightings.node('nameserver', ns));
+    }
+    const registrar = checks.whois?.registrar;
+    if (registrar && !registrar.startsWith('Unknown')) {
+        const root = sightings.node('domain', getRootDomain(domain.value));
+        sightings.edge(root, 'registered_with', sightings.node('registrar', registrar));
+    }
+    return domain;
+}
+
+/**
+ * Email verification: email -> domain -> mail hosts
+ */
+function fromEmail(sightings, result) {
+    if (!result?.email || !result.email.includes('@')) return null;
+    const email = sightings.node('email', result.email, { verdict: result.verdict, score: result.score });
+    const domain = domainNode(sightings, result.email.split('@')[1]);
+    sightings.edge(email, 'at_domain', domain);
+    for (const { exchange } of result.checks?.dns?.mx_records || []) {
+        sightings.edge(domain, 'mail_host', domainNode(sightings, exchange));
+    }
+    return email;
+}
+
+function fromWallet(sightings, result) {
+    if (!result?.address) return null;
+    return sightings.node('wallet', result.address, {
+        chain: result.chain,
+        risk_level: result.risk_level,
+        ...(result.tokenSymbol && { token_symbol: result.tokenSymbol }),
+    });
+}
+
+/**
+ * Emails, wallets and sites mentioned in free text
+ */
+function mentionsIn(sightings, text) {
+    const found = [];
+    for (const match of text.match(MENTION_PATTERNS.email) || []) found.push(sightings.node('email', match));
+    for (const match of text.match(MENTION_PATTERNS.wallet) || []) found.push(sightings.node('wallet', match));
+    for (const match of text.match(MENTION_PATTERNS.url) || []) {
+        try {
+            found.push(domainNode(sightings, new URL(match).hostname));
+        } catch (e) {
+            // Not a parseable URL
+        }
+    }
+    const unique = new Map(found.map(entity => [`${entity.type}:${entity.value}`, entity]));
+    return [...unique.values()].slice(0, MAX_MENTIONS);
+}
+
+/**
+ * Social profile: handle ("platform/username") -> whatever its bio mentions
+ */
+function fromSocial(sightings, { username, platform = 'unknown', bio, attributes = {} }) {
+    if (!username) return null;
+    const handle = sightings.node('social_handle', `${platform}/${username.replace(/^@/, '')}`, { platform, ...attributes });
+    for (const entity of bio ? mentionsIn(sightings, bio) : []) sightings.edge(handle, 'mentions', entity);
+    return handle;
+}
+
+/**
+ * Free text: every pair of entities mentioned together
+ */
+function fromText(sightings, text) {
+    const mentioned = mentionsIn(sightings, text || '');
+    for (let i = 0; i < mentioned.length; i++) {
+        for (let j = i + 1; j < mentioned.length; j++) sightings.edge(mentioned[i], 'mentioned_with', mentioned[j]);
+    }
+}
+
+/**
+ * SHA-256 of an image's content, or null if it cannot be downloaded. The URL
+ * comes from the caller, so it and every redirect must resolve to a public
+ * address (the same check as webhook receivers).
+ */
+async function hashImage(url) {
+    const signal = AbortSignal.timeout(IMAGE_TIMEOUT_MS);
+    try {
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            if (await urlProblem(url, { allowPrivate: false })) return null;
+            response = await fetch(url, { redirect: 'manual', signal });
+            if (!REDIRECT_STATUSES.includes(response.status)) break;
+            await response.body?.cancel();
+            const location = response.headers.get('location');
+            if (!location || redirects >= MAX_IMAGE_REDIRECTS) return null;
+            url = new URL(location, url).href;
+        }
+        if (!response.ok || !response.body) return null;
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        for await (const chunk of response.body) {
+            size += chunk.length;
+            if (size > MAX_IMAGE_BYTES) return null;
+            hash.update(chunk);
+        }
+        return hash.digest('hex');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Deepfake check: image hash -> domain it was served from
+ */
+async function fromImage(sightings, result) {
+    if (!result?.image_url) return null;
+    const hash = await hashImage(result.image_url);
+    if (!hash) return null;
+    const image = sightings.node('image_hash', hash, { ai_probability: result.ai_probability, verdict: result.verdict });
+    try {
+        sightings.edge(image, 'hosted_on', domainNode(sightings, new URL(result.image_url).hostname));
+    } catch (e) {
+        // Not a parseable URL
+    }
+    return image;
+}
+
+/**
+ * Investigate report: every completed section, tied to the investigated indicator
+ */
+async function fromInvestigation(sightings, report) {
+    const { classification: indicator, sections } = report;
+    const result = name => (sections[name]?.status === 'completed' ? sections[name].result : null);
+
+    const scan = fromScan(sightings, result('url_scan'));
+    fromEmail(sightings, result('email_verify'));
+    fromWallet(sightings, result('rug_pull_check'));
+    if (result('darkweb_scan') && scan) sightings.node(scan.type, scan.value, { darkweb_risk: result('darkweb_scan').risk_level });
+
+    if (indicator.username) {
+        const handle = fromSocial(sightings, { username: indicator.username, platform: indicator.platform });
+        if (indicator.profile_url) sightings.edge(handle, 'profile_on', domainNode(sightings, new URL(indicator.profile_url).hostname));
+    }
+    if (indicator.type === 'image_url') {
+        await fromImage(sightings, result('deepfake_check') || { image_url: indicator.url });
+    }
+    if (indicator.type === 'text') fromText(sightings, indicator.text);
+}
+
+// How each kind of analyzer result is turned into sightings
+const EXTRACTORS = {
+    scan: (sightings, result) => fromScan(sightings, result),
+    darkweb: (sightings, result) => result?.domain && domainNode(sightings, result.domain, { darkweb_risk: result.risk_level }),
+    email: (sightings, result) => fromEmail(sightings, result),
+    wallet: (sightings, result) => fromWallet(sightings, result),
+    social: (sightings, profile) => fromSocial(sightings, profile),
+    image: (sightings, result) => fromImage(sightings, result),
+    investigation: (sightings, report) => fromInvestigation(sightings, report),
+};
+
+/**
+ * Add what an analyzer result reveals to the caller's graph
+ * @param {Object} keyData - Key record of the caller (decides the tenant)
+ * @param {string} kind - Key of EXTRACTORS
+ * @param {Object|Object[]} results - One result, or several of the same kind
+ * @param {string} source - Endpoint or job that produced the results
+ */
+async function recordEntities(keyData, kind, results, source) {
+    // The shared demo key would mix everyone's scans into one graph, and
+    // anonymous extension installs would each get a graph nobody can read
+    if (keyData.id === 'demo' || keyData.installId) return null;
+    const tenant = tenantOf(keyData);
+
+    const sightings = new Sightings();
+    for (const result of [].concat(results)) await EXTRACTORS[kind](sightings, result);
+    if (sightings.empty) return null;
+    return graphStore.ingest(tenant, sightings.toBatch(), source);
+}
+
+module.exports = { recordEntities, hashImage, tenantOf, normalizeEntity, ENTITY_TYPES, MENTION_PATTERNS };
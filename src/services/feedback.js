@@ -0,0 +1,239 @@
+/**
+ * Verify.IQ - Analyst Feedback
+ * Customers flag a stored report whose verdict was wrong (a legitimate
+ * supplier called dangerous, a human essay flagged as AI) with the verdict it
+ * should have had. Operators review the queue; accepting a correction to a
+ * clearly benign verdict puts the report's domain, email, wallet or handle on
+ * the tenant's allow list, and one escalating to a clearly harmful verdict on
+ * its deny list (see policyLists.js). Hedged verdicts (suspicious, risky) and
+ * downgrades list nothing. Accepted corrections join the labeled dataset
+ * exported for recalibrating the heuristic weights.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('../errors');
+const { feedback } = require('../store/feedbackStore');
+const { setListEntry } = require('../store/listStore');
+const { loadReport } = require('./history');
+const { tenantOf, normalizeEntity } = require('./entityGraph');
+const { scoreContributions, SCORE_WEIGHTS } = require('./urlScanner');
+
+// Verdict words on either side of the line, across the analyzers' vocabularies,
+// and the hedged ones in between
+const BENIGN_VERDICTS = new Set(['safe', 'deliverable', 'likely_real', 'authentic', 'plausible', 'legitimate', 'human', 'low']);
+const UNCERTAIN_VERDICTS = new Set(['suspicious', 'risky', 'possibly_ai', 'medium', 'moderate', 'unknown']);
+const HARMFUL_VERDICTS = new Set([
+    'dangerous', 'undeliverable', 'likely_ai', 'ai', 'bot/fake', 'fake', 'scam', 'malicious', 'honeypot', 'high', 'critical',
+]);
+const SEVERITY = { benign: 0, uncertain: 1, harmful: 2 };
+
+// Services whose reports are about a single domain
+const DOMAIN_SERVICES = ['url_scan', 'darkweb_scan', 'supplier_score', 'audit_engagement', 'trading_shield', 'dropship_check'];
+
+/**
+ * 'benign', 'uncertain', 'harmful' or null for a verdict (judged by its first word)
+ */
+function polarityOf(verdict) {
+    const word = String(verdict || '').toLowerCase().trim().split(/[\s—-]+/)[0];
+    if (BENIGN_VERDICTS.has(word)) return 'benign';
+    if (UNCERTAIN_VERDICTS.has(word)) return 'uncertain';
+    if (HARMFUL_VERDICTS.has(word)) return 'harmful';
+    return null;
+}
+
+/**
+ * false_positive when a target was flagged but is benign, false_negative when
+ * it was not called harmful but is
+ */
+function labelOf(original, corrected) {
+    const [was, is] = [polarityOf(original), polarityOf(corrected)];
+    if (is === 'benign' && ['uncertain', 'harmful'].includes(was)) return 'false_positive';
+    if (is === 'harmful' && ['benign', 'uncertain'].includes(was)) return 'false_negative';
+    return 'other';
+}
+
+/**
+ * List a correction may put its target on: allow when the corrected verdict
+ * is clearly benign, deny when it is clearly harmful and more severe than the
+ * original; null otherwise (hedged verdicts, downgrades like dangerous →
+ * suspicious, harmful → harmful)
+ */
+function listFor(original, corrected) {
+    const [was, is] = [polarityOf(original), polarityOf(corrected)];
+    if (is === 'benign') return 'allow';
+    if (is === 'harmful' && (was === null || SEVERITY[was] < SEVERITY.harmful)) return 'deny';
+    return null;
+}
+
+/**
+ * The entity a list entry for this report would cover, or null (free text,
+ * images, bulk calls)
+ */
+function listTargetOf(service, { input = {}, output = {}, domain }) {
+    const handle = (platform, username) => ({ type: 'social_handle', value: normalizeEntity('social_handle', `${platform || 'unknown'}/${username.replace(/^@/, '')}`) });
+
+    if (DOMAIN_SERVICES.includes(service)) return domain ? { type: 'domain', value: normalizeEntity('domain', domain) } : null;
+    if (service === 'email_verify' && input.email) return { type: 'email', value: normalizeEntity('email', input.email) };
+    if (service === 'rug_pull_check') return { type: 'wallet', value: normalizeEntity('wallet', input.address) };
+    if (['social_auth', 'ad_transparency'].includes(service) && input.username) return handle(input.platform, input.username);
+
+    // An investigation classified its indicator
+    const indicator = service === 'investigate' ? output.classification || {} : {};
+    switch (indicator.type) {
+        case 'url': return indicator.domain ? { type: 'domain', value: normalizeEntity('domain', indicator.domain) } : null;
+        case 'email': return { type: 'email', value: normalizeEntity('email', indicator.email) };
+        case 'wallet': return { type: 'wallet', value: normalizeEntity('wallet', indicator.address) };
+        case 'social_handle': return handle(indicator.platform, indicator.username);
+        default: return null;
+    }
+}
+
+/**
+ * File a correction of a stored report
+ * @throws {ApiError} REPORT_NOT_FOUND, FEEDBACK_EXISTS
+ */
+async function submitFeedback(keyData, { report_id, verdict, reason }) {
+    const { record, document } = await loadReport(keyData, report_id);
+
+    const [pending] = await feedback.list({ reportId: record.id, status: 'pending' });
+    if (pending) {
+        throw new ApiError('FEEDBACK_EXISTS', `Feedback "${pending.id}" on this report is still waiting for review`, { feedback_id: pending.id });
+    }
+
+    return feedback.insert({
+        id: uuidv4(),
+        tenant: tenantOf(keyData),
+        orgId: keyData.orgId || null,
+        keyId: keyData.id,
+        reportId: record.id,
+        service: record.service,
+        verdict: verdict.trim(),
+        reason,
+        label: labelOf(record.verdict, verdict),
+        status: 'pending',
+        report: {
+            endpoint: record.endpoint,
+            indicator: record.indicator,
+            domain: record.domain,
+            verdict: record.verdict,
+            score: record.score,
+            input: document.input,
+            output: document.output,
+            created: record.createdAt,
+        },
+        listEntryId: null,
+        reviewNote: null,
+        reviewedAt: null,
+        created: new Date().toISOString(),
+    });
+}
+
+/**
+ * Accept or reject a pending correction. Accepting adds a list entry when the
+ * corrected verdict supports one (see listFor): by default, or when `list`
+ * names that list; `list: 'none'` adds nothing.
+ * @returns {Promise<{ feedback: Object, entry: Object|null }>}
+ * @throws {ApiError} FEEDBACK_NOT_FOUND, FEEDBACK_ALREADY_REVIEWED, LIST_CONFLICTS_WITH_VERDICT
+ */
+async function reviewFeedback(id, decision, { list, note = null } = {}) {
+    const item = await feedback.get(id);
+    if (!item) throw new ApiError('FEEDBACK_NOT_FOUND', `No feedback with id "${id}"`);
+    if (item.status !== 'pending') {
+        throw new ApiError('FEEDBACK_ALREADY_REVIEWED', `Feedback "${id}" was already ${item.status}`, { status: item.status });
+    }
+
+    let entry = null;
+    if (decision === 'accepted') {
+        const target = listTargetOf(item.service, item.report);
+        const supported = listFor(item.report.verdict, item.verdict);
+        if (list && list !== 'none' && list !== supported) {
+            throw new ApiError('LIST_CONFLICTS_WITH_VERDICT', supported
+                ? `A correction from "${item.report.verdict}" to "${item.verdict}" can only put its target on the ${supported} list`
+                : `A correction from "${item.report.verdict}" to "${item.verdict}" is not clearly benign or a clear escalation to harmful; accept it with list "none"`,
+            { supported_list: supported || 'none' });
+        }
+        list = list || supported || 'none';
+        if (list !== 'none' && target) {
+            ({ entry } = await setListEntry(item.tenant, {
+                list,
+                ...target,
+                reason: note || item.reason,
+                source: 'feedback',
+                feedbackId: item.id,
+            }));
+        }
+    }
+
+    const updated = await feedback.update(id, {
+        status: decision,
+        listEntryId: entry?.id || null,
+        reviewNote: note,
+        reviewedAt: new Date().toISOString(),
+    });
+    return { feedback: updated, entry };
+}
+
+/**
+ * Public view of a feedback item (with the reviewed report when `report` is set)
+ */
+function describeFeedback(item, { report = false } = {}) {
+    return {
+        id: item.id,
+        report_id: item.reportId,
+        service: item.service,
+        indicator: item.report.indicator,
+        original_verdict: item.report.verdict,
+        original_score: item.report.score,
+        verdict: item.verdict,
+        reason: item.reason,
+        label: item.label,
+        status: item.status,
+        list_entry_id: item.listEntryId,
+        review_note: item.reviewNote,
+        reviewed_at: item.reviewedAt,
+        key_id: item.keyId,
+        org_id: item.orgId,
+        created: item.created,
+        ...(report && { report: { endpoint: item.report.endpoint, input: item.report.input, output: item.report.output, created: item.report.created } }),
+    };
+}
+
+// Dataset columns in CSV exports (NDJSON rows also carry the full input and output)
+const DATASET_COLUMNS = [
+    'feedback_id', 'report_id', 'tenant', 'service', 'indicator', 'domain', 'original_verdict', 'original_score',
+    'corrected_verdict', 'label', 'reason', ...Object.keys(SCORE_WEIGHTS).map(name => `points_${name}`), 'reported_at', 'reviewed_at',
+];
+
+/**
+ * One labeled example for recalibration: the corrected verdict next to what
+ * the analyzer saw; URL scans also carry each check's IQ score points
+ */
+function datasetRow(item) {
+    const checks = item.report.output?.checks || item.report.output?.sections?.url_scan?.result?.checks;
+    const contributions = checks ? scoreContributions(checks) : {};
+    return {
+        feedback_id: item.id,
+        report_id: item.reportId,
+        tenant: item.tenant,
+        service: item.service,
+        indicator: item.report.indicator,
+        domain: item.report.domain,
+        original_verdict: item.report.verdict,
+        original_score: item.report.score,
+        corrected_verdict: item.verdict,
+        label: item.label,
+        reason: item.reason,
+        ...Object.fromEntries(Object.keys(SCORE_WEIGHTS).map(name => [
+            `points_${name}`,
+            contributions[name] ? Math.round(contributions[name].points * 100) / 100 : null,
+        ])),
+        reported_at: item.report.created,
+        reviewed_at: item.reviewedAt,
+        input: item.report.input,
+        output: item.report.output,
+    };
+}
+
+module.exports = {
+    submitFeedback, reviewFeedback, describeFeedback, datasetRow, listTargetOf, polarityOf, labelOf, listFor, DATASET_COLUMNS,
+};
@@ -0,0 +1,136 @@
+/**
+ * Verify.IQ - Scan History
+ * Every successful analyzer call is kept as a report: the request input, the
+ * full response, the key that made it and when. Reports belong to the
+ * caller's tenant (organization, else key owner) and are indexed by service,
+ * verdict, domain and score for GET /api/history. Each is signed as it is
+ * stored, so a report fetched signed later carries the signature it was
+ * given then.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('../errors');
+const { reportStore } = require('../store/reportStore');
+const { tenantOf } = require('./entityGraph');
+const { signReport } = require('./reportSigning');
+
+// Longest indicator kept in the index (the full input is in the report)
+const MAX_INDICATOR_LENGTH = 500;
+
+// Input fields naming what was analyzed, most specific first
+const INDICATOR_FIELDS = ['url', 'email', 'address', 'indicator', 'image_url', 'store_url', 'username'];
+
+/**
+ * Headline 0-100 trust score of a response, whichever name the analyzer uses
+ * (risk and likelihood figures run the other way and are not indexed)
+ */
+function scoreOf(output) {
+    const score = output.iq_score ?? output.trust_iq ?? output.authenticity_iq ?? output.score;
+    return typeof score === 'number' ? score : null;
+}
+
+function hostnameOf(value) {
+    if (typeof value !== 'string' || !value) return null;
+    if (/^[^@\s]+@[^@\s]+$/.test(value)) return value.split('@')[1].toLowerCase();
+    try {
+        return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`).hostname.toLowerCase().replace(/\.$/, '') || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Searchable fields of a report
+ */
+function summarize(input, output) {
+    const field = INDICATOR_FIELDS.find(f => typeof input[f] === 'string' && input[f]);
+    const indicator = field ? input[field] : null;
+    const domain = typeof output.domain === 'string'
+        ? output.domain.toLowerCase()
+        : (['url', 'email', 'store_url', 'indicator'].includes(field) ? hostnameOf(indicator) : null);
+
+    return {
+        indicator: indicator && indicator.slice(0, MAX_INDICATOR_LENGTH),
+        domain: domain && /\./.test(domain) ? domain : null,
+        verdict: typeof output.verdict === 'string' ? output.verdict.toLowerCase() : null,
+        score: scoreOf(output),
+    };
+}
+
+/**
+ * Whether a caller's results are kept (not the shared demo key, not anonymous extension installs)
+ */
+function keepsHistory(keyData) {
+    return Boolean(keyData) && keyData.id !== 'demo' && !keyData.installId;
+}
+
+/**
+ * Store an analyzer result, signed under its report id
+ * @param {Object} keyData - req.apiKeyData of the caller
+ * @param {Object} report - { service, endpoint, input, output }
+ * @returns {{ id: string, signed: Object|null, saved: Promise<Object|null> }} The report id and signed output, known before it is written
+ */
+function recordReport(keyData, { service, endpoint, input = {}, output }) {
+    if (!keepsHistory(keyData)) return { id: null, signed: null, saved: Promise.resolve(null) };
+
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    const signed = signReport(output, { reportId: id, signedAt: createdAt });
+    const saved = reportStore.save({
+        id,
+        tenant: tenantOf(keyData),
+        orgId: keyData.orgId || null,
+        keyId: keyData.id,
+        service,
+        endpoint,
+        ...summarize(input, output),
+        createdAt,
+    }, { input, output, signature: signed.signature });
+    return { id, signed, saved };
+}
+
+/**
+ * A report of the caller's tenant with its input and output
+ * @returns {Promise<{ record: Object, document: Object }>}
+ * @throws {ApiError} REPORT_NOT_FOUND
+ */
+async function loadReport(keyData, id) {
+    const record = await reportStore.get(id);
+    const document = record && record.tenant === tenantOf(keyData) && await reportStore.load(record);
+    if (!document) {
+        throw new ApiError('REPORT_NOT_FOUND', `No report with id "${id}"`);
+    }
+    return { record, document };
+}
+
+/**
+ * A stored report's output with the signature it was given when stored
+ * @throws {ApiError} REPORT_NOT_SIGNED for reports stored before reports were signed
+ */
+function signedOutput(document) {
+    if (!document.signature) {
+        throw new ApiError('REPORT_NOT_SIGNED', 'This report was stored before reports were signed; run the analysis again for a signed report');
+    }
+    return { ...document.output, signature: document.signature };
+}
+
+/**
+ * Public view of a report (with its input and output when `document` is given)
+ */
+function describeReport(record, document = null) {
+    return {
+        id: record.id,
+        service: record.service,
+        endpoint: record.endpoint,
+        indicator: record.indicator,
+        domain: record.domain,
+        verdict: record.verdict,
+        score: record.score,
+        key_id: record.keyId,
+        org_id: record.orgId,
+        created: record.createdAt,
+        ...(document && { input: document.input, output: document.output }),
+    };
+}
+
+module.exports = { recordReport, loadReport, signedOutput, describeReport, summarize, scoreOf, keepsHistory };
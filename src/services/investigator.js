@@ -0,0 +1,284 @@
+/**
+ * Verify.IQ - Investigator
+ * Takes any indicator (URL, email, wallet address, social handle, image URL or
+ * free text), works out what it is, runs every analyzer that applies to it and
+ * merges their results into one report. Analyzers that need a URL scan share a
+ * single scan per URL instead of each running their own.
+ */
+
+const urlScanner = require('./urlScanner');
+const emailVerifier = require('./emailVerifier');
+const aiDetector = require('./aiDetector');
+const rugPullAnalyzer = require('./rugPullAnalyzer');
+const deepfakeAnalyzer = require('./deepfakeAnalyzer');
+const adTransparencyChecker = require('./adTransparencyChecker');
+const darkwebScanner = require('./darkwebScanner');
+const supplierScorer = require('./supplierScorer');
+const tradingShield = require('./tradingShield');
+const engagementAuditor = require('./engagementAuditor');
+const { ApiError } = require('../errors');
+const { toApiError } = require('../middleware/errorHandler');
+
+const INDICATOR_TYPES = ['url', 'email', 'wallet', 'social_handle', 'image_url', 'text'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const WALLET_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const HANDLE_PATTERN = /^@?([A-Za-z0-9._]{1,30})$/;
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}(?::\d+)?(?:[/?#]\S*)?$/i;
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|bmp|avif|heic)$/i;
+
+// Platforms whose profile URLs carry the username as the first path segment
+const SOCIAL_PLATFORMS = ['instagram', 'tiktok', 'twitter', 'youtube', 'facebook'];
+// First path segments that are not usernames (posts, search, ...)
+const NON_PROFILE_PATHS = new Set(['p', 'reel', 'reels', 'explore', 'watch', 'video', 'status', 'hashtag', 'search', 'i', 'home', 'share', 'stories', 'shorts']);
+
+const PROFILE_URLS = {
+    instagram: username => `https://www.instagram.com/${username}`,
+    tiktok: username => `https://www.tiktok.com/@${username}`,
+    twitter: username => `https://x.com/${username}`,
+    x: username => `https://x.com/${username}`,
+    youtube: username => `https://www.youtube.com/@${username}`,
+    facebook: username => `https://www.facebook.com/${username}`,
+};
+
+const VERDICT_RANK = { safe: 0, suspicious: 1, dangerous: 2 };
+
+/**
+ * Map a value onto safe / suspicious / dangerous with two thresholds (higher is safer)
+ */
+function byScore(score, safeFrom, suspiciousFrom) {
+    if (score >= safeFrom) return 'safe';
+    return score >= suspiciousFrom ? 'suspicious' : 'dangerous';
+}
+
+/**
+ * Every analyzer the investigator can run: the service it belongs to, how to
+ * run it for a classified indicator (with the shared context) and how its
+ * result maps onto the overall verdict (null: informational only)
+ */
+const MODULES = {
+    url_scan: {
+        service: 'url_scan',
+        run: (indicator, ctx) => ctx.scan(indicator.url),
+        verdict: result => result.verdict,
+    },
+    darkweb_scan: {
+        service: 'darkweb_scan',
+        run: async (indicator, ctx) => darkwebScanner.analyze(indicator.domain || indicator.url, { scan: await ctx.scan(indicator.url) }),
+        verdict: result => ({ clean: 'safe', medium: 'suspicious', high: 'dangerous' })[result.risk_level] || null,
+    },
+    supplier_score: {
+        service: 'supplier_score',
+        run: async (indicator, ctx) => supplierScorer.analyze(indicator.url, { scan: await ctx.scan(indicator.url) }),
+        verdict: result => byScore(result.trust_iq, 70, 45),
+    },
+    trading_shield: {
+        service: 'trading_shield',
+        run: async (indicator, ctx) => tradingShield.analyze(indicator.url, { scan: await ctx.scan(indicator.url) }),
+        verdict: result => ({ low: 'safe', medium: 'suspicious', high: 'dangerous', critical: 'dangerous' })[result.risk_level] || null,
+    },
+    audit_engagement: {
+        service: 'audit_engagement',
+        run: async (indicator, ctx) => engagementAuditor.analyze(indicator.profile_url, { scan: await ctx.scan(indicator.profile_url) }),
+        verdict: result => (result.authenticity_iq >= 70 ? 'safe' : 'suspicious'),
+    },
+    ad_transparency: {
+        service: 'ad_transparency',
+        run: indicator => adTransparencyChecker.analyze(indicator.username, indicator.platform),
+        verdict: () => null,
+    },
+    email_verify: {
+        service: 'email_verify',
+        run: indicator => emailVerifier.verify(indicator.email),
+        verdict: result => ({ deliverable: 'safe', risky: 'suspicious', undeliverable: 'suspicious', invalid: 'suspicious' })[result.verdict] || null,
+    },
+    rug_pull_check: {
+        service: 'rug_pull_check',
+        run: indicator => rugPullAnalyzer.analyze(indicator.address, indicator.chain),
+        verdict: result => ({ safe: 'safe', medium: 'suspicious', high: 'dangerous', critical: 'dangerous' })[result.risk_level] || null,
+    },
+    deepfake_check: {
+        service: 'deepfake_check',
+        run: indicator => deepfakeAnalyzer.analyze(indicator.url, indicator.platform),
+        verdict: result => byScore(100 - result.ai_probability, 60, 30),
+    },
+    ai_detect: {
+        service: 'ai_detect',
+        run: indicator => aiDetector.analyze(indicator.text),
+        verdict: result => ({ ai_generated: 'suspicious', likely_ai: 'suspicious', mixed: 'safe', likely_human: 'safe', human: 'safe' })[result.verdict] || null,
+    },
+};
+
+// Modules run for each indicator type (social URLs and handles add more, see applicableModules)
+const MODULES_BY_TYPE = {
+    url: ['url_scan', 'darkweb_scan', 'supplier_score', 'trading_shield'],
+    email: ['email_verify', 'url_scan', 'darkweb_scan'],
+    wallet: ['rug_pull_check'],
+    social_handle: ['ad_transparency'],
+    image_url: ['deepfake_check', 'url_scan'],
+    text: ['ai_detect'],
+};
+
+/**
+ * Parse a URL, adding https:// to bare domains; null if it is not a web URL
+ */
+function parseWebUrl(value) {
+    const withProtocol = /^https?:\/\//i.test(value) ? value : (DOMAIN_PATTERN.test(value) ? `https://${value}` : null);
+    if (!withProtocol) return null;
+    try {
+        const parsed = new URL(withProtocol);
+        return parsed.hostname.includes('.') ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Username in a social profile URL, or null for other pages
+ */
+function profileUsername(parsed, platform) {
+    if (!SOCIAL_PLATFORMS.includes(platform)) return null;
+    const segment = parsed.pathname.split('/').filter(Boolean)[0];
+    if (!segment || NON_PROFILE_PATHS.has(segment.toLowerCase())) return null;
+    const match = segment.replace(/^@/, '').match(HANDLE_PATTERN);
+    return match ? match[1] : null;
+}
+
+function describeUrl(parsed, type) {
+    const url = parsed.href;
+    const platform = engagementAuditor.detectPlatform(url);
+    const username = type === 'url' ? profileUsername(parsed, platform) : null;
+    return {
+        type,
+        url,
+        domain: parsed.hostname.replace(/^www\./, ''),
+        platform,
+        ...(username && { username, profile_url: url }),
+    };
+}
+
+/**
+ * Work out what an indicator is
+ * @param {string} input - Raw indicator
+ * @param {Object} [options]
+ * @param {string} [options.type] - Force a type from INDICATOR_TYPES instead of detecting it
+ * @param {string} [options.chain] - Chain of a wallet address (default ethereum)
+ * @param {string} [options.platform] - Platform of a social handle
+ * @returns {Object} { type, ...fields the modules of that type need }
+ * @throws {ApiError} INVALID_INDICATOR when a forced type does not fit the input
+ */
+function classifyIndicator(input, { type, chain = 'ethereum', platform = 'unknown' } = {}) {
+    const value = input.trim();
+    const mismatch = () => new ApiError('INVALID_INDICATOR', `"${value.slice(0, 100)}" is not a valid ${type.replace('_', ' ')}`);
+
+    if (type === 'text') return { type, text: value };
+
+    if ((!type || type === 'wallet') && WALLET_PATTERN.test(value)) {
+        return { type: 'wallet', address: value, chain };
+    }
+    if ((!type || type === 'email') && EMAIL_PATTERN.test(value)) {
+        const email = value.toLowerCase();
+        const domain = email.split('@')[1];
+        return { type: 'email', email, domain, url: `https://${domain}` };
+    }
+    if ((!type || type === 'social_handle') && (value.startsWith('@') || type) && HANDLE_PATTERN.test(value)) {
+        const username = value.replace(/^@/, '');
+        const profileUrl = PROFILE_URLS[platform]?.(username);
+        return { type: 'social_handle', username, platform, ...(profileUrl && { profile_url: profileUrl }) };
+    }
+
+    const parsed = !type || type === 'url' || type === 'image_url' ? parseWebUrl(value) : null;
+    if (parsed) {
+        const isImage = IMAGE_EXTENSIONS.test(parsed.pathname);
+        if (type === 'image_url' || (!type && isImage)) return describeUrl(parsed, 'image_url');
+        return describeUrl(parsed, 'url');
+    }
+
+    if (type) throw mismatch();
+    return { type: 'text', text: value };
+}
+
+/**
+ * Modules that apply to a classified indicator
+ */
+function applicableModules(indicator) {
+    const modules = [...MODULES_BY_TYPE[indicator.type]];
+    // Social profiles (as a URL, or a handle on a known platform) also get an engagement audit
+    if (indicator.profile_url) modules.push('audit_engagement');
+    if (indicator.type === 'url' && indicator.username) modules.push('ad_transparency');
+    return modules;
+}
+
+function worstVerdict(verdicts) {
+    const known = verdicts.filter(v => v in VERDICT_RANK);
+    if (!known.length) return 'unknown';
+    return known.reduce((worst, v) => (VERDICT_RANK[v] > VERDICT_RANK[worst] ? v : worst));
+}
+
+/**
+ * Investigate an indicator
+ * @param {string} input - Raw indicator
+ * @param {Object} [options]
+ * @param {string} [options.type] - Skip detection (see classifyIndicator)
+ * @param {string} [options.chain] - Chain of a wallet address
+ * @param {string} [options.platform] - Platform of a social handle
+ * @param {string[]} [options.modules] - Only run these of the applicable modules
+ * @param {boolean} [options.fresh] - Bypass the URL scanner's check cache
+ * @param {Object} [options.profile] - Scoring profile of the URL scan (see scoringProfiles.js)
+ * @param {Function} [options.skipReason] - service => reason (or a promise of one) a module must be skipped,
+ *   e.g. tier or quota, or null; called once per module, right before it would run
+ * @returns {Promise<Object>} Merged report
+ */
+async function investigate(input, { type, chain, platform, modules: only, fresh = false, profile, skipReason = () => null } = {}) {
+    const startTime = Date.now();
+    const indicator = classifyIndicator(input, { type, chain, platform });
+
+    // One scan per URL, shared by every module that needs it
+    const scans = new Map();
+    const ctx = {
+        scan: (url) => {
+            if (!scans.has(url)) scans.set(url, urlScanner.scanUrl(url, { fresh, profile }));
+            return scans.get(url);
+        },
+    };
+
+    const names = applicableModules(indicator).filter(name => !only || only.includes(name));
+    const sections = {};
+    await Promise.all(names.map(async (name) => {
+        const entry = MODULES[name];
+        const reason = await skipReason(entry.service);
+        if (reason) {
+            sections[name] = { service: entry.service, status: 'skipped', verdict: null, reason, result: null };
+            return;
+        }
+        try {
+            const result = await entry.run(indicator, ctx);
+            sections[name] = { service: entry.service, status: 'completed', verdict: entry.verdict(result), reason: null, result };
+        } catch (error) {
+            // Same wording as an error response of the analyzer's own endpoint, never the raw internal message
+            const apiError = toApiError(error);
+            if (apiError.status >= 500) console.error(`Investigate module ${name} failed:`, error);
+            sections[name] = { service: entry.service, status: 'failed', verdict: null, reason: apiError.message, result: null };
+        }
+    }));
+
+    const ordered = Object.fromEntries(names.map(name => [name, sections[name]]));
+    const verdicts = Object.values(ordered).map(section => section.verdict);
+    return {
+        indicator: input,
+        classification: indicator,
+        verdict: worstVerdict(verdicts),
+        summary: {
+            modules_run: Object.values(ordered).filter(section => section.status === 'completed').length,
+            skipped: Object.values(ordered).filter(section => section.status === 'skipped').length,
+            failed: Object.values(ordered).filter(section => section.status === 'failed').length,
+            safe: verdicts.filter(v => v === 'safe').length,
+            suspicious: verdicts.filter(v => v === 'suspicious').length,
+            dangerous: verdicts.filter(v => v === 'dangerous').length,
+        },
+        sections: ordered,
+        processing_time_ms: Date.now() - startTime,
+    };
+}
+
+module.exports = { investigate, classifyIndicator, INDICATOR_TYPES, MODULES };
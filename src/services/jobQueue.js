@@ -0,0 +1,234 @@
+/**
+ * Verify.IQ - Job Queue
+ * Runs long batches (URL scans, email verification) in the background so the
+ * HTTP request only has to submit them. Jobs are processed first-in first-out
+ * by a fixed pool of workers (JOB_CONCURRENCY items at a time across all
+ * jobs); progress and results are persisted as each item finishes, and jobs
+ * that were queued or running when the server stopped resume on start().
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const urlScanner = require('./urlScanner');
+const emailVerifier = require('./emailVerifier');
+const { Url, Email } = require('../schemas/common');
+const { jobStore, ACTIVE_STATUSES } = require('../store/jobStore');
+const { toApiError } = require('../middleware/errorHandler');
+const { ApiError } = require('../errors');
+const { dispatcher, scanSummary } = require('./webhooks');
+const { recordEntities } = require('./entityGraph');
+const { withPolicy } = require('./policyRules');
+const { profileFor } = require('./scoringProfiles');
+
+const DEFAULT_CONCURRENCY = 4;
+
+// What each job type does per item, the schema of an item, the quota it is
+// charged to (one request per `itemsPerUnit` items, so a URL job costs what
+// the same URLs would through /bulk-scan) and how its results feed the
+// entity graph. Items are judged by
+// the job owner's lists and rules (see policyRules.js).
+const JOB_TYPES = {
+    scan_url: {
+        service: 'bulk_scan',
+        itemsPerUnit: 50,
+        item: Url,
+        run: (url, job) => withPolicy(job, 'url_scan', { url }, async () => urlScanner.scanUrl(url, { profile: await profileFor(job) })),
+        entities: 'scan',
+    },
+    verify_email: {
+        service: 'email_verify',
+        itemsPerUnit: 1,
+        item: Email,
+        run: (email, job) => withPolicy(job, 'email_verify', { email }, () => emailVerifier.verify(email)),
+        entities: 'email',
+    },
+};
+
+class JobQueue {
+    /**
+     * @param {Object} [options]
+     * @param {JobStore} [options.store]
+     * @param {number} [options.concurrency] - Items processed at once (defaults to JOB_CONCURRENCY)
+     */
+    constructor({ store = jobStore, concurrency = Number(process.env.JOB_CONCURRENCY) || DEFAULT_CONCURRENCY } = {}) {
+        this.store = store;
+        this.concurrency = Math.max(1, concurrency);
+        // id -> { job, items, pending: number[], inFlight, started } in submission order
+        this.active = new Map();
+        this.running = 0;
+    }
+
+    /**
+     * Resume jobs left unfinished by a previous run
+     */
+    async start() {
+        const unfinished = (await this.store.jobs.list(job => ACTIVE_STATUSES.includes(job.status)))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of unfinished) {
+            try {
+                const items = await this.store.loadItems(job.id);
+                const { done, succeeded, failed } = await this.store.progress(job.id);
+                const resumed = await this.store.jobs.update(job.id, { processed: done.size, succeeded, failed });
+                this.enqueue(resumed, items, items.map((_, i) => i).filter(i => !done.has(i)));
+            } catch (error) {
+                console.error(`Job ${job.id} could not be resumed:`, error.message);
+                await this.store.jobs.update(job.id, {
+                    status: 'failed',
+                    error: 'The job could not be resumed after a restart',
+                    finishedAt: new Date().toISOString(),
+                });
+            }
+        }
+        if (unfinished.length) console.log(`Resumed ${unfinished.length} job(s)`);
+    }
+
+    /**
+     * Queue a new job
+     * @param {Object} params
+     * @param {string} params.type - Key of JOB_TYPES
+     * @param {Array} params.items
+     * @param {Object} params.keyData - Key record of the submitter
+     * @returns {Promise<Object>} The job record
+     */
+    async submit({ type, items, keyData }) {
+        const job = await this.store.create({
+            id: uuidv4(),
+            type,
+            service: JOB_TYPES[type].service,
+            keyId: keyData.id,
+            ownerId: keyData.ownerId || keyData.id,
+            orgId: keyData.orgId || null,
+            status: 'queued',
+            total: items.length,
+            processed: 0,
+            succeeded: 0,
+            failed: 0,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            cancelledAt: null,
+            error: null,
+        }, items);
+
+        this.enqueue(job, items, items.map((_, i) => i));
+        return job;
+    }
+
+    /**
+     * Stop a job: queued items are dropped, items already being processed finish
+     * @returns {Promise<Object>} The updated job record
+     * @throws {ApiError} JOB_NOT_FOUND or JOB_FINISHED
+     */
+    async cancel(id) {
+        const job = await this.store.jobs.get(id);
+        if (!job) throw new ApiError('JOB_NOT_FOUND', `No job with id "${id}"`);
+        if (!ACTIVE_STATUSES.includes(job.status)) {
+            throw new ApiError('JOB_FINISHED', `The job is already ${job.status}`);
+        }
+
+        const entry = this.active.get(id);
+        if (entry) {
+            entry.pending = [];
+            if (!entry.inFlight) this.active.delete(id);
+        }
+
+        const now = new Date().toISOString();
+        const updated = await this.store.jobs.update(id, { status: 'cancelled', cancelledAt: now, finishedAt: now });
+        if (entry) entry.job = updated;
+        return updated;
+    }
+
+    enqueue(job, items, pending) {
+        this.active.set(job.id, { job, items, pending, inFlight: 0 });
+        if (!pending.length) this.settle(this.active.get(job.id));
+        this.pump();
+    }
+
+    /**
+     * Fill free worker slots with the next items, oldest job first
+     */
+    pump() {
+        while (this.running < this.concurrency) {
+            const entry = [...this.active.values()].find(e => e.pending.length);
+            if (!entry) return;
+
+            const index = entry.pending.shift();
+            this.running++;
+            entry.inFlight++;
+            this.process(entry, index)
+                .catch(error => console.error(`Job ${entry.job.id} item ${index} failed:`, error))
+                .finally(() => {
+                    this.running--;
+                    entry.inFlight--;
+                    this.settle(entry);
+                    this.pump();
+                });
+        }
+    }
+
+    async process(entry, index) {
+        const id = entry.job.id;
+        if (entry.job.status === 'queued' && !entry.started) {
+            entry.started = true;
+            entry.job = await this.store.jobs.update(id, { status: 'running', startedAt: new Date().toISOString() });
+        }
+
+        const input = entry.items[index];
+        let record;
+        try {
+            record = { index, input, result: await JOB_TYPES[entry.job.type].run(input, entry.job) };
+        } catch (error) {
+            const apiError = toApiError(error);
+            record = { index, input, error: { code: apiError.code, message: apiError.message } };
+        }
+
+        if (record.result?.verdict === 'dangerous' && entry.job.type === 'scan_url') {
+            dispatcher.dispatch('scan.dangerous', { ...scanSummary(record.result), source: 'job', job_id: id }, entry.job)
+                .catch(e => console.error('Webhook dispatch failed:', e.message));
+        }
+
+        if (record.result) {
+            recordEntities(entry.job, JOB_TYPES[entry.job.type].entities, record.result, 'job')
+                .catch(e => console.error('Entity graph update failed:', e.message));
+        }
+
+        await this.store.appendResult(id, record);
+        entry.job = await this.store.jobs.update(id, job => ({
+            processed: job.processed + 1,
+            succeeded: job.succeeded + (record.error ? 0 : 1),
+            failed: job.failed + (record.error ? 1 : 0),
+        }));
+    }
+
+    /**
+     * Mark a job completed once nothing is left to do for it
+     */
+    settle(entry) {
+        if (entry.pending.length || entry.inFlight) return;
+        this.active.delete(entry.job.id);
+        if (entry.job.status === 'cancelled') return;
+
+        this.store.jobs.update(entry.job.id, job => (job.status === 'cancelled' ? {} : {
+            status: 'completed',
+            startedAt: job.startedAt || new Date().toISOString(),
+            finishedAt: new Date().toISOString(),
+        }))
+            .then(job => job.status === 'completed' && dispatcher.dispatch('job.completed', {
+                job: {
+                    id: job.id,
+                    type: job.type,
+                    status: job.status,
+                    total: job.total,
+                    succeeded: job.succeeded,
+                    failed: job.failed,
+                    created_at: job.createdAt,
+                    finished_at: job.finishedAt,
+                },
+            }, { keyId: job.keyId, orgId: job.orgId }))
+            .catch(e => console.error(`Job ${entry.job.id} could not be completed:`, e.message));
+    }
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = { JobQueue, jobQueue, JOB_TYPES };
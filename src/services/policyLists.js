@@ -0,0 +1,265 @@
+/**
+ * Verify.IQ - Policy Lists
+ * Every analyzer call first checks the caller's allow and deny lists for the
+ * domain, email, wallet or social handle it is about. A match skips the
+ * analyzer: the result is a policy override citing the entry, in the
+ * service's own response shape (best or worst headline figure and verdict in
+ * its vocabulary), instead of the heuristics' opinion of a partner the
+ * customer already trusts or a domain it knows is bad.
+ *
+ * Domain entries cover their subdomains and email addresses at them; a
+ * handle entry without a platform ("someone") covers it on every platform.
+ * The most specific match wins, and deny wins a tie. ai_detect (free text),
+ * agent_scan (arbitrary context) and social_auth calls without a username
+ * are about no listable entity and always run.
+ */
+
+const { ApiError } = require('../errors');
+const { listEntries } = require('../store/listStore');
+const { tenantOf, normalizeEntity, MENTION_PATTERNS } = require('./entityGraph');
+const { classifyIndicator } = require('./investigator');
+
+const POLICY_VERDICTS = { allow: 'safe', deny: 'dangerous' };
+
+const site = (input, target) => ({ url: input.url, domain: target.value });
+
+/**
+ * Each service's answer when a list decides the call, in its own shape:
+ * (allow, input, target) => fields. Verdicts use the analyzer's own words.
+ */
+const OVERRIDE_SHAPES = {
+    url_scan: (allow, input, target) => ({ iq_score: allow ? 100 : 0, verdict: allow ? 'safe' : 'dangerous', ...site(input, target) }),
+    darkweb_scan: (allow, input, target) => ({
+        ...site(input, target), found_on_darkweb: false, total_findings: 0, risk_level: allow ? 'clean' : 'high', findings: [],
+    }),
+    supplier_score: (allow, input, target) => ({
+        trust_iq: allow ? 100 : 0,
+        verdict: allow ? 'Supplier appears legitimate and well-established' : 'High risk — multiple red flags detected',
+        ...site(input, target),
+        flags: [],
+    }),
+    audit_engagement: (allow, input, target) => ({
+        authenticity_iq: allow ? 100 : 0,
+        verdict: allow ? 'Profile engagement appears authentic' : 'High bot activity detected — engagement is likely artificial',
+        ...site(input, target),
+    }),
+    trading_shield: (allow, input, target) => ({
+        risk_level: allow ? 'low' : 'critical',
+        verdict: allow ? 'This platform appears to be legitimate' : 'Multiple red flags — do NOT enter credentials or funds',
+        ...site(input, target),
+        checks: [],
+        alerts: [],
+    }),
+    dropship_check: (allow, input) => ({
+        likelihood: allow ? 0 : 100,
+        verdict: allow ? 'Low dropship indicators' : 'Highly likely dropshipped product',
+        product_title: input.product_title,
+        signals: [],
+        flags: [],
+    }),
+    deepfake_check: (allow, input) => ({
+        ai_probability: allow ? 0 : 99, verdict: allow ? 'likely_real' : 'likely_ai', image_url: input.image_url, platform: input.platform,
+    }),
+    email_verify: (allow, input) => ({
+        email: normalizeEntity('email', input.email),
+        score: allow ? 100 : 0,
+        verdict: allow ? 'deliverable' : 'undeliverable',
+        risk_level: allow ? 'low' : 'critical',
+        checks: {},
+        suggestions: [],
+        risk_factors: [],
+    }),
+    rug_pull_check: (allow, input) => ({
+        address: input.address,
+        chain: input.chain,
+        verdict: allow ? 'SAFE — On your allow list' : 'DANGEROUS — On your deny list',
+        risk_level: allow ? 'safe' : 'critical',
+        signals: [],
+    }),
+    social_auth: (allow, input) => ({
+        score: allow ? 100 : 0, verdict: allow ? 'Authentic' : 'Bot/Fake', username: input.username, platform: input.platform || 'unknown', flags: [],
+    }),
+    ad_transparency: (allow, input) => ({
+        username: input.username,
+        platform: input.platform,
+        ad_likelihood: allow ? 0 : 95,
+        verdict: allow ? 'No strong ad indicators detected' : 'This user is very likely spending money on ads to target you',
+        signals: [],
+    }),
+};
+
+// Services whose `url` field is what they analyze
+const URL_SERVICES = ['url_scan', 'darkweb_scan', 'supplier_score', 'audit_engagement', 'trading_shield'];
+
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+const HANDLE_PATTERN = /^(?:[a-z0-9_.-]+\/)?[a-z0-9_.-]{1,100}$/;
+
+function hostnameOf(url) {
+    try {
+        return normalizeEntity('domain', new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`).hostname);
+    } catch {
+        return null;
+    }
+}
+
+function handleOf(platform, username) {
+    return normalizeEntity('social_handle', `${platform || 'unknown'}/${String(username).replace(/^@/, '')}`);
+}
+
+/**
+ * Canonical form of a list entry's value
+ * @throws {ApiError} INVALID_FIELD
+ */
+function normalizeListValue(type, raw) {
+    const value = String(raw).trim();
+    let normalized = null;
+    switch (type) {
+        case 'domain':
+            normalized = value.includes('/') ? hostnameOf(value) : normalizeEntity('domain', value);
+            if (!DOMAIN_PATTERN.test(normalized || '')) normalized = null;
+            break;
+        case 'email':
+            normalized = new RegExp(`^${MENTION_PATTERNS.email.source}$`, 'i').test(value) ? normalizeEntity('email', value) : null;
+            break;
+        case 'wallet':
+            normalized = new RegExp(`^${MENTION_PATTERNS.wallet.source}$`, 'i').test(value) ? normalizeEntity('wallet', value) : null;
+            break;
+        case 'social_handle':
+            normalized = normalizeEntity('social_handle', value).replace(/^@/, '');
+            if (!HANDLE_PATTERN.test(normalized)) normalized = null;
+            break;
+        default:
+    }
+    if (!normalized) {
+        throw new ApiError('INVALID_FIELD', `"${value.slice(0, 100)}" is not a valid ${type.replace('_', ' ')}`);
+    }
+    return normalized;
+}
+
+/**
+ * What an analyzer call is about: [{ type, value }] (none for ai_detect and
+ * agent_scan, whose input is text or arbitrary context)
+ */
+function targetsOf(service, input) {
+    const domain = url => {
+        const host = url && hostnameOf(url);
+        return host ? [{ type: 'domain', value: host }] : [];
+    };
+
+    if (URL_SERVICES.includes(service)) return domain(input.url);
+    if (service === 'dropship_check') return domain(input.store_url);
+    if (service === 'deepfake_check') return domain(input.image_url);
+    if (service === 'email_verify' && input.email) return [{ type: 'email', value: normalizeEntity('email', input.email) }];
+    if (service === 'rug_pull_check' && input.address) return [{ type: 'wallet', value: normalizeEntity('wallet', input.address) }];
+    if (['social_auth', 'ad_transparency'].includes(service) && input.username) {
+        return [{ type: 'social_handle', value: handleOf(input.platform, input.username) }];
+    }
+    if (service === 'investigate') {
+        const indicator = classifyIndicator(input.indicator, { type: input.type, chain: input.chain, platform: input.platform });
+        switch (indicator.type) {
+            case 'url':
+            case 'image_url': return domain(indicator.url);
+            case 'email': return [{ type: 'email', value: normalizeEntity('email', indicator.email) }];
+            case 'wallet': return [{ type: 'wallet', value: normalizeEntity('wallet', indicator.address) }];
+            case 'social_handle': return [{ type: 'social_handle', value: handleOf(indicator.platform, indicator.username) }];
+            default: return [];
+        }
+    }
+    return [];
+}
+
+/**
+ * How specifically an entry covers a target (0 = not at all)
+ */
+function specificity(entry, target) {
+    const coversDomain = (listed, host) => host === listed || host.endsWith(`.${listed}`);
+    if (entry.type === target.type) {
+        if (entry.value === target.value) return 3;
+        if (entry.type === 'domain' && coversDomain(entry.value, target.value)) return 2;
+        if (entry.type === 'social_handle' && !entry.value.includes('/') && target.value.split('/')[1] === entry.value) return 2;
+        return 0;
+    }
+    if (entry.type === 'domain' && target.type === 'email' && coversDomain(entry.value, target.value.split('@')[1])) return 1;
+    return 0;
+}
+
+/**
+ * The list entry deciding an analyzer call, if any
+ * @returns {Promise<{ entry: Object, target: Object }|null>}
+ */
+async function findListMatch(keyData, service, input) {
+    const targets = targetsOf(service, input);
+    if (!targets.length) return null;
+
+    const tenant = tenantOf(keyData);
+    const matches = [];
+    for (const entry of await listEntries.list({ tenant })) {
+        for (const target of targets) {
+            const rank = specificity(entry, target);
+            if (rank) matches.push({ entry, target, rank: rank * 1000 + entry.value.length });
+        }
+    }
+    matches.sort((a, b) => b.rank - a.rank || Number(b.entry.list === 'deny') - Number(a.entry.list === 'deny'));
+    return matches[0] || null;
+}
+
+/**
+ * Public view of a list entry
+ */
+function describeListEntry(entry) {
+    return {
+        id: entry.id,
+        list: entry.list,
+        type: entry.type,
+        value: entry.value,
+        reason: entry.reason,
+        source: entry.source,
+        feedback_id: entry.feedbackId,
+        key_id: entry.keyId,
+        created: entry.created,
+        updated: entry.updated,
+    };
+}
+
+/**
+ * The response an analyzer call gets when a list entry decides it
+ */
+function overrideResult(service, input, { entry, target }) {
+    const policy_override = {
+        list: entry.list,
+        matched: target,
+        entry: describeListEntry(entry),
+        message: `${target.value} is covered by the ${entry.list} list entry ${entry.type} "${entry.value}"${entry.reason ? ` (${entry.reason})` : ''}`,
+    };
+
+    if (service === 'investigate') {
+        return {
+            indicator: input.indicator,
+            classification: classifyIndicator(input.indicator, { type: input.type, chain: input.chain, platform: input.platform }),
+            verdict: POLICY_VERDICTS[entry.list],
+            summary: { modules_run: 0, skipped: 0, failed: 0, safe: 0, suspicious: 0, dangerous: 0 },
+            sections: {},
+            policy_override,
+            processing_time_ms: 0,
+        };
+    }
+    return {
+        ...OVERRIDE_SHAPES[service](entry.list === 'allow', input, target),
+        policy_override,
+        processing_time_ms: 0,
+    };
+}
+
+/**
+ * Run an analyzer unless the caller's lists decide the call
+ * @param {Object} keyData - Caller's key (or a job / watchlist carrying orgId and ownerId)
+ * @param {string} service - Service name the input belongs to (see targetsOf)
+ * @param {Object} input - The analyzer's input fields
+ * @param {Function} run - Runs the analyzer
+ */
+async function withLists(keyData, service, input, run) {
+    const match = await findListMatch(keyData, service, input);
+    return match ? overrideResult(service, input, match) : run();
+}
+
+module.exports = { withLists, findListMatch, normalizeListValue, describeListEntry, targetsOf, POLICY_VERDICTS };
@@ -0,0 +1,371 @@
+/**
+ * Verify.IQ - Policy Rules
+ * Customer-written rules that set the verdict of an analyzer call from its
+ * output, e.g. "dangerous if the domain is under 14 days old, its certificate
+ * is from Let's Encrypt and its TLD is .top or .xyz":
+ *
+ *   { "id": "fresh-cheap-tld", "services": ["url_scan"], "verdict": "dangerous",
+ *     "when": { "all": [
+ *       { "field": "domain_age.age_days", "op": "lt", "value": 14 },
+ *       { "field": "ssl.issuer", "op": "eq", "value": "Let's Encrypt" },
+ *       { "field": "tld", "op": "in", "value": [".top", ".xyz"] } ] } }
+ *
+ * A condition is { all: [...] }, { any: [...] }, { not: {...} } or a
+ * comparison of a dotted field path of the output with a value. Paths not
+ * found in the output are also tried under its `checks` (so "ssl.issuer"
+ * means checks.ssl.issuer in a URL scan); `service`, `score` (the headline
+ * trust score), `tld` and, for trading-shield, `failed_checks` are derived.
+ * String comparisons ignore case, TLDs compare with or without their leading
+ * dot, and a missing field fails every comparison except
+ * { op: "exists", value: false }.
+ *
+ * `matches` takes a regular expression without backreferences, lookaround or
+ * nested quantifiers (the shapes that backtrack catastrophically), and each
+ * match runs with a time limit; one that runs out counts as not matching.
+ *
+ * Rules run in order on the analyzer's output (not on list overrides); the
+ * first one that fires sets the verdict, and the response cites every rule
+ * that fired under `policy_rules`.
+ */
+
+const vm = require('vm');
+const { ApiError } = require('../errors');
+const { ruleSets, activeRuleSet } = require('../store/ruleStore');
+const { reportStore } = require('../store/reportStore');
+const { withLists } = require('./policyLists');
+const { tenantOf } = require('./entityGraph');
+const { scoreOf } = require('./history');
+
+// Deepest nesting of all / any / not in one rule
+const MAX_DEPTH = 6;
+
+// Longest regular expression a `matches` comparison may use
+const MAX_PATTERN_LENGTH = 200;
+// Time one `matches` comparison may take, and the longest text it looks at
+const MATCH_TIMEOUT_MS = 20;
+const MAX_MATCH_INPUT = 10000;
+
+const lower = value => (typeof value === 'string' ? value.toLowerCase() : value);
+const isPrimitive = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Each operator: the value it takes and how it compares a field with it
+const OPERATORS = {
+    eq: { takes: isPrimitive, test: (field, value) => lower(field) === lower(value) },
+    ne: { takes: isPrimitive, test: (field, value) => lower(field) !== lower(value) },
+    lt: { takes: isNumber, test: (field, value) => isNumber(field) && field < value },
+    lte: { takes: isNumber, test: (field, value) => isNumber(field) && field <= value },
+    gt: { takes: isNumber, test: (field, value) => isNumber(field) && field > value },
+    gte: { takes: isNumber, test: (field, value) => isNumber(field) && field >= value },
+    in: {
+        takes: value => Array.isArray(value) && value.every(isPrimitive),
+        test: (field, value) => value.map(lower).includes(lower(field)),
+    },
+    not_in: {
+        takes: value => Array.isArray(value) && value.every(isPrimitive),
+        test: (field, value) => !value.map(lower).includes(lower(field)),
+    },
+    contains: {
+        takes: isPrimitive,
+        test: (field, value) => (Array.isArray(field)
+            ? field.map(lower).includes(lower(value))
+            : typeof field === 'string' && field.toLowerCase().includes(String(value).toLowerCase())),
+    },
+    starts_with: {
+        takes: value => typeof value === 'string',
+        test: (field, value) => typeof field === 'string' && field.toLowerCase().startsWith(value.toLowerCase()),
+    },
+    ends_with: {
+        takes: value => typeof value === 'string',
+        test: (field, value) => typeof field === 'string' && field.toLowerCase().endsWith(value.toLowerCase()),
+    },
+    matches: {
+        takes: value => typeof value === 'string' && value.length <= MAX_PATTERN_LENGTH && compiles(value) && !patternProblem(value),
+        test: (field, value) => typeof field === 'string' && timedMatch(value, field),
+    },
+    exists: { takes: value => typeof value === 'boolean', test: (field, value) => (field !== undefined && field !== null) === value },
+};
+
+function compiles(pattern) {
+    try {
+        new RegExp(pattern, 'i');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Why a pattern could backtrack catastrophically, or null: backreferences,
+ * lookaround, or a repeated group that itself repeats or alternates
+ * (`(a+)+`, `(a|aa)*`)
+ */
+function patternProblem(pattern) {
+    if (/\\[1-9]|\\k</.test(pattern)) return 'backreferences are not allowed';
+    // Per open group: whether it contains a quantifier or an alternation
+    const groups = [{ repeats: false }];
+    const isQuantifier = char => ['*', '+', '?', '{'].includes(char);
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) if (pattern[i] === '\\') i++;
+        } else if (char === '(') {
+            if (/^\(\?<?[=!]/.test(pattern.slice(i))) return 'lookahead and lookbehind are not allowed';
+            groups.push({ repeats: false });
+        } else if (char === ')') {
+            const group = groups.pop();
+            if (!groups.length) return 'unbalanced parentheses';
+            // An optional group runs at most once, so only loops count here
+            const repeated = ['*', '+', '{'].includes(pattern[i + 1]);
+            if (repeated && group.repeats) return 'a repeated group may not repeat or alternate inside';
+            groups[groups.length - 1].repeats ||= repeated || group.repeats;
+        } else if (char === '|') {
+            groups[groups.length - 1].repeats = true;
+        } else if (isQuantifier(char) && pattern[i - 1] !== '(') {
+            groups[groups.length - 1].repeats = true;
+        }
+    }
+    return null;
+}
+
+const matcher = { script: new vm.Script('pattern.test(text)'), context: vm.createContext({ pattern: null, text: '' }) };
+
+/**
+ * Test a pattern under MATCH_TIMEOUT_MS; a match that runs out of time is no match
+ */
+function timedMatch(pattern, text) {
+    Object.assign(matcher.context, { pattern: new RegExp(pattern, 'i'), text: text.slice(0, MAX_MATCH_INPUT) });
+    try {
+        return matcher.script.runInContext(matcher.context, { timeout: MATCH_TIMEOUT_MS });
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+        return false;
+    }
+}
+
+/**
+ * Problems with one condition, as [{ path, message }]
+ */
+function conditionErrors(condition, path, depth = 1) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [{ path, message: 'must be an object' }];
+    }
+    if (depth > MAX_DEPTH) return [{ path, message: `nests deeper than ${MAX_DEPTH} levels` }];
+
+    for (const group of ['all', 'any']) {
+        if (group in condition) {
+            const list = condition[group];
+            if (!Array.isArray(list) || !list.length) return [{ path: `${path}.${group}`, message: 'must be a non-empty array' }];
+            return list.flatMap((child, i) => conditionErrors(child, `${path}.${group}[${i}]`, depth + 1));
+        }
+    }
+    if ('not' in condition) return conditionErrors(condition.not, `${path}.not`, depth + 1);
+
+    const { field, op, value } = condition;
+    if (typeof field !== 'string' || !field) return [{ path: `${path}.field`, message: 'must be a dotted field path (or use all / any / not)' }];
+    if (!OPERATORS[op]) return [{ path: `${path}.op`, message: `must be one of ${Object.keys(OPERATORS).join(', ')}` }];
+    if (!OPERATORS[op].takes(value)) {
+        const problem = op === 'matches' && typeof value === 'string' && compiles(value) && patternProblem(value);
+        return [{ path: `${path}.value`, message: problem ? `is not a safe pattern: ${problem}` : `is not a valid value for "${op}"` }];
+    }
+    return [];
+}
+
+/**
+ * Check a rule list before it is published or dry-run
+ * @throws {ApiError} INVALID_RULES
+ */
+function checkRules(rules) {
+    const errors = [];
+    const seen = new Set();
+    rules.forEach((rule, i) => {
+        if (seen.has(rule.id)) errors.push({ path: `$.rules[${i}].id`, message: `duplicates the id "${rule.id}"` });
+        seen.add(rule.id);
+        errors.push(...conditionErrors(rule.when, `$.rules[${i}].when`));
+    });
+    if (errors.length) {
+        throw new ApiError('INVALID_RULES', `${errors.length} problem${errors.length === 1 ? '' : 's'} in the rules: ${errors[0].path} ${errors[0].message}`, { errors });
+    }
+}
+
+/**
+ * What rules can test: the output plus the derived fields
+ */
+function factsOf(service, output) {
+    const domain = typeof output.domain === 'string' ? output.domain : output.classification?.domain;
+    return {
+        ...output,
+        service,
+        score: scoreOf(output),
+        tld: domain ? domain.toLowerCase().replace(/\.$/, '').split('.').pop() : null,
+        ...(Array.isArray(output.checks) && { failed_checks: output.checks.filter(c => c && !c.passed).length }),
+    };
+}
+
+// The `tld` fact has no leading dot; rules may write ".top" or "top"
+function withoutDot(value) {
+    if (Array.isArray(value)) return value.map(withoutDot);
+    return typeof value === 'string' ? value.replace(/^\./, '') : value;
+}
+
+function fieldOf(facts, path) {
+    const at = object => path.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), object);
+    const value = at(facts);
+    return value === undefined && facts.checks && !Array.isArray(facts.checks) ? at(facts.checks) : value;
+}
+
+function holds(condition, facts) {
+    if (condition.all) return condition.all.every(child => holds(child, facts));
+    if (condition.any) return condition.any.some(child => holds(child, facts));
+    if (condition.not) return !holds(condition.not, facts);
+
+    const value = fieldOf(facts, condition.field);
+    if (value === undefined && condition.op !== 'exists') return false;
+    const expected = condition.field === 'tld' ? withoutDot(condition.value) : condition.value;
+    return OPERATORS[condition.op].test(value, expected);
+}
+
+/**
+ * Rules of a list that fire on an analyzer output, in order
+ */
+function firedRules(rules, service, output) {
+    const facts = factsOf(service, output);
+    return rules.filter(rule => rule.enabled !== false
+        && (!rule.services?.length || rule.services.includes(service))
+        && holds(rule.when, facts));
+}
+
+/**
+ * The analyzer's own output of a response the rules may have changed
+ */
+function analyzerOutput(output) {
+    if (!output.policy_rules) return output;
+    const { policy_rules, ...rest } = output;
+    return { ...rest, verdict: policy_rules.verdict_before };
+}
+
+/**
+ * An analyzer output judged by a rule set: the first rule that fires sets
+ * the verdict, and every rule that fired is cited
+ */
+function judge(ruleSet, service, output) {
+    const fired = ruleSet ? firedRules(ruleSet.rules, service, output) : [];
+    if (!fired.length) return output;
+    return {
+        ...output,
+        verdict: fired[0].verdict,
+        policy_rules: {
+            version: ruleSet.version,
+            verdict_before: output.verdict ?? null,
+            applied: fired[0].id,
+            fired: fired.map(rule => ({ id: rule.id, description: rule.description || null, verdict: rule.verdict })),
+        },
+    };
+}
+
+/**
+ * Judge an analyzer output by the caller's active rule set
+ */
+async function applyRules(keyData, service, output) {
+    return judge(await activeRuleSet(tenantOf(keyData)), service, output);
+}
+
+/**
+ * Run an analyzer under the caller's policy: allow / deny lists first (which
+ * skip the analyzer), then the rules on its output
+ * @param {Object} keyData - Caller's key (or a job / watchlist carrying orgId and ownerId)
+ * @param {string} service - Service name the input belongs to
+ * @param {Object} input - The analyzer's input fields
+ * @param {Function} run - Runs the analyzer
+ */
+async function withPolicy(keyData, service, input, run) {
+    return withLists(keyData, service, input, async () => applyRules(keyData, service, await run()));
+}
+
+/**
+ * Re-judge a tenant's stored reports with other rules without changing
+ * anything. Bulk reports and list overrides are skipped.
+ * @param {Object} ruleSet - { version (null for unpublished rules), rules }
+ */
+async function dryRun(keyData, ruleSet, { service, from, to, limit = 100 } = {}) {
+    const tenant = tenantOf(keyData);
+    const records = (await reportStore.list(r => r.tenant === tenant
+        && (!service || r.service === service)
+        && (!from || r.day >= from)
+        && (!to || r.day <= to)))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+
+    const counts = Object.fromEntries(ruleSet.rules.map(rule => [rule.id, 0]));
+    const reports = [];
+    let evaluated = 0;
+    let skipped = 0;
+    for (const record of records) {
+        const document = await reportStore.load(record);
+        const output = document?.output;
+        if (!output || Array.isArray(output.results) || output.policy_override) {
+            skipped++;
+            continue;
+        }
+        evaluated++;
+
+        const original = analyzerOutput(output);
+        const judged = judge(ruleSet, record.service, original);
+        const fired = judged.policy_rules?.fired.map(rule => rule.id) || [];
+        for (const id of fired) counts[id]++;
+        if (fired.length || judged.verdict !== output.verdict) {
+            reports.push({
+                report_id: record.id,
+                service: record.service,
+                indicator: record.indicator,
+                created: record.createdAt,
+                verdict: output.verdict ?? null,
+                analyzer_verdict: original.verdict ?? null,
+                dry_run_verdict: judged.verdict ?? null,
+                changed: judged.verdict !== output.verdict,
+                fired,
+            });
+        }
+    }
+
+    return {
+        version: ruleSet.version,
+        evaluated,
+        skipped,
+        matched: reports.filter(r => r.fired.length).length,
+        changed: reports.filter(r => r.changed).length,
+        rules: ruleSet.rules.map(rule => ({ id: rule.id, fired: counts[rule.id] })),
+        reports,
+    };
+}
+
+/**
+ * Public view of a rule set version (without its rules when `rules` is false)
+ */
+function describeRuleSet(set, { rules = true } = {}) {
+    return {
+        version: set.version,
+        ...(rules && { rules: set.rules }),
+        rule_count: set.rules.length,
+        note: set.note,
+        key_id: set.keyId,
+        restored_from: set.restoredFrom,
+        created: set.created,
+    };
+}
+
+/**
+ * One version of a tenant's rule set
+ * @throws {ApiError} RULE_SET_NOT_FOUND
+ */
+async function loadRuleSet(keyData, version) {
+    const [set] = await ruleSets.list({ tenant: tenantOf(keyData), version: Number(version) });
+    if (!set) throw new ApiError('RULE_SET_NOT_FOUND', `No rule set version ${version}`);
+    return set;
+}
+
+module.exports = {
+    withPolicy, applyRules, checkRules, firedRules, dryRun, describeRuleSet, loadRuleSet, OPERATORS,
+};
@@ -0,0 +1,210 @@
+/**
+ * Verify.IQ - Report Diff
+ * Compares two stored reports of the same service, field by field. URL scan
+ * results (on their own or inside an investigation) also get the checks that
+ * changed and how each check's share of the IQ score moved; arrays of plain
+ * values (flags, alerts, threats, ...) are compared as sets. A short summary
+ * in plain sentences explains the biggest changes first.
+ */
+
+const { ApiError } = require('../errors');
+const { scoreContributions, SCORE_WEIGHTS } = require('./urlScanner');
+const { describeReport } = require('./history');
+
+// Fields that differ on every run and say nothing about the target
+const IGNORED_FIELDS = new Set(['processing_time_ms', 'cache']);
+
+// Contribution changes smaller than this are left out of the summary
+const MIN_SUMMARY_DELTA = 0.5;
+
+// Check fields quoted per check in the summary
+const MAX_SUMMARY_FIELDS = 3;
+
+const round = value => Math.round(value * 100) / 100;
+
+const isPrimitive = value => value === null || typeof value !== 'object';
+
+/**
+ * Flatten a value into { path: value }, with arrays of plain values kept whole
+ */
+function flatten(value, path = '', out = {}) {
+    if (Array.isArray(value) && value.every(isPrimitive)) {
+        out[path] = { set: value };
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            if (IGNORED_FIELDS.has(key) || child === undefined) continue;
+            flatten(child, path ? `${path}.${key}` : key, out);
+        }
+    } else {
+        out[path] = value;
+    }
+    return out;
+}
+
+function diffFields(before, after) {
+    const a = flatten(before);
+    const b = flatten(after);
+    const fields = { changed: [], added: [], removed: [] };
+    const flags = [];
+
+    for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        const [x, y] = [a[path], b[path]];
+        if (x?.set || y?.set) {
+            const old = new Set(x?.set || []);
+            const now = new Set(y?.set || []);
+            const added = [...now].filter(v => !old.has(v));
+            const removed = [...old].filter(v => !now.has(v));
+            if (added.length || removed.length) flags.push({ path, added, removed });
+        } else if (!(path in a)) {
+            fields.added.push({ path, after: y });
+        } else if (!(path in b)) {
+            fields.removed.push({ path, before: x });
+        } else if (x !== y) {
+            fields.changed.push({ path, before: x, after: y });
+        }
+    }
+    return { fields, flags };
+}
+
+/**
+ * Where the URL scan sits in a report's output, if it has one
+ */
+function scanPathOf(output) {
+    if (output?.checks && typeof output.checks === 'object') return '';
+    if (output?.sections?.url_scan?.result?.checks) return 'sections.url_scan.result.';
+    return null;
+}
+
+function scanAt(output, path) {
+    return path.split('.').filter(Boolean).reduce((value, key) => value?.[key], output);
+}
+
+/**
+ * Each check's share of a scan's IQ score: from its score_breakdown, or
+ * recomputed with today's server profile for scans stored before breakdowns
+ */
+function contributionsOf(scan) {
+    return scan.score_breakdown?.signals || scoreContributions(scan.checks);
+}
+
+function diffScan(before, after, path) {
+    const a = scanAt(before, path);
+    const b = scanAt(after, path);
+    if (!a?.checks || !b?.checks) return null;
+
+    const checks = Object.keys({ ...a.checks, ...b.checks })
+        .map(name => {
+            const { fields, flags } = diffFields(a.checks[name] || {}, b.checks[name] || {});
+            const changes = [
+                ...fields.changed.map(({ path: field, before: x, after: y }) => ({ field, before: x, after: y })),
+                ...fields.added.map(({ path: field, after: y }) => ({ field, before: null, after: y })),
+                ...fields.removed.map(({ path: field, before: x }) => ({ field, before: x, after: null })),
+                ...flags.map(({ path: field, added, removed }) => ({ field, added, removed })),
+            ];
+            return { check: name, changes };
+        })
+        .filter(c => c.changes.length);
+
+    const old = contributionsOf(a);
+    const now = contributionsOf(b);
+    const contributions = Object.fromEntries(Object.keys(SCORE_WEIGHTS).map(name => {
+        const x = old[name] ? round(old[name].contribution) : null;
+        const y = now[name] ? round(now[name].contribution) : null;
+        const weight = (now[name] || old[name])?.weight ?? SCORE_WEIGHTS[name];
+        return [name, { weight, before: x, after: y, delta: round((y || 0) - (x || 0)) }];
+    }));
+    const profiles = [a.score_breakdown?.profile || null, b.score_breakdown?.profile || null];
+
+    return { checks, contributions, profiles };
+}
+
+function show(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function summarize({ same_target, a, b, score, verdict, scan, flags, fields }) {
+    const lines = [];
+    if (!same_target) lines.push(`The reports are about different targets (${a.indicator} and ${b.indicator}).`);
+
+    if (score && score.delta) {
+        lines.push(`${scan ? 'IQ score' : 'Score'} ${score.delta < 0 ? 'fell' : 'rose'} from ${score.before} to ${score.after} (${score.delta > 0 ? '+' : ''}${score.delta}).`);
+    }
+    if (verdict.changed) lines.push(`Verdict changed from "${verdict.before}" to "${verdict.after}".`);
+
+    if (scan) {
+        const [x, y] = scan.profiles;
+        if (x && y && x !== y) lines.push(`The scans were scored with different profiles (${x} and ${y}).`);
+        const moved = Object.entries(scan.contributions)
+            .filter(([, c]) => Math.abs(c.delta) >= MIN_SUMMARY_DELTA)
+            .sort(([, x], [, y]) => Math.abs(y.delta) - Math.abs(x.delta));
+        for (const [name, c] of moved) {
+            const check = scan.checks.find(x => x.check === name);
+            const why = (check?.changes || []).filter(ch => 'before' in ch).slice(0, MAX_SUMMARY_FIELDS)
+                .map(ch => `${ch.field} ${show(ch.before)} → ${show(ch.after)}`);
+            lines.push(`${name}: ${c.delta > 0 ? '+' : ''}${c.delta} points (weight ${c.weight})${why.length ? `, ${why.join(', ')}` : ''}.`);
+        }
+        for (const check of scan.checks) {
+            for (const ch of check.changes.filter(x => x.added)) {
+                if (ch.added.length) lines.push(`New in ${check.check}.${ch.field}: ${ch.added.map(show).join(', ')}.`);
+                if (ch.removed.length) lines.push(`Gone from ${check.check}.${ch.field}: ${ch.removed.map(show).join(', ')}.`);
+            }
+        }
+    }
+
+    for (const flag of flags) {
+        if (flag.added.length) lines.push(`New in ${flag.path}: ${flag.added.map(show).join(', ')}.`);
+        if (flag.removed.length) lines.push(`Gone from ${flag.path}: ${flag.removed.map(show).join(', ')}.`);
+    }
+
+    const other = fields.changed.length + fields.added.length + fields.removed.length;
+    if (other) lines.push(`${other} field${other === 1 ? '' : 's'} changed (see "fields").`);
+    if (!lines.length) lines.push('No differences.');
+    return lines;
+}
+
+/**
+ * Compare report `a` (the baseline) with report `b`
+ * @param {{ record: Object, document: Object }} a - As returned by loadReport
+ * @param {{ record: Object, document: Object }} b
+ * @throws {ApiError} REPORTS_NOT_COMPARABLE
+ */
+function diffReports(a, b) {
+    if (a.record.service !== b.record.service) {
+        throw new ApiError('REPORTS_NOT_COMPARABLE', `Report "${a.record.id}" is from ${a.record.service} and "${b.record.id}" from ${b.record.service}`, {
+            services: [a.record.service, b.record.service],
+        });
+    }
+
+    const before = a.document.output;
+    const after = b.document.output;
+    const scanPath = scanPathOf(before) ?? scanPathOf(after);
+    const scan = scanPath === null ? null : diffScan(before, after, scanPath);
+
+    // Check fields and score breakdowns are reported per check, not again among the fields
+    const all = diffFields(before, after);
+    const outsideChecks = entry => !scan || !(entry.path.startsWith(`${scanPath}checks.`) || entry.path.startsWith(`${scanPath}score_breakdown.`));
+    const fields = Object.fromEntries(Object.entries(all.fields).map(([kind, list]) => [kind, list.filter(outsideChecks)]));
+    const flags = all.flags.filter(outsideChecks);
+
+    const [x, y] = [a.record.score, b.record.score];
+    const score = x !== null || y !== null
+        ? { before: x, after: y, delta: x !== null && y !== null ? round(y - x) : null }
+        : null;
+    const verdict = { before: a.record.verdict, after: b.record.verdict, changed: a.record.verdict !== b.record.verdict };
+
+    const diff = {
+        service: a.record.service,
+        same_target: a.record.indicator === b.record.indicator,
+        a: describeReport(a.record),
+        b: describeReport(b.record),
+        score,
+        verdict,
+        ...(scan && { checks: scan.checks, score_contributions: scan.contributions }),
+        flags,
+        fields,
+    };
+    return { ...diff, summary: summarize({ ...diff, scan }) };
+}
+
+module.exports = { diffReports };
@@ -0,0 +1,162 @@
+/**
+ * Verify.IQ - Report Signing
+ * Analyzer responses can carry an Ed25519 signature so a recipient (a
+ * marketplace, a payment processor) can check that a verdict came from us
+ * unmodified. The signature covers the canonical JSON (RFC 8785 / JCS) of
+ * the whole response including its `signature` block minus `value`, so the
+ * report id, signing time and key id are covered too.
+ *
+ * Stored reports are signed once, when they are stored, and keep that
+ * signature; responses that are not stored are signed as they are sent.
+ *
+ * The key comes from REPORT_SIGNING_KEY (PKCS#8 PEM), else from the file at
+ * REPORT_SIGNING_KEY_PATH (default $DATA_DIR/report-signing-key.pem), which
+ * is created on first use. To rotate, move the old key (or its public half)
+ * into REPORT_SIGNING_RETIRED_DIR (default $DATA_DIR/report-signing-retired):
+ * reports it signed keep verifying by their key id. Every public key is
+ * served as a JWK set at /.well-known/jwks.json, the current one first.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { dataPath } = require('../store/jsonFile');
+
+const ALGORITHM = 'Ed25519';
+const CANONICALIZATION = 'JCS';
+
+/**
+ * RFC 8785 serialization: keys sorted by UTF-16 code units, no whitespace,
+ * ECMAScript number and string formatting
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const members = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${members.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function loadKeyPair() {
+    let pem = process.env.REPORT_SIGNING_KEY?.replace(/\\n/g, '\n');
+    if (!pem && process.env.STORE === 'memory' && !process.env.REPORT_SIGNING_KEY_PATH) {
+        console.warn('REPORT_SIGNING_KEY not set — using a random key; signed reports will not verify after a restart.');
+        pem = crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+    }
+    if (!pem) {
+        const file = process.env.REPORT_SIGNING_KEY_PATH || dataPath('report-signing-key.pem');
+        if (!fs.existsSync(file)) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+            console.log(`Created a report signing key at ${file}`);
+        }
+        pem = fs.readFileSync(file, 'utf8');
+    }
+
+    const privateKey = crypto.createPrivateKey(pem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error('The report signing key must be an Ed25519 key');
+    return { privateKey, ...publicKeyOf(crypto.createPublicKey(privateKey)) };
+}
+
+function publicKeyOf(publicKey) {
+    const { x } = publicKey.export({ format: 'jwk' });
+    // Key id: start of the SHA-256 of the raw public key
+    const keyId = crypto.createHash('sha256').update(Buffer.from(x, 'base64url')).digest('hex').slice(0, 16);
+    return { publicKey, keyId, x };
+}
+
+/**
+ * Public halves of the retired keys (*.pem, private or public) in
+ * REPORT_SIGNING_RETIRED_DIR
+ */
+function loadRetiredKeys() {
+    if (process.env.STORE === 'memory' && !process.env.REPORT_SIGNING_RETIRED_DIR) return [];
+    const dir = process.env.REPORT_SIGNING_RETIRED_DIR || dataPath('report-signing-retired');
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => name.endsWith('.pem')).sort().map(name => {
+        const publicKey = crypto.createPublicKey(fs.readFileSync(path.join(dir, name), 'utf8'));
+        if (publicKey.asymmetricKeyType !== 'ed25519') throw new Error(`Retired report signing key ${name} is not an Ed25519 key`);
+        return publicKeyOf(publicKey);
+    });
+}
+
+let keyPair = null;
+let verifyingKeys = null;
+
+// Loaded on first use (the first stored report or signed response), not at startup
+function signingKey() {
+    if (!keyPair) keyPair = loadKeyPair();
+    return keyPair;
+}
+
+/**
+ * Every key a signature may name: the current one, then the retired ones, by key id
+ */
+function publicKeys() {
+    if (!verifyingKeys) {
+        verifyingKeys = new Map([signingKey(), ...loadRetiredKeys()].map(key => [key.keyId, key]));
+    }
+    return verifyingKeys;
+}
+
+/**
+ * Whether the caller asked for a signed response (X-Sign-Report: true, or
+ * ?sign=true for EventSource clients, which cannot send headers)
+ */
+function wantsSignature(req) {
+    return /^(true|1)$/i.test(req.get('X-Sign-Report') || '') || /^(true|1)$/i.test(String(req.query.sign ?? ''));
+}
+
+/**
+ * A copy of an analyzer response with a `signature` block
+ * @param {Object} output - The response body
+ * @param {Object} [options]
+ * @param {string} [options.reportId] - Stored report id (a new id when the report is not stored)
+ * @param {string} [options.signedAt] - ISO timestamp (now)
+ */
+function signReport(output, { reportId, signedAt = new Date().toISOString() } = {}) {
+    const { privateKey, keyId } = signingKey();
+    const { signature: ignored, ...body } = JSON.parse(JSON.stringify(output));
+    const signature = {
+        report_id: reportId || uuidv4(),
+        signed_at: signedAt,
+        key_id: keyId,
+        algorithm: ALGORITHM,
+        canonicalization: CANONICALIZATION,
+    };
+    const value = crypto.sign(null, Buffer.from(canonicalJson({ ...body, signature })), privateKey).toString('base64url');
+    return { ...body, signature: { ...signature, value } };
+}
+
+/**
+ * Check a signed report as received
+ * @returns {{ valid: boolean, reason: string|null, report_id, signed_at, key_id }}
+ */
+function verifyReport(report) {
+    const { value, ...signature } = report.signature || {};
+    const result = { report_id: signature.report_id ?? null, signed_at: signature.signed_at ?? null, key_id: signature.key_id ?? null };
+    const key = publicKeys().get(signature.key_id);
+
+    let reason = null;
+    if (signature.algorithm !== ALGORITHM || signature.canonicalization !== CANONICALIZATION) {
+        reason = `Unsupported algorithm or canonicalization (expected ${ALGORITHM} / ${CANONICALIZATION})`;
+    } else if (!key) {
+        reason = `Signed with an unknown key "${signature.key_id}"`;
+    } else if (typeof value !== 'string' || !value) {
+        reason = 'The signature has no value';
+    } else if (!crypto.verify(null, Buffer.from(canonicalJson({ ...report, signature })), key.publicKey, Buffer.from(value, 'base64url'))) {
+        reason = 'The signature does not match: the report was modified or signed by someone else';
+    }
+    return { valid: !reason, reason, ...result };
+}
+
+/**
+ * Public keys as a JWK set, the current one first
+ */
+function publicJwks() {
+    return { keys: [...publicKeys().values()].map(({ keyId, x }) => ({ kty: 'OKP', crv: 'Ed25519', x, kid: keyId, use: 'sig', alg: 'EdDSA' })) };
+}
+
+module.exports = { signReport, verifyReport, publicJwks, wantsSignature, canonicalJson };
@@ -0,0 +1,120 @@
+/**
+ * Verify.IQ - Scoring Profiles
+ * How a URL scan's checks add up to its IQ score and verdict: the weight of
+ * each signal and the score cutoffs of the verdict buckets. The server's
+ * profile comes from SCORING_PROFILE (a preset name, or the path of a JSON
+ * file with { "preset", "weights", "cutoffs" }); an organization can set its
+ * own through /api/orgs/me/scoring-profile.
+ *
+ * A profile spec names a preset and overrides some of its weights or
+ * cutoffs; it is resolved against the preset at scan time, so stored specs
+ * follow changes to the presets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('../errors');
+const { orgs } = require('../store/orgStore');
+
+// The checks that earn IQ score points
+const SIGNALS = ['domain_age', 'ssl', 'safe_browsing', 'dns', 'whois', 'reputation'];
+
+const PRESETS = {
+    default: {
+        description: 'Balanced weights for general URL screening',
+        weights: { domain_age: 25, ssl: 15, safe_browsing: 30, dns: 10, whois: 10, reputation: 10 },
+        cutoffs: { safe: 75, suspicious: 50 },
+    },
+    ecommerce: {
+        description: 'Storefronts and suppliers: an established, registered domain and a clean reputation count most',
+        weights: { domain_age: 30, ssl: 15, safe_browsing: 20, dns: 5, whois: 15, reputation: 15 },
+        cutoffs: { safe: 75, suspicious: 50 },
+    },
+    crypto: {
+        description: 'Exchanges, wallets and token sites: threat listings and new domains weigh heavily, and the buckets are stricter',
+        weights: { domain_age: 30, ssl: 10, safe_browsing: 35, dns: 5, whois: 5, reputation: 15 },
+        cutoffs: { safe: 80, suspicious: 60 },
+    },
+    'email-security': {
+        description: 'Sender and link domains: mail records (MX, SPF, DMARC) weigh most',
+        weights: { domain_age: 20, ssl: 5, safe_browsing: 15, dns: 35, whois: 10, reputation: 15 },
+        cutoffs: { safe: 70, suspicious: 45 },
+    },
+};
+
+/**
+ * Problems with a profile spec, as strings
+ */
+function profileProblems({ preset = 'default', weights = {}, cutoffs = {} }) {
+    if (!PRESETS[preset]) return [`unknown preset "${preset}" (one of ${Object.keys(PRESETS).join(', ')})`];
+
+    const problems = [];
+    for (const [signal, weight] of Object.entries(weights)) {
+        if (!SIGNALS.includes(signal)) problems.push(`unknown signal "${signal}" (one of ${SIGNALS.join(', ')})`);
+        else if (typeof weight !== 'number' || weight < 0 || weight > 100) problems.push(`weight of ${signal} must be a number from 0 to 100`);
+    }
+    const merged = { ...PRESETS[preset].weights, ...weights };
+    if (!problems.length && !SIGNALS.some(signal => merged[signal] > 0)) problems.push('at least one weight must be above 0');
+
+    const { safe, suspicious } = { ...PRESETS[preset].cutoffs, ...cutoffs };
+    if ([safe, suspicious].some(cutoff => typeof cutoff !== 'number' || cutoff < 0 || cutoff > 100)) {
+        problems.push('cutoffs must be numbers from 0 to 100');
+    } else if (suspicious >= safe) {
+        problems.push('the suspicious cutoff must be below the safe cutoff');
+    }
+    return problems;
+}
+
+/**
+ * Full profile from a spec: { name, preset, weights, cutoffs }
+ * @throws {ApiError} INVALID_SCORING_PROFILE
+ */
+function resolveProfile(spec = {}) {
+    const problems = profileProblems(spec);
+    if (problems.length) {
+        throw new ApiError('INVALID_SCORING_PROFILE', `Invalid scoring profile: ${problems.join('; ')}`, { problems });
+    }
+    const preset = spec.preset || 'default';
+    return {
+        name: spec.name || preset,
+        preset,
+        weights: { ...PRESETS[preset].weights, ...spec.weights },
+        cutoffs: { ...PRESETS[preset].cutoffs, ...spec.cutoffs },
+    };
+}
+
+/**
+ * The server's profile from SCORING_PROFILE (a bad setting stops the server)
+ */
+function loadServerProfile(setting = process.env.SCORING_PROFILE) {
+    if (!setting || PRESETS[setting]) return resolveProfile({ preset: setting || 'default' });
+    try {
+        return resolveProfile(JSON.parse(fs.readFileSync(path.resolve(setting), 'utf8')));
+    } catch (error) {
+        throw new Error(`SCORING_PROFILE "${setting}" is neither a preset nor a valid profile file: ${error.message}`);
+    }
+}
+
+const SERVER_PROFILE = loadServerProfile();
+
+function serverProfile() {
+    return SERVER_PROFILE;
+}
+
+/**
+ * The profile a caller's scans are scored with: their organization's, else the server's
+ * @param {Object} keyData - Caller's key (or a job / watchlist carrying orgId)
+ */
+async function profileFor(keyData) {
+    const org = keyData.orgId ? await orgs.get(keyData.orgId) : null;
+    return org?.scoringProfile ? resolveProfile(org.scoringProfile) : SERVER_PROFILE;
+}
+
+/**
+ * Every preset as a full profile, with its description
+ */
+function describePresets() {
+    return Object.entries(PRESETS).map(([name, preset]) => ({ ...resolveProfile({ preset: name }), description: preset.description }));
+}
+
+module.exports = { resolveProfile, serverProfile, profileFor, describePresets, PRESETS, SIGNALS };
@@ -0,0 +1,92 @@
+/**
+ * Verify.IQ - Supplier Trust Scoring
+ * Scores a supplier's website on registration, reputation, domain
+ * authenticity and contact signals derived from its URL scan.
+ */
+
+const urlScanner = require('./urlScanner');
+
+const SupplierScorer = {
+    /**
+     * Score a supplier website
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {Object} [options.scan] - urlScanner.scanUrl() result for the URL, to reuse instead of scanning again
+     * @returns {Promise<Object>} Analysis result
+     */
+    analyze: async (url, { scan } = {}) => {
+        // Start with a URL scan as the foundation
+        const scanResult = scan || await urlScanner.scanUrl(url);
+
+        // Build supplier-specific signals
+        const domain = scanResult.domain;
+        const domainScore = scanResult.iq_score;
+
+        // Business registration heuristic
+        const registrationScore = scanResult.checks.whois?.registered ? 65 : 20;
+
+        // Review signal (heuristic based on domain reputation)
+        const reviewScore = Math.min(100, Math.max(0, scanResult.checks.reputation?.score || 50));
+
+        // Domain authenticity
+        const domainAuthScore = Math.min(100,
+            (scanResult.checks.domain_age?.age_days > 365 ? 40 : 15) +
+            (scanResult.checks.ssl?.valid ? 25 : 0) +
+            (scanResult.checks.dns?.has_records ? 20 : 0) +
+            (scanResult.checks.dns?.has_spf ? 15 : 0)
+        );
+
+        // Contact verification heuristic
+        const contactScore = (scanResult.checks.dns?.mx_count > 0 ? 50 : 10) +
+            (scanResult.checks.whois?.registrar ? 30 : 0) +
+            (scanResult.checks.dns?.has_records ? 20 : 0);
+
+        // Composite Trust IQ
+        const trust_iq = Math.round(
+            registrationScore * 0.30 +
+            reviewScore * 0.25 +
+            domainAuthScore * 0.25 +
+            contactScore * 0.20
+        );
+
+        // Generate flags
+        const flags = [];
+        if (scanResult.checks.domain_age?.age_days < 90) {
+            flags.push({ level: 'danger', message: `Domain is only ${scanResult.checks.domain_age.age_days} days old — very new for a supplier` });
+        }
+        if (!scanResult.checks.ssl?.valid) {
+            flags.push({ level: 'danger', message: 'No valid SSL certificate — sensitive data at risk' });
+        }
+        if (!scanResult.checks.safe_browsing?.safe) {
+            flags.push({ level: 'danger', message: 'Flagged by safe browsing databases' });
+        }
+        if (!scanResult.checks.whois?.registered) {
+            flags.push({ level: 'warning', message: 'Could not verify domain registration' });
+        }
+        if (scanResult.checks.dns?.mx_count === 0) {
+            flags.push({ level: 'warning', message: 'No email server configured — no verifiable business email' });
+        }
+
+        let verdict;
+        if (trust_iq >= 70) verdict = 'Supplier appears legitimate and well-established';
+        else if (trust_iq >= 45) verdict = 'Exercise caution — some trust signals are weak';
+        else verdict = 'High risk — multiple red flags detected';
+
+        return {
+            trust_iq,
+            verdict,
+            url,
+            domain,
+            signals: {
+                registration: registrationScore,
+                reviews: reviewScore,
+                domain: domainAuthScore,
+                contact: Math.min(100, contactScore),
+            },
+            flags,
+            processing_time_ms: scanResult.processing_time_ms,
+        };
+    },
+};
+
+module.exports = SupplierScorer;
@@ -0,0 +1,137 @@
+/**
+ * Verify.IQ - Trading Shield
+ * Checks a trading or exchange website for SSL, age, threat listings, clone
+ * patterns of known regulated exchanges and registration quality.
+ */
+
+const urlScanner = require('./urlScanner');
+
+const TradingShield = {
+    /**
+     * Check a trading platform URL
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {Object} [options.scan] - urlScanner.scanUrl() result for the URL, to reuse instead of scanning again
+     * @returns {Promise<Object>} Analysis result
+     */
+    analyze: async (url, { scan } = {}) => {
+        const startTime = Date.now();
+
+        // Full URL scan
+        const scanResult = scan || await urlScanner.scanUrl(url);
+
+        // Trading-specific checks
+        const domain = scanResult.domain;
+        const checks = [];
+        const alerts = [];
+
+        // Check 1: SSL Certificate
+        checks.push({
+            name: 'SSL Security',
+            passed: scanResult.checks.ssl?.valid || false,
+            detail: scanResult.checks.ssl?.valid
+                ? `Valid SSL · ${scanResult.checks.ssl.issuer}`
+                : 'No valid SSL — NEVER enter credentials',
+        });
+
+        // Check 2: Domain Age
+        const ageDays = scanResult.checks.domain_age?.age_days || 0;
+        checks.push({
+            name: 'Domain Age',
+            passed: ageDays > 180,
+            detail: ageDays > 0
+                ? `${Math.floor(ageDays / 365)}y ${Math.floor((ageDays % 365) / 30)}mo old`
+                : 'Unknown',
+        });
+
+        // Check 3: Safe Browsing
+        checks.push({
+            name: 'Threat Database',
+            passed: scanResult.checks.safe_browsing?.safe || false,
+            detail: scanResult.checks.safe_browsing?.safe
+                ? 'Not listed in threat databases'
+                : 'URL flagged as potentially dangerous',
+        });
+
+        // Check 4: Known regulated exchanges
+        const knownRegulated = [
+            'binance.com', 'coinbase.com', 'kraken.com', 'gemini.com',
+            'crypto.com', 'robinhood.com', 'etoro.com', 'interactive brokers',
+            'fidelity.com', 'schwab.com', 'tdameritrade.com',
+        ];
+        const isKnownExchange = knownRegulated.some(e => domain.includes(e));
+
+        checks.push({
+            name: 'Exchange Verification',
+            passed: isKnownExchange,
+            detail: isKnownExchange
+                ? 'Known regulated exchange'
+                : 'Not in verified exchange database — verify independently',
+        });
+
+        // Check 5: Clone detection (simple domain similarity)
+        const clonePatterns = knownRegulated.some(legit => {
+            const root = legit.split('.')[0];
+            return domain.includes(root) && !domain.includes(legit);
+        });
+
+        checks.push({
+            name: 'Clone Detection',
+            passed: !clonePatterns,
+            detail: clonePatterns
+                ? '⚠️ Domain resembles a known exchange — possible clone'
+                : 'No clone patterns detected',
+        });
+
+        // Check 6: Registration quality
+        checks.push({
+            name: 'Registration Quality',
+            passed: scanResult.checks.whois?.registered || false,
+            detail: scanResult.checks.whois?.registrar
+                ? `Registrar: ${scanResult.checks.whois.registrar}`
+                : 'Registration details unavailable',
+        });
+
+        // Generate alerts
+        if (clonePatterns) {
+            alerts.push({ level: 'danger', message: 'This domain closely resembles a known exchange. This could be a phishing clone. Do NOT enter your credentials.' });
+        }
+        if (!scanResult.checks.ssl?.valid) {
+            alerts.push({ level: 'danger', message: 'No SSL encryption detected. Never enter sensitive information on this site.' });
+        }
+        if (ageDays < 90) {
+            alerts.push({ level: 'warning', message: `Domain is only ${ageDays} days old. Be extremely cautious with new trading platforms.` });
+        }
+        if (!scanResult.checks.safe_browsing?.safe) {
+            alerts.push({ level: 'danger', message: 'This URL has been flagged in threat databases. Exit immediately.' });
+        }
+        if (isKnownExchange && scanResult.checks.ssl?.valid) {
+            alerts.push({ level: 'safe', message: 'This appears to be a verified, regulated trading platform.' });
+        }
+
+        // Risk level
+        const failedChecks = checks.filter(c => !c.passed).length;
+        let risk_level;
+        if (failedChecks >= 4) risk_level = 'critical';
+        else if (failedChecks >= 3) risk_level = 'high';
+        else if (failedChecks >= 2) risk_level = 'medium';
+        else risk_level = 'low';
+
+        let verdict;
+        if (risk_level === 'low') verdict = 'This platform appears to be legitimate';
+        else if (risk_level === 'medium') verdict = 'Some concerns detected — verify independently before transacting';
+        else verdict = 'Multiple red flags — do NOT enter credentials or funds';
+
+        return {
+            risk_level,
+            verdict,
+            url,
+            domain,
+            checks,
+            alerts,
+            processing_time_ms: Date.now() - startTime,
+        };
+    },
+};
+
+module.exports = TradingShield;
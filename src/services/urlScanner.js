@@ -13,6 +13,8 @@ const https = require('https');
 const http = require('http');
 const { URL } = require('url');
 const tls = require('tls');
+const { getCheckCache } = require('../store/checkCache');
+const { serverProfile, PRESETS } = require('./scoringProfiles');
 
 // ============================================
 // CONFIGURATION
@@ -50,11 +52,61 @@ const PHISHING_PATTERNS = [
     /claim.*reward.*\./i,
 ];
 
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// The checks behind every scan: what each caches its result under and for how
+// long, and the result used when one throws
+const CHECKS = {
+    domain_age: {
+        run: ({ domain }) => checkDomainAge(domain),
+        cacheKey: ({ rootDomain }) => rootDomain, ttl: 24 * HOUR,
+        fallback: { error: 'Check failed', age_days: 0 },
+    },
+    ssl: {
+        run: ({ domain, isHttps }) => checkSSL(domain, isHttps),
+        cacheKey: ({ domain }) => domain, ttl: HOUR,
+        fallback: { valid: false, error: 'Check failed' },
+    },
+    dns: {
+        run: ({ domain }) => checkDNS(domain),
+        cacheKey: ({ domain }) => domain, ttl: HOUR,
+        fallback: { has_records: false, error: 'Check failed' },
+    },
+    safe_browsing: {
+        run: ({ url }) => checkSafeBrowsing(url),
+        cacheKey: ({ url }) => url, ttl: 10 * MINUTE,
+        fallback: { safe: true, fallback: true },
+    },
+    whois: {
+        run: ({ domain }) => checkWhois(domain),
+        cacheKey: ({ rootDomain }) => rootDomain, ttl: 24 * HOUR,
+        fallback: { registered: false, error: 'Check failed' },
+    },
+    reputation: {
+        run: ({ url, domain }) => checkReputation(url, domain),
+        cacheKey: ({ url }) => url, ttl: HOUR,
+        fallback: { score: 50 },
+    },
+};
+
+const CHECK_NAMES = Object.keys(CHECKS);
+
 // ============================================
 // MAIN SCAN FUNCTION
 // ============================================
 
-async function scanUrl(url) {
+/**
+ * Scan a URL
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Skip cached check results (fresh ones are still cached)
+ * @param {Object} [options.profile] - Scoring profile (see scoringProfiles.js; defaults to the server's)
+ * @param {Function} [options.onCheck] - Called as each check settles with
+ *   { check, result, cache, provisional_score, completed, total };
+ *   provisional_score is the IQ score over the checks settled so far
+ */
+async function scanUrl(url, { fresh = false, profile = serverProfile(), onCheck } = {}) {
     const startTime = Date.now();
 
     let parsedUrl;
@@ -71,40 +123,34 @@ async function scanUrl(url) {
     }
 
     const domain = parsedUrl.hostname;
+    const target = { url, domain, rootDomain: getRootDomain(domain), isHttps: parsedUrl.protocol === 'https:' };
+
+    // Run all checks concurrently, reporting each one as it settles
+    const settled = {};
+    const cacheStatus = {};
+    await Promise.all(Object.entries(CHECKS).map(async ([name, check]) => {
+        ({ result: settled[name], cache: cacheStatus[name] } = await runCheck(name, check, target, fresh));
+        if (onCheck) {
+            onCheck({
+                check: name,
+                result: settled[name],
+                cache: cacheStatus[name],
+                provisional_score: computeIQScore(settled, profile),
+                completed: Object.keys(settled).length,
+                total: CHECK_NAMES.length,
+            });
+        }
+    }));
 
-    // Run all checks concurrently
-    const [
-        domainAgeResult,
-        sslResult,
-        dnsResult,
-        safeBrowsingResult,
-        whoisResult,
-        reputationResult,
-    ] = await Promise.allSettled([
-        checkDomainAge(domain),
-        checkSSL(domain, parsedUrl.protocol === 'https:'),
-        checkDNS(domain),
-        checkSafeBrowsing(url),
-        checkWhois(domain),
-        checkReputation(url, domain),
-    ]);
-
-    const checks = {
-        domain_age: domainAgeResult.status === 'fulfilled' ? domainAgeResult.value : { error: 'Check failed', age_days: 0 },
-        ssl: sslResult.status === 'fulfilled' ? sslResult.value : { valid: false, error: 'Check failed' },
-        dns: dnsResult.status === 'fulfilled' ? dnsResult.value : { has_records: false, error: 'Check failed' },
-        safe_browsing: safeBrowsingResult.status === 'fulfilled' ? safeBrowsingResult.value : { safe: true, fallback: true },
-        whois: whoisResult.status === 'fulfilled' ? whoisResult.value : { registered: false, error: 'Check failed' },
-        reputation: reputationResult.status === 'fulfilled' ? reputationResult.value : { score: 50 },
-    };
+    const checks = Object.fromEntries(CHECK_NAMES.map(name => [name, settled[name]]));
 
     // Compute IQ Score
-    const iq_score = computeIQScore(checks, url, domain);
+    const iq_score = computeIQScore(checks, profile);
 
     // Determine verdict
     let verdict;
-    if (iq_score >= 75) verdict = 'safe';
-    else if (iq_score >= 50) verdict = 'suspicious';
+    if (iq_score >= profile.cutoffs.safe) verdict = 'safe';
+    else if (iq_score >= profile.cutoffs.suspicious) verdict = 'suspicious';
     else verdict = 'dangerous';
 
     return {
@@ -113,10 +159,63 @@ async function scanUrl(url) {
         url,
         domain,
         checks,
+        score_breakdown: scoreBreakdown(checks, profile),
+        cache: summarizeCache(cacheStatus, fresh),
         processing_time_ms: Date.now() - startTime,
     };
 }
 
+/**
+ * Run one check through the cache. Only clean results (no `error`) are cached,
+ * so failures are retried on the next scan.
+ * @returns {Promise<{result: Object, cache: Object}>} cache: { status, cached_at, expires_at }
+ */
+async function runCheck(name, check, target, fresh) {
+    const cache = getCheckCache();
+    const key = `${name}:${check.cacheKey(target)}`;
+
+    if (!fresh) {
+        const entry = await cache.get(key).catch(() => null);
+        if (entry) return { result: entry.value, cache: describeCacheEntry('hit', entry) };
+    }
+
+    const status = fresh ? 'bypass' : 'miss';
+    let result;
+    try {
+        result = await check.run(target);
+    } catch (e) {
+        return { result: { ...check.fallback }, cache: describeCacheEntry(status, null) };
+    }
+    if (result.error) return { result, cache: describeCacheEntry(status, null) };
+
+    const entry = await cache.set(key, result, check.ttl).catch((e) => {
+        console.error(`Caching the ${name} check failed:`, e.message);
+        return null;
+    });
+    return { result, cache: describeCacheEntry(status, entry) };
+}
+
+function describeCacheEntry(status, entry) {
+    return {
+        status,
+        cached_at: entry ? new Date(entry.storedAt).toISOString() : null,
+        expires_at: entry ? new Date(entry.expiresAt).toISOString() : null,
+    };
+}
+
+/**
+ * Overall cache status of a scan: hit (every check cached), miss (none),
+ * partial, or bypass (?fresh=true)
+ */
+function summarizeCache(checks, fresh) {
+    const hits = Object.values(checks).filter(c => c.status === 'hit').length;
+    let status;
+    if (fresh) status = 'bypass';
+    else if (hits === CHECK_NAMES.length) status = 'hit';
+    else status = hits ? 'partial' : 'miss';
+    return { status, checks: Object.fromEntries(CHECK_NAMES.map(name => [name, checks[name]])) };
+}
+
 // ============================================
 // CHECK: Domain Age
 // ============================================
@@ -407,62 +506,101 @@ async function checkReputation(url, domain) {
 // IQ SCORE COMPUTATION
 // ============================================
 
-function computeIQScore(checks, url, domain) {
-    let score = 0;
-    let totalWeight = 0;
-
-    // Domain Age — Weight: 25
-    const ageWeight = 25;
-    totalWeight += ageWeight;
-    if (checks.domain_age.age_days > 730) score += ageWeight; // 2+ years
-    else if (checks.domain_age.age_days > 365) score += ageWeight * 0.8;
-    else if (checks.domain_age.age_days > 180) score += ageWeight * 0.6;
-    else if (checks.domain_age.age_days > 30) score += ageWeight * 0.3;
-    else score += ageWeight * 0.1;
-
-    // SSL — Weight: 15
-    const sslWeight = 15;
-    totalWeight += sslWeight;
-    if (checks.ssl.valid) {
-        score += sslWeight;
-        // Bonus for long-lived certs
-        if (checks.ssl.days_remaining > 90) score += 2;
-    }
+// Share of the IQ score each check can contribute under the default profile
+// (scoring profiles set their own)
+const SCORE_WEIGHTS = PRESETS.default.weights;
 
-    // Safe Browsing — Weight: 30
-    const sbWeight = 30;
-    totalWeight += sbWeight;
-    if (checks.safe_browsing.safe) score += sbWeight;
-
-    // DNS — Weight: 10
-    const dnsWeight = 10;
-    totalWeight += dnsWeight;
-    if (checks.dns.has_records) {
-        score += dnsWeight * 0.5;
-        if (checks.dns.mx_count > 0) score += dnsWeight * 0.2;
-        if (checks.dns.has_spf) score += dnsWeight * 0.15;
-        if (checks.dns.has_dmarc) score += dnsWeight * 0.15;
-    }
+// Extra SSL points for a certificate with over 90 days left under the
+// default profile, scaled with the SSL weight of other profiles (none at 0)
+const SSL_LONG_LIVED_BONUS = 2;
 
-    // WHOIS — Weight: 10
-    const whoisWeight = 10;
-    totalWeight += whoisWeight;
-    if (checks.whois.registered) {
-        score += whoisWeight * 0.6;
-        if (checks.whois.registrar && checks.whois.registrar !== 'Unknown (no WHOIS key)') {
-            score += whoisWeight * 0.4;
+/**
+ * Points a check earns, from 0 to its weight
+ */
+function checkPoints(name, check, weight) {
+    switch (name) {
+        case 'domain_age':
+            if (check.age_days > 730) return weight; // 2+ years
+            if (check.age_days > 365) return weight * 0.8;
+            if (check.age_days > 180) return weight * 0.6;
+            if (check.age_days > 30) return weight * 0.3;
+            return weight * 0.1;
+        case 'ssl':
+            return check.valid ? weight : 0;
+        case 'safe_browsing':
+            return check.safe ? weight : 0;
+        case 'dns': {
+            if (!check.has_records) return 0;
+            let points = weight * 0.5;
+            if (check.mx_count > 0) points += weight * 0.2;
+            if (check.has_spf) points += weight * 0.15;
+            if (check.has_dmarc) points += weight * 0.15;
+            return points;
+        }
+        case 'whois': {
+            if (!check.registered) return 0;
+            let points = weight * 0.6;
+            if (check.registrar && check.registrar !== 'Unknown (no WHOIS key)') points += weight * 0.4;
+            return points;
         }
+        case 'reputation':
+            return (check.score / 100) * weight;
+        default:
+            return 0;
     }
+}
+
+/**
+ * Points a check earns on top of its weight: the SSL bonus for long-lived certs
+ */
+function bonusPoints(name, check, weight) {
+    if (name !== 'ssl' || !check.valid || !(check.days_remaining > 90)) return 0;
+    return (weight * SSL_LONG_LIVED_BONUS) / PRESETS.default.weights.ssl;
+}
+
+/**
+ * IQ score (0-100) over the checks present in `checks`, so a partial set
+ * gives a provisional score
+ */
+function computeIQScore(checks, profile) {
+    const contributions = scoreContributions(checks, profile);
+    if (!Object.keys(contributions).length) return 0;
 
-    // Reputation — Weight: 10
-    const repWeight = 10;
-    totalWeight += repWeight;
-    score += (checks.reputation.score / 100) * repWeight;
+    const score = Object.values(contributions).reduce((sum, c) => sum + c.contribution, 0);
+    return Math.round(Math.max(0, Math.min(100, score)));
+}
 
-    // Normalize to 0-100
-    const iqScore = Math.round(Math.max(0, Math.min(100, (score / totalWeight) * 100)));
+/**
+ * What each check present in `checks` adds to the IQ score (before rounding
+ * and clamping): { [check]: { weight, points, contribution } }, where
+ * contribution is the points normalized to the 0-100 scale
+ */
+function scoreContributions(checks, profile = serverProfile()) {
+    const { weights } = profile;
+    const present = Object.keys(weights).filter(name => checks[name]);
+    const totalWeight = present.reduce((sum, name) => sum + weights[name], 0);
+    return Object.fromEntries(present.map(name => {
+        const points = Math.max(0, Math.min(weights[name], checkPoints(name, checks[name], weights[name])))
+            + bonusPoints(name, checks[name], weights[name]);
+        return [name, { weight: weights[name], points, contribution: totalWeight ? (points / totalWeight) * 100 : 0 }];
+    }));
+}
 
-    return iqScore;
+/**
+ * The `score_breakdown` of a scan: the profile it was scored with and what
+ * each signal added, so the IQ score can be explained
+ */
+function scoreBreakdown(checks, profile) {
+    const round = value => Math.round(value * 100) / 100;
+    const contributions = scoreContributions(checks, profile);
+    return {
+        profile: profile.name,
+        cutoffs: profile.cutoffs,
+        signals: Object.fromEntries(Object.entries(contributions).map(([name, c]) => [
+            name,
+            { weight: c.weight, points: round(c.points), contribution: round(c.contribution) },
+        ])),
+    };
 }
 
 // ============================================
@@ -523,4 +661,4 @@ function fetchJSON(url, options = {}) {
     });
 }
 
-module.exports = { scanUrl };
+module.exports = { scanUrl, getRootDomain, scoreContributions, CHECK_NAMES, SCORE_WEIGHTS };
@@ -0,0 +1,446 @@
+/**
+ * Verify.IQ - Watchlists
+ * Re-scans watched URLs, emails, wallets and social handles on their cron
+ * schedule through the investigator (the same analyzers as /api/investigate),
+ * compares each result with the previous run and raises an alert for every
+ * entry that changed: verdict, IQ score drop, certificate expiring or turning
+ * invalid, new safe-browsing threat, honeypot status flip.
+ *
+ * Alerts are stored with the watchlist and sent as watchlist.alert webhook
+ * events (plus watchlist.verdict_changed when the verdict moved). Scheduled
+ * runs missed while the server was down run once on start().
+ *
+ * Every run is charged one investigate request per entry, scheduled runs to
+ * the key that created (or last resumed) the watchlist. A schedule whose key
+ * was revoked, expired or left the watchlist's organization is paused.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const investigator = require('./investigator');
+const { parseCron, nextRun, shortestInterval } = require('./cron');
+const { dispatcher } = require('./webhooks');
+const { recordEntities } = require('./entityGraph');
+const { withPolicy } = require('./policyRules');
+const { profileFor } = require('./scoringProfiles');
+const { watchlists, runs, alerts, pruneHistory } = require('../store/watchlistStore');
+const { orgs } = require('../store/orgStore');
+const { getKeyStore } = require('../store/keyStore');
+const { ledger } = require('../store/ledger');
+const { TIER_LIMITS, consumeQuota } = require('../middleware/apiKey');
+const { ApiError } = require('../errors');
+
+const DEFAULT_SCHEDULE = '0 6 * * 1';
+const MIN_INTERVAL_MINUTES = Number(process.env.WATCHLIST_MIN_INTERVAL_MINUTES) || 60;
+// Entries re-scanned at once per run
+const CONCURRENCY = Number(process.env.WATCHLIST_CONCURRENCY) || 4;
+// IQ score points lost between two runs before it counts as a drop
+const SCORE_DROP = Number(process.env.WATCHLIST_SCORE_DROP) || 10;
+const SSL_EXPIRY_DAYS = 14;
+
+// Watched entries across all watchlists of an organization (or owner without one), by tier
+const WATCHLIST_LIMITS = { free: 10, pro: 1000, business: 10000 };
+
+// setTimeout cannot wait longer than this; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const VERDICT_RANK = { safe: 0, suspicious: 1, dangerous: 2 };
+
+/**
+ * Check that a schedule parses, fires, and not more often than the minimum interval
+ * @returns {Date} Its next occurrence
+ * @throws {ApiError} INVALID_SCHEDULE
+ */
+function validateSchedule(expression) {
+    const schedule = parseCron(expression);
+    const next = nextRun(schedule);
+    if (!next) throw new ApiError('INVALID_SCHEDULE', `"${expression}" never fires`);
+    if (shortestInterval(schedule) < MIN_INTERVAL_MINUTES * 60000) {
+        throw new ApiError('INVALID_SCHEDULE', `"${expression}" fires more often than every ${MIN_INTERVAL_MINUTES} minutes`);
+    }
+    return next;
+}
+
+/**
+ * Classify a requested entry into a stored one
+ * @param {Object} input - { indicator, type, chain, platform, label }
+ * @throws {ApiError} INVALID_INDICATOR (including free text, which cannot be watched)
+ */
+function buildEntry({ indicator, type, chain, platform, label }) {
+    const classification = investigator.classifyIndicator(indicator, { type, chain, platform });
+    if (classification.type === 'text') {
+        throw new ApiError('INVALID_INDICATOR', `"${indicator.slice(0, 100)}" is not a URL, email, wallet, social handle or image URL and cannot be watched`);
+    }
+    return {
+        id: uuidv4(),
+        indicator: indicator.trim(),
+        type: classification.type,
+        chain: classification.chain || null,
+        platform: platform || null,
+        label: label || null,
+        addedAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        snapshot: null,
+    };
+}
+
+/**
+ * Tier of a watchlist's organization, or of its creator's key
+ */
+async function tierOf({ orgId, keyId }) {
+    const org = orgId ? await orgs.get(orgId) : null;
+    if (org) return org.tier;
+    const key = keyId ? await getKeyStore().findById(keyId) : null;
+    return key?.tier || 'free';
+}
+
+/**
+ * Key that runs a watchlist on its schedule, or null when it can no longer:
+ * revoked, expired, or no longer in the watchlist's organization
+ */
+async function scheduleKeyOf(watchlist) {
+    const key = await getKeyStore().findById(watchlist.keyId);
+    if (!key || key.status === 'revoked') return null;
+    if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) return null;
+    if ((key.orgId || null) !== (watchlist.orgId || null)) return null;
+    return key;
+}
+
+/**
+ * Refuse to watch more entries than the tier allows
+ * @param {Object} keyData - Key record of the caller
+ * @param {number} adding - Entries about to be added
+ * @throws {ApiError} WATCHLIST_LIMIT_REACHED
+ */
+async function assertCapacity(keyData, adding) {
+    const limit = WATCHLIST_LIMITS[await tierOf({ orgId: keyData.orgId, keyId: keyData.id })] ?? WATCHLIST_LIMITS.free;
+    const owned = await watchlists.list(w => (keyData.orgId ? w.orgId === keyData.orgId : w.ownerId === keyData.ownerId));
+    const watched = owned.reduce((sum, w) => sum + w.entries.length, 0);
+    if (watched + adding > limit) {
+        throw new ApiError('WATCHLIST_LIMIT_REACHED', `Your tier allows ${limit} watched entries; you watch ${watched}`, { limit, watched });
+    }
+}
+
+/**
+ * What a run keeps of an investigation to compare with the next one
+ */
+function snapshotOf(report) {
+    const result = name => (report.sections[name]?.status === 'completed' ? report.sections[name].result : null);
+    const scan = result('url_scan');
+    const wallet = result('rug_pull_check');
+    const email = result('email_verify');
+    return {
+        verdict: report.verdict === 'unknown' ? null : report.verdict,
+        iq_score: scan?.iq_score ?? null,
+        ssl_valid: scan ? Boolean(scan.checks?.ssl?.valid) : null,
+        ssl_days_remaining: scan?.checks?.ssl?.days_remaining ?? null,
+        threats: scan?.checks?.safe_browsing?.threats || [],
+        is_honeypot: wallet ? Boolean(wallet.isHoneypot) : null,
+        wallet_risk: wallet?.risk_level ?? null,
+        email_verdict: email?.verdict ?? null,
+    };
+}
+
+/**
+ * Differences between two snapshots worth alerting on
+ * @returns {Array} [{ type, severity, previous, current, message }]
+ */
+function diffSnapshots(previous, current) {
+    const changes = [];
+    const known = field => previous[field] !== null && previous[field] !== undefined && current[field] !== null;
+    const change = (type, severity, field, message) => changes.push({ type, severity, previous: previous[field], current: current[field], message });
+
+    if (known('verdict') && previous.verdict !== current.verdict) {
+        const worse = VERDICT_RANK[current.verdict] > VERDICT_RANK[previous.verdict];
+        change('verdict_changed', worse ? (current.verdict === 'dangerous' ? 'critical' : 'warning') : 'info', 'verdict',
+            `Verdict changed from ${previous.verdict} to ${current.verdict}`);
+    }
+    if (known('iq_score') && previous.iq_score - current.iq_score >= SCORE_DROP) {
+        const drop = previous.iq_score - current.iq_score;
+        change('iq_score_drop', drop >= 2 * SCORE_DROP ? 'critical' : 'warning', 'iq_score',
+            `IQ score dropped by ${drop} points (${previous.iq_score} to ${current.iq_score})`);
+    }
+    if (known('ssl_valid') && previous.ssl_valid && !current.ssl_valid) {
+        change('ssl_invalid', 'critical', 'ssl_valid', 'The SSL certificate is no longer valid');
+    } else if (current.ssl_days_remaining !== null && current.ssl_days_remaining <= SSL_EXPIRY_DAYS
+        && !(previous.ssl_days_remaining !== null && previous.ssl_days_remaining <= SSL_EXPIRY_DAYS)) {
+        change('ssl_expiring', 'warning', 'ssl_days_remaining', `The SSL certificate expires in ${current.ssl_days_remaining} days`);
+    }
+    const newThreats = current.threats.filter(threat => !previous.threats.includes(threat));
+    if (newThreats.length) {
+        changes.push({ type: 'new_threat', severity: 'critical', previous: previous.threats, current: current.threats, message: `New safe-browsing threat: ${newThreats.join(', ')}` });
+    }
+    if (known('is_honeypot') && previous.is_honeypot !== current.is_honeypot) {
+        change('honeypot_changed', current.is_honeypot ? 'critical' : 'info', 'is_honeypot',
+            current.is_honeypot ? 'The token is now flagged as a honeypot' : 'The token is no longer flagged as a honeypot');
+    }
+    return changes;
+}
+
+/**
+ * Public view of an alert (also the watchlist.alert event payload)
+ */
+function describeAlert(alert) {
+    return {
+        id: alert.id,
+        watchlist_id: alert.watchlistId,
+        run_id: alert.runId,
+        entry_id: alert.entryId,
+        indicator: alert.indicator,
+        severity: alert.severity,
+        changes: alert.changes,
+        created: alert.created,
+        acknowledged_at: alert.acknowledgedAt,
+    };
+}
+
+class WatchlistScheduler {
+    constructor() {
+        this.timers = new Map();
+        // Ids of watchlists with a run in progress
+        this.running = new Set();
+    }
+
+    /**
+     * Close runs cut short by a restart and arm every active schedule
+     */
+    async start() {
+        for (const run of await runs.list({ status: 'running' })) {
+            await runs.update(run.id, { status: 'interrupted', finishedAt: new Date().toISOString() });
+        }
+        for (const watchlist of await watchlists.list({ status: 'active' })) {
+            this.schedule(watchlist);
+        }
+    }
+
+    schedule(watchlist) {
+        this.unschedule(watchlist.id);
+        if (watchlist.status !== 'active' || !watchlist.nextRunAt) return;
+
+        const delay = Math.max(0, Date.parse(watchlist.nextRunAt) - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(watchlist.id);
+            this.fire(watchlist.id).catch(e => console.error(`Watchlist ${watchlist.id} run failed:`, e));
+        }, Math.min(delay, MAX_TIMER_MS));
+        timer.unref();
+        this.timers.set(watchlist.id, timer);
+    }
+
+    unschedule(id) {
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+    }
+
+    /**
+     * Timer callback: start the scheduled run and arm the next one
+     */
+    async fire(id) {
+        const watchlist = await watchlists.get(id);
+        if (!watchlist || watchlist.status !== 'active') return;
+        // Waits longer than MAX_TIMER_MS wake up early
+        if (Date.parse(watchlist.nextRunAt) > Date.now()) {
+            this.schedule(watchlist);
+            return;
+        }
+
+        const key = await scheduleKeyOf(watchlist);
+        if (!key) {
+            await watchlists.update(id, {
+                status: 'paused',
+                nextRunAt: null,
+                pausedReason: 'The key running this watchlist was revoked, expired or left the organization. Resume it with another key.',
+            });
+            return;
+        }
+
+        const next = nextRun(watchlist.schedule);
+        const updated = await watchlists.update(id, { nextRunAt: next ? next.toISOString() : null });
+        this.schedule(updated);
+        // A run that is still going covers this occurrence
+        if (this.running.has(id)) return;
+        try {
+            await this.run(updated, 'schedule', key);
+        } catch (error) {
+            if (!['QUOTA_EXCEEDED', 'PRO_FEATURE'].includes(error.code)) throw error;
+            // Recorded so the history shows why this occurrence did not run
+            const now = new Date().toISOString();
+            await runs.insert({
+                id: uuidv4(), watchlistId: id, trigger: 'schedule', status: 'skipped', total: updated.entries.length,
+                processed: 0, failed: 0, alerts: 0, results: [], error: error.message, startedAt: now, finishedAt: now,
+            });
+        }
+    }
+
+    /**
+     * Charge a run to its key's investigate quota, one request per entry,
+     * and log it in the metering ledger
+     * @throws {ApiError} QUOTA_EXCEEDED or PRO_FEATURE
+     */
+    async charge(watchlist, trigger, keyData) {
+        const units = watchlist.entries.length;
+        if (units === 0) return;
+        const charged = await consumeQuota(keyData, 'investigate', null, units);
+        ledger.append({
+            ts: new Date().toISOString(),
+            key_id: charged.id,
+            org_id: charged.orgId || null,
+            owner_id: charged.ownerId || null,
+            tier: charged.tier,
+            service: 'investigate',
+            units,
+            method: trigger === 'manual' ? 'POST' : 'SCHEDULE',
+            path: `/api/watchlists/${watchlist.id}/runs`,
+            status: 202,
+            outcome: 'success',
+            latency_ms: 0,
+        });
+    }
+
+    /**
+     * Charge and start a run in the background
+     * @param {Object} watchlist
+     * @param {string} trigger - 'schedule' or 'manual'
+     * @param {Object} keyData - Key record the run is charged to
+     * @returns {Promise<Object>} The run record (status "running")
+     * @throws {ApiError} WATCHLIST_RUNNING, QUOTA_EXCEEDED, PRO_FEATURE
+     */
+    async run(watchlist, trigger, keyData) {
+        if (this.running.has(watchlist.id)) {
+            throw new ApiError('WATCHLIST_RUNNING', `Watchlist "${watchlist.name}" is already being re-scanned`);
+        }
+        this.running.add(watchlist.id);
+
+        let run;
+        try {
+            await this.charge(watchlist, trigger, keyData);
+            run = await runs.insert({
+                id: uuidv4(),
+                watchlistId: watchlist.id,
+                trigger,
+                status: 'running',
+                total: watchlist.entries.length,
+                processed: 0,
+                failed: 0,
+                alerts: 0,
+                results: [],
+                error: null,
+                startedAt: new Date().toISOString(),
+                finishedAt: null,
+            });
+        } catch (error) {
+            this.running.delete(watchlist.id);
+            throw error;
+        }
+
+        this.execute(watchlist, run)
+            .catch(async (error) => {
+                console.error(`Watchlist ${watchlist.id} run ${run.id} failed:`, error);
+                await runs.update(run.id, { status: 'interrupted', finishedAt: new Date().toISOString() });
+            })
+            .catch(() => {})
+            .finally(() => this.running.delete(watchlist.id));
+        return run;
+    }
+
+    async execute(watchlist, run) {
+        // Modules the tier does not include are skipped, as in /api/investigate
+        const limits = TIER_LIMITS[await tierOf(watchlist)] || TIER_LIMITS.free;
+        const skipReason = service => (limits[service] === 0 ? `${service} requires a Pro subscription` : null);
+
+        const { entries } = watchlist;
+        const results = new Array(entries.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < entries.length) {
+                const index = next++;
+                results[index] = await this.check(watchlist, entries[index], skipReason);
+                await runs.update(run.id, r => ({
+                    processed: r.processed + 1,
+                    failed: r.failed + (results[index].status === 'failed' ? 1 : 0),
+                }));
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(CONCURRENCY, entries.length) }, worker));
+
+        const now = new Date().toISOString();
+        const checked = new Map(results.filter(r => r.status === 'completed').map(r => [r.entry_id, r]));
+        const updated = await watchlists.update(watchlist.id, w => ({
+            entries: w.entries.map(e => (checked.has(e.id) ? { ...e, snapshot: checked.get(e.id).snapshot, lastCheckedAt: now } : e)),
+            lastRunAt: now,
+        }));
+        // Deleted while running: nothing left to alert
+        if (!updated) return;
+
+        let raised = 0;
+        for (const result of results.filter(r => r.changes.length)) {
+            await this.alert(updated, run, result);
+            raised++;
+        }
+
+        await runs.update(run.id, { status: 'completed', alerts: raised, results, finishedAt: new Date().toISOString() });
+        await pruneHistory(watchlist.id);
+    }
+
+    /**
+     * Re-scan one entry and compare it with its previous snapshot
+     */
+    async check(watchlist, entry, skipReason) {
+        const base = { entry_id: entry.id, indicator: entry.indicator };
+        try {
+            const options = { type: entry.type, chain: entry.chain || undefined, platform: entry.platform || undefined };
+            const report = await withPolicy(watchlist, 'investigate', { indicator: entry.indicator, ...options }, async () => investigator.investigate(entry.indicator, {
+                ...options,
+                fresh: true,
+                profile: await profileFor(watchlist),
+                skipReason,
+            }));
+            recordEntities({ id: watchlist.keyId, ownerId: watchlist.ownerId, orgId: watchlist.orgId }, 'investigation', report, 'watchlist')
+                .catch(e => console.error('Entity graph update failed:', e.message));
+
+            const snapshot = snapshotOf(report);
+            const changes = entry.snapshot ? diffSnapshots(entry.snapshot, snapshot) : [];
+            return { ...base, status: 'completed', verdict: report.verdict, snapshot, changes, error: null };
+        } catch (error) {
+            return { ...base, status: 'failed', verdict: null, snapshot: null, changes: [], error: error.message };
+        }
+    }
+
+    async alert(watchlist, run, result) {
+        const severity = result.changes.reduce((worst, c) => (SEVERITY_RANK[c.severity] > SEVERITY_RANK[worst] ? c.severity : worst), 'info');
+        const alert = await alerts.insert({
+            id: uuidv4(),
+            watchlistId: watchlist.id,
+            runId: run.id,
+            entryId: result.entry_id,
+            indicator: result.indicator,
+            severity,
+            changes: result.changes,
+            created: new Date().toISOString(),
+            acknowledgedAt: null,
+        });
+
+        const context = { keyId: watchlist.keyId, orgId: watchlist.orgId };
+        const about = { watchlist: { id: watchlist.id, name: watchlist.name }, entry: { id: result.entry_id, indicator: result.indicator } };
+        dispatcher.dispatch('watchlist.alert', { ...about, alert: describeAlert(alert) }, context)
+            .catch(e => console.error('Webhook dispatch failed:', e.message));
+
+        const verdictChange = result.changes.find(c => c.type === 'verdict_changed');
+        if (verdictChange) {
+            dispatcher.dispatch('watchlist.verdict_changed', {
+                ...about,
+                previous_verdict: verdictChange.previous,
+                verdict: verdictChange.current,
+                alert_id: alert.id,
+                run_id: run.id,
+            }, context).catch(e => console.error('Webhook dispatch failed:', e.message));
+        }
+        return alert;
+    }
+}
+
+const scheduler = new WatchlistScheduler();
+
+module.exports = {
+    scheduler, WatchlistScheduler, validateSchedule, buildEntry, assertCapacity, snapshotOf, diffSnapshots, describeAlert,
+    DEFAULT_SCHEDULE, WATCHLIST_LIMITS,
+};
@@ -0,0 +1,260 @@
+/**
+ * Verify.IQ - Webhook Delivery
+ * Sends events to registered endpoints as signed JSON POSTs, retrying failed
+ * deliveries with exponential backoff. Every attempt is logged and pending
+ * retries survive a restart (start() reschedules them).
+ *
+ * Each request carries:
+ *   X-VerifyIQ-Event      - event type (e.g. job.completed)
+ *   X-VerifyIQ-Delivery   - delivery id (new for every replay)
+ *   X-VerifyIQ-Signature  - "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}` keyed with the webhook secret>"
+ * The body is { id, type, created_at, data }; event ids stay the same across
+ * retries and replays so receivers can deduplicate.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { webhooks, deliveries, pruneDeliveries } = require('../store/webhookStore');
+
+const EVENTS = {
+    'job.completed': 'An asynchronous job finished processing all of its items',
+    'scan.dangerous': 'A URL scan (single, bulk or job) returned the "dangerous" verdict',
+    'watchlist.verdict_changed': 'A re-scan of a watched entity changed its verdict',
+    'watchlist.alert': 'A re-scan of a watched entity differs from the previous one (verdict, IQ score drop, SSL, new threat, honeypot status)',
+    'webhook.test': 'Sent on demand by POST /api/webhooks/:id/test',
+};
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Delay before retry n is RETRY_BASE_MS * 2^(n-1): 30s, 1m, 2m, 4m, 8m by default
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const TIMEOUT_MS = 10000;
+const MAX_RESPONSE_EXCERPT = 500;
+
+// Loopback, private, link-local and other non-routable ranges (blocked unless WEBHOOK_ALLOW_PRIVATE=true)
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Signature header value for a body
+ */
+function sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+function newSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function isPrivateAddress(ip) {
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    return PRIVATE_RANGES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Why a URL cannot receive webhooks, or null if it can. Also guards the other
+ * requests the server makes to caller-supplied URLs (image downloads), which
+ * pass allowPrivate: false.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate] - Accept private and loopback hosts (WEBHOOK_ALLOW_PRIVATE)
+ * @returns {Promise<string|null>}
+ */
+async function urlProblem(url, { allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE === 'true' } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return 'is not a valid URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'must use http or https';
+    if (allowPrivate) return null;
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(a => a.address);
+    } catch (e) {
+        return `host "${host}" does not resolve`;
+    }
+    if (addresses.some(isPrivateAddress)) {
+        return 'points to a private or loopback address (set WEBHOOK_ALLOW_PRIVATE=true to allow local receivers)';
+    }
+    return null;
+}
+
+/**
+ * The start of a receiver's response body, for the delivery log. Reads at
+ * most MAX_RESPONSE_EXCERPT bytes and cancels the rest of the stream, so a
+ * receiver cannot make us buffer an unbounded (or endless) body.
+ */
+async function responseExcerpt(response) {
+    if (!response.body) return '';
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    try {
+        while (size < MAX_RESPONSE_EXCERPT) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            size += value.length;
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+    return Buffer.concat(chunks).toString('utf8').slice(0, MAX_RESPONSE_EXCERPT);
+}
+
+/**
+ * Payload of a scan.dangerous event
+ */
+function scanSummary(result) {
+    return { url: result.url, domain: result.domain, iq_score: result.iq_score, verdict: result.verdict };
+}
+
+class WebhookDispatcher {
+    constructor() {
+        this.timers = new Map();
+    }
+
+    /**
+     * Reschedule deliveries that were waiting for a retry when the server stopped
+     */
+    async start() {
+        for (const delivery of await deliveries.list({ status: 'pending' })) {
+            this.schedule(delivery);
+        }
+    }
+
+    /**
+     * Send an event to every active webhook subscribed to it
+     * @param {string} type - Key of EVENTS
+     * @param {Object} data - Event payload
+     * @param {Object} context - { keyId, orgId } of the key the event belongs to
+     */
+    async dispatch(type, data, { keyId, orgId } = {}) {
+        const targets = await webhooks.list(hook => hook.status === 'active'
+            && hook.events.includes(type)
+            && ((hook.scope === 'key' && hook.keyId === keyId) || (hook.scope === 'org' && orgId && hook.orgId === orgId)));
+        if (!targets.length) return [];
+
+        const event = { id: `evt_${uuidv4().replace(/-/g, '')}`, type, created_at: new Date().toISOString(), data };
+        return Promise.all(targets.map(hook => this.enqueue(hook, event)));
+    }
+
+    /**
+     * Send a test event to one webhook, whatever it subscribes to
+     */
+    test(hook) {
+        const event = {
+            id: `evt_${uuidv4().replace(/-/g, '')}`,
+            type: 'webhook.test',
+            created_at: new Date().toISOString(),
+            data: { webhook_id: hook.id, message: 'Test delivery from Verify.IQ' },
+        };
+        return this.enqueue(hook, event);
+    }
+
+    /**
+     * Deliver an earlier event again, as a new delivery
+     */
+    replay(delivery, hook) {
+        return this.enqueue(hook, delivery.event, delivery.id);
+    }
+
+    async enqueue(hook, event, replayOf = null) {
+        const delivery = await deliveries.insert({
+            id: uuidv4(),
+            webhookId: hook.id,
+            event,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: new Date().toISOString(),
+            replayOf,
+            created: new Date().toISOString(),
+        });
+        this.schedule(delivery);
+        pruneDeliveries(hook.id).catch(e => console.error('Webhook delivery pruning failed:', e.message));
+        return delivery;
+    }
+
+    schedule(delivery) {
+        clearTimeout(this.timers.get(delivery.id));
+        const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this.attempt(delivery.id).catch(e => console.error(`Webhook delivery ${delivery.id} failed:`, e));
+        }, delay);
+        timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+
+    /**
+     * Make one delivery attempt and record its outcome
+     */
+    async attempt(id) {
+        const delivery = await deliveries.get(id);
+        if (!delivery || delivery.status !== 'pending') return;
+
+        const hook = await webhooks.get(delivery.webhookId);
+        const startTime = Date.now();
+        const attempt = { at: new Date(startTime).toISOString(), status_code: null, error: null, duration_ms: 0 };
+
+        if (!hook || hook.status !== 'active') {
+            attempt.error = hook ? 'Webhook is disabled' : 'Webhook was deleted';
+            await deliveries.update(id, { status: 'failed', attempts: [...delivery.attempts, attempt], nextAttemptAt: null });
+            return;
+        }
+
+        const body = JSON.stringify(delivery.event);
+        try {
+            const problem = await urlProblem(hook.url);
+            if (problem) throw new Error(`URL ${problem}`);
+
+            const response = await fetch(hook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Verify.IQ-Webhooks/1.0',
+                    'X-VerifyIQ-Event': delivery.event.type,
+                    'X-VerifyIQ-Delivery': delivery.id,
+                    'X-VerifyIQ-Signature': sign(hook.secret, Math.floor(Date.now() / 1000), body),
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(TIMEOUT_MS),
+            });
+            attempt.status_code = response.status;
+            if (response.ok) {
+                response.body?.cancel().catch(() => {});
+            } else {
+                const text = await responseExcerpt(response).catch(() => '');
+                attempt.error = `HTTP ${response.status}${text ? `: ${text}` : ''}`;
+            }
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS / 1000}s` : (error.cause?.message || error.message);
+        }
+        attempt.duration_ms = Date.now() - startTime;
+
+        const attempts = [...delivery.attempts, attempt];
+        if (!attempt.error) {
+            await deliveries.update(id, { status: 'succeeded', attempts, nextAttemptAt: null });
+        } else if (attempts.length >= MAX_ATTEMPTS) {
+            await deliveries.update(id, { status: 'failed', attempts, nextAttemptAt: null });
+        } else {
+            const nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts.length - 1)).toISOString();
+            this.schedule(await deliveries.update(id, { attempts, nextAttemptAt }));
+        }
+    }
+}
+
+const dispatcher = new WebhookDispatcher();
+
+module.exports = { dispatcher, WebhookDispatcher, EVENTS, MAX_ATTEMPTS, sign, newSecret, urlProblem, scanSummary };
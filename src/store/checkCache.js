@@ -0,0 +1,128 @@
+/**
+ * Verify.IQ - Check Result Cache
+ * Pluggable TTL cache in front of the URL scanner's checks, so scanning the
+ * same domain again does not repeat TLS handshakes, DNS queries and paid
+ * lookups. Entries are { value, storedAt, expiresAt } (epoch ms).
+ *
+ * A backend is any object implementing these async methods:
+ *   get(key)               -> entry | null  (null once expired)
+ *   set(key, value, ttlMs) -> entry
+ *   clear()                -> number of entries dropped
+ *
+ * Built-in backends: MemoryCheckCache and FileCheckCache (JSON on disk).
+ * Select with CHECK_CACHE=memory|file|off, or install a custom one via setCheckCache().
+ */
+
+const { JsonFile, dataPath } = require('./jsonFile');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+class MemoryCheckCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries] - Oldest entries are evicted beyond this
+     * @param {Array} [options.entries] - [key, entry] pairs to start with
+     */
+    constructor({ maxEntries = Number(process.env.CHECK_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES, entries = [] } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(entries.filter(([, entry]) => entry.expiresAt > Date.now()));
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return structuredClone(entry);
+    }
+
+    async set(key, value, ttlMs) {
+        const now = Date.now();
+        const entry = { value: structuredClone(value), storedAt: now, expiresAt: now + ttlMs };
+        // Re-insert so Map order stays oldest-first for eviction
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) break;
+            this.entries.delete(oldest);
+        }
+        await this.persist();
+        return structuredClone(entry);
+    }
+
+    async clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        await this.persist();
+        return count;
+    }
+
+    persist() {
+        // Nothing to do for the in-memory backend
+    }
+}
+
+class FileCheckCache extends MemoryCheckCache {
+    /**
+     * @param {string} [filePath] - JSON file holding the cache entries
+     */
+    constructor(filePath = process.env.CHECK_CACHE_PATH || dataPath('check-cache.json')) {
+        const file = new JsonFile(filePath, { entries: [] });
+        super({ entries: file.load().entries });
+        this.file = file;
+    }
+
+    persist() {
+        const now = Date.now();
+        return this.file.save(() => ({ entries: [...this.entries].filter(([, entry]) => entry.expiresAt > now) }));
+    }
+}
+
+/**
+ * Cache that never stores anything (CHECK_CACHE=off)
+ */
+class NoCheckCache {
+    async get() {
+        return null;
+    }
+
+    async set(key, value, ttlMs) {
+        const now = Date.now();
+        return { value, storedAt: now, expiresAt: now + ttlMs };
+    }
+
+    async clear() {
+        return 0;
+    }
+}
+
+let activeCache = null;
+
+/**
+ * Build the backend selected by the CHECK_CACHE environment variable
+ */
+function createCheckCache(type = process.env.CHECK_CACHE || 'memory') {
+    if (type === 'memory') return new MemoryCheckCache();
+    if (type === 'file') return new FileCheckCache();
+    if (type === 'off') return new NoCheckCache();
+    throw new Error(`Unknown CHECK_CACHE backend: ${type}`);
+}
+
+/**
+ * Get the process-wide check cache, creating the default backend on first use
+ */
+function getCheckCache() {
+    if (!activeCache) activeCache = createCheckCache();
+    return activeCache;
+}
+
+/**
+ * Replace the process-wide check cache (custom backends, tests)
+ */
+function setCheckCache(cache) {
+    activeCache = cache;
+}
+
+module.exports = { MemoryCheckCache, FileCheckCache, NoCheckCache, createCheckCache, getCheckCache, setCheckCache };
@@ -0,0 +1,122 @@
+/**
+ * Verify.IQ - Record Collections
+ * Generic id-keyed record store used by the server's smaller data sets
+ * (extension installs, organizations, jobs, ...). Same async surface for
+ * every backend so a database-backed implementation can be swapped in.
+ *
+ *   get(id)              -> record | null
+ *   list(filter)         -> record[]  (filter: field equality, or a predicate)
+ *   insert(record)       -> record    (record.id required)
+ *   update(id, patch)    -> record | null  (patch may be a function of the
+ *                                            current record, applied atomically)
+ *   remove(id)           -> boolean
+ *
+ * STORE=memory keeps everything in process (no files written). A `shared`
+ * collection can be used by several server processes on one host: every
+ * change re-reads the file under a lock file and writes it back (tmp file +
+ * rename) before releasing it, and reads pick up other processes' changes.
+ */
+
+const fs = require('fs');
+const { JsonFile, withFileLock, fileVersion, dataPath } = require('./jsonFile');
+
+class Collection {
+    /**
+     * @param {string} name - Collection name; also the file name (<name>.json) in DATA_DIR
+     * @param {Object} [options]
+     * @param {boolean} [options.memory] - Skip persistence (defaults to STORE=memory)
+     * @param {boolean} [options.shared] - Safe to share the file between processes
+     */
+    constructor(name, { memory = process.env.STORE === 'memory', shared = false } = {}) {
+        this.name = name;
+        this.file = memory ? null : new JsonFile(dataPath(`${name}.json`), { records: [] });
+        this.shared = shared && Boolean(this.file);
+        this.records = new Map();
+        this.version = null;
+        this.queue = Promise.resolve();
+        if (this.file) this.reload();
+    }
+
+    /**
+     * Re-read the records if the file was replaced since it was last read
+     */
+    reload() {
+        const version = fileVersion(this.file.filePath);
+        if (version === this.version) return;
+
+        this.records.clear();
+        for (const record of this.file.load().records) {
+            this.records.set(record.id, record);
+        }
+        this.version = version;
+    }
+
+    async get(id) {
+        if (this.shared) this.reload();
+        const record = this.records.get(id);
+        return record ? structuredClone(record) : null;
+    }
+
+    async list(filter = {}) {
+        if (this.shared) this.reload();
+        const match = typeof filter === 'function'
+            ? filter
+            : r => Object.entries(filter).every(([field, value]) => r[field] === value);
+        return [...this.records.values()].filter(match).map(r => structuredClone(r));
+    }
+
+    async insert(record) {
+        if (!record.id) throw new Error(`Records in ${this.name} must have an id`);
+        return this.mutate(() => {
+            this.records.set(record.id, structuredClone(record));
+            return structuredClone(record);
+        });
+    }
+
+    async update(id, patch) {
+        return this.mutate(() => {
+            const record = this.records.get(id);
+            if (!record) return null;
+            const changes = typeof patch === 'function' ? patch(structuredClone(record)) : patch;
+            Object.assign(record, structuredClone(changes));
+            return structuredClone(record);
+        });
+    }
+
+    async remove(id) {
+        return this.mutate(() => this.records.delete(id));
+    }
+
+    /**
+     * Apply a synchronous change to the records and persist it. Nothing is
+     * awaited between reading and changing a record, so a function patch is
+     * atomic within the process (and, for a shared collection, across them).
+     */
+    async mutate(change) {
+        if (!this.shared) {
+            const result = change();
+            await this.persist();
+            return result;
+        }
+
+        // Serialized in process first, so concurrent calls queue instead of polling the lock
+        const run = this.queue.then(() => withFileLock(this.file.filePath, async () => {
+            this.reload();
+            const result = change();
+            const tmp = `${this.file.filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify({ records: [...this.records.values()] }, null, 2));
+            await fs.promises.rename(tmp, this.file.filePath);
+            this.version = fileVersion(this.file.filePath);
+            return result;
+        }));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    persist() {
+        if (!this.file) return Promise.resolve();
+        return this.file.save(() => ({ records: [...this.records.values()] }));
+    }
+}
+
+module.exports = { Collection };
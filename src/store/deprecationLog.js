@@ -0,0 +1,67 @@
+/**
+ * Verify.IQ - Deprecated Endpoint Log
+ * Per-key record of calls to deprecated API versions and endpoints, so we
+ * can see who still depends on them (and contact them) before a sunset.
+ *
+ * Record: { id (key id), keyId, keyName, ownerId, orgId,
+ *           endpoints: { "POST /api/v1/scan-url": { calls, firstSeen, lastSeen, sunset } } }
+ */
+
+const { Collection } = require('./collection');
+
+const deprecations = new Collection('deprecations');
+
+/**
+ * Count a call to a deprecated endpoint for the calling key
+ * @param {Object} keyData - req.apiKeyData of the caller
+ * @param {string} endpoint - "METHOD /path/pattern"
+ * @param {string} sunset - Date after which the endpoint may stop working
+ */
+async function recordDeprecatedCall(keyData, endpoint, sunset) {
+    const now = new Date().toISOString();
+    const bump = record => {
+        const entry = record.endpoints[endpoint] || { calls: 0, firstSeen: now };
+        return {
+            endpoints: { ...record.endpoints, [endpoint]: { ...entry, calls: entry.calls + 1, lastSeen: now, sunset } },
+        };
+    };
+
+    const updated = await deprecations.update(keyData.id, bump);
+    if (updated) return updated;
+
+    const record = {
+        id: keyData.id,
+        keyId: keyData.id,
+        keyName: keyData.name || null,
+        ownerId: keyData.ownerId || null,
+        orgId: keyData.orgId || null,
+        endpoints: {},
+    };
+    return deprecations.insert({ ...record, ...bump(record) });
+}
+
+/**
+ * Public view of a log record, most recently called endpoints first
+ */
+function describeDeprecations(record) {
+    const endpoints = Object.entries(record.endpoints)
+        .map(([endpoint, entry]) => ({
+            endpoint,
+            calls: entry.calls,
+            first_seen: entry.firstSeen,
+            last_seen: entry.lastSeen,
+            sunset: entry.sunset,
+        }))
+        .sort((a, b) => b.last_seen.localeCompare(a.last_seen));
+
+    return {
+        key_id: record.keyId,
+        key_name: record.keyName,
+        owner_id: record.ownerId,
+        org_id: record.orgId,
+        last_seen: endpoints[0]?.last_seen || null,
+        endpoints,
+    };
+}
+
+module.exports = { deprecations, recordDeprecatedCall, describeDeprecations };
@@ -0,0 +1,18 @@
+/**
+ * Verify.IQ - Feedback Store
+ * Analyst corrections of stored reports. Accepted corrections add an entry
+ * to the tenant's allow or deny list (see listStore.js).
+ *
+ * Feedback: { id, tenant, orgId, keyId, reportId, service, verdict (the
+ *             corrected one), reason, label ('false_positive' | 'false_negative'
+ *             | 'other'), status ('pending' | 'accepted' | 'rejected'),
+ *             report: { endpoint, indicator, domain, verdict, score, input, output,
+ *                       created }, listEntryId, reviewNote, reviewedAt, created }
+ *   `report` is a copy, so the labeled dataset outlives the history retention.
+ */
+
+const { Collection } = require('./collection');
+
+const feedback = new Collection('feedback');
+
+module.exports = { feedback };
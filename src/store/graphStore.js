@@ -0,0 +1,144 @@
+/**
+ * Verify.IQ - Entity Graph Store
+ * Indicators seen in scans (domains, IPs, emails, wallets, ...) as nodes and
+ * the relationships between them as edges, kept separately per tenant (the
+ * organization, or the key owner without one).
+ *
+ * Node: { id, tenant, type, value, attributes, sources, sightings, firstSeen, lastSeen }
+ * Edge: { id, tenant, from, to, relation, sources, sightings, firstSeen, lastSeen }
+ *
+ * Node ids are "<tenant>|<type>:<value>"; edge ids are "<from>><relation>><to>".
+ * Seeing a node or edge again bumps its sightings and lastSeen and merges
+ * its attributes, so the graph only grows.
+ */
+
+const { Collection } = require('./collection');
+
+function nodeId(tenant, type, value) {
+    return `${tenant}|${type}:${value}`;
+}
+
+class GraphStore {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.memory] - Skip persistence (defaults to STORE=memory)
+     */
+    constructor({ memory } = {}) {
+        this.nodes = new Collection('graph-nodes', { memory });
+        this.edges = new Collection('graph-edges', { memory });
+        // node id -> Set of edge ids touching it, built on first use
+        this.adjacency = null;
+        // Writes are applied one batch at a time so concurrent sightings are all counted
+        this.queue = Promise.resolve();
+    }
+
+    async index() {
+        if (!this.adjacency) {
+            this.adjacency = new Map();
+            for (const edge of await this.edges.list()) this.link(edge);
+        }
+        return this.adjacency;
+    }
+
+    link(edge) {
+        for (const end of [edge.from, edge.to]) {
+            if (!this.adjacency.has(end)) this.adjacency.set(end, new Set());
+            this.adjacency.get(end).add(edge.id);
+        }
+    }
+
+    /**
+     * Record a batch of sightings
+     * @param {string} tenant
+     * @param {Object} batch
+     * @param {Array} batch.nodes - [{ type, value, attributes }]
+     * @param {Array} batch.edges - [{ from: { type, value }, to: { type, value }, relation }]
+     * @param {string} source - What produced the sightings (e.g. "scan-url")
+     */
+    ingest(tenant, { nodes, edges }, source) {
+        const run = this.queue.then(() => this.apply(tenant, nodes, edges, source));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async apply(tenant, nodes, edges, source) {
+        await this.index();
+        const now = new Date().toISOString();
+        const seen = record => ({
+            sources: record.sources.includes(source) ? record.sources : [...record.sources, source],
+            sightings: record.sightings + 1,
+            lastSeen: now,
+        });
+
+        for (const { type, value, attributes = {} } of nodes) {
+            const id = nodeId(tenant, type, value);
+            const updated = await this.nodes.update(id, node => ({ ...seen(node), attributes: { ...node.attributes, ...attributes } }));
+            if (!updated) {
+                await this.nodes.insert({ id, tenant, type, value, attributes, sources: [source], sightings: 1, firstSeen: now, lastSeen: now });
+            }
+        }
+
+        for (const { from, to, relation } of edges) {
+            const fromId = nodeId(tenant, from.type, from.value);
+            const toId = nodeId(tenant, to.type, to.value);
+            const id = `${fromId}>${relation}>${toId}`;
+            const updated = await this.edges.update(id, seen);
+            if (!updated) {
+                const edge = await this.edges.insert({ id, tenant, from: fromId, to: toId, relation, sources: [source], sightings: 1, firstSeen: now, lastSeen: now });
+                this.link(edge);
+            }
+        }
+    }
+
+    async getNode(tenant, type, value) {
+        return this.nodes.get(nodeId(tenant, type, value));
+    }
+
+    /**
+     * Everything connected to a node within `hops` edges (in either direction)
+     * @returns {Promise<Object>} { nodes: [{ ...node, distance }], edges, truncated }
+     */
+    async neighborhood(root, { hops, limit }) {
+        const adjacency = await this.index();
+        const distances = new Map([[root.id, 0]]);
+        const edgeIds = new Set();
+        let frontier = [root.id];
+        let truncated = false;
+
+        for (let distance = 1; distance <= hops && frontier.length && !truncated; distance++) {
+            const next = [];
+            for (const id of frontier) {
+                for (const edgeId of adjacency.get(id) || []) {
+                    const edge = await this.edges.get(edgeId);
+                    const other = edge.from === id ? edge.to : edge.from;
+                    if (!distances.has(other)) {
+                        if (distances.size >= limit) {
+                            truncated = true;
+                            continue;
+                        }
+                        distances.set(other, distance);
+                        next.push(other);
+                    }
+                    edgeIds.add(edgeId);
+                }
+            }
+            frontier = next;
+        }
+
+        const nodes = [];
+        for (const [id, distance] of distances) {
+            nodes.push({ ...(await this.nodes.get(id)), distance });
+        }
+        // Only edges between returned nodes
+        const edges = [];
+        for (const edgeId of edgeIds) {
+            const edge = await this.edges.get(edgeId);
+            if (distances.has(edge.from) && distances.has(edge.to)) edges.push(edge);
+        }
+        return { nodes, edges, truncated };
+    }
+}
+
+const graphStore = new GraphStore();
+
+module.exports = { GraphStore, graphStore, nodeId };
@@ -0,0 +1,133 @@
+/**
+ * Verify.IQ - Job Store
+ * Persistence for asynchronous jobs. Job records (status and counters) live
+ * in the `jobs` collection; the submitted items and the per-item results are
+ * kept next to it, one directory per job, so records stay small even for
+ * 10,000-item batches:
+ *
+ *   jobs/<id>/items.json      - submitted items, written once
+ *   jobs/<id>/results.ndjson  - one line per processed item, append-only
+ *
+ * Record: { id, type, service, keyId, ownerId, orgId, status, total, processed,
+ *           succeeded, failed, createdAt, startedAt, finishedAt, cancelledAt, error }
+ * Result: { index, input, result } or { index, input, error: { code, message } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Collection } = require('./collection');
+const { dataPath } = require('./jsonFile');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class JobStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Directory for job items and results
+     * @param {boolean} [options.memory] - Keep everything in process (STORE=memory)
+     */
+    constructor({ dir = process.env.JOBS_DIR || dataPath('jobs'), memory = process.env.STORE === 'memory' } = {}) {
+        this.jobs = new Collection('jobs', { memory });
+        this.dir = dir;
+        this.memory = memory ? { items: new Map(), results: new Map() } : null;
+        this.queues = new Map();
+    }
+
+    /**
+     * Store a new job record with its items
+     */
+    async create(record, items) {
+        if (this.memory) {
+            this.memory.items.set(record.id, items);
+            this.memory.results.set(record.id, []);
+        } else {
+            await fs.promises.mkdir(this.jobDir(record.id), { recursive: true });
+            await fs.promises.writeFile(path.join(this.jobDir(record.id), 'items.json'), JSON.stringify(items));
+        }
+        return this.jobs.insert(record);
+    }
+
+    async loadItems(id) {
+        if (this.memory) return this.memory.items.get(id) || [];
+        return JSON.parse(await fs.promises.readFile(path.join(this.jobDir(id), 'items.json'), 'utf8'));
+    }
+
+    /**
+     * Append a processed item. Appends to one job are serialized.
+     * @returns {Promise<void>}
+     */
+    appendResult(id, entry) {
+        if (this.memory) {
+            this.memory.results.get(id)?.push(entry);
+            return Promise.resolve();
+        }
+
+        const file = path.join(this.jobDir(id), 'results.ndjson');
+        const queue = (this.queues.get(id) || Promise.resolve())
+            .then(() => fs.promises.appendFile(file, JSON.stringify(entry) + '\n'))
+            .catch(e => console.error(`Job ${id} result write failed:`, e.message));
+        this.queues.set(id, queue);
+        queue.then(() => {
+            if (this.queues.get(id) === queue) this.queues.delete(id);
+        });
+        return queue;
+    }
+
+    /**
+     * Iterate results in the order they were processed
+     */
+    async *results(id) {
+        if (this.memory) {
+            yield* this.memory.results.get(id) || [];
+            return;
+        }
+
+        const file = path.join(this.jobDir(id), 'results.ndjson');
+        if (!fs.existsSync(file)) return;
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (line.trim()) yield JSON.parse(line);
+        }
+    }
+
+    /**
+     * A page of results
+     * @returns {Promise<Object[]>}
+     */
+    async readResults(id, { offset = 0, limit = 100 } = {}) {
+        const page = [];
+        let position = 0;
+        for await (const entry of this.results(id)) {
+            if (position++ < offset) continue;
+            page.push(entry);
+            if (page.length >= limit) break;
+        }
+        return page;
+    }
+
+    /**
+     * Indexes already processed and the success/failure counts (used to resume after a restart)
+     */
+    async progress(id) {
+        const done = new Set();
+        let succeeded = 0;
+        let failed = 0;
+        for await (const entry of this.results(id)) {
+            if (done.has(entry.index)) continue;
+            done.add(entry.index);
+            if (entry.error) failed++;
+            else succeeded++;
+        }
+        return { done, succeeded, failed };
+    }
+
+    jobDir(id) {
+        return path.join(this.dir, id);
+    }
+}
+
+const jobStore = new JobStore();
+
+module.exports = { JobStore, jobStore, JOB_STATUSES, ACTIVE_STATUSES };
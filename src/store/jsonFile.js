@@ -0,0 +1,126 @@
+/**
+ * Verify.IQ - JSON File Persistence
+ * Small helper shared by the file-backed stores. Loads a JSON document
+ * synchronously at startup and writes it back atomically (tmp file + rename),
+ * coalescing bursts of writes into a single flush.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+/**
+ * Resolve a file name inside the configured data directory
+ * @param {string} name - File name (e.g. 'keys.json')
+ * @returns {string} Absolute path
+ */
+function dataPath(name) {
+    return path.join(DATA_DIR, name);
+}
+
+class JsonFile {
+    /**
+     * @param {string} filePath - Absolute path of the JSON document
+     * @param {Object} defaults - Document used when the file does not exist yet
+     */
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.writing = null;
+        this.dirty = false;
+    }
+
+    /**
+     * Read the document from disk, falling back to a copy of the defaults
+     */
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`Failed to read ${this.filePath}:`, e.message);
+            }
+            return JSON.parse(JSON.stringify(this.defaults));
+        }
+    }
+
+    /**
+     * Schedule an atomic write of the document. Calls made while a write is
+     * in flight are folded into one follow-up write with the latest data.
+     * @param {Function} snapshot - Returns the data to persist at write time
+     * @returns {Promise<void>}
+     */
+    save(snapshot) {
+        this.snapshot = snapshot;
+        if (this.writing) {
+            this.dirty = true;
+            return this.writing;
+        }
+
+        this.writing = (async () => {
+            do {
+                this.dirty = false;
+                const tmp = `${this.filePath}.${process.pid}.tmp`;
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(tmp, JSON.stringify(this.snapshot(), null, 2));
+                await fs.promises.rename(tmp, this.filePath);
+            } while (this.dirty);
+        })().finally(() => {
+            this.writing = null;
+        });
+
+        return this.writing;
+    }
+}
+
+// Identity of the file's current contents (writes replace the file, so the inode changes)
+function fileVersion(filePath) {
+    try {
+        const stat = fs.statSync(filePath);
+        return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Run `fn` while holding an exclusive lock on `filePath` (a <file>.lock file
+ * created with O_EXCL), so processes sharing DATA_DIR can read-modify-write
+ * the same document. A lock older than `staleMs` is taken to belong to a
+ * crashed process and is broken.
+ * @param {string} filePath - The document being guarded
+ * @param {Function} fn - Async work done under the lock
+ * @returns {Promise<*>} What `fn` returns
+ */
+async function withFileLock(filePath, fn, { staleMs = 10000, timeoutMs = 5000 } = {}) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + timeoutMs;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    let handle;
+    while (!handle) {
+        try {
+            handle = await fs.promises.open(lockPath, 'wx');
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+            const stat = await fs.promises.stat(lockPath).catch(() => null);
+            if (stat && Date.now() - stat.mtimeMs > staleMs) {
+                await fs.promises.unlink(lockPath).catch(() => {});
+                continue;
+            }
+            if (Date.now() > deadline) throw new Error(`Timed out waiting for the lock on ${filePath}`);
+            await new Promise(resolve => setTimeout(resolve, 5 + Math.random() * 20));
+        }
+    }
+
+    try {
+        await handle.writeFile(String(process.pid));
+        return await fn();
+    } finally {
+        await handle.close();
+        await fs.promises.unlink(lockPath).catch(() => {});
+    }
+}
+
+module.exports = { JsonFile, withFileLock, fileVersion, dataPath, DATA_DIR };
@@ -0,0 +1,249 @@
+/**
+ * Verify.IQ - API Key Store
+ * Pluggable persistence for API keys, their tiers and usage counters.
+ *
+ * Keys are never stored in plaintext: records are indexed by the SHA-256
+ * hash of the key, plus a short display prefix. A rotated record keeps its
+ * previous hashes in `graceKeys` ({ keyHash, expiresAt }) until they expire.
+ *
+ * A backend is any object implementing these async methods:
+ *   findByKey(apiKey)            -> record | null
+ *   findById(id)                 -> record | null
+ *   list(filter)                 -> record[]   (filter: field equality)
+ *   insert(record)               -> record
+ *   update(id, patch)            -> record | null
+ *   resetUsage(id, day, usage)   -> record | null (no-op if already reset for day;
+ *                                   otherwise archives the old day into `history`)
+ *   consumeUsage(id, service, { day, usage, limit, count })
+ *                                -> { allowed, used, record } | null
+ *                                   (resets for day like resetUsage, then adds
+ *                                   `count` only if the total stays within
+ *                                   `limit`; check and increment must be atomic)
+ *
+ * Built-in backends: MemoryKeyStore and FileKeyStore (JSON on disk, safe to
+ * share between processes on one host).
+ * Select with KEY_STORE=memory|file, or install a custom one via setKeyStore().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { JsonFile, withFileLock, fileVersion, dataPath } = require('./jsonFile');
+
+// Days of per-day usage kept in each record's `history` ({ 'YYYY-MM-DD': usage })
+const USAGE_HISTORY_DAYS = 90;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - Raw key as presented by the client
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Move a finished day's counters into the history map and drop days
+ * older than USAGE_HISTORY_DAYS. Shared so custom backends archive identically.
+ */
+function archiveUsage(history = {}, lastDay, usage, today) {
+    const next = { ...history };
+    if (lastDay && Object.values(usage || {}).some(n => n > 0)) next[lastDay] = { ...usage };
+
+    const cutoff = new Date(Date.parse(today) - USAGE_HISTORY_DAYS * 86400000).toISOString().split('T')[0];
+    for (const day of Object.keys(next)) {
+        if (day <= cutoff) delete next[day];
+    }
+    return next;
+}
+
+class MemoryKeyStore {
+    constructor(records = []) {
+        this.records = new Map();
+        this.byHash = new Map();
+        for (const record of records) this.index(record);
+    }
+
+    index(record) {
+        this.records.set(record.id, record);
+        this.byHash.set(record.keyHash, record.id);
+        for (const grace of record.graceKeys || []) this.byHash.set(grace.keyHash, record.id);
+    }
+
+    unindex(record) {
+        this.byHash.delete(record.keyHash);
+        for (const grace of record.graceKeys || []) this.byHash.delete(grace.keyHash);
+    }
+
+    async findByKey(apiKey) {
+        await this.refresh();
+        const hash = hashKey(apiKey);
+        const record = this.records.get(this.byHash.get(hash));
+        if (!record) return null;
+
+        // Previous keys of a rotated record only match during their grace period
+        if (record.keyHash !== hash) {
+            const grace = (record.graceKeys || []).find(g => g.keyHash === hash);
+            if (!grace || Date.parse(grace.expiresAt) <= Date.now()) return null;
+        }
+        return structuredClone(record);
+    }
+
+    async findById(id) {
+        await this.refresh();
+        const record = this.records.get(id);
+        return record ? structuredClone(record) : null;
+    }
+
+    async list(filter = {}) {
+        await this.refresh();
+        return [...this.records.values()]
+            .filter(r => Object.entries(filter).every(([field, value]) => r[field] === value))
+            .map(r => structuredClone(r));
+    }
+
+    async insert(record) {
+        if (!record.keyHash) throw new Error('Key records must carry a keyHash');
+        return this.mutate(() => {
+            this.index(structuredClone(record));
+            return structuredClone(record);
+        });
+    }
+
+    async update(id, patch) {
+        return this.mutate(() => {
+            const record = this.records.get(id);
+            if (!record) return null;
+
+            this.unindex(record);
+            Object.assign(record, structuredClone(patch));
+            this.index(record);
+            return structuredClone(record);
+        });
+    }
+
+    async resetUsage(id, day, usage) {
+        return this.mutate(() => {
+            const record = this.records.get(id);
+            if (!record) return null;
+            rollover(record, day, usage);
+            return structuredClone(record);
+        });
+    }
+
+    async consumeUsage(id, service, { day, usage, limit = Infinity, count = 1 }) {
+        return this.mutate(() => {
+            const record = this.records.get(id);
+            if (!record) return null;
+
+            rollover(record, day, usage);
+            const used = record.usage[service] || 0;
+            const allowed = used + count <= limit;
+            if (allowed) record.usage[service] = used + count;
+            return { allowed, used: allowed ? used + count : used, record: structuredClone(record) };
+        });
+    }
+
+    /**
+     * Bring the in-memory records up to date before a read (no-op here)
+     */
+    async refresh() {}
+
+    /**
+     * Apply a synchronous change to the records and persist it. Nothing is
+     * awaited between reading and changing a record, so check-and-increment
+     * is atomic within the process.
+     */
+    async mutate(change) {
+        return change();
+    }
+}
+
+/**
+ * Start a new day's counters on a record, archiving the previous day
+ */
+function rollover(record, day, usage) {
+    if (record.lastReset === day) return;
+    record.history = archiveUsage(record.history, record.lastReset, record.usage, day);
+    record.usage = { ...usage };
+    record.lastReset = day;
+}
+
+/**
+ * Keys in a JSON file that several server processes can share: every change
+ * re-reads the file under a lock file and writes it back before releasing
+ * it, and reads pick up changes other processes made since the last load.
+ */
+class FileKeyStore extends MemoryKeyStore {
+    /**
+     * @param {string} [filePath] - JSON file holding the key records
+     */
+    constructor(filePath = process.env.KEY_STORE_PATH || dataPath('keys.json')) {
+        super();
+        this.file = new JsonFile(filePath, { keys: [] });
+        this.version = null;
+        this.queue = Promise.resolve();
+        this.reload();
+    }
+
+    /**
+     * Re-index the records if the file was replaced since it was last read
+     */
+    reload() {
+        const version = fileVersion(this.file.filePath);
+        if (version === this.version) return;
+
+        this.records.clear();
+        this.byHash.clear();
+        for (const record of this.file.load().keys) this.index(record);
+        this.version = version;
+    }
+
+    async refresh() {
+        this.reload();
+    }
+
+    mutate(change) {
+        // Serialized in process first, so concurrent calls queue instead of polling the lock
+        const run = this.queue.then(() => withFileLock(this.file.filePath, async () => {
+            this.reload();
+            const result = change();
+            const tmp = `${this.file.filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify({ keys: [...this.records.values()] }, null, 2));
+            await fs.promises.rename(tmp, this.file.filePath);
+            this.version = fileVersion(this.file.filePath);
+            return result;
+        }));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+let activeStore = null;
+
+/**
+ * Build the backend selected by the KEY_STORE environment variable
+ */
+function createKeyStore(type = process.env.KEY_STORE || 'file') {
+    if (type === 'memory') return new MemoryKeyStore();
+    if (type === 'file') return new FileKeyStore();
+    throw new Error(`Unknown KEY_STORE backend: ${type}`);
+}
+
+/**
+ * Get the process-wide key store, creating the default backend on first use
+ */
+function getKeyStore() {
+    if (!activeStore) activeStore = createKeyStore();
+    return activeStore;
+}
+
+/**
+ * Replace the process-wide key store (custom backends, tests)
+ */
+function setKeyStore(store) {
+    activeStore = store;
+}
+
+module.exports = {
+    hashKey, archiveUsage, USAGE_HISTORY_DAYS, MemoryKeyStore, FileKeyStore, createKeyStore, getKeyStore, setKeyStore,
+};
@@ -0,0 +1,77 @@
+/**
+ * Verify.IQ - Metering Ledger
+ * Append-only record of every metered API call, used for billing exports.
+ * Entries are written as NDJSON, one file per UTC day (ledger/YYYY-MM-DD.ndjson),
+ * and are never rewritten.
+ *
+ * Entry: { ts, key_id, org_id, owner_id, tier, service, units, method, path, status, outcome, latency_ms }
+ * (org_id is null outside an organization; owner_id is null for extension installs)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { dataPath } = require('./jsonFile');
+
+class Ledger {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Directory for the daily NDJSON files
+     * @param {boolean} [options.memory] - Keep entries in process only (STORE=memory)
+     */
+    constructor({ dir = process.env.LEDGER_DIR || dataPath('ledger'), memory = process.env.STORE === 'memory' } = {}) {
+        this.dir = dir;
+        this.memory = memory ? [] : null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Append an entry. Writes are serialized so entries stay in call order.
+     * @returns {Promise<void>}
+     */
+    append(entry) {
+        const record = { ts: new Date().toISOString(), ...entry };
+        if (this.memory) {
+            this.memory.push(record);
+            return Promise.resolve();
+        }
+
+        const file = path.join(this.dir, `${record.ts.split('T')[0]}.ndjson`);
+        this.queue = this.queue
+            .then(() => fs.promises.mkdir(this.dir, { recursive: true }))
+            .then(() => fs.promises.appendFile(file, JSON.stringify(record) + '\n'))
+            .catch(e => console.error('Ledger write failed:', e.message));
+        return this.queue;
+    }
+
+    /**
+     * Iterate entries whose day falls within [from, to] (YYYY-MM-DD, inclusive)
+     */
+    async *read({ from, to }) {
+        if (this.memory) {
+            for (const entry of this.memory) {
+                const day = entry.ts.split('T')[0];
+                if (day >= from && day <= to) yield entry;
+            }
+            return;
+        }
+
+        for (let day = from; day <= to; day = nextDay(day)) {
+            const file = path.join(this.dir, `${day}.ndjson`);
+            if (!fs.existsSync(file)) continue;
+
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (line.trim()) yield JSON.parse(line);
+            }
+        }
+    }
+}
+
+function nextDay(day) {
+    return new Date(Date.parse(day) + 86400000).toISOString().split('T')[0];
+}
+
+const ledger = new Ledger();
+
+module.exports = { Ledger, ledger };
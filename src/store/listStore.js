@@ -0,0 +1,75 @@
+/**
+ * Verify.IQ - List Store
+ * Per-tenant allow and deny lists (organization, or key owner without one).
+ * Entries are added through /api/lists or by accepted analyst feedback, and
+ * every analyzer checks them before running (see src/services/policyLists.js).
+ *
+ * Entry: { id, tenant, list ('allow' | 'deny'), type ('domain' | 'email' |
+ *          'wallet' | 'social_handle'), value, reason, source ('api' | 'feedback'),
+ *          feedbackId, keyId, created, updated }
+ *
+ * Earlier versions kept feedback-created entries in overrides.json, and
+ * feedback pointed at them as overrideId; migrateLegacyOverrides() moves both
+ * over on start.
+ */
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { Collection } = require('./collection');
+const { JsonFile, dataPath } = require('./jsonFile');
+const { feedback } = require('./feedbackStore');
+
+const LIST_TYPES = ['domain', 'email', 'wallet', 'social_handle'];
+
+const listEntries = new Collection('list-entries');
+
+/**
+ * Put an entity on a tenant's allow or deny list; an existing entry for the
+ * same entity is moved to the new list
+ * @returns {Promise<{ entry: Object, created: boolean }>}
+ */
+async function setListEntry(tenant, { list, type, value, reason = null, source, feedbackId = null, keyId = null }) {
+    const [existing] = await listEntries.list({ tenant, type, value });
+    const now = new Date().toISOString();
+    if (existing) {
+        const entry = await listEntries.update(existing.id, { list, reason, source, feedbackId, keyId, updated: now });
+        return { entry, created: false };
+    }
+    const entry = await listEntries.insert({
+        id: uuidv4(),
+        tenant, list, type, value, reason, source, feedbackId, keyId,
+        created: now,
+        updated: null,
+    });
+    return { entry, created: true };
+}
+
+/**
+ * Move the overrides of earlier versions into the lists (keeping their ids,
+ * unless the tenant already lists the same entity) and rename feedback's
+ * overrideId to listEntryId; overrides.json is then set aside
+ * @returns {Promise<number>} Overrides moved
+ */
+async function migrateLegacyOverrides({ file = dataPath('overrides.json') } = {}) {
+    if (process.env.STORE === 'memory' || !fs.existsSync(file)) return 0;
+
+    const entryIds = new Map();
+    const { records = [] } = new JsonFile(file, { records: [] }).load();
+    for (const override of records) {
+        const [existing] = await listEntries.list({ tenant: override.tenant, type: override.type, value: override.value });
+        const entry = existing || await listEntries.insert({ ...override, source: override.source || 'feedback', keyId: null });
+        entryIds.set(override.id, entry.id);
+    }
+
+    // undefined drops the old field when the collection is written
+    for (const item of await feedback.list(f => f.overrideId !== undefined)) {
+        const listEntryId = item.listEntryId ?? (item.overrideId ? entryIds.get(item.overrideId) || item.overrideId : null);
+        await feedback.update(item.id, { listEntryId, overrideId: undefined });
+    }
+
+    fs.renameSync(file, `${file}.migrated`);
+    console.log(`Moved ${records.length} feedback overrides from ${file} to the allow / deny lists`);
+    return records.length;
+}
+
+module.exports = { listEntries, setListEntry, migrateLegacyOverrides, LIST_TYPES };
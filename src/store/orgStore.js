@@ -0,0 +1,69 @@
+/**
+ * Verify.IQ - Organizations
+ * An organization owns a tier and a shared daily quota. Members (key owners)
+ * hold their own API keys; every key carrying the org's id draws from the
+ * pooled counters instead of per-key limits.
+ *
+ * Record: { id, name, tier, limits, usage, lastReset, history, seatLimit,
+ *           members: [{ id, name, role, joined }], created }
+ */
+
+const { Collection } = require('./collection');
+const { archiveUsage } = require('./keyStore');
+
+const ROLES = ['owner', 'admin', 'analyst'];
+
+// Default seats per tier (admins can override per org)
+const SEAT_LIMITS = { free: 3, pro: 10, business: 50 };
+
+// Shared: the pooled counters are drawn from by every server process
+const orgs = new Collection('orgs', { shared: true });
+
+/**
+ * Changes that reset the pooled counters when the day changes, archiving the old day
+ */
+function rolledOver(org, day, usage) {
+    return org.lastReset === day ? {} : {
+        history: archiveUsage(org.history, org.lastReset, org.usage, day),
+        usage: { ...usage },
+        lastReset: day,
+    };
+}
+
+/**
+ * Draw `count` calls of a service from the pooled quota, only if they fit
+ * within the org's limit; checked and counted in one atomic update, under
+ * the orgs file's lock so processes sharing DATA_DIR never lose a count
+ * @returns {Promise<{ allowed: boolean, used: number, limit: number, org: Object }|null>}
+ */
+async function consumeOrgUsage(orgId, service, { day, usage, count = 1 }) {
+    let outcome = null;
+    const org = await orgs.update(orgId, current => {
+        const next = { ...current, ...rolledOver(current, day, usage) };
+        const limit = next.limits[service] ?? 999999;
+        const used = next.usage[service] || 0;
+        const allowed = used + count <= limit;
+        outcome = { allowed, used: allowed ? used + count : used, limit };
+        return allowed ? { ...next, usage: { ...next.usage, [service]: used + count } } : next;
+    });
+    return org && { ...outcome, org };
+}
+
+/**
+ * Role of a key owner within an org, or null if not a member
+ */
+function memberRole(org, ownerId) {
+    return org.members.find(m => m.id === ownerId)?.role || null;
+}
+
+/**
+ * Whether `actorRole` may add, change or remove a member holding `targetRole`.
+ * Owners manage everyone; admins manage analysts only.
+ */
+function canManageRole(actorRole, targetRole) {
+    if (actorRole === 'owner') return true;
+    if (actorRole === 'admin') return targetRole === 'analyst';
+    return false;
+}
+
+module.exports = { orgs, consumeOrgUsage, memberRole, canManageRole, ROLES, SEAT_LIMITS };
@@ -0,0 +1,238 @@
+/**
+ * Verify.IQ - Report Store
+ * Scan history: every analyzer result with its input, kept per tenant (the
+ * organization, or the key owner without one). Both the searchable fields
+ * and the full input and output are appended to NDJSON files, one pair per
+ * UTC day, and never rewritten; documents are read back by byte range:
+ *
+ *   reports/YYYY-MM-DD.ndjson        - { id, input, output, signature } per line
+ *   reports/YYYY-MM-DD.index.ndjson  - one index record per line
+ *
+ * The index is held in memory and tops itself up from the bytes appended to
+ * the index files since the last read, so processes sharing HISTORY_DIR see
+ * each other's reports.
+ *
+ * Record: { id, tenant, orgId, keyId, service, endpoint, indicator, domain,
+ *           verdict, score, createdAt, day, offset, length }
+ * Reports older than HISTORY_RETENTION_DAYS (default 90) are pruned by
+ * deleting whole day files. An index left in reports.json by earlier
+ * versions is moved into the index files on first read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./jsonFile');
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_FILE = /^\d{4}-\d{2}-\d{2}(\.index)?\.ndjson$/;
+const INDEX_FILE = /^\d{4}-\d{2}-\d{2}\.index\.ndjson$/;
+
+class ReportStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Directory for the daily NDJSON files
+     * @param {boolean} [options.memory] - Keep everything in process (STORE=memory)
+     * @param {number} [options.retentionDays]
+     * @param {string} [options.legacyIndex] - reports.json of earlier versions
+     */
+    constructor({
+        dir = process.env.HISTORY_DIR || dataPath('reports'),
+        memory = process.env.STORE === 'memory',
+        retentionDays = Number(process.env.HISTORY_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS,
+        legacyIndex = dataPath('reports.json'),
+    } = {}) {
+        this.dir = dir;
+        this.memory = memory ? new Map() : null;
+        this.retentionDays = retentionDays;
+        this.legacyIndex = memory ? null : legacyIndex;
+        // id -> index record
+        this.index = new Map();
+        // index file name -> bytes already read into the index
+        this.indexed = new Map();
+        // Appends are serialized so each record's offset is where its line starts
+        this.queue = Promise.resolve();
+        this.reading = Promise.resolve();
+    }
+
+    /**
+     * Store a report
+     * @param {Object} record - Index fields (id, tenant, createdAt, ...)
+     * @param {Object} document - { input, output, signature }
+     * @returns {Promise<Object>} The index record
+     */
+    save(record, { input, output, signature = null }) {
+        const day = record.createdAt.split('T')[0];
+        const line = JSON.stringify({ id: record.id, input, output, signature }) + '\n';
+
+        if (this.memory) {
+            const indexed = { ...record, day, offset: 0, length: Buffer.byteLength(line) };
+            this.memory.set(record.id, line);
+            this.index.set(record.id, indexed);
+            return Promise.resolve({ ...indexed });
+        }
+
+        const file = this.dayFile(day);
+        const run = this.queue.then(async () => {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            const offset = await fs.promises.stat(file).then(stat => stat.size, () => 0);
+            await fs.promises.appendFile(file, line);
+            const indexed = { ...record, day, offset, length: Buffer.byteLength(line) };
+            // Picked up by the next refresh(), like reports of other processes
+            await fs.promises.appendFile(this.indexFile(day), JSON.stringify(indexed) + '\n');
+            return indexed;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Index record of a report
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        await this.refresh();
+        const record = this.index.get(id);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * Index records matching a predicate
+     * @returns {Promise<Object[]>}
+     */
+    async list(filter = () => true) {
+        await this.refresh();
+        return [...this.index.values()].filter(filter).map(record => ({ ...record }));
+    }
+
+    /**
+     * Read what was appended to the index files since the last call
+     */
+    refresh() {
+        if (this.memory) return Promise.resolve();
+        this.reading = this.reading.catch(() => {}).then(() => this.readIndex());
+        return this.reading;
+    }
+
+    async readIndex() {
+        if (this.legacyIndex) await this.migrateLegacyIndex();
+
+        const files = (await fs.promises.readdir(this.dir).catch(() => [])).filter(name => INDEX_FILE.test(name));
+        for (const name of files.sort()) {
+            const read = this.indexed.get(name) || 0;
+            let handle;
+            try {
+                handle = await fs.promises.open(path.join(this.dir, name), 'r');
+                const { size } = await handle.stat();
+                if (size <= read) continue;
+                const buffer = Buffer.alloc(size - read);
+                await handle.read(buffer, 0, buffer.length, read);
+                // A line still being written is read next time
+                const complete = buffer.lastIndexOf(0x0a) + 1;
+                for (const line of buffer.subarray(0, complete).toString('utf8').split('\n')) {
+                    if (!line) continue;
+                    const record = JSON.parse(line);
+                    this.index.set(record.id, record);
+                }
+                this.indexed.set(name, read + complete);
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            } finally {
+                await handle?.close();
+            }
+        }
+    }
+
+    /**
+     * Append the records of an earlier reports.json index to the day index
+     * files, then set the file aside (duplicates from a concurrent migration
+     * collapse by id)
+     */
+    async migrateLegacyIndex() {
+        const legacy = this.legacyIndex;
+        this.legacyIndex = null;
+        if (!fs.existsSync(legacy)) return;
+
+        const { records = [] } = JSON.parse(await fs.promises.readFile(legacy, 'utf8'));
+        const byDay = new Map();
+        for (const record of records) {
+            if (!byDay.has(record.day)) byDay.set(record.day, []);
+            byDay.get(record.day).push(JSON.stringify(record) + '\n');
+        }
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        for (const [day, lines] of byDay) await fs.promises.appendFile(this.indexFile(day), lines.join(''));
+        await fs.promises.rename(legacy, `${legacy}.migrated`).catch(() => {});
+        console.log(`Moved ${records.length} report index records from ${legacy} to ${this.dir}`);
+    }
+
+    /**
+     * Full input and output of a report
+     * @returns {Promise<Object|null>} { input, output }, or null if the file is gone
+     */
+    async load(record) {
+        let line;
+        if (this.memory) {
+            line = this.memory.get(record.id);
+        } else {
+            let handle;
+            try {
+                handle = await fs.promises.open(this.dayFile(record.day), 'r');
+                const buffer = Buffer.alloc(record.length);
+                await handle.read(buffer, 0, record.length, record.offset);
+                line = buffer.toString('utf8');
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            } finally {
+                await handle?.close();
+            }
+        }
+        if (!line) return null;
+        const { input, output, signature = null } = JSON.parse(line);
+        return { input, output, signature };
+    }
+
+    /**
+     * Drop reports (and day files) older than the retention period
+     * @returns {Promise<number>} Reports removed
+     */
+    async prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 86400000).toISOString().split('T')[0];
+        const expired = await this.list(r => r.day < cutoff);
+        for (const record of expired) {
+            this.index.delete(record.id);
+            this.memory?.delete(record.id);
+        }
+
+        if (!this.memory) {
+            const files = await fs.promises.readdir(this.dir).catch(() => []);
+            for (const name of files.filter(f => DAY_FILE.test(f) && f.slice(0, 10) < cutoff)) {
+                await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+                this.indexed.delete(name);
+            }
+        }
+        return expired.length;
+    }
+
+    /**
+     * Prune now and once a day from then on
+     */
+    async start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.prune().catch(e => console.error('Report history pruning failed:', e.message));
+        }, 86400000);
+        this.timer.unref();
+        await this.prune();
+    }
+
+    dayFile(day) {
+        return path.join(this.dir, `${day}.ndjson`);
+    }
+
+    indexFile(day) {
+        return path.join(this.dir, `${day}.index.ndjson`);
+    }
+}
+
+const reportStore = new ReportStore();
+
+module.exports = { ReportStore, reportStore };
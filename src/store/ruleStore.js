@@ -0,0 +1,49 @@
+/**
+ * Verify.IQ - Rule Store
+ * Versioned policy rule sets per tenant (organization, or key owner without
+ * one). Publishing never edits a version: it adds the next one, and the
+ * highest version is the one analyzer calls are judged by (see
+ * src/services/policyRules.js).
+ *
+ * RuleSet: { id, tenant, version, rules, note, keyId, restoredFrom, created }
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Collection } = require('./collection');
+
+const ruleSets = new Collection('rule-sets');
+
+// Publishes are serialized so two at once cannot take the same version number
+let publishing = Promise.resolve();
+
+/**
+ * The rule set in force for a tenant, or null before the first publish
+ */
+async function activeRuleSet(tenant) {
+    const versions = await ruleSets.list({ tenant });
+    return versions.reduce((latest, set) => (!latest || set.version > latest.version ? set : latest), null);
+}
+
+/**
+ * Add the tenant's next rule set version
+ * @returns {Promise<Object>} The new version
+ */
+function publishRuleSet(tenant, { rules, note = null, keyId = null, restoredFrom = null }) {
+    const run = publishing.then(async () => {
+        const latest = await activeRuleSet(tenant);
+        return ruleSets.insert({
+            id: uuidv4(),
+            tenant,
+            version: (latest?.version || 0) + 1,
+            rules,
+            note,
+            keyId,
+            restoredFrom,
+            created: new Date().toISOString(),
+        });
+    });
+    publishing = run.catch(() => {});
+    return run;
+}
+
+module.exports = { ruleSets, activeRuleSet, publishRuleSet };
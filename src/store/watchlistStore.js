@@ -0,0 +1,52 @@
+/**
+ * Verify.IQ - Watchlist Store
+ * Watchlists, the history of their re-scan runs and the alerts raised when
+ * a re-scan differs from the previous one.
+ *
+ * Watchlist: { id, name, ownerId, orgId, keyId, schedule, status ('active' | 'paused'),
+ *              entries: [{ id, indicator, type, chain, platform, label, addedAt,
+ *                          lastCheckedAt, snapshot }],
+ *              lastRunAt, nextRunAt, created, updated }
+ * Run: { id, watchlistId, trigger ('schedule' | 'manual'), status ('running' |
+ *        'completed' | 'interrupted'), total, processed, failed, alerts,
+ *        results: [{ entry_id, indicator, status, verdict, snapshot, changes, error }],
+ *        startedAt, finishedAt }
+ * Alert: { id, watchlistId, runId, entryId, indicator, severity, changes,
+ *          created, acknowledgedAt }
+ */
+
+const { Collection } = require('./collection');
+
+// Runs and alerts kept per watchlist; older ones are dropped
+const MAX_RUNS_PER_WATCHLIST = 50;
+const MAX_ALERTS_PER_WATCHLIST = 1000;
+
+const watchlists = new Collection('watchlists');
+const runs = new Collection('watchlist-runs');
+const alerts = new Collection('watchlist-alerts');
+
+async function dropOldest(collection, filter, dateField, keep) {
+    const records = (await collection.list(filter)).sort((a, b) => b[dateField].localeCompare(a[dateField]));
+    for (const record of records.slice(keep)) {
+        await collection.remove(record.id);
+    }
+}
+
+/**
+ * Drop the oldest finished runs and alerts of a watchlist beyond the retention limits
+ */
+async function pruneHistory(watchlistId) {
+    await dropOldest(runs, r => r.watchlistId === watchlistId && r.status !== 'running', 'startedAt', MAX_RUNS_PER_WATCHLIST);
+    await dropOldest(alerts, { watchlistId }, 'created', MAX_ALERTS_PER_WATCHLIST);
+}
+
+/**
+ * Remove a watchlist with its runs and alerts
+ */
+async function removeWatchlist(id) {
+    for (const run of await runs.list({ watchlistId: id })) await runs.remove(run.id);
+    for (const alert of await alerts.list({ watchlistId: id })) await alerts.remove(alert.id);
+    return watchlists.remove(id);
+}
+
+module.exports = { watchlists, runs, alerts, pruneHistory, removeWatchlist, MAX_RUNS_PER_WATCHLIST, MAX_ALERTS_PER_WATCHLIST };
@@ -0,0 +1,31 @@
+/**
+ * Verify.IQ - Webhook Store
+ * Registered webhook endpoints and the log of every delivery attempt.
+ *
+ * Webhook: { id, scope ('key' | 'org'), keyId, orgId, ownerId, url, events,
+ *            description, secret, status ('active' | 'disabled'), created, updated }
+ * Delivery: { id, webhookId, event: { id, type, created_at, data }, status
+ *             ('pending' | 'succeeded' | 'failed'), attempts: [{ at, status_code,
+ *             error, duration_ms }], nextAttemptAt, replayOf, created }
+ */
+
+const { Collection } = require('./collection');
+
+// Finished deliveries kept per webhook; older ones are dropped
+const MAX_DELIVERIES_PER_WEBHOOK = 500;
+
+const webhooks = new Collection('webhooks');
+const deliveries = new Collection('webhook-deliveries');
+
+/**
+ * Drop the oldest finished deliveries of a webhook beyond the retention limit
+ */
+async function pruneDeliveries(webhookId) {
+    const finished = (await deliveries.list(d => d.webhookId === webhookId && d.status !== 'pending'))
+        .sort((a, b) => b.created.localeCompare(a.created));
+    for (const delivery of finished.slice(MAX_DELIVERIES_PER_WEBHOOK)) {
+        await deliveries.remove(delivery.id);
+    }
+}
+
+module.exports = { webhooks, deliveries, pruneDeliveries, MAX_DELIVERIES_PER_WEBHOOK };
@@ -0,0 +1,44 @@
+process.env.STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { hashImage } = require('../src/services/entityGraph');
+
+const IMAGE = Buffer.from('not really a png');
+
+test('images on private or loopback hosts are never downloaded', async t => {
+    let requests = 0;
+    const server = http.createServer((req, res) => { requests++; res.end(IMAGE); });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    for (const url of [
+        `http://127.0.0.1:${server.address().port}/image.png`,
+        `http://localhost:${server.address().port}/image.png`,
+        'http://169.254.169.254/latest/meta-data',
+        'http://10.0.0.5/image.png',
+        'http://[::1]/image.png',
+        'file:///etc/passwd',
+    ]) {
+        assert.equal(await hashImage(url), null, url);
+    }
+    assert.equal(requests, 0);
+});
+
+test('redirects to private addresses are refused, public ones followed', async t => {
+    const fetched = [];
+    t.mock.method(globalThis, 'fetch', async url => {
+        fetched.push(url);
+        if (url.endsWith('/to-metadata')) return new Response(null, { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } });
+        if (url.endsWith('/moved')) return new Response(null, { status: 301, headers: { location: '/image.png' } });
+        return new Response(IMAGE);
+    });
+
+    assert.equal(await hashImage('http://93.184.216.34/to-metadata'), null);
+    assert.deepEqual(fetched, ['http://93.184.216.34/to-metadata']);
+
+    assert.equal(await hashImage('http://93.184.216.34/moved'), crypto.createHash('sha256').update(IMAGE).digest('hex'));
+    assert.deepEqual(fetched.slice(1), ['http://93.184.216.34/moved', 'http://93.184.216.34/image.png']);
+});
@@ -0,0 +1,76 @@
+process.env.STORE = 'memory';
+process.env.KEY_STORE = 'memory';
+process.env.EXTENSION_TOKEN_SECRET = 'test-secret';
+process.env.EXTENSION_INSTALLS_PER_IP = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { issueToken, verifyToken, registerInstall, installs } = require('../src/middleware/extensionToken');
+const { apiKeyAuth, EXTENSION_LIMITS } = require('../src/middleware/apiKey');
+
+function forge(payload, secret) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `vxt.${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+// Run a middleware and resolve with the error it passed to next (undefined on success)
+function run(middleware, token) {
+    const req = { headers: { 'x-extension-token': token }, query: {}, method: 'POST', originalUrl: '/api/v2/scan-url' };
+    const res = { set() { return res; }, on() {} };
+    return new Promise(resolve => middleware(req, res, resolve));
+}
+
+test('an issued token verifies and names its install', () => {
+    const { token, expires_at } = issueToken('install-1');
+    assert.equal(verifyToken(token).iid, 'install-1');
+    assert.ok(Date.parse(expires_at) > Date.now());
+});
+
+test('tampered, forged and malformed tokens are rejected', () => {
+    const { token } = issueToken('install-1');
+    const [prefix, payload, signature] = token.split('.');
+    const otherPayload = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), iid: 'install-2' })).toString('base64url');
+
+    assert.equal(verifyToken(`${prefix}.${otherPayload}.${signature}`), null);
+    assert.equal(verifyToken(`${prefix}.${payload}.${signature.slice(0, -2)}AA`), null);
+    assert.equal(verifyToken(`jwt.${payload}.${signature}`), null);
+    assert.equal(verifyToken(forge({ iid: 'install-1', exp: Date.now() / 1000 + 60 }, 'wrong-secret')), null);
+    assert.equal(verifyToken('vxt.not-json.x'), null);
+    assert.equal(verifyToken(undefined), null);
+});
+
+test('expired tokens are rejected', t => {
+    const { token } = issueToken('install-1');
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 2 * 3600 * 1000);
+    assert.equal(verifyToken(token), null);
+});
+
+test('each address can register only a few new installs a day', async () => {
+    await registerInstall('a-1', '198.51.100.1');
+    await registerInstall('a-2', '198.51.100.1');
+    await assert.rejects(registerInstall('a-3', '198.51.100.1'), { code: 'TOO_MANY_INSTALLS' });
+
+    // Known installs and other addresses are unaffected
+    assert.equal((await registerInstall('a-1', '198.51.100.1')).id, 'a-1');
+    assert.equal((await registerInstall('b-1', '198.51.100.2')).id, 'b-1');
+});
+
+test('installs get the small anonymous quota, not a paid tier', async () => {
+    await registerInstall('quota-1', '198.51.100.3');
+    const { token } = issueToken('quota-1');
+
+    const limit = EXTENSION_LIMITS.ai_detect;
+    const results = await Promise.all(Array.from({ length: limit + 5 }, () => run(apiKeyAuth('ai_detect'), token)));
+    assert.equal(results.filter(error => !error).length, limit);
+    assert.equal(results.find(Boolean).code, 'QUOTA_EXCEEDED');
+
+    assert.equal((await run(apiKeyAuth('supplier_score'), token)).code, 'PRO_FEATURE');
+});
+
+test('revoked installs are refused', async () => {
+    await registerInstall('revoked-1', '198.51.100.4');
+    await installs.update('revoked-1', { status: 'revoked' });
+    assert.equal((await run(apiKeyAuth('url_scan'), issueToken('revoked-1').token)).code, 'EXTENSION_REVOKED');
+});
@@ -0,0 +1,63 @@
+process.env.STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reviewFeedback, listFor, labelOf } = require('../src/services/feedback');
+const { feedback } = require('../src/store/feedbackStore');
+const { listEntries } = require('../src/store/listStore');
+
+let count = 0;
+function pending(original, corrected) {
+    count++;
+    return feedback.insert({
+        id: `feedback-${count}`,
+        tenant: 'tenant-1',
+        reportId: `report-${count}`,
+        service: 'url_scan',
+        verdict: corrected,
+        label: labelOf(original, corrected),
+        status: 'pending',
+        report: { domain: `site${count}.example.com`, verdict: original, input: {}, output: {} },
+        listEntryId: null,
+    });
+}
+
+test('only clear corrections pick a list, and downgrades never deny', () => {
+    assert.equal(listFor('dangerous', 'safe'), 'allow');
+    assert.equal(listFor('suspicious', 'safe'), 'allow');
+    assert.equal(listFor('safe', 'dangerous'), 'deny');
+    assert.equal(listFor('suspicious', 'dangerous'), 'deny');
+    assert.equal(listFor('dangerous', 'suspicious'), null);
+    assert.equal(listFor('safe', 'suspicious'), null);
+    assert.equal(listFor('dangerous', 'scam'), null);
+    assert.equal(listFor('dangerous', 'no idea'), null);
+});
+
+test('labels', () => {
+    assert.equal(labelOf('dangerous', 'safe'), 'false_positive');
+    assert.equal(labelOf('suspicious', 'safe'), 'false_positive');
+    assert.equal(labelOf('safe', 'dangerous'), 'false_negative');
+    assert.equal(labelOf('dangerous', 'suspicious'), 'other');
+});
+
+test('accepting a downgrade to suspicious lists nothing', async () => {
+    const item = await pending('dangerous', 'suspicious');
+    const { feedback: accepted, entry } = await reviewFeedback(item.id, 'accepted');
+
+    assert.equal(entry, null);
+    assert.equal(accepted.status, 'accepted');
+    assert.equal((await listEntries.list({ value: item.report.domain })).length, 0);
+});
+
+test('a clear false positive is allow-listed', async () => {
+    const item = await pending('dangerous', 'safe');
+    const { entry } = await reviewFeedback(item.id, 'accepted');
+    assert.equal(entry.list, 'allow');
+    assert.equal(entry.value, item.report.domain);
+});
+
+test('a list the corrected verdict does not support is refused', async () => {
+    const item = await pending('dangerous', 'suspicious');
+    await assert.rejects(reviewFeedback(item.id, 'accepted', { list: 'deny' }), { code: 'LIST_CONFLICTS_WITH_VERDICT' });
+    assert.equal((await feedback.get(item.id)).status, 'pending');
+});
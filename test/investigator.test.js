@@ -0,0 +1,47 @@
+process.env.STORE = 'memory';
+process.env.KEY_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const investigator = require('../src/services/investigator');
+const aiDetector = require('../src/services/aiDetector');
+const { generateKey, resolveKey, moduleCharger } = require('../src/middleware/apiKey');
+
+const TEXT = 'Act now, your account will be suspended unless you confirm your password today.';
+
+function call() {
+    return { req: { method: 'POST', originalUrl: '/api/v2/investigate' }, res: new EventEmitter() };
+}
+
+test('every module run counts against its own service\'s daily limit', async t => {
+    t.mock.method(aiDetector, 'analyze', () => ({ verdict: 'likely_human' }));
+    const { key } = await generateKey('investigator', 'free');
+    const { req, res } = call();
+
+    // ai_detect allows a free key 10 a day
+    for (let i = 0; i < 10; i++) {
+        const report = await investigator.investigate(TEXT, { skipReason: moduleCharger(req, res, await resolveKey(key)) });
+        assert.equal(report.sections.ai_detect.status, 'completed');
+    }
+    const report = await investigator.investigate(TEXT, { skipReason: moduleCharger(req, res, await resolveKey(key)) });
+    assert.equal(report.sections.ai_detect.status, 'skipped');
+    assert.match(report.sections.ai_detect.reason, /10\/10 ai_detect/);
+    assert.equal(aiDetector.analyze.mock.callCount(), 10);
+    assert.equal((await resolveKey(key)).usage.ai_detect, 10);
+});
+
+test('modules outside the tier are skipped without being charged', async () => {
+    const { key } = await generateKey('investigator', 'free');
+    const skip = moduleCharger(...Object.values(call()), await resolveKey(key));
+    assert.match(await skip('supplier_score'), /requires a Pro subscription/);
+    assert.equal((await resolveKey(key)).usage.supplier_score, 0);
+});
+
+test('a failed module reports the public error, not the internal message', async t => {
+    t.mock.method(aiDetector, 'analyze', () => { throw new Error('ENOMEM reading /srv/models/detector.bin'); });
+    const report = await investigator.investigate(TEXT);
+    assert.equal(report.sections.ai_detect.status, 'failed');
+    assert.doesNotMatch(report.sections.ai_detect.reason, /ENOMEM|\/srv/);
+    assert.match(report.sections.ai_detect.reason, /Something went wrong on our side/);
+});
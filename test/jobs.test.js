@@ -0,0 +1,79 @@
+process.env.STORE = 'memory';
+process.env.KEY_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { generateKey, resolveKey } = require('../src/middleware/apiKey');
+const { requestId, errorHandler } = require('../src/middleware/errorHandler');
+const { jobQueue } = require('../src/services/jobQueue');
+const jobsRouter = require('../src/routes/jobs');
+
+let server;
+let base;
+
+test.before(async () => {
+    const app = express();
+    app.use(requestId());
+    app.use(express.json({ limit: '5mb' }));
+    app.use('/jobs', jobsRouter);
+    app.use(errorHandler());
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function emails(count) {
+    return Array.from({ length: count }, (_, i) => `user${i}@example.com`);
+}
+
+function urls(count) {
+    return Array.from({ length: count }, (_, i) => `https://site${i}.example.com`);
+}
+
+async function submit(key, items, type = 'verify_email') {
+    const response = await fetch(`${base}/jobs`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': key },
+        body: JSON.stringify({ type, items }),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('a job is charged one request per item', async t => {
+    t.mock.method(jobQueue, 'submit', async ({ type, items }) => ({ id: 'job-1', type, status: 'queued', total: items.length, processed: 0 }));
+    const { key } = await generateKey('jobs', 'free');
+
+    assert.equal((await submit(key, emails(30))).status, 202);
+    assert.equal((await resolveKey(key)).usage.email_verify, 30);
+});
+
+test('a job larger than the remaining quota is refused whole', async t => {
+    const queued = t.mock.method(jobQueue, 'submit', async ({ type, items }) => ({ id: 'job-2', type, status: 'queued', total: items.length, processed: 0 }));
+    const { key } = await generateKey('jobs', 'free');
+    await submit(key, emails(40));
+
+    const refused = await submit(key, emails(11));
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, 'QUOTA_EXCEEDED');
+    assert.equal(queued.mock.callCount(), 1);
+    assert.equal((await resolveKey(key)).usage.email_verify, 40);
+
+    // What is left can still be used
+    assert.equal((await submit(key, emails(10))).status, 202);
+});
+
+test('URL jobs are charged one bulk_scan request per 50 URLs, so 10,000 fit a business key', async t => {
+    t.mock.method(jobQueue, 'submit', async ({ type, items }) => ({ id: 'job-3', type, status: 'queued', total: items.length, processed: 0 }));
+    const { key } = await generateKey('jobs', 'business');
+
+    const accepted = await submit(key, urls(10000), 'scan_url');
+    assert.equal(accepted.status, 202);
+    assert.equal(accepted.body.job.total, 10000);
+    assert.equal((await resolveKey(key)).usage.bulk_scan, 200);
+
+    assert.equal((await submit(key, urls(51), 'scan_url')).status, 202);
+    assert.equal((await resolveKey(key)).usage.bulk_scan, 202);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileKeyStore, MemoryKeyStore, hashKey } = require('../src/store/keyStore');
+
+const USAGE = { url_scan: 0 };
+
+function tempFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'viq-keys-')), 'keys.json');
+}
+
+function record(id, key) {
+    return { id, keyHash: hashKey(key), graceKeys: [], usage: { ...USAGE }, lastReset: '2026-01-01', limits: {} };
+}
+
+test('keys are stored hashed, never in plaintext', async () => {
+    const file = tempFile();
+    await new FileKeyStore(file).insert(record('k1', 'viq_free_secret'));
+
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('viq_free_secret'));
+    assert.equal((await new FileKeyStore(file).findByKey('viq_free_secret')).id, 'k1');
+});
+
+test('a second instance sees keys created by the first after it started', async () => {
+    const file = tempFile();
+    const a = new FileKeyStore(file);
+    const b = new FileKeyStore(file);
+
+    await a.insert(record('k1', 'viq_free_one'));
+    assert.equal((await b.findByKey('viq_free_one'))?.id, 'k1');
+
+    await b.update('k1', { name: 'renamed' });
+    assert.equal((await a.findById('k1')).name, 'renamed');
+});
+
+test('instances sharing a file count usage without overwriting each other', async () => {
+    const file = tempFile();
+    const a = new FileKeyStore(file);
+    await a.insert(record('k1', 'viq_free_one'));
+    const b = new FileKeyStore(file);
+
+    const day = '2026-01-02';
+    const calls = [];
+    for (let i = 0; i < 10; i++) {
+        for (const store of [a, b]) calls.push(store.consumeUsage('k1', 'url_scan', { day, usage: USAGE, limit: 15 }));
+    }
+    const results = await Promise.all(calls);
+
+    assert.equal(results.filter(r => r.allowed).length, 15);
+    assert.equal((await new FileKeyStore(file).findById('k1')).usage.url_scan, 15);
+});
+
+test('consumeUsage rolls the day over and never goes past the limit', async () => {
+    const store = new MemoryKeyStore([record('k1', 'viq_free_one')]);
+    await store.consumeUsage('k1', 'url_scan', { day: '2026-01-01', usage: USAGE, limit: 5, count: 3 });
+
+    const tooMany = await store.consumeUsage('k1', 'url_scan', { day: '2026-01-01', usage: USAGE, limit: 5, count: 3 });
+    assert.equal(tooMany.allowed, false);
+    assert.equal(tooMany.used, 3);
+
+    const nextDay = await store.consumeUsage('k1', 'url_scan', { day: '2026-01-02', usage: USAGE, limit: 5, count: 3 });
+    assert.equal(nextDay.allowed, true);
+    assert.equal(nextDay.record.usage.url_scan, 3);
+    assert.deepEqual(nextDay.record.history, { '2026-01-01': { url_scan: 3 } });
+});
+
+test('concurrent calls in one process cannot overshoot the limit', async () => {
+    const store = new MemoryKeyStore([record('k1', 'viq_free_one')]);
+    const results = await Promise.all(Array.from({ length: 20 }, () => (
+        store.consumeUsage('k1', 'url_scan', { day: '2026-01-01', usage: USAGE, limit: 7 })
+    )));
+    assert.equal(results.filter(r => r.allowed).length, 7);
+});
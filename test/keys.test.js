@@ -0,0 +1,63 @@
+process.env.STORE = 'memory';
+process.env.KEY_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { generateKey, resolveKey, consumeQuota } = require('../src/middleware/apiKey');
+const { requestId, errorHandler } = require('../src/middleware/errorHandler');
+const { getKeyStore } = require('../src/store/keyStore');
+const keysRouter = require('../src/routes/keys');
+
+let server;
+let base;
+
+test.before(async () => {
+    const app = express();
+    app.use(requestId());
+    app.use(express.json());
+    app.use('/keys', keysRouter);
+    app.use(errorHandler());
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+async function createKey(key, name) {
+    const response = await fetch(`${base}/keys`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': key },
+        body: JSON.stringify({ name }),
+    });
+    assert.equal(response.status, 201);
+    return response.json();
+}
+
+test('a second key shares the first key\'s daily allowance instead of doubling it', async () => {
+    const { key: first, record } = await generateKey('owner', 'pro');
+    const created = await createKey(first, 'second');
+    assert.equal(created.key.tier, 'pro');
+    assert.equal(created.key.quota_key_id, record.id);
+
+    // ai_detect allows a pro key 100 a day
+    await consumeQuota(await resolveKey(first), 'ai_detect', null, 60);
+    const second = await resolveKey(created.api_key);
+    await assert.rejects(consumeQuota(second, 'ai_detect', null, 41), { code: 'QUOTA_EXCEEDED' });
+    await consumeQuota(second, 'ai_detect', null, 40);
+    await assert.rejects(consumeQuota(await resolveKey(first), 'ai_detect', null, 1), { code: 'QUOTA_EXCEEDED' });
+
+    assert.equal((await resolveKey(created.api_key)).usage.ai_detect, 40);
+});
+
+test('keys created from an extra key, or outliving the first, still share its allowance', async () => {
+    const { key: first, record } = await generateKey('owner', 'pro');
+    const second = await createKey(first, 'second');
+    const third = await createKey(second.api_key, 'third');
+    assert.equal(third.key.quota_key_id, record.id);
+
+    await getKeyStore().update(record.id, { status: 'revoked', revokedAt: new Date().toISOString() });
+    await consumeQuota(await resolveKey(second.api_key), 'ai_detect', null, 100);
+    await assert.rejects(consumeQuota(await resolveKey(third.api_key), 'ai_detect', null, 1), { code: 'QUOTA_EXCEEDED' });
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'viq-orgs-'));
+process.env.KEY_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Collection } = require('../src/store/collection');
+const { orgs, consumeOrgUsage } = require('../src/store/orgStore');
+
+const USAGE = { url_scan: 0 };
+const day = '2026-01-02';
+
+test('processes sharing the orgs file draw from the pool without losing counts', async () => {
+    await orgs.insert({ id: 'org-1', name: 'Acme', limits: { url_scan: 15 }, usage: { ...USAGE }, lastReset: day, members: [] });
+    // Another server process, with its own copy of the records
+    const other = new Collection('orgs', { shared: true });
+    const otherConsume = () => other.update('org-1', current => {
+        const used = current.usage.url_scan;
+        return used < current.limits.url_scan ? { usage: { url_scan: used + 1 } } : {};
+    });
+
+    const calls = [];
+    for (let i = 0; i < 10; i++) {
+        calls.push(consumeOrgUsage('org-1', 'url_scan', { day, usage: USAGE }), otherConsume());
+    }
+    await Promise.all(calls);
+
+    assert.equal((await orgs.get('org-1')).usage.url_scan, 15);
+    assert.equal((await other.get('org-1')).usage.url_scan, 15);
+    const onDisk = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'orgs.json'), 'utf8'));
+    assert.equal(onDisk.records[0].usage.url_scan, 15);
+});
+
+test('a member added by another process survives a quota draw', async () => {
+    const other = new Collection('orgs', { shared: true });
+    await other.update('org-1', current => ({ members: [...current.members, { id: 'owner-2', role: 'analyst' }] }));
+
+    await consumeOrgUsage('org-1', 'url_scan', { day: '2026-01-03', usage: USAGE });
+
+    const org = await new Collection('orgs').get('org-1');
+    assert.deepEqual(org.members.map(m => m.id), ['owner-2']);
+    assert.equal(org.usage.url_scan, 1);
+});
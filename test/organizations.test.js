@@ -0,0 +1,105 @@
+process.env.STORE = 'memory';
+process.env.KEY_STORE = 'memory';
+process.env.VERIFYIQ_ADMIN_TOKEN = 'admin-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { apiKeyAuth, generateKey, resolveKey } = require('../src/middleware/apiKey');
+const { requestId, errorHandler } = require('../src/middleware/errorHandler');
+const { orgs } = require('../src/store/orgStore');
+const { getKeyStore } = require('../src/store/keyStore');
+const orgsRouter = require('../src/routes/orgs');
+const adminRouter = require('../src/routes/admin');
+
+let server;
+let base;
+
+test.before(async () => {
+    const app = express();
+    app.use(requestId());
+    app.use(express.json());
+    app.use('/orgs', orgsRouter);
+    app.use('/admin', adminRouter);
+    app.use(errorHandler());
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+async function call(method, path, key, body, headers = {}) {
+    const response = await fetch(`${base}${path}`, {
+        method,
+        headers: { 'content-type': 'application/json', ...(key && { 'x-api-key': key }), ...headers },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Resolve with the error apiKeyAuth passed to next (undefined when the call was allowed)
+function meter(service, key) {
+    const req = { headers: { 'x-api-key': key }, query: {}, method: 'POST', originalUrl: `/api/v2/${service}`, ip: '127.0.0.1', get: () => undefined };
+    const res = { set() { return res; }, on() {} };
+    return new Promise(resolve => apiKeyAuth(service)(req, res, resolve));
+}
+
+async function createOrg(name) {
+    const { key: ownerKey } = await generateKey(`${name} owner`, 'pro');
+    const created = await call('POST', '/orgs', ownerKey, { name });
+    assert.equal(created.status, 201);
+    const member = await call('POST', '/orgs/me/members', ownerKey, { name: 'Analyst' });
+    assert.equal(member.status, 201);
+    return { org: created.body.organization, ownerKey, memberKey: member.body.api_key };
+}
+
+test('members draw from one pooled quota that concurrent calls cannot overshoot', async () => {
+    const { org, ownerKey, memberKey } = await createOrg('Pool');
+    await orgs.update(org.id, current => ({ limits: { ...current.limits, ai_detect: 5 } }));
+
+    const results = await Promise.all(Array.from({ length: 12 }, (_, i) => meter('ai_detect', i % 2 ? memberKey : ownerKey)));
+    assert.equal(results.filter(error => !error).length, 5);
+    assert.equal(results.find(Boolean).code, 'QUOTA_EXCEEDED');
+
+    assert.equal((await orgs.get(org.id)).usage.ai_detect, 5);
+    const owner = await resolveKey(ownerKey);
+    const member = await resolveKey(memberKey);
+    assert.equal(owner.usage.ai_detect + member.usage.ai_detect, 5);
+});
+
+test('keys outside an organization keep their own quota', async () => {
+    const { key } = await generateKey('solo', 'free');
+    const results = await Promise.all(Array.from({ length: 12 }, () => meter('ai_detect', key)));
+    assert.equal(results.filter(error => !error).length, 10);
+});
+
+test('leaving revokes seat keys and gives the founder their keys back', async () => {
+    const { org, ownerKey, memberKey } = await createOrg('Leavers');
+
+    const lastOwner = await call('POST', '/orgs/me/leave', ownerKey);
+    assert.equal(lastOwner.status, 409);
+    assert.equal(lastOwner.body.code, 'LAST_OWNER');
+
+    const memberLeft = await call('POST', '/orgs/me/leave', memberKey);
+    assert.equal(memberLeft.status, 200);
+    assert.equal(memberLeft.body.keys_revoked, 1);
+    await assert.rejects(resolveKey(memberKey), { code: 'API_KEY_REVOKED' });
+
+    const ownerLeft = await call('POST', '/orgs/me/leave', ownerKey);
+    assert.deepEqual(ownerLeft.body, { left: true, organization_id: org.id, dissolved: true, keys_detached: 1, keys_revoked: 0 });
+    assert.equal((await resolveKey(ownerKey)).orgId, null);
+    assert.equal(await orgs.get(org.id), null);
+
+    // Free to found or join another one now
+    assert.equal((await call('POST', '/orgs', ownerKey, { name: 'Next' })).status, 201);
+});
+
+test('keys an administrator issues for an org member join the pooled quota', async () => {
+    const { org, ownerKey } = await createOrg('Admin keys');
+    const owner = await resolveKey(ownerKey);
+
+    const issued = await call('POST', '/admin/keys', undefined, { name: 'extra', tier: 'business', owner_id: owner.ownerId }, { 'x-admin-token': 'admin-secret' });
+    assert.equal(issued.status, 201);
+    assert.equal((await getKeyStore().findById(issued.body.key.id)).orgId, org.id);
+});
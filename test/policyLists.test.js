@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'viq-lists-'));
+process.env.KEY_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withLists } = require('../src/services/policyLists');
+const { setListEntry, listEntries, migrateLegacyOverrides } = require('../src/store/listStore');
+const { feedback } = require('../src/store/feedbackStore');
+
+const KEY = { id: 'key-1', ownerId: 'owner-1' };
+const ANALYZED = { analyzed: true };
+const analyzer = async () => ANALYZED;
+
+test.before(async () => {
+    await setListEntry('owner-1', { list: 'allow', type: 'domain', value: 'trusted.example.com', source: 'api' });
+    await setListEntry('owner-1', { list: 'deny', type: 'email', value: 'scammer@bad.example', source: 'api' });
+    await setListEntry('owner-1', { list: 'deny', type: 'wallet', value: '0x' + 'ab'.repeat(20), source: 'api' });
+    await setListEntry('owner-1', { list: 'allow', type: 'social_handle', value: 'someone', source: 'api' });
+});
+
+test('overrides answer in each service\'s own shape', async () => {
+    const email = await withLists(KEY, 'email_verify', { email: 'Scammer@bad.example' }, analyzer);
+    assert.equal(email.email, 'scammer@bad.example');
+    assert.equal(email.verdict, 'undeliverable');
+    assert.equal(email.score, 0);
+    assert.equal(email.iq_score, undefined);
+
+    const supplier = await withLists(KEY, 'supplier_score', { url: 'https://shop.trusted.example.com' }, analyzer);
+    assert.equal(supplier.trust_iq, 100);
+    assert.equal(supplier.domain, 'shop.trusted.example.com');
+    assert.equal(supplier.iq_score, undefined);
+
+    const wallet = await withLists(KEY, 'rug_pull_check', { address: '0x' + 'AB'.repeat(20), chain: 'ethereum' }, analyzer);
+    assert.equal(wallet.risk_level, 'critical');
+    assert.match(wallet.verdict, /^DANGEROUS/);
+
+    const scan = await withLists(KEY, 'url_scan', { url: 'https://trusted.example.com/page' }, analyzer);
+    assert.deepEqual([scan.iq_score, scan.verdict, scan.policy_override.list], [100, 'safe', 'allow']);
+});
+
+test('social authenticity calls with a username are decided by handle entries', async () => {
+    const social = await withLists(KEY, 'social_auth', { followers: 10, username: '@someone', platform: 'instagram' }, analyzer);
+    assert.deepEqual([social.score, social.verdict], [100, 'Authentic']);
+    assert.equal(await withLists(KEY, 'social_auth', { followers: 10 }, analyzer), ANALYZED);
+});
+
+test('free text and agent context are never decided by the lists', async () => {
+    assert.equal(await withLists(KEY, 'ai_detect', { text: 'Mail scammer@bad.example now' }, analyzer), ANALYZED);
+    assert.equal(await withLists(KEY, 'agent_scan', { context: 'general_risk' }, analyzer), ANALYZED);
+});
+
+test('overrides of earlier versions move to the lists with their feedback links', async () => {
+    const file = path.join(process.env.DATA_DIR, 'overrides.json');
+    fs.writeFileSync(file, JSON.stringify({
+        records: [
+            { id: 'ovr-1', tenant: 'owner-2', list: 'deny', type: 'domain', value: 'old.example', reason: null, source: 'feedback', feedbackId: 'fb-1', created: '2026-01-01T00:00:00.000Z', updated: null },
+            { id: 'ovr-2', tenant: 'owner-1', list: 'allow', type: 'domain', value: 'trusted.example.com', source: 'feedback', feedbackId: 'fb-2', created: '2026-01-01T00:00:00.000Z', updated: null },
+        ],
+    }));
+    await feedback.insert({ id: 'fb-1', tenant: 'owner-2', status: 'accepted', overrideId: 'ovr-1' });
+    await feedback.insert({ id: 'fb-2', tenant: 'owner-1', status: 'accepted', overrideId: 'ovr-2' });
+
+    assert.equal(await migrateLegacyOverrides({ file }), 2);
+
+    assert.equal((await listEntries.get('ovr-1')).value, 'old.example');
+    const [existing] = await listEntries.list({ tenant: 'owner-1', value: 'trusted.example.com' });
+    assert.equal((await feedback.get('fb-1')).listEntryId, 'ovr-1');
+    assert.equal((await feedback.get('fb-2')).listEntryId, existing.id);
+    assert.equal((await feedback.get('fb-1')).overrideId, undefined);
+    assert.ok(!fs.existsSync(file));
+
+    // Deny-listed from now on
+    const result = await withLists({ id: 'key-2', ownerId: 'owner-2' }, 'url_scan', { url: 'https://old.example' }, analyzer);
+    assert.equal(result.verdict, 'dangerous');
+});
@@ -0,0 +1,74 @@
+process.env.STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkRules, firedRules, OPERATORS } = require('../src/services/policyRules');
+
+const SCAN = {
+    domain: 'login-paypal.top',
+    verdict: 'suspicious',
+    iq_score: 55,
+    checks: { domain_age: { age_days: 3 }, ssl: { issuer: "Let's Encrypt" } },
+};
+
+function rule(id, when, verdict = 'dangerous') {
+    return { id, services: ['url_scan'], verdict, when };
+}
+
+const fired = (rules, output = SCAN) => firedRules(rules, 'url_scan', output).map(r => r.id);
+
+test('comparisons, groups and paths under checks', () => {
+    const rules = [
+        rule('young', { field: 'domain_age.age_days', op: 'lt', value: 14 }),
+        rule('issuer', { field: 'ssl.issuer', op: 'eq', value: "let's encrypt" }),
+        rule('all', { all: [{ field: 'score', op: 'lte', value: 60 }, { field: 'verdict', op: 'in', value: ['suspicious', 'dangerous'] }] }),
+        rule('any', { any: [{ field: 'score', op: 'gt', value: 90 }, { field: 'domain', op: 'contains', value: 'PAYPAL' }] }),
+        rule('not', { not: { field: 'domain', op: 'ends_with', value: '.com' } }),
+        rule('missing', { field: 'whois.registrar', op: 'exists', value: false }),
+        rule('never', { field: 'whois.registrar', op: 'ne', value: 'x' }),
+        rule('other-service', { field: 'score', op: 'gte', value: 0 }),
+    ];
+    rules.at(-1).services = ['email_verify'];
+    assert.deepEqual(fired(rules), ['young', 'issuer', 'all', 'any', 'not', 'missing']);
+});
+
+test('TLDs compare with or without their leading dot', () => {
+    const rules = [
+        rule('dotted', { field: 'tld', op: 'in', value: ['.top', '.xyz'] }),
+        rule('bare', { field: 'tld', op: 'eq', value: 'top' }),
+        rule('other', { field: 'tld', op: 'not_in', value: ['.top'] }),
+    ];
+    checkRules(rules);
+    assert.deepEqual(fired(rules), ['dotted', 'bare']);
+    assert.deepEqual(fired(rules, { ...SCAN, domain: 'Example.COM.' }), ['other']);
+});
+
+test('malformed rules are refused with the path of each problem', () => {
+    assert.throws(() => checkRules([
+        rule('a', { field: 'score', op: 'lt', value: 'ten' }),
+        rule('a', { all: [] }),
+        rule('b', { field: 'score', op: 'between', value: 1 }),
+    ]), error => {
+        assert.equal(error.code, 'INVALID_RULES');
+        assert.deepEqual(error.details.errors.map(e => e.path), ['$.rules[0].when.value', '$.rules[1].id', '$.rules[1].when.all', '$.rules[2].when.op']);
+        return true;
+    });
+});
+
+test('patterns that can backtrack catastrophically are refused', () => {
+    for (const pattern of ['^(a+)+$', '(a|aa)*b', '(\\w*\\d)+', '((ab)*)+', '(a)\\1', '(?<x>a)\\k<x>', 'pay(?=pal)', '(?<!www\\.)paypal']) {
+        assert.throws(() => checkRules([rule('r', { field: 'domain', op: 'matches', value: pattern })]), /not a safe pattern/, pattern);
+    }
+    for (const pattern of ['^login-', 'pay(pal|pa1)', '(www\\.)?paypal\\.[a-z]+$', '[(a+)+]', '^\\d{1,3}\\.\\d{1,3}$']) {
+        checkRules([rule('r', { field: 'domain', op: 'matches', value: pattern })]);
+    }
+    assert.deepEqual(fired([rule('r', { field: 'domain', op: 'matches', value: 'LOGIN-(paypal|apple)\\.' })]), ['r']);
+});
+
+test('a match that runs out of time counts as no match', () => {
+    // Built past checkRules, as a stored rule set from before the check would be
+    const started = Date.now();
+    assert.equal(OPERATORS.matches.test(`${'a'.repeat(40)}!`, '^(a+)+$'), false);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(OPERATORS.matches.test('aaa', '^(a+)+$'), true);
+});
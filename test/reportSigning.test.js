@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORE = 'memory';
+process.env.REPORT_SIGNING_RETIRED_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'viq-retired-'));
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signReport, verifyReport, publicJwks, canonicalJson } = require('../src/services/reportSigning');
+const { recordReport, loadReport, signedOutput } = require('../src/services/history');
+
+// A key rotated out before this process started
+const retired = crypto.generateKeyPairSync('ed25519');
+fs.writeFileSync(path.join(process.env.REPORT_SIGNING_RETIRED_DIR, 'old.pem'), retired.publicKey.export({ type: 'spki', format: 'pem' }));
+const retiredKid = crypto.createHash('sha256')
+    .update(Buffer.from(retired.publicKey.export({ format: 'jwk' }).x, 'base64url')).digest('hex').slice(0, 16);
+
+const REPORT = { url: 'https://example.com', iq_score: 88, verdict: 'safe', checks: { ssl: { valid: true } } };
+
+test('canonical JSON sorts keys at every level and drops whitespace', () => {
+    assert.equal(canonicalJson({ b: [3, { z: 1, a: null }], a: 'é ', c: true }), '{"a":"é ","b":[3,{"a":null,"z":1}],"c":true}');
+    assert.equal(canonicalJson({ 'é': 1, z: 2, Z: 3 }), '{"Z":3,"z":2,"é":1}');
+    assert.equal(canonicalJson([1e21, 0.1, -0, 100]), '[1e+21,0.1,0,100]');
+});
+
+test('a signed report verifies as received, in any key order', () => {
+    const signed = signReport(REPORT, { reportId: 'report-1' });
+    assert.equal(signed.signature.report_id, 'report-1');
+    const reordered = JSON.parse(JSON.stringify({ signature: signed.signature, ...REPORT }));
+    assert.deepEqual(verifyReport(reordered), {
+        valid: true, reason: null, report_id: 'report-1', signed_at: signed.signature.signed_at, key_id: signed.signature.key_id,
+    });
+});
+
+test('any change to the report or its signature block is caught', () => {
+    const signed = signReport(REPORT);
+    assert.match(verifyReport({ ...signed, verdict: 'dangerous' }).reason, /does not match/);
+    assert.match(verifyReport({ ...signed, checks: { ssl: { valid: false } } }).reason, /does not match/);
+    assert.match(verifyReport({ ...signed, signature: { ...signed.signature, signed_at: new Date(0).toISOString() } }).reason, /does not match/);
+    assert.match(verifyReport({ ...signed, signature: { ...signed.signature, key_id: 'feedfacefeedface' } }).reason, /unknown key/);
+    assert.match(verifyReport({ ...signed, signature: { ...signed.signature, algorithm: 'RS256' } }).reason, /Unsupported/);
+    assert.match(verifyReport(REPORT).reason, /Unsupported/);
+});
+
+test('reports signed with a retired key still verify, and its key is published', () => {
+    const signature = { report_id: 'report-old', signed_at: '2026-01-01T00:00:00.000Z', key_id: retiredKid, algorithm: 'Ed25519', canonicalization: 'JCS' };
+    const value = crypto.sign(null, Buffer.from(canonicalJson({ ...REPORT, signature })), retired.privateKey).toString('base64url');
+    assert.equal(verifyReport({ ...REPORT, signature: { ...signature, value } }).valid, true);
+
+    const kids = publicJwks().keys.map(key => key.kid);
+    assert.deepEqual(kids, [signReport(REPORT).signature.key_id, retiredKid]);
+});
+
+test('stored reports keep the signature they were given when stored', async () => {
+    const keyData = { id: 'key-1', ownerId: 'owner-1' };
+    const { id, signed, saved } = recordReport(keyData, { service: 'url_scan', endpoint: '/scan-url', input: { url: REPORT.url }, output: REPORT });
+    await saved;
+
+    const { record, document } = await loadReport(keyData, id);
+    assert.equal(signed.signature.report_id, id);
+    assert.equal(signed.signature.signed_at, record.createdAt);
+    assert.deepEqual(signedOutput(document), signed);
+    assert.equal(verifyReport(signedOutput(document)).valid, true);
+});
+
+test('reports stored before signing have no signature to return', () => {
+    assert.throws(() => signedOutput({ input: {}, output: REPORT }), { code: 'REPORT_NOT_SIGNED' });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReportStore } = require('../src/store/reportStore');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'viq-reports-'));
+}
+
+function report(id, createdAt = new Date().toISOString()) {
+    return { id, tenant: 'tenant-1', service: 'url_scan', verdict: 'safe', score: 90, createdAt };
+}
+
+test('reports are appended, never rewritten, and read back by id', async () => {
+    const dir = tempDir();
+    const store = new ReportStore({ dir, memory: false, legacyIndex: path.join(dir, 'none.json') });
+
+    const first = await store.save(report('r1'), { input: { url: 'https://a.example' }, output: { verdict: 'safe' } });
+    const indexFile = path.join(dir, `${first.day}.index.ndjson`);
+    const before = fs.readFileSync(indexFile, 'utf8');
+    await store.save(report('r2'), { input: { url: 'https://b.example' }, output: { verdict: 'dangerous' } });
+
+    assert.ok(fs.readFileSync(indexFile, 'utf8').startsWith(before));
+    assert.deepEqual((await store.list()).map(r => r.id).sort(), ['r1', 'r2']);
+    assert.deepEqual(await store.load(await store.get('r2')), { input: { url: 'https://b.example' }, output: { verdict: 'dangerous' }, signature: null });
+});
+
+test('processes sharing the directory see each other\'s reports', async () => {
+    const dir = tempDir();
+    const options = { dir, memory: false, legacyIndex: path.join(dir, 'none.json') };
+    const a = new ReportStore(options);
+    const b = new ReportStore(options);
+
+    assert.equal(await b.get('r1'), null);
+    await a.save(report('r1'), { input: {}, output: { verdict: 'safe' } });
+    assert.equal((await b.get('r1')).id, 'r1');
+    assert.deepEqual((await b.load(await b.get('r1'))).output, { verdict: 'safe' });
+});
+
+test('an index left in reports.json is moved to the index files', async () => {
+    const dir = tempDir();
+    const legacyIndex = path.join(dir, 'reports.json');
+    const store = new ReportStore({ dir, memory: false, legacyIndex });
+    const saved = await store.save(report('r1'), { input: {}, output: {} });
+    fs.rmSync(path.join(dir, `${saved.day}.index.ndjson`));
+    fs.writeFileSync(legacyIndex, JSON.stringify({ records: [saved] }));
+
+    const upgraded = new ReportStore({ dir, memory: false, legacyIndex });
+    assert.equal((await upgraded.get('r1')).offset, saved.offset);
+    assert.ok(!fs.existsSync(legacyIndex));
+    assert.ok(fs.existsSync(`${legacyIndex}.migrated`));
+});
+
+test('pruning drops expired reports with their day files', async () => {
+    const dir = tempDir();
+    const store = new ReportStore({ dir, memory: false, retentionDays: 30, legacyIndex: path.join(dir, 'none.json') });
+    await store.save(report('old', '2020-01-01T00:00:00.000Z'), { input: {}, output: {} });
+    await store.save(report('new'), { input: {}, output: {} });
+
+    assert.equal(await store.prune(), 1);
+    assert.deepEqual((await store.list()).map(r => r.id), ['new']);
+    assert.ok(!fs.readdirSync(dir).some(name => name.startsWith('2020-01-01')));
+});
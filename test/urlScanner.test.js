@@ -0,0 +1,66 @@
+process.env.STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreContributions } = require('../src/services/urlScanner');
+const { resolveProfile } = require('../src/services/scoringProfiles');
+
+const PERFECT = {
+    domain_age: { age_days: 4000 },
+    ssl: { valid: true, days_remaining: 300 },
+    safe_browsing: { safe: true },
+    dns: { has_records: true, mx_count: 2, has_spf: true, has_dmarc: true },
+    whois: { registered: true, registrar: 'Example Registrar' },
+    reputation: { score: 100 },
+};
+
+const total = contributions => Object.values(contributions).reduce((sum, c) => sum + c.contribution, 0);
+const iqScore = contributions => Math.round(Math.max(0, Math.min(100, total(contributions))));
+
+// The IQ score as computed before scoring profiles existed
+const BASELINE_WEIGHTS = { domain_age: 25, ssl: 15, safe_browsing: 30, dns: 10, whois: 10, reputation: 10 };
+function baselineScore(checks) {
+    const points = {
+        domain_age: c => BASELINE_WEIGHTS.domain_age * (c.age_days > 730 ? 1 : c.age_days > 365 ? 0.8 : c.age_days > 180 ? 0.6 : c.age_days > 30 ? 0.3 : 0.1),
+        ssl: c => (c.valid ? 15 + (c.days_remaining > 90 ? 2 : 0) : 0),
+        safe_browsing: c => (c.safe ? 30 : 0),
+        dns: c => (c.has_records ? 10 * (0.5 + (c.mx_count > 0 ? 0.2 : 0) + (c.has_spf ? 0.15 : 0) + (c.has_dmarc ? 0.15 : 0)) : 0),
+        whois: c => (c.registered ? 10 * (0.6 + (c.registrar && c.registrar !== 'Unknown (no WHOIS key)' ? 0.4 : 0)) : 0),
+        reputation: c => (c.score / 100) * 10,
+    };
+    const present = Object.keys(BASELINE_WEIGHTS).filter(name => checks[name]);
+    const totalWeight = present.reduce((sum, name) => sum + BASELINE_WEIGHTS[name], 0);
+    const score = present.reduce((sum, name) => sum + (points[name](checks[name]) / totalWeight) * 100, 0);
+    return Math.round(Math.max(0, Math.min(100, score)));
+}
+
+test('the default profile scores exactly as before, for short- and long-lived certificates', () => {
+    const profile = resolveProfile({});
+    const young = { ...PERFECT, domain_age: { age_days: 200 }, dns: { has_records: true, mx_count: 0, has_spf: true, has_dmarc: false }, reputation: { score: 40 } };
+    for (const checks of [PERFECT, young, { ssl: PERFECT.ssl, safe_browsing: { safe: true } }, { domain_age: { age_days: 10 }, whois: { registered: false } }]) {
+        for (const ssl of [{ valid: true, days_remaining: 300 }, { valid: true, days_remaining: 60 }, { valid: true, days_remaining: 90 }, { valid: false }]) {
+            const scan = { ...checks, ssl };
+            assert.equal(iqScore(scoreContributions(scan, profile)), baselineScore(scan), JSON.stringify(scan));
+        }
+    }
+});
+
+test('a valid certificate earns the SSL weight, and a long-lived one the bonus on top', () => {
+    const profile = resolveProfile({});
+    const ssl = days_remaining => scoreContributions({ ssl: { valid: true, days_remaining } }, profile).ssl.points;
+    assert.equal(ssl(300), 17);
+    assert.equal(ssl(30), 15);
+    assert.equal(scoreContributions({ ssl: { valid: false } }, profile).ssl.points, 0);
+});
+
+test('a signal weighted 0 contributes nothing, not even the SSL bonus', () => {
+    const contributions = scoreContributions(PERFECT, resolveProfile({ weights: { ssl: 0 } }));
+    assert.deepEqual(contributions.ssl, { weight: 0, points: 0, contribution: 0 });
+    assert.equal(Math.round(total(contributions)), 100);
+});
+
+test('reputation scores out of range are held to the weight', () => {
+    const contributions = scoreContributions({ reputation: { score: 140 } }, resolveProfile({}));
+    assert.equal(contributions.reputation.points, 10);
+    assert.equal(contributions.reputation.contribution, 100);
+});
@@ -0,0 +1,43 @@
+process.env.STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { apiVersion, deprecated, LEGACY_DEPRECATION } = require('../src/middleware/versioning');
+
+let server;
+let base;
+
+test.before(async () => {
+    const api = express.Router();
+    api.get('/scan', (req, res) => res.json({ version: req.apiVersion }));
+    api.get('/legacy', deprecated(LEGACY_DEPRECATION), (req, res) => res.json({ version: req.apiVersion }));
+
+    const app = express();
+    app.use('/api/v2', apiVersion('v2'), api);
+    app.use('/api/v1', apiVersion('v1'), api);
+    app.use('/api', apiVersion('v1', { unversioned: true }), api);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('v1 and unversioned paths are not announced as deprecated while they answer like v2', async () => {
+    for (const [path, version] of [['/api/v2/scan', 'v2'], ['/api/v1/scan', 'v1'], ['/api/scan', 'v1']]) {
+        const response = await fetch(`${base}${path}`);
+        assert.equal(response.headers.get('api-version'), version, path);
+        assert.equal(response.headers.get('deprecation'), null, path);
+        assert.equal(response.headers.get('sunset'), null, path);
+        assert.deepEqual(await response.json(), { version });
+    }
+});
+
+test('legacy endpoints carry Deprecation and Sunset headers in every version', async () => {
+    for (const path of ['/api/v2/legacy', '/api/v1/legacy', '/api/legacy']) {
+        const response = await fetch(`${base}${path}`);
+        assert.match(response.headers.get('deprecation'), /^@\d+$/, path);
+        assert.equal(response.headers.get('sunset'), new Date(LEGACY_DEPRECATION.sunset).toUTCString(), path);
+    }
+});
@@ -0,0 +1,95 @@
+process.env.STORE = 'memory';
+process.env.KEY_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const investigator = require('../src/services/investigator');
+const { scheduler } = require('../src/services/watchlists');
+const { watchlists, runs } = require('../src/store/watchlistStore');
+const { ledger } = require('../src/store/ledger');
+const { generateKey, resolveKey } = require('../src/middleware/apiKey');
+const { getKeyStore } = require('../src/store/keyStore');
+
+const REPORT = { indicator: 'example.com', type: 'url', verdict: 'safe', sections: {} };
+
+let count = 0;
+async function watchlist(keyData, entries) {
+    count++;
+    return watchlists.insert({
+        id: `watchlist-${count}`,
+        name: `Watchlist ${count}`,
+        ownerId: keyData.ownerId,
+        orgId: keyData.orgId || null,
+        keyId: keyData.id,
+        schedule: '@daily',
+        status: 'active',
+        pausedReason: null,
+        entries: Array.from({ length: entries }, (_, i) => ({ id: `entry-${i}`, indicator: `https://site${i}.example.com`, type: 'url', snapshot: null })),
+        lastRunAt: null,
+        nextRunAt: new Date(Date.now() - 1000).toISOString(),
+        created: new Date().toISOString(),
+    });
+}
+
+async function settled(id) {
+    while (scheduler.running.has(id)) await new Promise(resolve => setTimeout(resolve, 5));
+    scheduler.unschedule(id);
+}
+
+test.beforeEach(t => {
+    t.mock.method(investigator, 'investigate', async () => REPORT);
+});
+
+test('scheduled runs are charged one investigate request per entry and logged', async () => {
+    const { key } = await generateKey('watcher', 'pro');
+    const keyData = await resolveKey(key);
+    const list = await watchlist(keyData, 3);
+
+    await scheduler.fire(list.id);
+    await settled(list.id);
+
+    assert.equal((await resolveKey(key)).usage.investigate, 3);
+    const [run] = await runs.list({ watchlistId: list.id });
+    assert.equal(run.status, 'completed');
+    const logged = ledger.memory.filter(entry => entry.key_id === keyData.id);
+    assert.deepEqual(logged.map(entry => [entry.service, entry.units, entry.method]), [['investigate', 3, 'SCHEDULE']]);
+});
+
+test('a scheduled run the quota cannot cover is skipped', async () => {
+    const { key } = await generateKey('watcher', 'free');
+    const keyData = await resolveKey(key);
+    const list = await watchlist(keyData, 11);
+
+    await scheduler.fire(list.id);
+    await settled(list.id);
+
+    const [run] = await runs.list({ watchlistId: list.id });
+    assert.equal(run.status, 'skipped');
+    assert.match(run.error, /11 investigate requests/);
+    assert.equal(investigator.investigate.mock.callCount(), 0);
+    assert.equal((await resolveKey(key)).usage.investigate, 0);
+});
+
+test('watchlists of a revoked key are paused instead of run', async () => {
+    const { key } = await generateKey('watcher', 'pro');
+    const keyData = await resolveKey(key);
+    const list = await watchlist(keyData, 2);
+    await getKeyStore().update(keyData.id, { status: 'revoked', revokedAt: new Date().toISOString() });
+
+    await scheduler.fire(list.id);
+
+    const paused = await watchlists.get(list.id);
+    assert.equal(paused.status, 'paused');
+    assert.equal(paused.nextRunAt, null);
+    assert.ok(paused.pausedReason);
+    assert.equal((await runs.list({ watchlistId: list.id })).length, 0);
+});
+
+test('manual runs are refused when the quota cannot cover them', async () => {
+    const { key } = await generateKey('watcher', 'free');
+    const keyData = await resolveKey(key);
+    const list = await watchlist(keyData, 11);
+
+    await assert.rejects(scheduler.run(list, 'manual', keyData), { code: 'QUOTA_EXCEEDED' });
+    assert.equal(scheduler.running.has(list.id), false);
+});
@@ -0,0 +1,94 @@
+process.env.STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { urlProblem, sign, dispatcher } = require('../src/services/webhooks');
+const { webhooks, deliveries } = require('../src/store/webhookStore');
+
+test('loopback, private and link-local receivers are refused', async () => {
+    for (const url of [
+        'http://127.0.0.1/hook',
+        'http://127.1/hook',
+        'http://2130706433/hook',
+        'http://0x7f000001/hook',
+        'http://0.0.0.0/hook',
+        'http://10.1.2.3/hook',
+        'http://172.16.0.1/hook',
+        'http://192.168.1.1/hook',
+        'http://100.64.0.1/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[fe80::1]/hook',
+        'http://localhost:8080/hook',
+    ]) {
+        assert.match(await urlProblem(url), /private or loopback/, url);
+    }
+});
+
+test('deliveries re-check the address and never reach a private receiver', async t => {
+    let received = 0;
+    const receiver = http.createServer((req, res) => { received++; res.end(); });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    t.after(() => receiver.close());
+
+    // As if the host had resolved publicly at registration and was rebound since
+    const hook = await webhooks.insert({ id: 'hook-1', url: `http://127.0.0.1:${receiver.address().port}/`, secret: 'whsec_test', status: 'active' });
+    const delivery = await deliveries.insert({
+        id: 'delivery-1', webhookId: hook.id, event: { type: 'webhook.test' }, status: 'pending', attempts: [], nextAttemptAt: null,
+    });
+    await dispatcher.attempt(delivery.id);
+
+    assert.equal(received, 0);
+    const [attempt] = (await deliveries.get(delivery.id)).attempts;
+    assert.match(attempt.error, /private or loopback/);
+    assert.equal(attempt.status_code, null);
+});
+
+test('public addresses and non-http schemes', async () => {
+    assert.equal(await urlProblem('https://93.184.216.34/hook'), null);
+    assert.equal(await urlProblem('http://[2606:4700::1111]/hook'), null);
+    assert.equal(await urlProblem('ftp://93.184.216.34/hook'), 'must use http or https');
+    assert.equal(await urlProblem('file:///etc/passwd'), 'must use http or https');
+    assert.equal(await urlProblem('not a url'), 'is not a valid URL');
+});
+
+test('WEBHOOK_ALLOW_PRIVATE lets local receivers through', async t => {
+    t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE);
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    assert.equal(await urlProblem('http://127.0.0.1:4000/hook'), null);
+});
+
+test('signatures are an HMAC of the timestamp and raw body', () => {
+    const body = JSON.stringify({ type: 'webhook.test' });
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+    assert.equal(sign('whsec_test', 1700000000, body), `t=1700000000,v1=${expected}`);
+});
+
+test('only the start of a failing receiver\'s response is read', async t => {
+    t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE);
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+
+    // An endless body: the attempt must finish without waiting for it to end
+    const receiver = http.createServer((req, res) => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        const timer = setInterval(() => res.write('x'.repeat(16 * 1024)), 5);
+        res.on('close', () => clearInterval(timer));
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    t.after(() => { receiver.closeAllConnections(); receiver.close(); });
+
+    const hook = await webhooks.insert({ id: 'hook-2', url: `http://127.0.0.1:${receiver.address().port}/`, secret: 'whsec_test', status: 'active' });
+    const delivery = await deliveries.insert({
+        id: 'delivery-2', webhookId: hook.id, event: { type: 'webhook.test' }, status: 'pending', attempts: [], nextAttemptAt: null,
+    });
+    await dispatcher.attempt(delivery.id);
+
+    const [attempt] = (await deliveries.get(delivery.id)).attempts;
+    assert.equal(attempt.status_code, 500);
+    assert.equal(attempt.error, `HTTP 500: ${'x'.repeat(500)}`);
+    assert.ok(attempt.duration_ms < 5000);
+});